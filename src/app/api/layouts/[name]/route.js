@@ -0,0 +1,80 @@
+import { deleteLayout, getLayout, putLayout } from '@/lib/layoutStore';
+import { migrateSnapshot } from '@/lib/snapshotSchema';
+
+const MAX_NAME_LENGTH = 200;
+// Names that shadow object built-ins are refused outright, whatever the store does with them
+const RESERVED_NAMES = new Set(Object.getOwnPropertyNames(Object.prototype));
+
+const isValidName = (name) => !!name.trim() && name.length <= MAX_NAME_LENGTH && !RESERVED_NAMES.has(name);
+
+const parseRevision = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : undefined;
+};
+
+export async function GET(request, { params }) {
+  const { name } = await params;
+  if (!isValidName(name)) {
+    return Response.json({ error: 'Invalid layout name' }, { status: 400 });
+  }
+  const layout = await getLayout(name);
+  if (!layout) {
+    return Response.json({ error: 'Layout not found' }, { status: 404 });
+  }
+  return Response.json(layout);
+}
+
+// Body: { snapshot, baseRevision } — baseRevision is null when creating.
+// Responds 409 with the stored layout when someone else saved it first.
+export async function PUT(request, { params }) {
+  const { name } = await params;
+  if (!isValidName(name)) {
+    return Response.json({ error: 'Invalid layout name' }, { status: 400 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const baseRevision = parseRevision(body?.baseRevision);
+  if (baseRevision === undefined) {
+    return Response.json({ error: 'Invalid baseRevision' }, { status: 400 });
+  }
+  const { snapshot } = body ?? {};
+  if (!snapshot || !Array.isArray(snapshot.nodes) || !Array.isArray(snapshot.edges)) {
+    return Response.json({ error: 'Snapshot must include nodes and edges' }, { status: 400 });
+  }
+
+  let migrated;
+  try {
+    migrated = migrateSnapshot(snapshot);
+  } catch (err) {
+    return Response.json({ error: err.message }, { status: 400 });
+  }
+
+  const { layout, conflict } = await putLayout(name, migrated, baseRevision);
+  if (layout) return Response.json(layout);
+  return Response.json({ error: 'Layout was changed elsewhere', current: conflict }, { status: 409 });
+}
+
+// ?revision=N only deletes if the layout is still at that revision
+export async function DELETE(request, { params }) {
+  const { name } = await params;
+  if (!isValidName(name)) {
+    return Response.json({ error: 'Invalid layout name' }, { status: 400 });
+  }
+  const { searchParams } = new URL(request.url);
+  const baseRevision = parseRevision(searchParams.get('revision'));
+  if (baseRevision === undefined) {
+    return Response.json({ error: 'Invalid revision' }, { status: 400 });
+  }
+
+  const { deleted, notFound, conflict } = await deleteLayout(name, baseRevision);
+  if (deleted) return Response.json({ deleted: true });
+  if (notFound) return Response.json({ error: 'Layout not found' }, { status: 404 });
+  return Response.json({ error: 'Layout was changed elsewhere', current: conflict }, { status: 409 });
+}
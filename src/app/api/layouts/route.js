@@ -0,0 +1,5 @@
+import { listLayouts } from '@/lib/layoutStore';
+
+export async function GET() {
+  return Response.json({ layouts: await listLayouts() });
+}
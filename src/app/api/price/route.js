@@ -1,80 +1,9 @@
-import YahooFinance from 'yahoo-finance2';
+import { getQuotes, getQuote, getHistoricalClose } from '@/lib/marketData';
+import { normalizeAssetKey, toAssetKey } from '@/lib/assetKey';
+import { normalizeCurrency } from '@/lib/currency';
+import { quoteCache, historicalCloseCache } from '@/lib/marketDataCache';
 
-const yf = new YahooFinance({ suppressNotices: ['yahooSurvey'] });
-
-const COINGECKO_API = 'https://api.coingecko.com/api/v3';
-
-const CRYPTO_IDS = {
-  BTC: 'bitcoin',
-  ETH: 'ethereum',
-  SOL: 'solana',
-  DOGE: 'dogecoin',
-  ADA: 'cardano',
-  XRP: 'ripple',
-  DOT: 'polkadot',
-  MATIC: 'matic-network',
-  LINK: 'chainlink',
-  AVAX: 'avalanche-2',
-  ATOM: 'cosmos',
-  UNI: 'uniswap',
-  LTC: 'litecoin',
-  BCH: 'bitcoin-cash',
-  NEAR: 'near',
-  APT: 'aptos',
-  ARB: 'arbitrum',
-  OP: 'optimism',
-  SUI: 'sui',
-  SEI: 'sei-network',
-  INJ: 'injective-protocol',
-  TIA: 'celestia',
-  PEPE: 'pepe',
-  SHIB: 'shiba-inu',
-  BONK: 'bonk',
-  WIF: 'dogwifcoin',
-  FET: 'fetch-ai',
-  RNDR: 'render-token',
-  IMX: 'immutable-x',
-  STX: 'blockstack',
-  ALGO: 'algorand',
-  FTM: 'fantom',
-  SAND: 'the-sandbox',
-  MANA: 'decentraland',
-  AXS: 'axie-infinity',
-  AAVE: 'aave',
-  MKR: 'maker',
-  CRV: 'curve-dao-token',
-  LDO: 'lido-dao',
-  RUNE: 'thorchain',
-  XLM: 'stellar',
-  VET: 'vechain',
-  HBAR: 'hedera-hashgraph',
-  EOS: 'eos',
-  XTZ: 'tezos',
-  FLOW: 'flow',
-  EGLD: 'elrond-erd-2',
-  XMR: 'monero',
-  QNT: 'quant-network',
-  KAVA: 'kava',
-  ROSE: 'oasis-network',
-  ZEC: 'zcash',
-  MINA: 'mina-protocol',
-  ENS: 'ethereum-name-service',
-  SNX: 'havven',
-  COMP: 'compound-governance-token',
-  BAT: 'basic-attention-token',
-  '1INCH': '1inch',
-  SUSHI: 'sushi',
-  YFI: 'yearn-finance',
-  GRT: 'the-graph',
-  CHZ: 'chiliz',
-  ENJ: 'enjincoin',
-  GALA: 'gala',
-  APE: 'apecoin',
-  CRO: 'crypto-com-chain',
-  CAKE: 'pancakeswap-token',
-  GMT: 'stepn',
-  KCS: 'kucoin-shares',
-};
+const MAX_BATCH_SYMBOLS = 200;
 
 function parseIsoDate(value) {
   if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
@@ -91,127 +20,51 @@ function parseIsoDate(value) {
   return date;
 }
 
-function formatIsoDateUTC(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-function formatCoinGeckoDateUTC(date) {
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-  const year = date.getUTCFullYear();
-  return `${day}-${month}-${year}`;
-}
-
-async function fetchCryptoData(symbol) {
-  const id = CRYPTO_IDS[symbol.toUpperCase()];
-  if (!id) return null;
-
-  try {
-    const res = await fetch(
-      `${COINGECKO_API}/simple/price?ids=${id}&vs_currencies=usd&include_market_cap=true`,
-      { cache: 'no-store' }
-    );
-    if (!res.ok) return null;
-    const data = await res.json();
-    return {
-      price: data[id]?.usd ?? null,
-      marketCap: data[id]?.usd_market_cap ?? null,
-    };
-  } catch {
-    return null;
-  }
-}
-
-async function fetchCryptoHistoricalData(symbol, targetDate) {
-  const id = CRYPTO_IDS[symbol.toUpperCase()];
-  if (!id) return null;
-
-  try {
-    const dateParam = formatCoinGeckoDateUTC(targetDate);
-    const res = await fetch(
-      `${COINGECKO_API}/coins/${id}/history?date=${dateParam}&localization=false`,
-      { next: { revalidate: 3600 } }
-    );
-    if (!res.ok) return null;
-    const data = await res.json();
-    const price = data.market_data?.current_price?.usd ?? null;
-    if (price === null) return null;
-
-    return {
-      price,
-      resolvedDate: formatIsoDateUTC(targetDate),
-    };
-  } catch {
-    return null;
-  }
-}
-
-async function fetchStockData(symbol) {
-  try {
-    const quote = await yf.quote(symbol);
-
-    const regularPrice = quote?.regularMarketPrice ?? null;
-    const marketCap = quote?.marketCap ?? null;
-
-    // Prefer extended hours price (pre-market or after-hours) when available
-    const price = quote?.preMarketPrice ?? quote?.postMarketPrice ?? regularPrice;
-
-    return { price, marketCap };
-  } catch {
-    return null;
-  }
-}
-
-async function fetchStockHistoricalData(symbol, targetDate) {
-  try {
-    const period1 = new Date(targetDate);
-    period1.setUTCDate(period1.getUTCDate() - 7);
-
-    const period2 = new Date(targetDate);
-    period2.setUTCDate(period2.getUTCDate() + 2);
-
-    const candles = await yf.historical(symbol, {
-      period1,
-      period2,
-      interval: '1d',
-    });
-
-    if (!candles || candles.length === 0) return null;
-
-    const validCandles = candles
-      .filter(candle => candle?.close !== undefined && candle?.close !== null && candle?.date)
-      .sort((a, b) => a.date.getTime() - b.date.getTime());
-
-    if (validCandles.length === 0) return null;
-
-    const targetIso = formatIsoDateUTC(targetDate);
-    const latestOnOrBeforeTarget = [...validCandles]
-      .reverse()
-      .find(candle => formatIsoDateUTC(candle.date) <= targetIso);
-
-    const selected = latestOnOrBeforeTarget || validCandles[0];
-
-    return {
-      price: selected.close,
-      resolvedDate: formatIsoDateUTC(selected.date),
-    };
-  } catch {
-    return null;
-  }
-}
-
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const symbol = searchParams.get('symbol');
+  const symbolsParam = searchParams.get('symbols');
   const dateParam = searchParams.get('date');
+  const coinId = searchParams.get('id');
+  // Prices and market caps come back in this currency (defaults to USD)
+  const currency = normalizeCurrency(searchParams.get('currency'));
+
+  // Batch entries may pin a coin id as "SYMBOL@coin-id"
+  if (symbolsParam !== null) {
+    const symbols = [...new Set(
+      symbolsParam.split(',').map(s => s.trim()).filter(Boolean)
+    )];
+    if (symbols.length === 0) {
+      return Response.json({ error: 'Symbols required' }, { status: 400 });
+    }
+    if (symbols.length > MAX_BATCH_SYMBOLS) {
+      return Response.json({ error: `At most ${MAX_BATCH_SYMBOLS} symbols per request` }, { status: 400 });
+    }
+
+    // Cache entries are per currency: "EUR:BTC"
+    const prefix = `${currency}:`;
+    const cacheKeys = [...new Set(symbols.map(s => prefix + normalizeAssetKey(s)))];
+    const results = await quoteCache.getMany(cacheKeys, async (missing) => {
+      const found = await getQuotes(missing.map(k => k.slice(prefix.length)), currency);
+      return Object.fromEntries(Object.entries(found).map(([key, quote]) => [prefix + key, quote]));
+    });
+
+    const prices = {};
+    for (const requested of symbols) {
+      const { value, asOf, cached } = results[prefix + normalizeAssetKey(requested)];
+      prices[requested] = value
+        ? { ...value, asOf, cached }
+        : { price: null, marketCap: null, type: 'unknown', asOf, cached };
+    }
+    return Response.json({ prices, currency });
+  }
 
   if (!symbol) {
     return Response.json({ error: 'Symbol required' }, { status: 400 });
   }
 
+  const key = toAssetKey(symbol, coinId);
+
   if (dateParam) {
     const targetDate = parseIsoDate(dateParam);
     if (!targetDate) {
@@ -224,57 +77,19 @@ export async function GET(request) {
       return Response.json({ error: 'Date cannot be in the future.' }, { status: 400 });
     }
 
-    const isKnownCrypto = !!CRYPTO_IDS[symbol.toUpperCase()];
-
-    const cryptoHistoricalData = await fetchCryptoHistoricalData(symbol, targetDate);
-    if (cryptoHistoricalData) {
-      return Response.json({
-        price: cryptoHistoricalData.price,
-        marketCap: null,
-        type: 'crypto',
-        resolvedDate: cryptoHistoricalData.resolvedDate,
-      });
-    }
-
-    // Don't fall back to stock for known crypto tickers (avoids returning wrong asset)
-    if (!isKnownCrypto) {
-      const stockHistoricalData = await fetchStockHistoricalData(symbol, targetDate);
-      if (stockHistoricalData) {
-        return Response.json({
-          price: stockHistoricalData.price,
-          marketCap: null,
-          type: 'stock',
-          resolvedDate: stockHistoricalData.resolvedDate,
-        });
-      }
+    const { value, asOf, cached } = await historicalCloseCache.get(
+      `${currency}:${key}:${dateParam}`,
+      () => getHistoricalClose(key, targetDate, currency)
+    );
+    if (value) {
+      return Response.json({ ...value, currency, asOf, cached });
     }
-
-    return Response.json({ price: null, marketCap: null, type: 'unknown', resolvedDate: null });
+    return Response.json({ price: null, marketCap: null, type: 'unknown', resolvedDate: null, currency, asOf, cached });
   }
 
-  const isKnownCrypto = !!CRYPTO_IDS[symbol.toUpperCase()];
-
-  // Try crypto first
-  const cryptoData = await fetchCryptoData(symbol);
-  if (cryptoData && cryptoData.price !== null) {
-    return Response.json({
-      price: cryptoData.price,
-      marketCap: cryptoData.marketCap,
-      type: 'crypto'
-    });
+  const { value, asOf, cached } = await quoteCache.get(`${currency}:${key}`, () => getQuote(key, currency));
+  if (value) {
+    return Response.json({ ...value, currency, asOf, cached });
   }
-
-  // Don't fall back to stock for known crypto tickers (avoids returning wrong asset)
-  if (!isKnownCrypto) {
-    const stockData = await fetchStockData(symbol);
-    if (stockData && stockData.price !== null) {
-      return Response.json({
-        price: stockData.price,
-        marketCap: stockData.marketCap,
-        type: 'stock'
-      });
-    }
-  }
-
-  return Response.json({ price: null, marketCap: null, type: 'unknown' });
+  return Response.json({ price: null, marketCap: null, type: 'unknown', currency, asOf, cached });
 }
@@ -18,16 +18,38 @@ import BuyAssetNode from '@/components/BuyAssetNode';
 import PriceTargetNode from '@/components/PriceTargetNode';
 import AllInNode from '@/components/AllInNode';
 import YieldNode from '@/components/YieldNode';
+import TaxNode from '@/components/TaxNode';
+import RebalanceNode from '@/components/RebalanceNode';
+import DcaNode from '@/components/DcaNode';
+import CashFlowNode from '@/components/CashFlowNode';
 import ProjectedPortfolioNode from '@/components/ProjectedPortfolioNode';
 import QuickConvertNode from '@/components/QuickConvertNode';
 import TimeMachineNode from '@/components/TimeMachineNode';
 import MarketCapSwapNode from '@/components/MarketCapSwapNode';
 import QuickSlidersNode from '@/components/QuickSlidersNode';
 import ChartNode from '@/components/ChartNode';
+import MonteCarloNode from '@/components/MonteCarloNode';
 import TextLabelNode from '@/components/TextLabelNode';
 import VariablesPanel from '@/components/VariablesPanel';
+import ScenarioComparePanel from '@/components/ScenarioComparePanel';
+import FeeFields from '@/components/FeeFields';
 import { VariablesProvider } from '@/lib/VariablesContext';
-import { fetchPrice } from '@/lib/fetchPrice';
+import { CurrencyProvider } from '@/lib/CurrencyContext';
+import { CURRENCIES, DEFAULT_CURRENCY, currencySymbol, isBaseCash, normalizeCurrency } from '@/lib/currency';
+import { fetchPrices } from '@/lib/fetchPrice';
+import { mergeCoinPins, pinsForSnapshot, withCoinPin } from '@/lib/coinPins';
+import { useCanvasHistory } from '@/lib/useCanvasHistory';
+import { SCHEMA_VERSION, migrateSnapshot } from '@/lib/snapshotSchema';
+import { buildShareUrl, clearShareFragment, decodeShareSnapshot, readShareFragment, stripHoldingAmounts } from '@/lib/shareLink';
+import { deleteServerLayout, getServerLayout, listServerLayouts, putServerLayout } from '@/lib/layoutServer';
+import { buildLayoutFile, downloadJson, layoutFileName, parseLayoutFile, uniqueLayoutName } from '@/lib/layoutFile';
+import { EMPTY_FEE_INPUTS, describeFees, parseFees } from '@/lib/fees';
+import { FeesProvider } from '@/lib/FeesContext';
+import { CoinPinsProvider } from '@/lib/CoinPinsContext';
+import { NO_REALIZED, addRealized, estimateTax } from '@/lib/taxLots';
+import { ACTION_LABELS, actionType, applyAction, applyYield } from '@/lib/chainActions';
+import { eventTimes, priceAt, sampleTimes, timelineOrder, whenToYears, yearsToDate } from '@/lib/timeline';
+import { describeAction, summarizeScenario } from '@/lib/scenarios';
 
 const nodeTypes = {
   portfolio: PortfolioNode,
@@ -37,24 +59,44 @@ const nodeTypes = {
   priceTarget: PriceTargetNode,
   allIn: AllInNode,
   yield: YieldNode,
+  tax: TaxNode,
+  rebalance: RebalanceNode,
+  dca: DcaNode,
+  cashFlow: CashFlowNode,
   projected: ProjectedPortfolioNode,
   quickConvert: QuickConvertNode,
   timeMachine: TimeMachineNode,
   marketCapSwap: MarketCapSwapNode,
   quickSliders: QuickSlidersNode,
   chart: ChartNode,
+  monteCarlo: MonteCarloNode,
   textLabel: TextLabelNode,
 };
 
 const INITIAL_PORTFOLIO_ID = 'portfolio-1';
 const STORAGE_KEY = 'folioli-state';
 const LAYOUTS_KEY = 'folioli-layouts';
+// Where layouts are kept ('local' or 'server'), and which server layout/revision is open
+const LAYOUT_STORAGE_KEY = 'folioli-layout-storage';
 
 function loadLayouts() {
   if (typeof window === 'undefined') return { layouts: {}, currentLayout: null };
   try {
     const saved = localStorage.getItem(LAYOUTS_KEY);
-    if (saved) return JSON.parse(saved);
+    if (saved) {
+      const data = JSON.parse(saved);
+      // Layouts that can't be migrated (saved by a newer version) are kept as-is and refused when opened
+      const layouts = Object.fromEntries(
+        Object.entries(data.layouts || {}).map(([name, snapshot]) => {
+          try {
+            return [name, migrateSnapshot(snapshot)];
+          } catch {
+            return [name, snapshot];
+          }
+        })
+      );
+      return { ...data, layouts };
+    }
   } catch (e) {
     console.error('Failed to load layouts:', e);
   }
@@ -70,6 +112,26 @@ function saveLayouts(data) {
   }
 }
 
+function loadLayoutStorage() {
+  if (typeof window === 'undefined') return { mode: 'local', serverLayout: null, serverRevision: null };
+  try {
+    const saved = localStorage.getItem(LAYOUT_STORAGE_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (e) {
+    console.error('Failed to load layout storage settings:', e);
+  }
+  return { mode: 'local', serverLayout: null, serverRevision: null };
+}
+
+function saveLayoutStorage(data) {
+  if (typeof window === 'undefined') return;
+  try {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(data));
+  } catch (e) {
+    console.error('Failed to save layout storage settings:', e);
+  }
+}
+
 const defaultNodes = [
   {
     id: INITIAL_PORTFOLIO_ID,
@@ -84,7 +146,13 @@ function loadState() {
   try {
     const saved = localStorage.getItem(STORAGE_KEY);
     if (saved) {
-      return JSON.parse(saved);
+      try {
+        return migrateSnapshot(JSON.parse(saved));
+      } catch (e) {
+        // Keep the unreadable state around rather than letting the autosave overwrite it
+        localStorage.setItem(`${STORAGE_KEY}-unreadable`, saved);
+        throw e;
+      }
     }
   } catch (e) {
     console.error('Failed to load state:', e);
@@ -125,6 +193,18 @@ export default function Home() {
   const [yields, setYields] = useState({});
   const [yieldInputs, setYieldInputs] = useState({});
   const [yieldCount, setYieldCount] = useState(0);
+  const [taxes, setTaxes] = useState({});
+  const [taxInputs, setTaxInputs] = useState({});
+  const [taxCount, setTaxCount] = useState(0);
+  const [rebalances, setRebalances] = useState({});
+  const [rebalanceInputs, setRebalanceInputs] = useState({});
+  const [rebalanceCount, setRebalanceCount] = useState(0);
+  const [dcas, setDcas] = useState({});
+  const [dcaInputs, setDcaInputs] = useState({});
+  const [dcaCount, setDcaCount] = useState(0);
+  const [cashFlows, setCashFlows] = useState({});
+  const [cashFlowInputs, setCashFlowInputs] = useState({});
+  const [cashFlowCount, setCashFlowCount] = useState(0);
   const [quickConvertInputs, setQuickConvertInputs] = useState({});
   const [quickConvertCount, setQuickConvertCount] = useState(0);
   const [timeMachineInputs, setTimeMachineInputs] = useState({});
@@ -135,12 +215,21 @@ export default function Home() {
   const [quickSlidersCount, setQuickSlidersCount] = useState(0);
   const [chartInputs, setChartInputs] = useState({});
   const [chartCount, setChartCount] = useState(0);
+  const [monteCarloInputs, setMonteCarloInputs] = useState({});
+  const [monteCarloCount, setMonteCarloCount] = useState(0);
   const [textLabels, setTextLabels] = useState({});
   const [textLabelCount, setTextLabelCount] = useState(0);
   const [variables, setVariables] = useState({});
   const [projectedForPortfolio, setProjectedForPortfolio] = useState({});
   const [projectedCount, setProjectedCount] = useState(0);
   const [disabledNodes, setDisabledNodes] = useState({});
+  // When each action node happens on the projection timeline (lib/timeline), undated if absent
+  const [actionTimes, setActionTimes] = useState({});
+  // Which coin each shared crypto ticker means on this canvas (lib/coinPins)
+  const [coinPins, setCoinPins] = useState({});
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  const [feeDefaultInputs, setFeeDefaultInputs] = useState(EMPTY_FEE_INPUTS);
+  const [showFeesMenu, setShowFeesMenu] = useState(false);
   const [isRefreshingAll, setIsRefreshingAll] = useState(false);
   const [showAddMenu, setShowAddMenu] = useState(false);
   const reactFlowInstanceRef = useRef(null);
@@ -154,12 +243,29 @@ export default function Home() {
   const [showRenameLayoutDialog, setShowRenameLayoutDialog] = useState(false);
   const [renameTarget, setRenameTarget] = useState(null);
   const [renameInput, setRenameInput] = useState('');
+  const [layoutError, setLayoutError] = useState(null); // { title, message }
+  const [layoutStorage, setLayoutStorage] = useState('local'); // 'local' or 'server'
+  const [serverLayouts, setServerLayouts] = useState({}); // name -> { revision, updatedAt }
+  // Revision of the open server layout when it was loaded or last saved, to detect edits made elsewhere
+  const [serverRevision, setServerRevision] = useState(null);
+  const [isLoadingServerLayouts, setIsLoadingServerLayouts] = useState(false);
+  const [layoutConflict, setLayoutConflict] = useState(null); // { name, snapshot, current }
+  // Opened from a share link: shown as an unsaved layout and kept out of the autosave
+  const [isSharedView, setIsSharedView] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+  const [shareHideAmounts, setShareHideAmounts] = useState(false);
+  const [shareCopied, setShareCopied] = useState(false);
+  const importInputRef = useRef(null);
   const [layoutVersion, setLayoutVersion] = useState(0);
+  // Viewport to keep when remounting for undo/redo; null means fit the view
+  const [restoredViewport, setRestoredViewport] = useState(null);
 
   const isInitialMount = useRef(true);
 
-  // Global refresh all prices across the app (optimized to fetch each ticker only once)
-  const handleRefreshAll = useCallback(async () => {
+  // Global refresh all prices across the app (optimized to fetch each ticker only once).
+  // Takes the currency explicitly so switching the base currency can refresh straight away.
+  const handleRefreshAll = useCallback(async (currency = baseCurrency) => {
     setIsRefreshingAll(true);
 
     try {
@@ -170,7 +276,7 @@ export default function Home() {
       for (const holdingsList of Object.values(portfolioHoldings)) {
         if (holdingsList) {
           for (const holding of holdingsList) {
-            if (holding.ticker !== 'USD' && holding.ticker !== 'CASH') {
+            if (!isBaseCash(holding.ticker, currency)) {
               tickersToFetch.add(holding.ticker);
             }
           }
@@ -200,27 +306,27 @@ export default function Home() {
 
       // From quick convert inputs
       for (const inputs of Object.values(quickConvertInputs)) {
-        if (inputs.fromAsset && inputs.fromAsset !== 'USD' && inputs.fromAsset !== 'CASH') {
+        if (inputs.fromAsset && !isBaseCash(inputs.fromAsset, currency)) {
           tickersToFetch.add(inputs.fromAsset);
         }
-        if (inputs.toAsset && inputs.toAsset !== 'USD' && inputs.toAsset !== 'CASH') {
+        if (inputs.toAsset && !isBaseCash(inputs.toAsset, currency)) {
           tickersToFetch.add(inputs.toAsset);
         }
       }
 
       // From time machine inputs
       for (const inputs of Object.values(timeMachineInputs)) {
-        if (inputs.asset && inputs.asset !== 'USD' && inputs.asset !== 'CASH') {
+        if (inputs.asset && !isBaseCash(inputs.asset, currency)) {
           tickersToFetch.add(inputs.asset);
         }
       }
 
       // From market cap swap inputs
       for (const inputs of Object.values(marketCapSwapInputs)) {
-        if (inputs.fromAsset && inputs.fromAsset !== 'USD' && inputs.fromAsset !== 'CASH') {
+        if (inputs.fromAsset && !isBaseCash(inputs.fromAsset, currency)) {
           tickersToFetch.add(inputs.fromAsset);
         }
-        if (inputs.toAsset && inputs.toAsset !== 'USD' && inputs.toAsset !== 'CASH') {
+        if (inputs.toAsset && !isBaseCash(inputs.toAsset, currency)) {
           tickersToFetch.add(inputs.toAsset);
         }
       }
@@ -229,32 +335,23 @@ export default function Home() {
       for (const inputs of Object.values(quickSlidersInputs)) {
         if (inputs.assets) {
           for (const asset of inputs.assets) {
-            if (asset.ticker !== 'USD' && asset.ticker !== 'CASH') {
+            if (!isBaseCash(asset.ticker, currency)) {
               tickersToFetch.add(asset.ticker);
             }
           }
         }
       }
 
-      // Fetch all unique tickers in parallel
-      const tickerArray = Array.from(tickersToFetch);
-      const priceResults = await Promise.all(
-        tickerArray.map(ticker => fetchPrice(ticker))
-      );
-
-      // Build a price map for quick lookup
-      const priceMap = {};
-      tickerArray.forEach((ticker, index) => {
-        priceMap[ticker] = priceResults[index];
-      });
+      // Fetch all unique tickers in one batched request
+      const priceMap = await fetchPrices(Array.from(tickersToFetch), currency, coinPins);
 
       // Update all portfolio holdings with cached prices
       const refreshedPortfolios = {};
       for (const [portfolioId, holdingsList] of Object.entries(portfolioHoldings)) {
         if (holdingsList && holdingsList.length > 0) {
           refreshedPortfolios[portfolioId] = holdingsList.map(holding => {
-            if (holding.ticker === 'USD' || holding.ticker === 'CASH') {
-              return holding;
+            if (isBaseCash(holding.ticker, currency)) {
+              return { ...holding, price: 1, type: 'cash', value: holding.amount };
             }
             const priceData = priceMap[holding.ticker];
             if (priceData) {
@@ -264,6 +361,7 @@ export default function Home() {
                 marketCap: priceData.marketCap ?? holding.marketCap,
                 type: priceData.type !== 'unknown' ? priceData.type : holding.type,
                 value: priceData.price ? priceData.price * holding.amount : holding.value,
+                priceAsOf: priceData.price ? priceData.asOf : holding.priceAsOf,
               };
             }
             return holding;
@@ -415,12 +513,38 @@ export default function Home() {
     } finally {
       setIsRefreshingAll(false);
     }
-  }, [portfolioHoldings, rotationInputs, buyInputs, allInInputs, quickConvertInputs, timeMachineInputs, marketCapSwapInputs, quickSlidersInputs]);
+  }, [baseCurrency, coinPins, portfolioHoldings, rotationInputs, buyInputs, allInInputs, quickConvertInputs, timeMachineInputs, marketCapSwapInputs, quickSlidersInputs]);
+
+  const handleBaseCurrencyChange = useCallback((code) => {
+    const currency = normalizeCurrency(code);
+    setBaseCurrency(currency);
+    handleRefreshAll(currency);
+  }, [handleRefreshAll]);
 
-  // Load state from localStorage on mount
+  // Load state from a share link, or else from localStorage, on mount
   useEffect(() => {
+    const readSharedSnapshot = async () => {
+      const encoded = readShareFragment();
+      if (!encoded) return null;
+      clearShareFragment();
+      try {
+        return await decodeShareSnapshot(encoded);
+      } catch (e) {
+        setLayoutError({ title: "Can't Open Shared Link", message: e.message });
+        return null;
+      }
+    };
+
     const loadAndRefresh = async () => {
-      const saved = loadState();
+      const shared = await readSharedSnapshot();
+      if (shared) {
+        setIsSharedView(true);
+        setCurrentLayout(null);
+      }
+      const saved = shared ?? loadState();
+      // Canvases without pins of their own start from this browser's
+      const pins = pinsForSnapshot(saved?.coinPins);
+      setCoinPins(pins);
       if (saved) {
         if (saved.nodes) setNodes(saved.nodes);
         if (saved.edges) setEdges(saved.edges);
@@ -430,24 +554,26 @@ export default function Home() {
         if (saved.priceTargetCount !== undefined) setPriceTargetCount(saved.priceTargetCount);
         if (saved.allInCount !== undefined) setAllInCount(saved.allInCount);
         if (saved.yieldCount !== undefined) setYieldCount(saved.yieldCount);
+        if (saved.taxCount !== undefined) setTaxCount(saved.taxCount);
+        if (saved.rebalanceCount !== undefined) setRebalanceCount(saved.rebalanceCount);
+        if (saved.dcaCount !== undefined) setDcaCount(saved.dcaCount);
+        if (saved.cashFlowCount !== undefined) setCashFlowCount(saved.cashFlowCount);
         if (saved.quickConvertCount !== undefined) setQuickConvertCount(saved.quickConvertCount);
         if (saved.timeMachineCount !== undefined) setTimeMachineCount(saved.timeMachineCount);
         if (saved.marketCapSwapCount !== undefined) setMarketCapSwapCount(saved.marketCapSwapCount);
         if (saved.quickSlidersCount !== undefined) setQuickSlidersCount(saved.quickSlidersCount);
         if (saved.chartCount !== undefined) setChartCount(saved.chartCount);
+        if (saved.monteCarloCount !== undefined) setMonteCarloCount(saved.monteCarloCount);
         if (saved.textLabelCount !== undefined) setTextLabelCount(saved.textLabelCount);
         if (saved.portfolioCount !== undefined) setPortfolioCount(saved.portfolioCount);
         if (saved.projectedForPortfolio) setProjectedForPortfolio(saved.projectedForPortfolio);
         if (saved.projectedCount !== undefined) setProjectedCount(saved.projectedCount);
+        const currency = normalizeCurrency(saved.baseCurrency);
+        setBaseCurrency(currency);
+        if (saved.feeDefaultInputs) setFeeDefaultInputs(saved.feeDefaultInputs);
 
         // Load with stale prices first for immediate display
-        // Support both old format (holdings array) and new format (portfolioHoldings map)
-        if (saved.portfolioHoldings) {
-          setPortfolioHoldings(saved.portfolioHoldings);
-        } else if (saved.holdings) {
-          // Migrate old format
-          setPortfolioHoldings({ [INITIAL_PORTFOLIO_ID]: saved.holdings });
-        }
+        if (saved.portfolioHoldings) setPortfolioHoldings(saved.portfolioHoldings);
         if (saved.rotations) setRotations(saved.rotations);
         if (saved.rotationInputs) setRotationInputs(saved.rotationInputs);
         if (saved.sells) setSells(saved.sells);
@@ -460,19 +586,29 @@ export default function Home() {
         if (saved.allInInputs) setAllInInputs(saved.allInInputs);
         if (saved.yields) setYields(saved.yields);
         if (saved.yieldInputs) setYieldInputs(saved.yieldInputs);
+        if (saved.taxes) setTaxes(saved.taxes);
+        if (saved.taxInputs) setTaxInputs(saved.taxInputs);
+        if (saved.rebalances) setRebalances(saved.rebalances);
+        if (saved.rebalanceInputs) setRebalanceInputs(saved.rebalanceInputs);
+        if (saved.dcas) setDcas(saved.dcas);
+        if (saved.dcaInputs) setDcaInputs(saved.dcaInputs);
+        if (saved.cashFlows) setCashFlows(saved.cashFlows);
+        if (saved.cashFlowInputs) setCashFlowInputs(saved.cashFlowInputs);
         if (saved.quickConvertInputs) setQuickConvertInputs(saved.quickConvertInputs);
         if (saved.timeMachineInputs) setTimeMachineInputs(saved.timeMachineInputs);
         if (saved.marketCapSwapInputs) setMarketCapSwapInputs(saved.marketCapSwapInputs);
         if (saved.quickSlidersInputs) setQuickSlidersInputs(saved.quickSlidersInputs);
         if (saved.chartInputs) setChartInputs(saved.chartInputs);
+        if (saved.monteCarloInputs) setMonteCarloInputs(saved.monteCarloInputs);
         if (saved.textLabels) setTextLabels(saved.textLabels);
         if (saved.variables) setVariables(saved.variables);
         if (saved.disabledNodes) setDisabledNodes(saved.disabledNodes);
+        if (saved.actionTimes) setActionTimes(saved.actionTimes);
 
         setIsHydrated(true);
 
         // Refresh prices in background after initial render (optimized to fetch each ticker once)
-        const holdingsToRefresh = saved.portfolioHoldings || (saved.holdings ? { [INITIAL_PORTFOLIO_ID]: saved.holdings } : null);
+        const holdingsToRefresh = saved.portfolioHoldings;
 
         // Collect all unique tickers that need refresh
         const tickersToFetch = new Set();
@@ -481,7 +617,7 @@ export default function Home() {
           for (const holdingsList of Object.values(holdingsToRefresh)) {
             if (holdingsList) {
               for (const holding of holdingsList) {
-                if (holding.ticker !== 'USD' && holding.ticker !== 'CASH') {
+                if (!isBaseCash(holding.ticker, currency)) {
                   tickersToFetch.add(holding.ticker);
                 }
               }
@@ -515,10 +651,10 @@ export default function Home() {
 
         if (saved.quickConvertInputs) {
           for (const inputs of Object.values(saved.quickConvertInputs)) {
-            if (inputs.fromAsset && inputs.fromAsset !== 'USD' && inputs.fromAsset !== 'CASH') {
+            if (inputs.fromAsset && !isBaseCash(inputs.fromAsset, currency)) {
               tickersToFetch.add(inputs.fromAsset);
             }
-            if (inputs.toAsset && inputs.toAsset !== 'USD' && inputs.toAsset !== 'CASH') {
+            if (inputs.toAsset && !isBaseCash(inputs.toAsset, currency)) {
               tickersToFetch.add(inputs.toAsset);
             }
           }
@@ -526,7 +662,7 @@ export default function Home() {
 
         if (saved.timeMachineInputs) {
           for (const inputs of Object.values(saved.timeMachineInputs)) {
-            if (inputs.asset && inputs.asset !== 'USD' && inputs.asset !== 'CASH') {
+            if (inputs.asset && !isBaseCash(inputs.asset, currency)) {
               tickersToFetch.add(inputs.asset);
             }
           }
@@ -534,10 +670,10 @@ export default function Home() {
 
         if (saved.marketCapSwapInputs) {
           for (const inputs of Object.values(saved.marketCapSwapInputs)) {
-            if (inputs.fromAsset && inputs.fromAsset !== 'USD' && inputs.fromAsset !== 'CASH') {
+            if (inputs.fromAsset && !isBaseCash(inputs.fromAsset, currency)) {
               tickersToFetch.add(inputs.fromAsset);
             }
-            if (inputs.toAsset && inputs.toAsset !== 'USD' && inputs.toAsset !== 'CASH') {
+            if (inputs.toAsset && !isBaseCash(inputs.toAsset, currency)) {
               tickersToFetch.add(inputs.toAsset);
             }
           }
@@ -547,7 +683,7 @@ export default function Home() {
           for (const inputs of Object.values(saved.quickSlidersInputs)) {
             if (inputs.assets) {
               for (const asset of inputs.assets) {
-                if (asset.ticker !== 'USD' && asset.ticker !== 'CASH') {
+                if (!isBaseCash(asset.ticker, currency)) {
                   tickersToFetch.add(asset.ticker);
                 }
               }
@@ -555,18 +691,9 @@ export default function Home() {
           }
         }
 
-        // Fetch all unique tickers in parallel
+        // Fetch all unique tickers in one batched request
         if (tickersToFetch.size > 0) {
-          const tickerArray = Array.from(tickersToFetch);
-          const priceResults = await Promise.all(
-            tickerArray.map(ticker => fetchPrice(ticker))
-          );
-
-          // Build price map
-          const priceMap = {};
-          tickerArray.forEach((ticker, index) => {
-            priceMap[ticker] = priceResults[index];
-          });
+          const priceMap = await fetchPrices(Array.from(tickersToFetch), currency, pins);
 
           // Update portfolio holdings
           if (holdingsToRefresh) {
@@ -574,8 +701,8 @@ export default function Home() {
             for (const [portfolioId, holdingsList] of Object.entries(holdingsToRefresh)) {
               if (holdingsList && holdingsList.length > 0) {
                 refreshedPortfolios[portfolioId] = holdingsList.map(holding => {
-                  if (holding.ticker === 'USD' || holding.ticker === 'CASH') {
-                    return holding;
+                  if (isBaseCash(holding.ticker, currency)) {
+                    return { ...holding, price: 1, type: 'cash', value: holding.amount };
                   }
                   const priceData = priceMap[holding.ticker];
                   if (priceData) {
@@ -585,6 +712,7 @@ export default function Home() {
                       marketCap: priceData.marketCap ?? holding.marketCap,
                       type: priceData.type !== 'unknown' ? priceData.type : holding.type,
                       value: priceData.price ? priceData.price * holding.amount : holding.value,
+                      priceAsOf: priceData.price ? priceData.asOf : holding.priceAsOf,
                     };
                   }
                   return holding;
@@ -802,6 +930,7 @@ export default function Home() {
       isInitialMount.current = false;
       return;
     }
+    if (isSharedView) return;
 
     // Strip callbacks from nodes before saving
     const nodesToSave = nodes.map(node => ({
@@ -812,6 +941,7 @@ export default function Home() {
     }));
 
     saveState({
+      schemaVersion: SCHEMA_VERSION,
       nodes: nodesToSave,
       edges,
       portfolioHoldings,
@@ -834,6 +964,18 @@ export default function Home() {
       yields,
       yieldInputs,
       yieldCount,
+      taxes,
+      taxInputs,
+      taxCount,
+      rebalances,
+      rebalanceInputs,
+      rebalanceCount,
+      dcas,
+      dcaInputs,
+      dcaCount,
+      cashFlows,
+      cashFlowInputs,
+      cashFlowCount,
       quickConvertInputs,
       quickConvertCount,
       timeMachineInputs,
@@ -844,14 +986,20 @@ export default function Home() {
       quickSlidersCount,
       chartInputs,
       chartCount,
+      monteCarloInputs,
+      monteCarloCount,
       textLabels,
       textLabelCount,
       variables,
       projectedForPortfolio,
       projectedCount,
       disabledNodes,
+      actionTimes,
+      coinPins,
+      baseCurrency,
+      feeDefaultInputs,
     });
-  }, [isHydrated, nodes, edges, portfolioHoldings, portfolioCount, rotations, rotationInputs, rotationCount, sells, sellInputs, sellCount, buys, buyInputs, buyCount, priceTargets, priceTargetInputs, priceTargetCount, allIns, allInInputs, allInCount, yields, yieldInputs, yieldCount, quickConvertInputs, quickConvertCount, timeMachineInputs, timeMachineCount, marketCapSwapInputs, marketCapSwapCount, quickSlidersInputs, quickSlidersCount, chartInputs, chartCount, textLabels, textLabelCount, variables, projectedForPortfolio, projectedCount, disabledNodes]);
+  }, [isHydrated, isSharedView, nodes, edges, portfolioHoldings, portfolioCount, rotations, rotationInputs, rotationCount, sells, sellInputs, sellCount, buys, buyInputs, buyCount, priceTargets, priceTargetInputs, priceTargetCount, allIns, allInInputs, allInCount, yields, yieldInputs, yieldCount, taxes, taxInputs, taxCount, rebalances, rebalanceInputs, rebalanceCount, dcas, dcaInputs, dcaCount, cashFlows, cashFlowInputs, cashFlowCount, quickConvertInputs, quickConvertCount, timeMachineInputs, timeMachineCount, marketCapSwapInputs, marketCapSwapCount, quickSlidersInputs, quickSlidersCount, chartInputs, chartCount, monteCarloInputs, monteCarloCount, textLabels, textLabelCount, variables, projectedForPortfolio, projectedCount, disabledNodes, actionTimes, coinPins, baseCurrency, feeDefaultInputs]);
 
   // Check if a specific portfolio should have a projected node (has any action nodes connected)
   const getActionNodesForPortfolio = useCallback((portfolioId, edgesList) => {
@@ -864,7 +1012,11 @@ export default function Home() {
         targetId.startsWith('buy-') ||
         targetId.startsWith('priceTarget-') ||
         targetId.startsWith('allIn-') ||
-        targetId.startsWith('yield-')
+        targetId.startsWith('yield-') ||
+        targetId.startsWith('tax-') ||
+        targetId.startsWith('rebalance-') ||
+        targetId.startsWith('dca-') ||
+        targetId.startsWith('cashFlow-')
       );
   }, []);
 
@@ -907,6 +1059,26 @@ export default function Home() {
       .filter(change => change.type === 'remove' && change.id.startsWith('yield-'))
       .map(change => change.id);
 
+    // Check for deleted tax nodes
+    const deletedTaxIds = changes
+      .filter(change => change.type === 'remove' && change.id.startsWith('tax-'))
+      .map(change => change.id);
+
+    // Check for deleted rebalance nodes
+    const deletedRebalanceIds = changes
+      .filter(change => change.type === 'remove' && change.id.startsWith('rebalance-'))
+      .map(change => change.id);
+
+    // Check for deleted DCA nodes
+    const deletedDcaIds = changes
+      .filter(change => change.type === 'remove' && change.id.startsWith('dca-'))
+      .map(change => change.id);
+
+    // Check for deleted cash flow nodes
+    const deletedCashFlowIds = changes
+      .filter(change => change.type === 'remove' && change.id.startsWith('cashFlow-'))
+      .map(change => change.id);
+
     // Check for deleted quick convert nodes
     const deletedQuickConvertIds = changes
       .filter(change => change.type === 'remove' && change.id.startsWith('quickConvert-'))
@@ -932,6 +1104,11 @@ export default function Home() {
       .filter(change => change.type === 'remove' && change.id.startsWith('chart-'))
       .map(change => change.id);
 
+    // Check for deleted Monte Carlo nodes
+    const deletedMonteCarloIds = changes
+      .filter(change => change.type === 'remove' && change.id.startsWith('monteCarlo-'))
+      .map(change => change.id);
+
     // Check for deleted text label nodes
     const deletedTextLabelIds = changes
       .filter(change => change.type === 'remove' && change.id.startsWith('textLabel-'))
@@ -1059,6 +1236,70 @@ export default function Home() {
       ));
     }
 
+    if (deletedTaxIds.length > 0) {
+      setTaxes(prev => {
+        const updated = { ...prev };
+        deletedTaxIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setTaxInputs(prev => {
+        const updated = { ...prev };
+        deletedTaxIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setEdges(prev => prev.filter(edge =>
+        !deletedTaxIds.includes(edge.source) && !deletedTaxIds.includes(edge.target)
+      ));
+    }
+
+    if (deletedRebalanceIds.length > 0) {
+      setRebalances(prev => {
+        const updated = { ...prev };
+        deletedRebalanceIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setRebalanceInputs(prev => {
+        const updated = { ...prev };
+        deletedRebalanceIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setEdges(prev => prev.filter(edge =>
+        !deletedRebalanceIds.includes(edge.source) && !deletedRebalanceIds.includes(edge.target)
+      ));
+    }
+
+    if (deletedDcaIds.length > 0) {
+      setDcas(prev => {
+        const updated = { ...prev };
+        deletedDcaIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setDcaInputs(prev => {
+        const updated = { ...prev };
+        deletedDcaIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setEdges(prev => prev.filter(edge =>
+        !deletedDcaIds.includes(edge.source) && !deletedDcaIds.includes(edge.target)
+      ));
+    }
+
+    if (deletedCashFlowIds.length > 0) {
+      setCashFlows(prev => {
+        const updated = { ...prev };
+        deletedCashFlowIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setCashFlowInputs(prev => {
+        const updated = { ...prev };
+        deletedCashFlowIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setEdges(prev => prev.filter(edge =>
+        !deletedCashFlowIds.includes(edge.source) && !deletedCashFlowIds.includes(edge.target)
+      ));
+    }
+
     if (deletedQuickConvertIds.length > 0) {
       setQuickConvertInputs(prev => {
         const updated = { ...prev };
@@ -1114,6 +1355,17 @@ export default function Home() {
       ));
     }
 
+    if (deletedMonteCarloIds.length > 0) {
+      setMonteCarloInputs(prev => {
+        const updated = { ...prev };
+        deletedMonteCarloIds.forEach(id => delete updated[id]);
+        return updated;
+      });
+      setEdges(prev => prev.filter(edge =>
+        !deletedMonteCarloIds.includes(edge.source) && !deletedMonteCarloIds.includes(edge.target)
+      ));
+    }
+
     if (deletedTextLabelIds.length > 0) {
       setTextLabels(prev => {
         const updated = { ...prev };
@@ -1123,8 +1375,8 @@ export default function Home() {
     }
 
     // Remove projected nodes for portfolios that no longer have action nodes
-    if (deletedRotateIds.length > 0 || deletedSellIds.length > 0 || deletedBuyIds.length > 0 || deletedPriceTargetIds.length > 0 || deletedAllInIds.length > 0 || deletedYieldIds.length > 0) {
-      const allDeletedActionIds = [...deletedRotateIds, ...deletedSellIds, ...deletedBuyIds, ...deletedPriceTargetIds, ...deletedAllInIds, ...deletedYieldIds];
+    if (deletedRotateIds.length > 0 || deletedSellIds.length > 0 || deletedBuyIds.length > 0 || deletedPriceTargetIds.length > 0 || deletedAllInIds.length > 0 || deletedYieldIds.length > 0 || deletedTaxIds.length > 0 || deletedRebalanceIds.length > 0 || deletedDcaIds.length > 0 || deletedCashFlowIds.length > 0) {
+      const allDeletedActionIds = [...deletedRotateIds, ...deletedSellIds, ...deletedBuyIds, ...deletedPriceTargetIds, ...deletedAllInIds, ...deletedYieldIds, ...deletedTaxIds, ...deletedRebalanceIds, ...deletedDcaIds, ...deletedCashFlowIds];
 
       setEdges(prevEdges => {
         // Find which portfolios had these deleted action nodes
@@ -1174,6 +1426,19 @@ export default function Home() {
     });
   }, []);
 
+  // Date an action node on the projection timeline, or make it undated again (null)
+  const handleActionTimeChange = useCallback((nodeId, when) => {
+    setActionTimes(prev => {
+      const next = { ...prev };
+      if (when) {
+        next[nodeId] = when;
+      } else {
+        delete next[nodeId];
+      }
+      return next;
+    });
+  }, []);
+
   // Helper to check if a node is an action node
   // Get the center of the current viewport in flow coordinates
   const getViewportCenter = useCallback(() => {
@@ -1192,7 +1457,11 @@ export default function Home() {
            nodeId.startsWith('buy-') ||
            nodeId.startsWith('priceTarget-') ||
            nodeId.startsWith('allIn-') ||
-           nodeId.startsWith('yield-');
+           nodeId.startsWith('yield-') ||
+           nodeId.startsWith('tax-') ||
+           nodeId.startsWith('rebalance-') ||
+           nodeId.startsWith('dca-') ||
+           nodeId.startsWith('cashFlow-');
   }, []);
 
   // Helper to get source portfolio ID for an action node (walks back through chain)
@@ -1281,168 +1550,238 @@ export default function Home() {
     return priceOverrides;
   }, [getOrderedChainNodes, priceTargets, disabledNodes]);
 
-  // Compute holdings after applying transformations up to (but not including) a specific node
-  const computeHoldingsUpTo = useCallback((portfolioId, stopBeforeNodeId) => {
-    const baseHoldings = portfolioHoldings[portfolioId] || [];
-    const chains = getOrderedChainNodes(portfolioId);
+  // Fees and slippage for action nodes that don't set their own
+  const defaultFees = useMemo(() => parseFees(feeDefaultInputs), [feeDefaultInputs]);
 
-    // Find which chain contains the stopBeforeNodeId
-    let targetChain = null;
-    let stopIndex = -1;
-    for (const chain of chains) {
-      const idx = chain.indexOf(stopBeforeNodeId);
-      if (idx !== -1) {
-        targetChain = chain;
-        stopIndex = idx;
-        break;
-      }
-    }
+  // Picks in ticker search pin coins on this canvas; the browser's own pins follow on save
+  const pinCoin = useCallback((ticker, coinId) => {
+    setCoinPins(prev => withCoinPin(prev, ticker, coinId));
+  }, []);
+  const coinPinsContext = useMemo(() => ({ pins: coinPins, pinCoin }), [coinPins, pinCoin]);
+
+  // Each action node type's payloads, for lib/chainActions
+  const actionPayloads = useMemo(() => ({
+    rotate: rotations, sell: sells, buy: buys, allIn: allIns, yield: yields,
+    rebalance: rebalances, dca: dcas, cashFlow: cashFlows,
+  }), [rotations, sells, buys, allIns, yields, rebalances, dcas, cashFlows]);
+
+  // Calculate projected holdings for a specific portfolio, plus the trades that get there in
+  // chain order: { step, nodeId, action, side, ticker, units, price, value, fee }, the gains
+  // realized on the way: { shortTerm, longTerm }, what each Tax node charged on them, the
+  // fees and slippage paid by each node, and the net cash added by Cash Flow nodes. Actions run
+  // along a timeline (see lib/timeline): `times` is when each one happens, in years from
+  // today, and `timeline` samples the total value over time ({ horizon, points: [{ t, value }] },
+  // null when nothing is dated). `branchIndex` projects one first-level chain on its own, and
+  // `stopBeforeNodeId` (a node of that chain) ends the run just before the node happens.
+  const calculateProjection = useCallback((portfolioId, branchIndex = null, stopBeforeNodeId = null) => {
+    const holdings = portfolioHoldings[portfolioId] || [];
+    const allChains = getOrderedChainNodes(portfolioId);
+    const chains = branchIndex === null ? allChains : allChains.slice(branchIndex, branchIndex + 1);
+    const now = Date.now();
+    const trades = [];
+    let realized = NO_REALIZED;
+    // Gains realized in the current chain since its last Tax node
+    let pendingRealized = NO_REALIZED;
+    const taxResults = {};
+    let taxPaid = 0;
+    let step = 0;
+    const realize = (gains) => {
+      realized = addRealized(realized, gains);
+      pendingRealized = addRealized(pendingRealized, gains);
+    };
+    const recordTrade = (nodeId, action, { side, ticker, units, price, value, fee = 0 }) => {
+      if (!(units > 0)) return;
+      trades.push({ step, nodeId, action, side, ticker, units, price, value, fee });
+    };
+    const feesByNode = {};
+    let feesPaid = 0;
+    // Contributions less withdrawals from Cash Flow nodes
+    let netCashFlow = 0;
+    const chargeFees = (nodeId, cost) => {
+      feesByNode[nodeId] = (feesByNode[nodeId] ?? 0) + cost;
+      feesPaid += cost;
+    };
 
-    if (!targetChain || stopIndex <= 0) {
-      // Node is first in chain or not found, return base holdings
-      return baseHoldings.map(h => ({ ...h }));
+    // Lay the enabled actions of all chains along one timeline
+    const enabledChains = chains.map(chain => chain.filter(id => !disabledNodes[id]));
+    const times = eventTimes(enabledChains, actionTimes, now);
+    const events = timelineOrder(enabledChains, times);
+
+    // Stopping before a node runs the actions ahead of it in its chain, up to its time
+    let runEvents = events;
+    let stopTime = null;
+    if (stopBeforeNodeId) {
+      const chain = chains[0] ?? [];
+      const ahead = new Set(chain.slice(0, chain.indexOf(stopBeforeNodeId)));
+      runEvents = events.filter(({ nodeId }) => ahead.has(nodeId));
+      const upToStop = [...chain.filter(id => ahead.has(id) && !disabledNodes[id]), stopBeforeNodeId];
+      stopTime = eventTimes([upToStop], actionTimes, now)[stopBeforeNodeId];
     }
 
-    // Apply transformations from nodes before stopIndex
-    const projected = baseHoldings.map(h => ({ ...h }));
-    let totalCash = 0;
-
-    // First pass: apply price targets
-    for (let i = 0; i < stopIndex; i++) {
-      const nodeId = targetChain[i];
-      if (disabledNodes[nodeId]) continue;
+    // Price targets are reached at their action's time; the end state is valued at the last
+    // target for each asset
+    const priceKnots = {};
+    const priceOverrides = {};
+    runEvents.forEach(({ nodeId, t }) => {
       if (nodeId.startsWith('priceTarget-')) {
         const pt = priceTargets[nodeId];
         if (pt && pt.asset && pt.targetPrice) {
-          const holdingIdx = projected.findIndex(h => h.ticker === pt.asset);
-          if (holdingIdx !== -1) {
-            projected[holdingIdx].price = pt.targetPrice;
-            projected[holdingIdx].value = pt.targetPrice * projected[holdingIdx].amount;
-          }
+          (priceKnots[pt.asset] ??= []).push({ t, price: pt.targetPrice });
+          priceOverrides[pt.asset] = pt.targetPrice;
         }
       }
-    }
-
-    // Second pass: apply rotations, sells, buys
-    for (let i = 0; i < stopIndex; i++) {
-      const nodeId = targetChain[i];
-      if (disabledNodes[nodeId]) continue;
-
-      if (nodeId.startsWith('rotate-')) {
-        const rotation = rotations[nodeId];
-        if (rotation) {
-          const { fromAsset, sellAmount, toAsset, toPrice, toType, buyAmount } = rotation;
-
-          const fromIndex = projected.findIndex(h => h.ticker === fromAsset);
-          if (fromIndex !== -1) {
-            projected[fromIndex].amount -= sellAmount;
-            projected[fromIndex].value = projected[fromIndex].amount * (projected[fromIndex].price || 0);
-            if (projected[fromIndex].amount <= 0.000001) {
-              projected.splice(fromIndex, 1);
-            }
-          }
+    });
+    Object.values(priceKnots).forEach(knots => knots.sort((a, b) => a.t - b.t));
+    const basePrices = Object.fromEntries(holdings.map(h => [h.ticker, h.price]));
 
-          const toIndex = projected.findIndex(h => h.ticker === toAsset);
-          if (toIndex !== -1) {
-            projected[toIndex].amount += buyAmount;
-            projected[toIndex].value = projected[toIndex].amount * (projected[toIndex].price || 0);
-          } else {
-            projected.push({
-              ticker: toAsset,
-              amount: buyAmount,
-              price: toPrice,
-              type: toType,
-              value: buyAmount * toPrice,
-            });
-          }
-        }
+    // Clone holdings and apply price overrides
+    const projected = holdings.map(h => {
+      const overridePrice = priceOverrides[h.ticker];
+      if (overridePrice !== undefined) {
+        return {
+          ...h,
+          price: overridePrice,
+          value: overridePrice * h.amount,
+        };
       }
+      return { ...h };
+    });
 
-      if (nodeId.startsWith('sell-')) {
-        const sell = sells[nodeId];
-        if (sell) {
-          const { fromAsset, sellAmount, sellValue, addCash: shouldAddCash = true } = sell;
-
-          const fromIndex = projected.findIndex(h => h.ticker === fromAsset);
-          if (fromIndex !== -1) {
-            projected[fromIndex].amount -= sellAmount;
-            projected[fromIndex].value = projected[fromIndex].amount * (projected[fromIndex].price || 0);
-            if (projected[fromIndex].amount <= 0.000001) {
-              projected.splice(fromIndex, 1);
-            }
-          }
+    let totalCash = 0;
 
-          if (shouldAddCash) {
-            totalCash += sellValue;
-          }
-        }
+    // Once any action on the canvas is dated, every action runs at its time on the timeline, its
+    // own date or the one it follows: Yield nodes pay out over their period as the timeline
+    // passes through it, and Cash Flow nodes make one payment per period. Sampling is laid out
+    // for the whole run even when stopping early, so payouts split the same.
+    const accruals = [];
+    const payments = [];
+    const onTimeline = allChains.some(chain => chain.some(id => !disabledNodes[id] && whenToYears(actionTimes[id], now) !== null));
+    const accruesOverTime = (nodeId) => yields[nodeId]?.years > 0 && onTimeline;
+    // Years between a Cash Flow's payments; off the timeline they're paid all at once
+    const paymentSpacing = (nodeId) => {
+      const perYear = actionPayloads.cashFlow[nodeId]?.perYear;
+      return perYear > 0 && onTimeline ? 1 / perYear : 0;
+    };
+    // When an action starting at `t` is done
+    const endTime = (nodeId, t) => {
+      if (accruesOverTime(nodeId)) return t + yields[nodeId].years;
+      const cashFlow = actionPayloads.cashFlow[nodeId];
+      return cashFlow ? t + (cashFlow.count - 1) * paymentSpacing(nodeId) : t;
+    };
+    const horizon = Math.max(0, ...events.map(({ nodeId, t }) => endTime(nodeId, t)));
+    const samples = horizon > 0
+      ? sampleTimes([...events.map(({ t }) => t), ...Object.values(priceKnots).flat().map(k => k.t)], horizon)
+      : [];
+    const valueAt = (t) => projected.reduce(
+      (sum, h) => sum + (isBaseCash(h.ticker, baseCurrency) ? h.value || 0 : (h.amount || 0) * (priceAt(priceKnots[h.ticker], t, basePrices[h.ticker] ?? h.price) || 0)),
+      totalCash,
+    );
+    const series = [];
+    const record = (t) => {
+      if (horizon > 0) series.push({ t, value: valueAt(t) });
+    };
+    let clock = 0;
+    const accrue = (from, to) => {
+      for (const accrual of accruals) {
+        const { nodeId, yieldData, start, end } = accrual;
+        const share = (Math.min(to, end) - Math.max(from, start)) / (end - start);
+        if (!(share > 0)) continue;
+        totalCash += applyYield(projected, yieldData, { nodeId, share, payment: accrual.payments++, date: yearsToDate(to, now) }).cashDelta;
       }
-
-      if (nodeId.startsWith('buy-')) {
-        const buy = buys[nodeId];
-        if (buy) {
-          const { cashAmount, toAsset, toPrice, toType, buyAmount, deductCash: shouldDeduct = true } = buy;
-
-          if (shouldDeduct) {
-            totalCash -= cashAmount;
-          }
-
-          const toIndex = projected.findIndex(h => h.ticker === toAsset);
-          if (toIndex !== -1) {
-            projected[toIndex].amount += buyAmount;
-            projected[toIndex].value = projected[toIndex].amount * (projected[toIndex].price || 0);
-          } else {
-            projected.push({
-              ticker: toAsset,
-              amount: buyAmount,
-              price: toPrice,
-              type: toType,
-              value: buyAmount * toPrice,
-            });
-          }
+    };
+    // Runs an action at time `t`; Cash Flow nodes run one `payment` per call
+    const runAction = (nodeId, payload, t, payment = 0) => {
+      const effect = applyAction(projected, nodeId, payload, { cash: totalCash, defaultFees, baseCurrency, date: yearsToDate(t, now), payment });
+      for (const trade of effect.trades) {
+        recordTrade(nodeId, ACTION_LABELS[actionType(nodeId)], trade);
+        chargeFees(nodeId, trade.fee);
+      }
+      realize(effect.realized);
+      totalCash += effect.cashDelta;
+    };
+    const pay = ({ nodeId, payload, payment, t }) => {
+      netCashFlow += payload.amount;
+      runAction(nodeId, payload, t, payment);
+    };
+    // Move the clock to `t`, making the payments that fall due on the way
+    const moveClock = (t) => {
+      while (payments.length > 0 && payments[0].t <= t) {
+        const due = payments.shift();
+        if (due.t > clock) {
+          accrue(clock, due.t);
+          clock = due.t;
         }
+        pay(due);
       }
+      if (t > clock) {
+        accrue(clock, t);
+        clock = t;
+      }
+    };
+    // Move the clock to `t`, sampling the value on the way
+    const advanceTo = (t) => {
+      for (const sample of samples) {
+        if (sample <= clock || sample > t) continue;
+        moveClock(sample);
+        record(sample);
+      }
+      moveClock(t);
+    };
 
-      if (nodeId.startsWith('yield-')) {
-        const yieldData = yields[nodeId];
-        if (yieldData) {
-          const { asset, yieldType, yieldValue, yieldAmount } = yieldData;
-
-          if (yieldType === 'staking') {
-            const assetIndex = projected.findIndex(h => h.ticker === asset);
-            if (assetIndex !== -1) {
-              projected[assetIndex].amount += yieldAmount;
-              projected[assetIndex].value = projected[assetIndex].amount * (projected[assetIndex].price || 0);
-            }
-          } else {
-            totalCash += yieldValue;
-          }
-        }
+    record(0);
+
+    // Gains realized in each chain since its last Tax node
+    const pendingByChain = {};
+    let activeChain = null;
+
+    // Apply transformations in timeline order
+    for (const { nodeId: actionId, chain: chainIndex, t } of runEvents) {
+      // Value after the previous action, then on to this one
+      if (step > 0) record(clock);
+      advanceTo(t);
+      if (chainIndex !== activeChain) {
+        if (activeChain !== null) pendingByChain[activeChain] = pendingRealized;
+        pendingRealized = pendingByChain[chainIndex] ?? NO_REALIZED;
+        activeChain = chainIndex;
+      }
+      step += 1;
+      if (actionId.startsWith('tax-')) {
+        const rates = taxes[actionId];
+        if (!rates) continue;
+
+        const { taxable, tax, carryForward } = estimateTax(pendingRealized, rates);
+        taxResults[actionId] = { realized: pendingRealized, taxable, tax };
+        pendingRealized = carryForward;
+        totalCash -= tax;
+        taxPaid += tax;
+        continue;
       }
 
-      if (nodeId.startsWith('allIn-')) {
-        const allIn = allIns[nodeId];
-        if (allIn) {
-          const { toAsset, toPrice, toType } = allIn;
-          const currentTotalValue = projected.reduce((sum, h) => sum + (h.value || 0), 0) + totalCash;
-          projected.length = 0;
-          totalCash = 0;
-          if (currentTotalValue > 0 && toPrice) {
-            projected.push({
-              ticker: toAsset,
-              amount: currentTotalValue / toPrice,
-              price: toPrice,
-              type: toType,
-              value: currentTotalValue,
-            });
-          }
+      const payload = actionPayloads[actionType(actionId)]?.[actionId];
+      if (!payload) continue;
+      if (actionId.startsWith('yield-') && accruesOverTime(actionId)) {
+        accruals.push({ nodeId: actionId, yieldData: payload, start: t, end: t + payload.years, payments: 0 });
+        continue;
+      }
+      if (actionId.startsWith('cashFlow-')) {
+        const spacing = paymentSpacing(actionId);
+        for (let payment = 0; payment < payload.count; payment++) {
+          const due = { nodeId: actionId, payload, payment, t: t + payment * spacing };
+          if (due.t > t) payments.push(due);
+          else pay(due);
         }
+        payments.sort((a, b) => a.t - b.t);
+        continue;
       }
+
+      runAction(actionId, payload, t);
     }
+    if (step > 0) record(clock);
+    advanceTo(stopTime ?? horizon);
 
     // Add/update cash position if any
     if (totalCash !== 0) {
-      const cashIndex = projected.findIndex(h => h.ticker === 'USD');
+      const cashIndex = projected.findIndex(h => h.ticker === baseCurrency);
       if (cashIndex !== -1) {
         projected[cashIndex].amount += totalCash;
         projected[cashIndex].value = projected[cashIndex].amount;
@@ -1451,7 +1790,7 @@ export default function Home() {
         }
       } else {
         projected.push({
-          ticker: 'USD',
+          ticker: baseCurrency,
           amount: totalCash,
           price: 1,
           type: 'cash',
@@ -1460,8 +1799,28 @@ export default function Home() {
       }
     }
 
-    return projected;
-  }, [portfolioHoldings, getOrderedChainNodes, priceTargets, rotations, sells, buys, yields, allIns, disabledNodes]);
+    return {
+      // Node inputs keep the portfolio's order
+      holdings: stopBeforeNodeId ? projected : projected.sort((a, b) => (b.value || 0) - (a.value || 0)),
+      trades,
+      realized,
+      taxes: taxResults,
+      taxPaid,
+      fees: feesByNode,
+      feesPaid,
+      netCashFlow,
+      times,
+      timeline: horizon > 0 ? { horizon, points: series } : null,
+    };
+  }, [portfolioHoldings, getOrderedChainNodes, priceTargets, actionPayloads, yields, taxes, disabledNodes, actionTimes, baseCurrency, defaultFees]);
+
+  // The holdings a chain node starts from: its branch run along the same timeline as the
+  // projection, stopped just before the node
+  const computeHoldingsUpTo = useCallback((portfolioId, stopBeforeNodeId) => {
+    const branchIndex = getOrderedChainNodes(portfolioId).findIndex(chain => chain.includes(stopBeforeNodeId));
+    if (branchIndex === -1) return (portfolioHoldings[portfolioId] || []).map(h => ({ ...h }));
+    return calculateProjection(portfolioId, branchIndex, stopBeforeNodeId).holdings;
+  }, [portfolioHoldings, getOrderedChainNodes, calculateProjection]);
 
   // Helper to remove an action node and clean up its portfolio's projected node if needed
   const removeActionNode = useCallback((nodeId, cleanupState) => {
@@ -1684,6 +2043,25 @@ export default function Home() {
     setShowAddMenu(false);
   }, [chartCount, setNodes, getViewportCenter]);
 
+  const handleAddMonteCarlo = useCallback(() => {
+    const newMonteCarloId = `monteCarlo-${monteCarloCount + 1}`;
+    setMonteCarloCount(prev => prev + 1);
+
+    const center = getViewportCenter();
+
+    setNodes(prev => [
+      ...prev,
+      {
+        id: newMonteCarloId,
+        type: 'monteCarlo',
+        position: { x: center.x - 170, y: center.y - 150 },
+        data: {},
+      },
+    ]);
+
+    setShowAddMenu(false);
+  }, [monteCarloCount, setNodes, getViewportCenter]);
+
   const handleAddTextLabel = useCallback(() => {
     const newTextLabelId = `textLabel-${textLabelCount + 1}`;
     setTextLabelCount(prev => prev + 1);
@@ -1767,7 +2145,11 @@ export default function Home() {
           id.startsWith('buy-') ||
           id.startsWith('priceTarget-') ||
           id.startsWith('allIn-') ||
-          id.startsWith('yield-')
+          id.startsWith('yield-') ||
+          id.startsWith('tax-') ||
+          id.startsWith('rebalance-') ||
+          id.startsWith('dca-') ||
+          id.startsWith('cashFlow-')
         );
 
       for (const targetId of directTargets) {
@@ -1798,6 +2180,7 @@ export default function Home() {
     setEdges(prev => prev.filter(e =>
       e.source !== portfolioId &&
       e.target !== portfolioId &&
+      e.source !== projectedId &&
       !connectedActionIds.includes(e.source) &&
       !connectedActionIds.includes(e.target)
     ));
@@ -1875,6 +2258,46 @@ export default function Home() {
       connectedActionIds.forEach(id => delete updated[id]);
       return updated;
     });
+    setTaxes(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setTaxInputs(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setRebalances(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setRebalanceInputs(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setDcas(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setDcaInputs(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setCashFlows(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
+    setCashFlowInputs(prev => {
+      const updated = { ...prev };
+      connectedActionIds.forEach(id => delete updated[id]);
+      return updated;
+    });
   }, [edges, projectedForPortfolio, setNodes, setEdges]);
 
   const handleRotationChange = useCallback((nodeId, rotation) => {
@@ -2008,6 +2431,22 @@ export default function Home() {
     });
   }, [setNodes, setEdges]);
 
+  const handleMonteCarloInputChange = useCallback((nodeId, inputs) => {
+    setMonteCarloInputs(prev => ({
+      ...prev,
+      [nodeId]: inputs,
+    }));
+  }, []);
+
+  const handleRemoveMonteCarlo = useCallback((nodeId) => {
+    setNodes(prev => prev.filter(n => n.id !== nodeId));
+    setEdges(prev => prev.filter(e => e.source !== nodeId && e.target !== nodeId));
+    setMonteCarloInputs(prev => {
+      const { [nodeId]: _, ...rest } = prev;
+      return rest;
+    });
+  }, [setNodes, setEdges]);
+
   // Remove a buy node
   const handleRemoveBuy = useCallback((nodeId) => {
     removeActionNode(nodeId, () => {
@@ -2115,21 +2554,145 @@ export default function Home() {
     });
   }, [removeActionNode]);
 
-  // Helper to ensure projected node exists for a specific portfolio
-  // Returns the projected node ID
-  const ensureProjectedNodeForPortfolio = useCallback((portfolioId, portfolioPosition) => {
-    let projectedId = null;
-
-    setProjectedForPortfolio(prev => {
-      if (prev[portfolioId]) {
-        projectedId = prev[portfolioId];
-        return prev;
+  const handleTaxChange = useCallback((nodeId, taxData) => {
+    setTaxes(prev => {
+      if (taxData === null) {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
       }
+      return { ...prev, [nodeId]: taxData };
+    });
+  }, []);
+
+  const handleTaxInputChange = useCallback((nodeId, inputs) => {
+    setTaxInputs(prev => ({
+      ...prev,
+      [nodeId]: inputs,
+    }));
+  }, []);
+
+  // Remove a tax node
+  const handleRemoveTax = useCallback((nodeId) => {
+    removeActionNode(nodeId, () => {
+      setTaxes(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+      setTaxInputs(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+    });
+  }, [removeActionNode]);
+
+  const handleRebalanceChange = useCallback((nodeId, rebalanceData) => {
+    setRebalances(prev => {
+      if (rebalanceData === null) {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [nodeId]: rebalanceData };
+    });
+  }, []);
+
+  const handleRebalanceInputChange = useCallback((nodeId, inputs) => {
+    setRebalanceInputs(prev => ({
+      ...prev,
+      [nodeId]: inputs,
+    }));
+  }, []);
+
+  // Remove a rebalance node
+  const handleRemoveRebalance = useCallback((nodeId) => {
+    removeActionNode(nodeId, () => {
+      setRebalances(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+      setRebalanceInputs(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+    });
+  }, [removeActionNode]);
+
+  const handleDcaChange = useCallback((nodeId, dcaData) => {
+    setDcas(prev => {
+      if (dcaData === null) {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [nodeId]: dcaData };
+    });
+  }, []);
+
+  const handleDcaInputChange = useCallback((nodeId, inputs) => {
+    setDcaInputs(prev => ({
+      ...prev,
+      [nodeId]: inputs,
+    }));
+  }, []);
+
+  // Remove a DCA node
+  const handleRemoveDca = useCallback((nodeId) => {
+    removeActionNode(nodeId, () => {
+      setDcas(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+      setDcaInputs(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+    });
+  }, [removeActionNode]);
+
+  const handleCashFlowChange = useCallback((nodeId, cashFlowData) => {
+    setCashFlows(prev => {
+      if (cashFlowData === null) {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [nodeId]: cashFlowData };
+    });
+  }, []);
+
+  const handleCashFlowInputChange = useCallback((nodeId, inputs) => {
+    setCashFlowInputs(prev => ({
+      ...prev,
+      [nodeId]: inputs,
+    }));
+  }, []);
+
+  // Remove a cash flow node
+  const handleRemoveCashFlow = useCallback((nodeId) => {
+    removeActionNode(nodeId, () => {
+      setCashFlows(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+      setCashFlowInputs(prev => {
+        const { [nodeId]: _, ...rest } = prev;
+        return rest;
+      });
+    });
+  }, [removeActionNode]);
+
+  // Helper to ensure projected node exists for a specific portfolio
+  // Returns the projected node ID
+  const ensureProjectedNodeForPortfolio = useCallback((portfolioId, portfolioPosition) => {
+    let projectedId = null;
+
+    setProjectedForPortfolio(prev => {
+      if (prev[portfolioId]) {
+        projectedId = prev[portfolioId];
+        return prev;
+      }
+
+      // Create new projected node for this portfolio
+      const newProjectedId = `projected-${projectedCount + 1}`;
+      projectedId = newProjectedId;
 
-      // Create new projected node for this portfolio
-      const newProjectedId = `projected-${projectedCount + 1}`;
-      projectedId = newProjectedId;
-
       setProjectedCount(c => c + 1);
 
       setNodes(prevNodes => [
@@ -2278,6 +2841,24 @@ export default function Home() {
     addActionNodeToChain(sourcePortfolioId, newYieldId, 'yield', '#a855f7');
   }, [yieldCount, addActionNodeToChain]);
 
+  const handleAddRebalance = useCallback((sourcePortfolioId) => {
+    const newRebalanceId = `rebalance-${rebalanceCount + 1}`;
+    setRebalanceCount(prev => prev + 1);
+    addActionNodeToChain(sourcePortfolioId, newRebalanceId, 'rebalance', '#6366f1');
+  }, [rebalanceCount, addActionNodeToChain]);
+
+  const handleAddDca = useCallback((sourcePortfolioId) => {
+    const newDcaId = `dca-${dcaCount + 1}`;
+    setDcaCount(prev => prev + 1);
+    addActionNodeToChain(sourcePortfolioId, newDcaId, 'dca', '#10b981');
+  }, [dcaCount, addActionNodeToChain]);
+
+  const handleAddCashFlow = useCallback((sourcePortfolioId) => {
+    const newCashFlowId = `cashFlow-${cashFlowCount + 1}`;
+    setCashFlowCount(prev => prev + 1);
+    addActionNodeToChain(sourcePortfolioId, newCashFlowId, 'cashFlow', '#14b8a6');
+  }, [cashFlowCount, addActionNodeToChain]);
+
   // Add a chained node after an existing action node
   const handleAddChainedNode = useCallback((sourceNodeId, nodeType) => {
     // Find the source portfolio for this chain
@@ -2325,6 +2906,26 @@ export default function Home() {
       setYieldCount(prev => prev + 1);
       newNodeType = 'yield';
       edgeColor = '#a855f7';
+    } else if (nodeType === 'tax') {
+      newNodeId = `tax-${taxCount + 1}`;
+      setTaxCount(prev => prev + 1);
+      newNodeType = 'tax';
+      edgeColor = '#64748b';
+    } else if (nodeType === 'rebalance') {
+      newNodeId = `rebalance-${rebalanceCount + 1}`;
+      setRebalanceCount(prev => prev + 1);
+      newNodeType = 'rebalance';
+      edgeColor = '#6366f1';
+    } else if (nodeType === 'dca') {
+      newNodeId = `dca-${dcaCount + 1}`;
+      setDcaCount(prev => prev + 1);
+      newNodeType = 'dca';
+      edgeColor = '#10b981';
+    } else if (nodeType === 'cashFlow') {
+      newNodeId = `cashFlow-${cashFlowCount + 1}`;
+      setCashFlowCount(prev => prev + 1);
+      newNodeType = 'cashFlow';
+      edgeColor = '#14b8a6';
     } else {
       return;
     }
@@ -2375,7 +2976,7 @@ export default function Home() {
 
       return filtered;
     });
-  }, [nodes, projectedForPortfolio, getSourcePortfolioForAction, isActionNode, rotationCount, sellCount, buyCount, priceTargetCount, allInCount, yieldCount, setNodes, setEdges]);
+  }, [nodes, projectedForPortfolio, getSourcePortfolioForAction, isActionNode, rotationCount, sellCount, buyCount, priceTargetCount, allInCount, yieldCount, taxCount, rebalanceCount, dcaCount, cashFlowCount, setNodes, setEdges]);
 
   const getEdgeColor = useCallback((sourceId) => {
     if (sourceId.startsWith('portfolio-')) return '#3b82f6';
@@ -2385,6 +2986,10 @@ export default function Home() {
     if (sourceId.startsWith('priceTarget-')) return '#06b6d4';
     if (sourceId.startsWith('allIn-')) return '#eab308';
     if (sourceId.startsWith('yield-')) return '#a855f7';
+    if (sourceId.startsWith('tax-')) return '#64748b';
+    if (sourceId.startsWith('rebalance-')) return '#6366f1';
+    if (sourceId.startsWith('dca-')) return '#10b981';
+    if (sourceId.startsWith('cashFlow-')) return '#14b8a6';
     return '#888';
   }, []);
 
@@ -2397,6 +3002,10 @@ export default function Home() {
       priceTarget: { prefix: 'priceTarget', count: priceTargetCount, setCount: setPriceTargetCount },
       allIn: { prefix: 'allIn', count: allInCount, setCount: setAllInCount },
       yield: { prefix: 'yield', count: yieldCount, setCount: setYieldCount },
+      tax: { prefix: 'tax', count: taxCount, setCount: setTaxCount },
+      rebalance: { prefix: 'rebalance', count: rebalanceCount, setCount: setRebalanceCount },
+      dca: { prefix: 'dca', count: dcaCount, setCount: setDcaCount },
+      cashFlow: { prefix: 'cashFlow', count: cashFlowCount, setCount: setCashFlowCount },
     };
     const config = typeConfig[newType];
     if (!config) return;
@@ -2452,8 +3061,13 @@ export default function Home() {
     else if (oldNodeId.startsWith('priceTarget-')) { drop(setPriceTargets); drop(setPriceTargetInputs); }
     else if (oldNodeId.startsWith('allIn-')) { drop(setAllIns); drop(setAllInInputs); }
     else if (oldNodeId.startsWith('yield-')) { drop(setYields); drop(setYieldInputs); }
+    else if (oldNodeId.startsWith('tax-')) { drop(setTaxes); drop(setTaxInputs); }
+    else if (oldNodeId.startsWith('rebalance-')) { drop(setRebalances); drop(setRebalanceInputs); }
+    else if (oldNodeId.startsWith('dca-')) { drop(setDcas); drop(setDcaInputs); }
+    else if (oldNodeId.startsWith('cashFlow-')) { drop(setCashFlows); drop(setCashFlowInputs); }
     drop(setDisabledNodes);
-  }, [nodes, edges, rotationCount, sellCount, buyCount, priceTargetCount, allInCount, yieldCount, getEdgeColor, setNodes, setEdges]);
+    drop(setActionTimes);
+  }, [nodes, edges, rotationCount, sellCount, buyCount, priceTargetCount, allInCount, yieldCount, taxCount, rebalanceCount, dcaCount, cashFlowCount, getEdgeColor, setNodes, setEdges]);
 
   // Swap an action node with its predecessor ('left') or successor ('right') in the chain.
   const handleShiftNode = useCallback((nodeId, direction) => {
@@ -2529,190 +3143,58 @@ export default function Home() {
     });
   }, [edges, getSourcePortfolioForAction, getOrderedChainNodes, isActionNode, getEdgeColor, setEdges, setNodes]);
 
-  // Calculate projected holdings for a specific portfolio
-  const calculateProjectedHoldings = useCallback((portfolioId) => {
-    const holdings = portfolioHoldings[portfolioId] || [];
-    const chains = getOrderedChainNodes(portfolioId);
-
-    // Flatten all chains into a single list of action node IDs, excluding disabled nodes
-    const allActionNodes = chains.flat().filter(id => !disabledNodes[id]);
-
-    // Build a map of price overrides from all price targets in chains
-    const priceOverrides = {};
-    allActionNodes.forEach(actionId => {
-      if (actionId.startsWith('priceTarget-')) {
-        const pt = priceTargets[actionId];
-        if (pt && pt.asset && pt.targetPrice) {
-          priceOverrides[pt.asset] = pt.targetPrice;
-        }
-      }
-    });
+  const calculateProjectedHoldings = useCallback(
+    (portfolioId) => calculateProjection(portfolioId).holdings,
+    [calculateProjection]
+  );
 
-    // Clone holdings and apply price overrides
-    const projected = holdings.map(h => {
-      const overridePrice = priceOverrides[h.ticker];
-      if (overridePrice !== undefined) {
+  // Each branch of a portfolio projected on its own, next to the current holdings:
+  // { current, branches: [{ steps, summary }] } (see lib/scenarios)
+  const compareScenarios = useCallback((portfolioId) => {
+    const payloadsByType = {
+      rotate: rotations, sell: sells, buy: buys, priceTarget: priceTargets, allIn: allIns,
+      yield: yields, tax: taxes, rebalance: rebalances, dca: dcas, cashFlow: cashFlows,
+    };
+    const chains = getOrderedChainNodes(portfolioId);
+    return {
+      current: summarizeScenario(portfolioHoldings[portfolioId] || [], baseCurrency),
+      branches: chains.map((chain, index) => {
+        const projection = calculateProjection(portfolioId, index);
         return {
-          ...h,
-          price: overridePrice,
-          value: overridePrice * h.amount,
+          steps: chain
+            .filter(id => !disabledNodes[id])
+            .map(id => describeAction(id, payloadsByType[id.slice(0, id.lastIndexOf('-'))]?.[id])),
+          summary: summarizeScenario(projection.holdings, baseCurrency, projection),
         };
-      }
-      return { ...h };
-    });
-
-    let totalCash = 0;
-
-    // Apply transformations in chain order
-    for (const chain of chains) {
-      for (const actionId of chain) {
-        if (disabledNodes[actionId]) continue;
-        if (actionId.startsWith('rotate-')) {
-          const rotation = rotations[actionId];
-          if (!rotation) continue;
-
-          const { fromAsset, sellAmount, toAsset, toPrice, toType, buyAmount } = rotation;
-
-          const fromIndex = projected.findIndex(h => h.ticker === fromAsset);
-          if (fromIndex !== -1) {
-            projected[fromIndex].amount -= sellAmount;
-            projected[fromIndex].value = projected[fromIndex].amount * (projected[fromIndex].price || 0);
-            if (projected[fromIndex].amount <= 0.000001) {
-              projected.splice(fromIndex, 1);
-            }
-          }
-
-          const toIndex = projected.findIndex(h => h.ticker === toAsset);
-          if (toIndex !== -1) {
-            projected[toIndex].amount += buyAmount;
-            projected[toIndex].value = projected[toIndex].amount * (projected[toIndex].price || 0);
-          } else {
-            projected.push({
-              ticker: toAsset,
-              amount: buyAmount,
-              price: toPrice,
-              type: toType,
-              value: buyAmount * toPrice,
-            });
-          }
-        }
-
-        if (actionId.startsWith('sell-')) {
-          const sell = sells[actionId];
-          if (!sell) continue;
-
-          const { fromAsset, sellAmount, sellValue, addCash: shouldAddCash = true } = sell;
-
-          const fromIndex = projected.findIndex(h => h.ticker === fromAsset);
-          if (fromIndex !== -1) {
-            projected[fromIndex].amount -= sellAmount;
-            projected[fromIndex].value = projected[fromIndex].amount * (projected[fromIndex].price || 0);
-            if (projected[fromIndex].amount <= 0.000001) {
-              projected.splice(fromIndex, 1);
-            }
-          }
-
-          if (shouldAddCash) {
-            totalCash += sellValue;
-          }
-        }
-
-        if (actionId.startsWith('buy-')) {
-          const buy = buys[actionId];
-          if (!buy) continue;
-
-          const { cashAmount, toAsset, toPrice, toType, buyAmount, deductCash: shouldDeduct = true } = buy;
-
-          if (shouldDeduct) {
-            totalCash -= cashAmount;
-          }
-
-          const toIndex = projected.findIndex(h => h.ticker === toAsset);
-          if (toIndex !== -1) {
-            projected[toIndex].amount += buyAmount;
-            projected[toIndex].value = projected[toIndex].amount * (projected[toIndex].price || 0);
-          } else {
-            projected.push({
-              ticker: toAsset,
-              amount: buyAmount,
-              price: toPrice,
-              type: toType,
-              value: buyAmount * toPrice,
-            });
-          }
-        }
-
-        if (actionId.startsWith('allIn-')) {
-          const allIn = allIns[actionId];
-          if (!allIn) continue;
-
-          const { toAsset, toPrice, toType, allInAmount } = allIn;
-
-          // Calculate total value including any accumulated cash
-          const currentTotalValue = projected.reduce((sum, h) => sum + (h.value || 0), 0) + totalCash;
-
-          // Clear all holdings
-          projected.length = 0;
-          totalCash = 0;
-
-          // Add single holding with entire portfolio value
-          if (currentTotalValue > 0 && toPrice) {
-            projected.push({
-              ticker: toAsset,
-              amount: currentTotalValue / toPrice,
-              price: toPrice,
-              type: toType,
-              value: currentTotalValue,
-            });
-          }
-        }
-
-        if (actionId.startsWith('yield-')) {
-          const yieldData = yields[actionId];
-          if (!yieldData) continue;
-
-          const { asset, yieldType, yieldValue, yieldAmount, assetPrice } = yieldData;
+      }),
+    };
+  }, [getOrderedChainNodes, calculateProjection, portfolioHoldings, rotations, sells, buys, priceTargets, allIns, yields, taxes, rebalances, dcas, cashFlows, disabledNodes, baseCurrency]);
 
-          if (yieldType === 'staking') {
-            // Add more of the staked asset
-            const assetIndex = projected.findIndex(h => h.ticker === asset);
-            if (assetIndex !== -1) {
-              projected[assetIndex].amount += yieldAmount;
-              projected[assetIndex].value = projected[assetIndex].amount * (projected[assetIndex].price || 0);
-            }
-          } else {
-            // Dividend - add cash
-            totalCash += yieldValue;
-          }
-        }
+  // Inject data and callbacks into nodes
+  const nodesWithData = useMemo(() => {
+    // One projection per portfolio per render, shared by the nodes that read from it
+    const projections = {};
+    const projectionFor = (pid) => (projections[pid] ??= calculateProjection(pid));
+
+    // A Portfolio or Projected node wired into a chart or Monte Carlo node supplies its holdings
+    const linkedHoldingsFor = (nodeId) => {
+      const sourceEdge = edges.find(e =>
+        e.target === nodeId &&
+        (e.source.startsWith('portfolio-') || e.source.startsWith('projected-')) &&
+        nodes.some(n => n.id === e.source)
+      );
+      if (sourceEdge?.source.startsWith('portfolio-')) {
+        return { linkedHoldings: portfolioHoldings[sourceEdge.source] || [], linkedSource: 'portfolio' };
       }
-    }
-
-    // Add/update cash position if any
-    if (totalCash !== 0) {
-      const cashIndex = projected.findIndex(h => h.ticker === 'USD');
-      if (cashIndex !== -1) {
-        projected[cashIndex].amount += totalCash;
-        projected[cashIndex].value = projected[cashIndex].amount;
-        if (Math.abs(projected[cashIndex].amount) <= 0.000001) {
-          projected.splice(cashIndex, 1);
-        }
-      } else {
-        projected.push({
-          ticker: 'USD',
-          amount: totalCash,
-          price: 1,
-          type: 'cash',
-          value: totalCash,
-        });
+      if (sourceEdge) {
+        const sourcePortfolioId = Object.entries(projectedForPortfolio).find(
+          ([_, projId]) => projId === sourceEdge.source
+        )?.[0];
+        return { linkedHoldings: sourcePortfolioId ? calculateProjectedHoldings(sourcePortfolioId) : [], linkedSource: 'projected' };
       }
-    }
-
-    return projected.sort((a, b) => (b.value || 0) - (a.value || 0));
-  }, [portfolioHoldings, getOrderedChainNodes, rotations, sells, buys, priceTargets, allIns, yields, disabledNodes]);
+      return { linkedHoldings: null, linkedSource: null };
+    };
 
-  // Inject data and callbacks into nodes
-  const nodesWithData = useMemo(() => {
     // Precompute each action node's chain position to drive shift-button states.
     const chainPositionByNode = {};
     const portfolioIds = new Set(
@@ -2746,6 +3228,9 @@ export default function Home() {
             onAddPriceTarget: handleAddPriceTarget,
             onAddAllIn: handleAddAllIn,
             onAddYield: handleAddYield,
+            onAddRebalance: handleAddRebalance,
+            onAddDca: handleAddDca,
+            onAddCashFlow: handleAddCashFlow,
             onDuplicate: handleDuplicatePortfolio,
             onRemove: handleRemovePortfolio,
             canRemove: portfolioNodeCount > 1,
@@ -2764,8 +3249,12 @@ export default function Home() {
             holdings,
             priceOverrides,
             savedInputs: rotationInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onRotationChange: handleRotationChange,
             onInputChange: handleRotationInputChange,
             onRemove: handleRemoveRotation,
@@ -2786,8 +3275,12 @@ export default function Home() {
             ...node.data,
             holdings,
             savedInputs: sellInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onSellChange: handleSellChange,
             onInputChange: handleSellInputChange,
             onRemove: handleRemoveSell,
@@ -2810,8 +3303,12 @@ export default function Home() {
             holdings,
             priceOverrides,
             savedInputs: buyInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onBuyChange: handleBuyChange,
             onInputChange: handleBuyInputChange,
             onRemove: handleRemoveBuy,
@@ -2834,6 +3331,9 @@ export default function Home() {
             savedInputs: priceTargetInputs[node.id],
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onPriceTargetChange: handlePriceTargetChange,
             onInputChange: handlePriceTargetInputChange,
             onRemove: handleRemovePriceTarget,
@@ -2856,8 +3356,12 @@ export default function Home() {
             holdings,
             priceOverrides,
             savedInputs: allInInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onAllInChange: handleAllInChange,
             onInputChange: handleAllInInputChange,
             onRemove: handleRemoveAllIn,
@@ -2880,6 +3384,9 @@ export default function Home() {
             savedInputs: yieldInputs[node.id],
             isDisabled: !!disabledNodes[node.id],
             onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
             onYieldChange: handleYieldChange,
             onInputChange: handleYieldInputChange,
             onRemove: handleRemoveYield,
@@ -2891,6 +3398,113 @@ export default function Home() {
           },
         };
       }
+      if (node.type === 'tax') {
+        const sourcePortfolioId = getSourcePortfolioForAction(node.id);
+        const taxEstimate = sourcePortfolioId ? projectionFor(sourcePortfolioId).taxes[node.id] : undefined;
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            taxEstimate,
+            savedInputs: taxInputs[node.id],
+            isDisabled: !!disabledNodes[node.id],
+            onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
+            onTaxChange: handleTaxChange,
+            onInputChange: handleTaxInputChange,
+            onRemove: handleRemoveTax,
+            onAddChainedNode: handleAddChainedNode,
+            onShiftNode: handleShiftNode,
+            canShiftLeft: !!chainPositionByNode[node.id]?.canShiftLeft,
+            canShiftRight: !!chainPositionByNode[node.id]?.canShiftRight,
+            onReplaceNode: handleReplaceNode,
+          },
+        };
+      }
+      if (node.type === 'rebalance') {
+        const sourcePortfolioId = getSourcePortfolioForAction(node.id);
+        const holdings = sourcePortfolioId ? computeHoldingsUpTo(sourcePortfolioId, node.id) : [];
+        const priceOverrides = sourcePortfolioId ? getPriceOverridesUpTo(sourcePortfolioId, node.id) : {};
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            holdings,
+            priceOverrides,
+            savedInputs: rebalanceInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
+            isDisabled: !!disabledNodes[node.id],
+            onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
+            onRebalanceChange: handleRebalanceChange,
+            onInputChange: handleRebalanceInputChange,
+            onRemove: handleRemoveRebalance,
+            onAddChainedNode: handleAddChainedNode,
+            onShiftNode: handleShiftNode,
+            canShiftLeft: !!chainPositionByNode[node.id]?.canShiftLeft,
+            canShiftRight: !!chainPositionByNode[node.id]?.canShiftRight,
+            onReplaceNode: handleReplaceNode,
+          },
+        };
+      }
+      if (node.type === 'dca') {
+        const sourcePortfolioId = getSourcePortfolioForAction(node.id);
+        const holdings = sourcePortfolioId ? computeHoldingsUpTo(sourcePortfolioId, node.id) : [];
+        const priceOverrides = sourcePortfolioId ? getPriceOverridesUpTo(sourcePortfolioId, node.id) : {};
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            holdings,
+            priceOverrides,
+            savedInputs: dcaInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
+            isDisabled: !!disabledNodes[node.id],
+            onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
+            onDcaChange: handleDcaChange,
+            onInputChange: handleDcaInputChange,
+            onRemove: handleRemoveDca,
+            onAddChainedNode: handleAddChainedNode,
+            onShiftNode: handleShiftNode,
+            canShiftLeft: !!chainPositionByNode[node.id]?.canShiftLeft,
+            canShiftRight: !!chainPositionByNode[node.id]?.canShiftRight,
+            onReplaceNode: handleReplaceNode,
+          },
+        };
+      }
+      if (node.type === 'cashFlow') {
+        const sourcePortfolioId = getSourcePortfolioForAction(node.id);
+        const holdings = sourcePortfolioId ? computeHoldingsUpTo(sourcePortfolioId, node.id) : [];
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            holdings,
+            savedInputs: cashFlowInputs[node.id],
+            feeTotal: sourcePortfolioId ? projectionFor(sourcePortfolioId).fees[node.id] : 0,
+            isDisabled: !!disabledNodes[node.id],
+            onToggleDisabled: handleToggleNodeDisabled,
+            when: actionTimes[node.id] ?? null,
+            scheduledAt: sourcePortfolioId ? projectionFor(sourcePortfolioId).times[node.id] : undefined,
+            onWhenChange: handleActionTimeChange,
+            onCashFlowChange: handleCashFlowChange,
+            onInputChange: handleCashFlowInputChange,
+            onRemove: handleRemoveCashFlow,
+            onAddChainedNode: handleAddChainedNode,
+            onShiftNode: handleShiftNode,
+            canShiftLeft: !!chainPositionByNode[node.id]?.canShiftLeft,
+            canShiftRight: !!chainPositionByNode[node.id]?.canShiftRight,
+            onReplaceNode: handleReplaceNode,
+          },
+        };
+      }
       if (node.type === 'quickConvert') {
         return {
           ...node,
@@ -2936,16 +3550,33 @@ export default function Home() {
         };
       }
       if (node.type === 'chart') {
+        const { linkedHoldings, linkedSource } = linkedHoldingsFor(node.id);
         return {
           ...node,
           data: {
             ...node.data,
+            linkedHoldings,
+            linkedSource,
             savedInputs: chartInputs[node.id],
             onInputChange: handleChartInputChange,
             onRemove: handleRemoveChart,
           },
         };
       }
+      if (node.type === 'monteCarlo') {
+        const { linkedHoldings, linkedSource } = linkedHoldingsFor(node.id);
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            linkedHoldings,
+            linkedSource,
+            savedInputs: monteCarloInputs[node.id],
+            onInputChange: handleMonteCarloInputChange,
+            onRemove: handleRemoveMonteCarlo,
+          },
+        };
+      }
       if (node.type === 'textLabel') {
         const stored = textLabels[node.id];
         const text = typeof stored === 'string' ? stored : (stored?.text ?? '');
@@ -2968,19 +3599,27 @@ export default function Home() {
           ([_, projId]) => projId === node.id
         )?.[0];
         const originalHoldings = sourcePortfolioId ? (portfolioHoldings[sourcePortfolioId] || []) : [];
-        const projectedHoldings = sourcePortfolioId ? calculateProjectedHoldings(sourcePortfolioId) : [];
+        const { holdings: projectedHoldings, trades, realized, taxPaid, feesPaid, netCashFlow, timeline } = sourcePortfolioId
+          ? projectionFor(sourcePortfolioId)
+          : { holdings: [], trades: [], realized: null, taxPaid: 0, feesPaid: 0, netCashFlow: 0, timeline: null };
         return {
           ...node,
           data: {
             ...node.data,
             projectedHoldings,
             originalHoldings,
+            trades,
+            realizedGains: realized,
+            taxPaid,
+            feesPaid,
+            netCashFlow,
+            timeline,
           },
         };
       }
       return node;
     });
-  }, [nodes, edges, portfolioHoldings, projectedForPortfolio, rotations, sells, buys, priceTargets, allIns, yields, rotationInputs, sellInputs, buyInputs, priceTargetInputs, allInInputs, yieldInputs, quickConvertInputs, timeMachineInputs, marketCapSwapInputs, calculateProjectedHoldings, getSourcePortfolioForAction, computeHoldingsUpTo, getPriceOverridesUpTo, handleHoldingsChange, handleAddRotation, handleAddSell, handleAddBuy, handleAddPriceTarget, handleAddAllIn, handleAddYield, handleDuplicatePortfolio, handleRemovePortfolio, handleRotationChange, handleRotationInputChange, handleRemoveRotation, handleSellChange, handleSellInputChange, handleRemoveSell, handleBuyChange, handleBuyInputChange, handleRemoveBuy, handlePriceTargetChange, handlePriceTargetInputChange, handleRemovePriceTarget, handleAllInChange, handleAllInInputChange, handleRemoveAllIn, handleYieldChange, handleYieldInputChange, handleRemoveYield, handleAddChainedNode, handleQuickConvertInputChange, handleRemoveQuickConvert, handleTimeMachineInputChange, handleRemoveTimeMachine, handleMarketCapSwapInputChange, handleRemoveMarketCapSwap, quickSlidersInputs, handleQuickSlidersInputChange, handleRemoveQuickSliders, chartInputs, handleChartInputChange, handleRemoveChart, textLabels, handleTextLabelChange, handleTextLabelSizeChange, handleRemoveTextLabel, disabledNodes, handleToggleNodeDisabled, getOrderedChainNodes, handleShiftNode, handleReplaceNode]);
+  }, [nodes, edges, portfolioHoldings, projectedForPortfolio, rotations, sells, buys, priceTargets, allIns, yields, taxes, rebalances, dcas, cashFlows, rotationInputs, sellInputs, buyInputs, priceTargetInputs, allInInputs, yieldInputs, taxInputs, rebalanceInputs, dcaInputs, cashFlowInputs, quickConvertInputs, timeMachineInputs, marketCapSwapInputs, calculateProjection, calculateProjectedHoldings, getSourcePortfolioForAction, computeHoldingsUpTo, getPriceOverridesUpTo, handleHoldingsChange, handleAddRotation, handleAddSell, handleAddBuy, handleAddPriceTarget, handleAddAllIn, handleAddYield, handleAddRebalance, handleAddDca, handleAddCashFlow, handleDuplicatePortfolio, handleRemovePortfolio, handleRotationChange, handleRotationInputChange, handleRemoveRotation, handleSellChange, handleSellInputChange, handleRemoveSell, handleBuyChange, handleBuyInputChange, handleRemoveBuy, handlePriceTargetChange, handlePriceTargetInputChange, handleRemovePriceTarget, handleAllInChange, handleAllInInputChange, handleRemoveAllIn, handleYieldChange, handleYieldInputChange, handleRemoveYield, handleTaxChange, handleTaxInputChange, handleRemoveTax, handleRebalanceChange, handleRebalanceInputChange, handleRemoveRebalance, handleDcaChange, handleDcaInputChange, handleRemoveDca, handleCashFlowChange, handleCashFlowInputChange, handleRemoveCashFlow, handleAddChainedNode, handleQuickConvertInputChange, handleRemoveQuickConvert, handleTimeMachineInputChange, handleRemoveTimeMachine, handleMarketCapSwapInputChange, handleRemoveMarketCapSwap, quickSlidersInputs, handleQuickSlidersInputChange, handleRemoveQuickSliders, chartInputs, handleChartInputChange, handleRemoveChart, monteCarloInputs, handleMonteCarloInputChange, handleRemoveMonteCarlo, textLabels, handleTextLabelChange, handleTextLabelSizeChange, handleRemoveTextLabel, disabledNodes, handleToggleNodeDisabled, actionTimes, handleActionTimeChange, getOrderedChainNodes, handleShiftNode, handleReplaceNode]);
 
   // Deduplicate edges to prevent React key warnings
   const uniqueEdges = useMemo(() => {
@@ -3026,6 +3665,18 @@ export default function Home() {
     setYields({});
     setYieldInputs({});
     setYieldCount(0);
+    setTaxes({});
+    setTaxInputs({});
+    setTaxCount(0);
+    setRebalances({});
+    setRebalanceInputs({});
+    setRebalanceCount(0);
+    setDcas({});
+    setDcaInputs({});
+    setDcaCount(0);
+    setCashFlows({});
+    setCashFlowInputs({});
+    setCashFlowCount(0);
     setQuickConvertInputs({});
     setQuickConvertCount(0);
     setTimeMachineInputs({});
@@ -3036,12 +3687,15 @@ export default function Home() {
     setQuickSlidersCount(0);
     setChartInputs({});
     setChartCount(0);
+    setMonteCarloInputs({});
+    setMonteCarloCount(0);
     setTextLabels({});
     setTextLabelCount(0);
     setVariables({});
     setProjectedForPortfolio({});
     setProjectedCount(0);
     setDisabledNodes({});
+    setActionTimes({});
   }, [setNodes, setEdges]);
 
   // --- Layout management ---
@@ -3054,6 +3708,7 @@ export default function Home() {
       data: {},
     }));
     return {
+      schemaVersion: SCHEMA_VERSION,
       nodes: nodesToSave,
       edges,
       portfolioHoldings,
@@ -3076,6 +3731,18 @@ export default function Home() {
       yields,
       yieldInputs,
       yieldCount,
+      taxes,
+      taxInputs,
+      taxCount,
+      rebalances,
+      rebalanceInputs,
+      rebalanceCount,
+      dcas,
+      dcaInputs,
+      dcaCount,
+      cashFlows,
+      cashFlowInputs,
+      cashFlowCount,
       quickConvertInputs,
       quickConvertCount,
       timeMachineInputs,
@@ -3086,17 +3753,25 @@ export default function Home() {
       quickSlidersCount,
       chartInputs,
       chartCount,
+      monteCarloInputs,
+      monteCarloCount,
       textLabels,
       textLabelCount,
       variables,
       projectedForPortfolio,
       projectedCount,
       disabledNodes,
+      actionTimes,
+      coinPins,
+      baseCurrency,
+      feeDefaultInputs,
     };
-  }, [nodes, edges, portfolioHoldings, portfolioCount, rotations, rotationInputs, rotationCount, sells, sellInputs, sellCount, buys, buyInputs, buyCount, priceTargets, priceTargetInputs, priceTargetCount, allIns, allInInputs, allInCount, yields, yieldInputs, yieldCount, quickConvertInputs, quickConvertCount, timeMachineInputs, timeMachineCount, marketCapSwapInputs, marketCapSwapCount, quickSlidersInputs, quickSlidersCount, chartInputs, chartCount, textLabels, textLabelCount, variables, projectedForPortfolio, projectedCount, disabledNodes]);
+  }, [nodes, edges, portfolioHoldings, portfolioCount, rotations, rotationInputs, rotationCount, sells, sellInputs, sellCount, buys, buyInputs, buyCount, priceTargets, priceTargetInputs, priceTargetCount, allIns, allInInputs, allInCount, yields, yieldInputs, yieldCount, taxes, taxInputs, taxCount, rebalances, rebalanceInputs, rebalanceCount, dcas, dcaInputs, dcaCount, cashFlows, cashFlowInputs, cashFlowCount, quickConvertInputs, quickConvertCount, timeMachineInputs, timeMachineCount, marketCapSwapInputs, marketCapSwapCount, quickSlidersInputs, quickSlidersCount, chartInputs, chartCount, monteCarloInputs, monteCarloCount, textLabels, textLabelCount, variables, projectedForPortfolio, projectedCount, disabledNodes, actionTimes, coinPins, baseCurrency, feeDefaultInputs]);
 
-  const restoreSnapshot = useCallback((saved) => {
-    if (!saved) return;
+  // Throws if the snapshot was saved by a newer version
+  const restoreSnapshot = useCallback((snapshot, viewport = null) => {
+    if (!snapshot) return;
+    const saved = migrateSnapshot(snapshot);
     if (saved.nodes) setNodes(saved.nodes);
     if (saved.edges) setEdges(saved.edges);
     if (saved.portfolioHoldings) setPortfolioHoldings(saved.portfolioHoldings);
@@ -3119,6 +3794,18 @@ export default function Home() {
     setYields(saved.yields ?? {});
     setYieldInputs(saved.yieldInputs ?? {});
     setYieldCount(saved.yieldCount ?? 0);
+    setTaxes(saved.taxes ?? {});
+    setTaxInputs(saved.taxInputs ?? {});
+    setTaxCount(saved.taxCount ?? 0);
+    setRebalances(saved.rebalances ?? {});
+    setRebalanceInputs(saved.rebalanceInputs ?? {});
+    setRebalanceCount(saved.rebalanceCount ?? 0);
+    setDcas(saved.dcas ?? {});
+    setDcaInputs(saved.dcaInputs ?? {});
+    setDcaCount(saved.dcaCount ?? 0);
+    setCashFlows(saved.cashFlows ?? {});
+    setCashFlowInputs(saved.cashFlowInputs ?? {});
+    setCashFlowCount(saved.cashFlowCount ?? 0);
     setQuickConvertInputs(saved.quickConvertInputs ?? {});
     setQuickConvertCount(saved.quickConvertCount ?? 0);
     setTimeMachineInputs(saved.timeMachineInputs ?? {});
@@ -3129,20 +3816,60 @@ export default function Home() {
     setQuickSlidersCount(saved.quickSlidersCount ?? 0);
     setChartInputs(saved.chartInputs ?? {});
     setChartCount(saved.chartCount ?? 0);
+    setMonteCarloInputs(saved.monteCarloInputs ?? {});
+    setMonteCarloCount(saved.monteCarloCount ?? 0);
     setTextLabels(saved.textLabels ?? {});
     setTextLabelCount(saved.textLabelCount ?? 0);
     setVariables(saved.variables ?? {});
     setProjectedForPortfolio(saved.projectedForPortfolio ?? {});
     setProjectedCount(saved.projectedCount ?? 0);
     setDisabledNodes(saved.disabledNodes ?? {});
+    setActionTimes(saved.actionTimes ?? {});
+    setCoinPins(pinsForSnapshot(saved.coinPins));
+    setBaseCurrency(normalizeCurrency(saved.baseCurrency));
+    setFeeDefaultInputs(saved.feeDefaultInputs ?? EMPTY_FEE_INPUTS);
+    setRestoredViewport(viewport);
     setLayoutVersion(v => v + 1);
   }, [setNodes, setEdges]);
 
+  // Undo/redo keeps the user's current pan and zoom instead of refitting
+  const restoreInPlace = useCallback((saved) => {
+    restoreSnapshot(saved, reactFlowInstanceRef.current?.getViewport() ?? null);
+  }, [restoreSnapshot]);
+
+  const { undo, redo, resetHistory, canUndo, canRedo } = useCanvasHistory(getSnapshot, restoreInPlace, isHydrated);
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo. Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (el instanceof HTMLElement && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
   // Load layouts from localStorage on mount
   useEffect(() => {
     const data = loadLayouts();
+    const storage = loadLayoutStorage();
     setLayouts(data.layouts || {});
-    setCurrentLayout(data.currentLayout || null);
+    if (storage.mode === 'server') {
+      setLayoutStorage('server');
+      setCurrentLayout(storage.serverLayout ?? null);
+      setServerRevision(storage.serverRevision ?? null);
+    } else {
+      setCurrentLayout(data.currentLayout || null);
+    }
   }, []);
 
   // Persist layouts whenever they change
@@ -3152,47 +3879,316 @@ export default function Home() {
     saveLayouts({ layouts: nextLayouts, currentLayout: nextCurrent });
   }, []);
 
-  const handleSaveLayout = useCallback((name) => {
+  // --- Server layouts ---
+
+  const isServerStorage = layoutStorage === 'server';
+  const layoutNames = isServerStorage ? Object.keys(serverLayouts) : Object.keys(layouts);
+
+  const setServerCurrent = useCallback((name, revision) => {
+    setCurrentLayout(name);
+    setServerRevision(revision);
+    saveLayoutStorage({ mode: 'server', serverLayout: name, serverRevision: revision });
+  }, []);
+
+  const refreshServerLayouts = useCallback(async () => {
+    setIsLoadingServerLayouts(true);
+    try {
+      const list = await listServerLayouts();
+      setServerLayouts(Object.fromEntries(list.map(({ name, revision, updatedAt }) => [name, { revision, updatedAt }])));
+    } catch (e) {
+      setLayoutError({ title: "Can't Load Layouts", message: e.message });
+    } finally {
+      setIsLoadingServerLayouts(false);
+    }
+  }, []);
+
+  const rememberServerLayout = useCallback((layout) => {
+    setServerLayouts(prev => ({ ...prev, [layout.name]: { revision: layout.revision, updatedAt: layout.updatedAt } }));
+  }, []);
+
+  // Saves a snapshot to the server. Returns the saved layout, or null after opening the
+  // conflict dialog when the layout was changed elsewhere since we last saw it.
+  const saveToServer = useCallback(async (name, snapshot) => {
+    const baseRevision = name === currentLayout ? serverRevision : (serverLayouts[name]?.revision ?? null);
+    const result = await putServerLayout(name, snapshot, baseRevision);
+    if ('conflict' in result) {
+      setLayoutConflict({ name, snapshot, current: result.conflict });
+      return null;
+    }
+    rememberServerLayout(result.layout);
+    return result.layout;
+  }, [currentLayout, serverRevision, serverLayouts, rememberServerLayout]);
+
+  // Switching storage keeps the canvas but detaches it from any named layout
+  const handleSwitchLayoutStorage = useCallback((mode) => {
+    if (mode === layoutStorage) return;
+    setLayoutStorage(mode);
+    if (mode === 'server') {
+      setServerCurrent(null, null);
+      refreshServerLayouts();
+    } else {
+      saveLayoutStorage({ mode: 'local', serverLayout: null, serverRevision: null });
+      persistLayouts(layouts, null);
+    }
+  }, [layoutStorage, layouts, persistLayouts, refreshServerLayouts, setServerCurrent]);
+
+  const handleToggleLayoutMenu = useCallback(() => {
+    if (!showLayoutMenu && isServerStorage) refreshServerLayouts();
+    setShowLayoutMenu(prev => !prev);
+  }, [showLayoutMenu, isServerStorage, refreshServerLayouts]);
+
+  const handleResolveConflict = useCallback(async (resolution) => {
+    const { name, snapshot, current } = layoutConflict;
+    setLayoutConflict(null);
+    try {
+      if (resolution === 'overwrite') {
+        const result = await putServerLayout(name, snapshot, current?.revision ?? null);
+        if ('conflict' in result) {
+          setLayoutConflict({ name, snapshot, current: result.conflict });
+          return;
+        }
+        rememberServerLayout(result.layout);
+        setServerCurrent(name, result.layout.revision);
+      } else if (resolution === 'theirs') {
+        restoreSnapshot(current.snapshot);
+        resetHistory();
+        rememberServerLayout(current);
+        setServerCurrent(name, current.revision);
+      } else if (resolution === 'copy') {
+        const copyName = uniqueLayoutName(`${name} (mine)`, serverLayouts);
+        const result = await putServerLayout(copyName, snapshot, null);
+        if ('conflict' in result) {
+          setLayoutError({ title: 'Save Failed', message: `A layout named "${copyName}" was just created elsewhere.` });
+          return;
+        }
+        rememberServerLayout(result.layout);
+        setServerCurrent(copyName, result.layout.revision);
+      }
+      setIsSharedView(false);
+    } catch (e) {
+      setLayoutError({ title: 'Save Failed', message: e.message });
+    }
+  }, [layoutConflict, serverLayouts, restoreSnapshot, resetHistory, rememberServerLayout, setServerCurrent]);
+
+  // This browser's own pins follow the canvases the user saves or imports, never a shared one
+  const keepCoinPins = useCallback((pins) => {
+    if (!isSharedView) mergeCoinPins(pins);
+  }, [isSharedView]);
+
+  const handleSaveLayout = useCallback(async (name) => {
     if (!name.trim()) return;
     const trimmed = name.trim();
     const snapshot = getSnapshot();
-    const nextLayouts = { ...layouts, [trimmed]: snapshot };
-    persistLayouts(nextLayouts, trimmed);
+    keepCoinPins(snapshot.coinPins);
     setShowSaveLayoutDialog(false);
     setLayoutNameInput('');
-  }, [getSnapshot, layouts, persistLayouts]);
+    if (isServerStorage) {
+      try {
+        const layout = await saveToServer(trimmed, snapshot);
+        if (!layout) return;
+        setServerCurrent(trimmed, layout.revision);
+      } catch (e) {
+        setLayoutError({ title: 'Save Failed', message: e.message });
+        return;
+      }
+    } else {
+      const nextLayouts = { ...layouts, [trimmed]: snapshot };
+      persistLayouts(nextLayouts, trimmed);
+    }
+    setIsSharedView(false);
+  }, [getSnapshot, keepCoinPins, isServerStorage, saveToServer, setServerCurrent, layouts, persistLayouts]);
+
+  const handleLoadServerLayout = useCallback(async (name) => {
+    try {
+      // Auto-save current layout before switching
+      if (currentLayout && !(await saveToServer(currentLayout, getSnapshot()))) return;
+      const layout = await getServerLayout(name);
+      restoreSnapshot(layout.snapshot);
+      resetHistory();
+      rememberServerLayout(layout);
+      setServerCurrent(name, layout.revision);
+      setIsSharedView(false);
+    } catch (e) {
+      setLayoutError({ title: `Can't Open "${name}"`, message: e.message });
+    }
+  }, [currentLayout, getSnapshot, saveToServer, restoreSnapshot, resetHistory, rememberServerLayout, setServerCurrent]);
 
   const handleLoadLayout = useCallback((name) => {
     if (name === currentLayout) {
       setShowLayoutMenu(false);
       return;
     }
+    if (isServerStorage) {
+      setShowLayoutMenu(false);
+      handleLoadServerLayout(name);
+      return;
+    }
     // Auto-save current layout before switching
     const snapshot = getSnapshot();
     const nextLayouts = currentLayout
       ? { ...layouts, [currentLayout]: snapshot }
       : { ...layouts };
     const data = nextLayouts[name];
-    if (data) {
+    setShowLayoutMenu(false);
+    if (!data) return;
+    try {
       restoreSnapshot(data);
-      persistLayouts(nextLayouts, name);
+    } catch (e) {
+      setLayoutError({ title: `Can't Open "${name}"`, message: e.message });
+      return;
     }
+    resetHistory();
+    persistLayouts(nextLayouts, name);
+    setIsSharedView(false);
+  }, [currentLayout, isServerStorage, handleLoadServerLayout, getSnapshot, layouts, restoreSnapshot, resetHistory, persistLayouts]);
+
+  // --- Layout files ---
+
+  const handleExportLayout = useCallback(() => {
+    const name = currentLayout ?? 'Untitled';
+    downloadJson(layoutFileName(name), buildLayoutFile({ [name]: getSnapshot() }));
+    setShowLayoutMenu(false);
+  }, [currentLayout, getSnapshot]);
+
+  const handleExportAllLayouts = useCallback(() => {
+    // Include unsaved edits to the current layout
+    const all = currentLayout ? { ...layouts, [currentLayout]: getSnapshot() } : layouts;
+    downloadJson(layoutFileName('all-layouts'), buildLayoutFile(all));
     setShowLayoutMenu(false);
-  }, [currentLayout, getSnapshot, layouts, restoreSnapshot, persistLayouts]);
+  }, [currentLayout, getSnapshot, layouts]);
 
-  const handleDeleteLayout = useCallback((name) => {
+  // Imported layouts are added alongside the existing ones (renamed on clashes) and the first is opened
+  const handleImportLayoutFile = useCallback(async (file) => {
+    setShowLayoutMenu(false);
+    if (!file) return;
+    let imported;
+    try {
+      imported = parseLayoutFile(await file.text());
+    } catch (e) {
+      setLayoutError({ title: 'Import Failed', message: e.message });
+      return;
+    }
+    if (isServerStorage) {
+      // Uploaded as new layouts, so nothing on the server is overwritten
+      try {
+        const taken = { ...serverLayouts };
+        let first = null;
+        for (const [name, snapshot] of Object.entries(imported)) {
+          const finalName = uniqueLayoutName(name, taken);
+          const result = await putServerLayout(finalName, snapshot, null);
+          if ('conflict' in result) throw new Error(`A layout named "${finalName}" was just created elsewhere.`);
+          taken[finalName] = result.layout;
+          rememberServerLayout(result.layout);
+          first ??= { layout: result.layout, snapshot };
+        }
+        if (currentLayout && !(await saveToServer(currentLayout, getSnapshot()))) return;
+        restoreSnapshot(first.snapshot);
+        keepCoinPins(first.snapshot.coinPins);
+        resetHistory();
+        setServerCurrent(first.layout.name, first.layout.revision);
+        setIsSharedView(false);
+      } catch (e) {
+        setLayoutError({ title: 'Import Failed', message: e.message });
+      }
+      return;
+    }
+    const nextLayouts = currentLayout
+      ? { ...layouts, [currentLayout]: getSnapshot() }
+      : { ...layouts };
+    let firstName = null;
+    for (const [name, snapshot] of Object.entries(imported)) {
+      const finalName = uniqueLayoutName(name, nextLayouts);
+      nextLayouts[finalName] = snapshot;
+      firstName ??= finalName;
+    }
+    restoreSnapshot(nextLayouts[firstName]);
+    keepCoinPins(nextLayouts[firstName].coinPins);
+    resetHistory();
+    persistLayouts(nextLayouts, firstName);
+    setIsSharedView(false);
+  }, [currentLayout, isServerStorage, serverLayouts, saveToServer, rememberServerLayout, setServerCurrent, getSnapshot, layouts, restoreSnapshot, keepCoinPins, resetHistory, persistLayouts]);
+
+  // --- Share links ---
+
+  const generateShareUrl = useCallback(async (hideAmounts) => {
+    const snapshot = getSnapshot();
+    setShareUrl(await buildShareUrl(hideAmounts ? stripHoldingAmounts(snapshot) : snapshot));
+    setShareCopied(false);
+  }, [getSnapshot]);
+
+  const handleOpenShare = useCallback(() => {
+    setShowLayoutMenu(false);
+    setShareUrl('');
+    setShowShareDialog(true);
+    generateShareUrl(shareHideAmounts);
+  }, [generateShareUrl, shareHideAmounts]);
+
+  const handleCopyShareUrl = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setShareCopied(true);
+    } catch {
+      // Clipboard blocked — the link is still selectable in the dialog
+    }
+  }, [shareUrl]);
+
+  const handleDeleteLayout = useCallback(async (name) => {
+    if (isServerStorage) {
+      try {
+        const result = await deleteServerLayout(name, serverLayouts[name]?.revision);
+        if ('conflict' in result) {
+          setLayoutError({ title: `Can't Delete "${name}"`, message: 'It was changed elsewhere since the list was loaded. Open it to see the latest version.' });
+          refreshServerLayouts();
+          return;
+        }
+        setServerLayouts(prev => {
+          const next = { ...prev };
+          delete next[name];
+          return next;
+        });
+        if (currentLayout === name) setServerCurrent(null, null);
+      } catch (e) {
+        setLayoutError({ title: `Can't Delete "${name}"`, message: e.message });
+      }
+      return;
+    }
     const nextLayouts = { ...layouts };
     delete nextLayouts[name];
     const nextCurrent = currentLayout === name ? null : currentLayout;
     persistLayouts(nextLayouts, nextCurrent);
-  }, [layouts, currentLayout, persistLayouts]);
+  }, [isServerStorage, serverLayouts, refreshServerLayouts, setServerCurrent, layouts, currentLayout, persistLayouts]);
 
-  const handleRenameLayout = useCallback((oldName, newName) => {
+  const handleRenameLayout = useCallback(async (oldName, newName) => {
     if (!newName.trim() || newName.trim() === oldName) {
       setShowRenameLayoutDialog(false);
       return;
     }
     const trimmed = newName.trim();
+    if (isServerStorage) {
+      setShowRenameLayoutDialog(false);
+      setRenameTarget(null);
+      setRenameInput('');
+      // Copy to the new name, then remove the old one
+      try {
+        const old = await getServerLayout(oldName);
+        const created = await putServerLayout(trimmed, old.snapshot, null);
+        if ('conflict' in created) {
+          setLayoutError({ title: "Can't Rename", message: `A layout named "${trimmed}" already exists.` });
+          return;
+        }
+        await deleteServerLayout(oldName, old.revision);
+        setServerLayouts(prev => {
+          const next = { ...prev };
+          delete next[oldName];
+          return next;
+        });
+        rememberServerLayout(created.layout);
+        if (currentLayout === oldName) setServerCurrent(trimmed, created.layout.revision);
+      } catch (e) {
+        setLayoutError({ title: "Can't Rename", message: e.message });
+      }
+      return;
+    }
     const nextLayouts = { ...layouts };
     nextLayouts[trimmed] = nextLayouts[oldName];
     delete nextLayouts[oldName];
@@ -3201,15 +4197,26 @@ export default function Home() {
     setShowRenameLayoutDialog(false);
     setRenameTarget(null);
     setRenameInput('');
-  }, [layouts, currentLayout, persistLayouts]);
+  }, [isServerStorage, rememberServerLayout, setServerCurrent, layouts, currentLayout, persistLayouts]);
 
-  const handleNewLayout = useCallback(() => {
+  const handleNewLayout = useCallback(async () => {
     // Auto-save current layout before creating new blank
     if (currentLayout) {
       const snapshot = getSnapshot();
-      const nextLayouts = { ...layouts, [currentLayout]: snapshot };
-      setLayouts(nextLayouts);
-      saveLayouts({ layouts: nextLayouts, currentLayout: null });
+      if (isServerStorage) {
+        setShowLayoutMenu(false);
+        try {
+          if (!(await saveToServer(currentLayout, snapshot))) return;
+        } catch (e) {
+          setLayoutError({ title: 'Save Failed', message: e.message });
+          return;
+        }
+        setServerCurrent(null, null);
+      } else {
+        const nextLayouts = { ...layouts, [currentLayout]: snapshot };
+        setLayouts(nextLayouts);
+        saveLayouts({ layouts: nextLayouts, currentLayout: null });
+      }
     }
     // Reset to blank state
     setNodes([{
@@ -3239,6 +4246,18 @@ export default function Home() {
     setYields({});
     setYieldInputs({});
     setYieldCount(0);
+    setTaxes({});
+    setTaxInputs({});
+    setTaxCount(0);
+    setRebalances({});
+    setRebalanceInputs({});
+    setRebalanceCount(0);
+    setDcas({});
+    setDcaInputs({});
+    setDcaCount(0);
+    setCashFlows({});
+    setCashFlowInputs({});
+    setCashFlowCount(0);
     setQuickConvertInputs({});
     setQuickConvertCount(0);
     setTimeMachineInputs({});
@@ -3249,30 +4268,46 @@ export default function Home() {
     setQuickSlidersCount(0);
     setChartInputs({});
     setChartCount(0);
+    setMonteCarloInputs({});
+    setMonteCarloCount(0);
     setTextLabels({});
     setTextLabelCount(0);
     setVariables({});
     setProjectedForPortfolio({});
     setProjectedCount(0);
     setDisabledNodes({});
+    setActionTimes({});
+    resetHistory();
+    setIsSharedView(false);
     setCurrentLayout(null);
     setShowLayoutMenu(false);
     // Show save dialog so they can name it
     setShowSaveLayoutDialog(true);
     setLayoutNameInput('');
-  }, [currentLayout, getSnapshot, layouts, setNodes, setEdges]);
+  }, [currentLayout, getSnapshot, isServerStorage, saveToServer, setServerCurrent, layouts, resetHistory, setNodes, setEdges]);
 
   // Handle manual edge connections
   const handleConnect = useCallback((connection) => {
     const { source, target } = connection;
 
+    // Chart and Monte Carlo nodes take one holdings source (a portfolio or projected node);
+    // projected nodes feed nothing else
+    const isChartTarget = target.startsWith('chart-') || target.startsWith('monteCarlo-');
+    if (isChartTarget && !source.startsWith('portfolio-') && !source.startsWith('projected-')) return;
+    if (source.startsWith('projected-') && !isChartTarget) return;
+
     // Determine edge color based on source node type
     let edgeColor = '#3b82f6'; // default blue for portfolio
-    if (source.startsWith('rotate-')) edgeColor = '#f97316';
+    if (source.startsWith('projected-')) edgeColor = '#9333ea';
+    else if (source.startsWith('rotate-')) edgeColor = '#f97316';
     else if (source.startsWith('sell-')) edgeColor = '#ef4444';
     else if (source.startsWith('buy-')) edgeColor = '#22c55e';
     else if (source.startsWith('allIn-')) edgeColor = '#eab308';
     else if (source.startsWith('yield-')) edgeColor = '#a855f7';
+    else if (source.startsWith('tax-')) edgeColor = '#64748b';
+    else if (source.startsWith('rebalance-')) edgeColor = '#6366f1';
+    else if (source.startsWith('dca-')) edgeColor = '#10b981';
+    else if (source.startsWith('cashFlow-')) edgeColor = '#14b8a6';
     else if (source.startsWith('priceTarget-')) edgeColor = '#06b6d4';
 
     const newEdgeId = `edge-${source}-${target}`;
@@ -3283,6 +4318,10 @@ export default function Home() {
 
       let filtered = prev;
 
+      if (isChartTarget) {
+        filtered = filtered.filter(e => e.target !== target);
+      }
+
       // When connecting action/portfolio -> action node, clean up conflicting edges
       if (isActionNode(target)) {
         // Remove the target's existing incoming edge from a portfolio or action node
@@ -3323,6 +4362,9 @@ export default function Home() {
 
   return (
     <VariablesProvider value={variables}>
+    <CurrencyProvider value={baseCurrency}>
+    <FeesProvider value={defaultFees}>
+    <CoinPinsProvider value={coinPinsContext}>
     <div className="w-screen h-screen">
       <ReactFlow
         key={layoutVersion}
@@ -3334,7 +4376,8 @@ export default function Home() {
         onInit={(instance) => { reactFlowInstanceRef.current = instance; }}
         nodeTypes={nodeTypes}
         colorMode={isDark ? 'dark' : 'light'}
-        fitView
+        fitView={!restoredViewport}
+        defaultViewport={restoredViewport ?? undefined}
         fitViewOptions={{ padding: 0.3 }}
         defaultEdgeOptions={{
           type: 'smoothstep',
@@ -3399,6 +4442,13 @@ export default function Home() {
                     <span className="w-3 h-3 rounded bg-sky-600"></span>
                     Chart
                   </button>
+                  <button
+                    onClick={handleAddMonteCarlo}
+                    className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 flex items-center gap-2"
+                  >
+                    <span className="w-3 h-3 rounded bg-fuchsia-600"></span>
+                    Monte Carlo
+                  </button>
                   <button
                     onClick={handleAddTextLabel}
                     className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 flex items-center gap-2"
@@ -3411,19 +4461,69 @@ export default function Home() {
             )}
           </div>
           <button
-            onClick={handleRefreshAll}
+            onClick={() => handleRefreshAll()}
             disabled={isRefreshingAll}
             className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded shadow-lg transition-colors flex items-center gap-2"
           >
             <span className={isRefreshingAll ? 'animate-spin' : ''}>↻</span>
             {isRefreshingAll ? 'Refreshing...' : 'Refresh Prices'}
           </button>
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-2.5 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 disabled:opacity-50 disabled:hover:bg-zinc-200 dark:disabled:hover:bg-zinc-700 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors"
+          >
+            ↶
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-2.5 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 disabled:opacity-50 disabled:hover:bg-zinc-200 dark:disabled:hover:bg-zinc-700 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors"
+          >
+            ↷
+          </button>
+          <select
+            value={baseCurrency}
+            onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+            disabled={isRefreshingAll}
+            title="Base currency for all values on the canvas"
+            className="px-2 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors"
+          >
+            {Object.keys(CURRENCIES).map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <div className="relative">
+            <button
+              onClick={() => setShowFeesMenu(prev => !prev)}
+              title="Default fees and slippage for sells, buys, rotations and all-ins"
+              className="px-3 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors"
+            >
+              Fees: {describeFees(defaultFees, currencySymbol(baseCurrency))}
+            </button>
+            {showFeesMenu && (
+              <>
+                <div
+                  className="fixed inset-0 z-10"
+                  onClick={() => setShowFeesMenu(false)}
+                />
+                <div className="absolute top-full left-0 mt-1 p-3 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded shadow-lg z-20 w-[260px] space-y-2">
+                  <div className="text-xs text-zinc-500 dark:text-zinc-400">
+                    Canvas default per trade. Nodes can override it in their fee settings.
+                  </div>
+                  <FeeFields inputs={feeDefaultInputs} onChange={setFeeDefaultInputs} />
+                </div>
+              </>
+            )}
+          </div>
         </div>
         <div className="absolute top-4 right-4 z-10 flex items-center gap-2">
           {/* Layouts */}
           <div className="relative">
             <button
-              onClick={() => setShowLayoutMenu(prev => !prev)}
+              onClick={handleToggleLayoutMenu}
               className="px-3 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors flex items-center gap-1.5"
             >
               <span className="text-xs">&#9776;</span>
@@ -3436,9 +4536,24 @@ export default function Home() {
                   onClick={() => setShowLayoutMenu(false)}
                 />
                 <div className="absolute top-full right-0 mt-1 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded shadow-lg z-20 min-w-[200px]">
-                  {Object.keys(layouts).length > 0 && (
+                  <div className="flex items-center gap-1 px-3 py-2 border-b border-zinc-200 dark:border-zinc-700 text-xs text-zinc-500 dark:text-zinc-400">
+                    <span className="mr-auto">Stored in</span>
+                    {[['local', 'Browser'], ['server', 'Server']].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        onClick={() => handleSwitchLayoutStorage(mode)}
+                        className={`px-2 py-0.5 rounded ${layoutStorage === mode ? 'bg-blue-600 text-white' : 'bg-zinc-200 dark:bg-zinc-700 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-300 dark:hover:bg-zinc-600'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {isServerStorage && isLoadingServerLayouts && layoutNames.length === 0 && (
+                    <div className="px-3 py-2 text-xs text-zinc-500 dark:text-zinc-400 border-b border-zinc-200 dark:border-zinc-700">Loading...</div>
+                  )}
+                  {layoutNames.length > 0 && (
                     <div className="border-b border-zinc-200 dark:border-zinc-700 max-h-[240px] overflow-y-auto">
-                      {Object.keys(layouts).map(name => (
+                      {layoutNames.map(name => (
                         <div
                           key={name}
                           className={`flex items-center gap-1 px-3 py-2 text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 group ${name === currentLayout ? 'bg-zinc-100 dark:bg-zinc-700 font-semibold' : ''}`}
@@ -3503,10 +4618,53 @@ export default function Home() {
                   >
                     New layout
                   </button>
+                  <div className="border-t border-zinc-200 dark:border-zinc-700">
+                    <button
+                      onClick={handleExportLayout}
+                      className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300"
+                    >
+                      Export current to file
+                    </button>
+                    {!isServerStorage && layoutNames.length > 0 && (
+                      <button
+                        onClick={handleExportAllLayouts}
+                        className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300"
+                      >
+                        Export all layouts
+                      </button>
+                    )}
+                    <button
+                      onClick={() => importInputRef.current?.click()}
+                      className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300"
+                    >
+                      Import from file...
+                    </button>
+                    <button
+                      onClick={handleOpenShare}
+                      className="w-full px-3 py-2 text-left text-sm hover:bg-zinc-100 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300"
+                    >
+                      Share link...
+                    </button>
+                  </div>
                 </div>
               </>
             )}
           </div>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              handleImportLayoutFile(e.target.files?.[0]);
+              // Allow picking the same file again
+              e.target.value = '';
+            }}
+          />
+          <ScenarioComparePanel
+            portfolioIds={nodes.filter(n => n.type === 'portfolio').map(n => n.id)}
+            onCompare={compareScenarios}
+          />
           <VariablesPanel variables={variables} onSetVariables={setVariables} />
           <button
             onClick={cycleTheme}
@@ -3526,7 +4684,7 @@ export default function Home() {
           <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/50">
             <div className="bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded-lg shadow-2xl p-6 max-w-sm mx-4">
               <h3 className="text-zinc-900 dark:text-white text-lg font-semibold mb-2">Clear All</h3>
-              <p className="text-zinc-600 dark:text-zinc-300 text-sm mb-6">Are you sure you want to clear everything? This cannot be undone.</p>
+              <p className="text-zinc-600 dark:text-zinc-300 text-sm mb-6">Are you sure you want to clear everything? You can still get it back with Undo.</p>
               <div className="flex justify-end gap-3">
                 <button
                   onClick={() => setShowClearConfirm(false)}
@@ -3544,6 +4702,124 @@ export default function Home() {
             </div>
           </div>
         )}
+        {isSharedView && (
+          <div className="absolute top-16 left-1/2 -translate-x-1/2 z-10 flex items-center gap-3 px-4 py-2 bg-amber-100 dark:bg-amber-900/60 border border-amber-300 dark:border-amber-700 rounded shadow-lg text-sm text-amber-900 dark:text-amber-100">
+            <span>Viewing a shared scenario. Changes aren&apos;t saved until you save it as a layout.</span>
+            <button
+              onClick={() => {
+                setLayoutNameInput('');
+                setShowSaveLayoutDialog(true);
+              }}
+              className="px-2 py-1 bg-amber-600 hover:bg-amber-700 text-white text-xs rounded transition-colors"
+            >
+              Save as layout
+            </button>
+            <button
+              onClick={() => window.location.reload()}
+              className="px-2 py-1 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 text-zinc-700 dark:text-white text-xs rounded transition-colors"
+              title="Go back to your own canvas"
+            >
+              Discard
+            </button>
+          </div>
+        )}
+        {showShareDialog && (
+          <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div className="bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded-lg shadow-2xl p-6 max-w-md w-full mx-4">
+              <h3 className="text-zinc-900 dark:text-white text-lg font-semibold mb-2">Share Link</h3>
+              <p className="text-zinc-600 dark:text-zinc-300 text-sm mb-3">Anyone with this link can open a copy of the current canvas. The data lives in the link itself.</p>
+              <label className="flex items-center gap-2 text-sm text-zinc-700 dark:text-zinc-300 mb-3">
+                <input
+                  type="checkbox"
+                  checked={shareHideAmounts}
+                  onChange={(e) => {
+                    setShareHideAmounts(e.target.checked);
+                    generateShareUrl(e.target.checked);
+                  }}
+                />
+                Hide holding amounts
+              </label>
+              <textarea
+                readOnly
+                value={shareUrl || 'Generating...'}
+                onFocus={(e) => e.target.select()}
+                rows={4}
+                className="w-full px-3 py-2 text-xs font-mono border border-zinc-300 dark:border-zinc-600 rounded bg-zinc-50 dark:bg-zinc-700 text-zinc-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4 break-all resize-none"
+              />
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setShowShareDialog(false)}
+                  className="px-4 py-2 bg-zinc-200 dark:bg-zinc-600 hover:bg-zinc-300 dark:hover:bg-zinc-500 text-zinc-700 dark:text-white text-sm rounded transition-colors"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleCopyShareUrl}
+                  disabled={!shareUrl}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 disabled:opacity-50 text-white text-sm rounded transition-colors"
+                >
+                  {shareCopied ? 'Copied' : 'Copy link'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        {layoutConflict && (
+          <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div className="bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded-lg shadow-2xl p-6 max-w-sm mx-4">
+              <h3 className="text-zinc-900 dark:text-white text-lg font-semibold mb-2">Layout Changed Elsewhere</h3>
+              <p className="text-zinc-600 dark:text-zinc-300 text-sm mb-6">
+                {layoutConflict.current
+                  ? <>&quot;{layoutConflict.name}&quot; was saved from another tab or machine at {new Date(layoutConflict.current.updatedAt).toLocaleString()}. Your changes haven&apos;t been saved.</>
+                  : <>&quot;{layoutConflict.name}&quot; was deleted from another tab or machine. Your changes haven&apos;t been saved.</>}
+              </p>
+              <div className="flex flex-wrap justify-end gap-3">
+                <button
+                  onClick={() => setLayoutConflict(null)}
+                  className="px-4 py-2 bg-zinc-200 dark:bg-zinc-600 hover:bg-zinc-300 dark:hover:bg-zinc-500 text-zinc-700 dark:text-white text-sm rounded transition-colors"
+                >
+                  Cancel
+                </button>
+                {layoutConflict.current && (
+                  <button
+                    onClick={() => handleResolveConflict('theirs')}
+                    className="px-4 py-2 bg-zinc-200 dark:bg-zinc-600 hover:bg-zinc-300 dark:hover:bg-zinc-500 text-zinc-700 dark:text-white text-sm rounded transition-colors"
+                  >
+                    Load theirs
+                  </button>
+                )}
+                <button
+                  onClick={() => handleResolveConflict('copy')}
+                  className="px-4 py-2 bg-zinc-200 dark:bg-zinc-600 hover:bg-zinc-300 dark:hover:bg-zinc-500 text-zinc-700 dark:text-white text-sm rounded transition-colors"
+                >
+                  Save mine as copy
+                </button>
+                <button
+                  onClick={() => handleResolveConflict('overwrite')}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded transition-colors"
+                >
+                  Overwrite
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        {layoutError && (
+          <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/50">
+            <div className="bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded-lg shadow-2xl p-6 max-w-sm mx-4">
+              <h3 className="text-zinc-900 dark:text-white text-lg font-semibold mb-2">{layoutError.title}</h3>
+              <p className="text-zinc-600 dark:text-zinc-300 text-sm mb-6">{layoutError.message}</p>
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setLayoutError(null)}
+                  className="px-4 py-2 bg-zinc-200 dark:bg-zinc-600 hover:bg-zinc-300 dark:hover:bg-zinc-500 text-zinc-700 dark:text-white text-sm rounded transition-colors"
+                >
+                  OK
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
         {showSaveLayoutDialog && (
           <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/50">
             <div className="bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded-lg shadow-2xl p-6 max-w-sm mx-4">
@@ -3557,7 +4833,7 @@ export default function Home() {
                 placeholder="Layout name"
                 autoFocus
               />
-              {layoutNameInput.trim() && layouts[layoutNameInput.trim()] && (
+              {layoutNameInput.trim() && layoutNames.includes(layoutNameInput.trim()) && (
                 <p className="text-xs text-amber-600 dark:text-amber-400 mb-3">This will overwrite the existing &quot;{layoutNameInput.trim()}&quot; layout.</p>
               )}
               <div className="flex justify-end gap-3">
@@ -3611,6 +4887,9 @@ export default function Home() {
         )}
       </ReactFlow>
     </div>
+    </CoinPinsProvider>
+    </FeesProvider>
+    </CurrencyProvider>
     </VariablesProvider>
   );
 }
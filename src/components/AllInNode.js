@@ -1,24 +1,33 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { fetchPrice } from '@/lib/fetchPrice';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
 import TickerSearch from './TickerSearch';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 export default function AllInNode({ data, id }) {
-  const { holdings = [], priceOverrides = {}, onAllInChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const { holdings = [], priceOverrides = {}, onAllInChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onAllInChangeRef = useRef(onAllInChange);
   const onInputChangeRef = useRef(onInputChange);
   onAllInChangeRef.current = onAllInChange;
@@ -28,7 +37,9 @@ export default function AllInNode({ data, id }) {
   const [toPrice, setToPrice] = useState(savedInputs?.toPrice ?? null);
   const [toType, setToType] = useState(savedInputs?.toType ?? null);
   const [isFetchingPrice, setIsFetchingPrice] = useState(false);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
   const lastSavedPriceRef = useRef(savedInputs?.toPrice);
 
   // Calculate total portfolio value
@@ -91,14 +102,14 @@ export default function AllInNode({ data, id }) {
 
     const timer = setTimeout(async () => {
       setIsFetchingPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       setToPrice(price);
       setToType(type);
       setIsFetchingPrice(false);
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [toAsset, holdings, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides]);
+  }, [toAsset, holdings, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides, currency, coinPins]);
 
   // Save inputs when they change
   useEffect(() => {
@@ -109,9 +120,10 @@ export default function AllInNode({ data, id }) {
         toAsset,
         toPrice,
         toType,
+        feeInputs,
       });
     }
-  }, [isInitialized, id, toAsset, toPrice, toType]);
+  }, [isInitialized, id, toAsset, toPrice, toType, feeInputs]);
 
   // Notify parent of all-in changes
   useEffect(() => {
@@ -125,11 +137,12 @@ export default function AllInNode({ data, id }) {
         toType,
         totalValue,
         allInAmount,
+        fees,
       });
     } else {
       callback(id, null);
     }
-  }, [toAsset, toPrice, toType, totalValue, allInAmount, id]);
+  }, [toAsset, toPrice, toType, totalValue, allInAmount, fees, id]);
 
   return (
     <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
@@ -200,7 +213,7 @@ export default function AllInNode({ data, id }) {
           )}
           {toPrice !== null && !isFetchingPrice && (
             <div className={`text-xs mt-1 ${toType === 'target' ? 'text-cyan-600 dark:text-cyan-400' : 'text-zinc-500'}`}>
-              Price: ${formatPrice(toPrice)} {toType === 'target' ? '(from target)' : `(${toType})`}
+              Price: {formatPrice(toPrice, currency)} {toType === 'target' ? '(from target)' : `(${toType})`}
             </div>
           )}
           {toAsset && toPrice === null && !isFetchingPrice && (
@@ -212,7 +225,7 @@ export default function AllInNode({ data, id }) {
           <div className="bg-zinc-100 dark:bg-zinc-800 rounded p-2">
             <div className="text-xs text-zinc-500">Total Portfolio Value</div>
             <div className="text-lg font-semibold text-zinc-800 dark:text-zinc-200">
-              ${formatValue(totalValue)}
+              {formatValue(totalValue, currency)}
             </div>
           </div>
         )}
@@ -224,53 +237,16 @@ export default function AllInNode({ data, id }) {
               {allInAmount.toFixed(6)} {toAsset.toUpperCase()}
             </div>
             <div className="text-xs text-zinc-500 mt-1">
-              @ ${formatPrice(toPrice)} per unit
+              @ {formatPrice(toPrice, currency)} per unit
             </div>
           </div>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-yellow-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-yellow-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -1,25 +1,34 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { fetchPrice } from '@/lib/fetchPrice';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
 import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 export default function BuyAssetNode({ data, id }) {
-  const { holdings = [], priceOverrides = {}, onBuyChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const { holdings = [], priceOverrides = {}, onBuyChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onBuyChangeRef = useRef(onBuyChange);
   const onInputChangeRef = useRef(onInputChange);
   onBuyChangeRef.current = onBuyChange;
@@ -32,7 +41,9 @@ export default function BuyAssetNode({ data, id }) {
   const [toType, setToType] = useState(savedInputs?.toType ?? null);
   const [deductCash, setDeductCash] = useState(savedInputs?.deductCash ?? true);
   const [isFetchingPrice, setIsFetchingPrice] = useState(false);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
   const lastSavedPriceRef = useRef(savedInputs?.toPrice);
   const priceRequestIdRef = useRef(0);
 
@@ -98,7 +109,7 @@ export default function BuyAssetNode({ data, id }) {
 
     const timer = setTimeout(async () => {
       setIsFetchingPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== priceRequestIdRef.current) return;
       setToPrice(price);
       setToType(type);
@@ -106,7 +117,7 @@ export default function BuyAssetNode({ data, id }) {
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [toAsset, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides]);
+  }, [toAsset, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides, currency, coinPins]);
 
   // Save inputs when they change
   useEffect(() => {
@@ -120,9 +131,10 @@ export default function BuyAssetNode({ data, id }) {
         toPrice,
         toType,
         deductCash,
+        feeInputs,
       });
     }
-  }, [isInitialized, id, inputMode, inputValue, toAsset, toPrice, toType, deductCash]);
+  }, [isInitialized, id, inputMode, inputValue, toAsset, toPrice, toType, deductCash, feeInputs]);
 
   // Notify parent of buy changes
   useEffect(() => {
@@ -137,11 +149,12 @@ export default function BuyAssetNode({ data, id }) {
         toType,
         buyAmount,
         deductCash,
+        fees,
       });
     } else {
       callback(id, null);
     }
-  }, [inputValue, toAsset, toPrice, toType, cashAmount, buyAmount, deductCash, id]);
+  }, [inputValue, toAsset, toPrice, toType, cashAmount, buyAmount, deductCash, fees, id]);
 
   return (
     <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
@@ -208,7 +221,7 @@ export default function BuyAssetNode({ data, id }) {
           )}
           {toPrice !== null && !isFetchingPrice && (
             <div className={`text-xs mt-1 ${toType === 'target' ? 'text-cyan-600 dark:text-cyan-400' : 'text-zinc-500'}`}>
-              Price: ${formatPrice(toPrice)} {toType === 'target' ? '(from target)' : `(${toType})`}
+              Price: {formatPrice(toPrice, currency)} {toType === 'target' ? '(from target)' : `(${toType})`}
             </div>
           )}
           {toAsset && toPrice === null && !isFetchingPrice && (
@@ -225,7 +238,7 @@ export default function BuyAssetNode({ data, id }) {
                   <button
                     onClick={() => {
                       if (inputMode !== 'usd') {
-                        // Convert units to USD when switching
+                        // Convert units to cash value when switching
                         if (inputValue && toPrice) {
                           setInputValue(String(parseFloat(inputValue) * toPrice));
                         }
@@ -238,12 +251,12 @@ export default function BuyAssetNode({ data, id }) {
                         : 'bg-white dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 border-zinc-300 dark:border-zinc-600'
                     }`}
                   >
-                    USD
+                    {currency}
                   </button>
                   <button
                     onClick={() => {
                       if (inputMode !== 'units') {
-                        // Convert USD to units when switching
+                        // Convert cash value to units when switching
                         if (inputValue && toPrice) {
                           setInputValue(String(parseFloat(inputValue) / toPrice));
                         }
@@ -262,7 +275,7 @@ export default function BuyAssetNode({ data, id }) {
               </div>
               <div className="relative">
                 {inputMode === 'usd' && (
-                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">$</span>
+                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
                 )}
                 <MathInput
                   value={inputValue}
@@ -280,7 +293,7 @@ export default function BuyAssetNode({ data, id }) {
                   {inputMode === 'usd' ? (
                     <>Receive: <span className="font-semibold">{buyAmount.toFixed(6)} {toAsset.toUpperCase()}</span></>
                   ) : (
-                    <>Cost: <span className="font-semibold">${formatValue(cashAmount)}</span></>
+                    <>Cost: <span className="font-semibold">{formatValue(cashAmount, currency)}</span></>
                   )}
                 </div>
               </div>
@@ -298,48 +311,11 @@ export default function BuyAssetNode({ data, id }) {
           </>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-green-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-green-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -0,0 +1,259 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
+import { CASH_FLOW_FREQUENCIES, DEFAULT_CASH_FLOW_FREQUENCY, allocationWeights, paymentCount, paymentsPerYear } from '@/lib/cashFlow';
+import MathInput from './MathInput';
+import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSignedValue(value, currency) {
+  return `${value < 0 ? '-' : '+'}${formatValue(Math.abs(value), currency)}`;
+}
+
+export default function CashFlowNode({ data, id }) {
+  const currency = useCurrency();
+  const { holdings = [], onCashFlowChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
+  const onCashFlowChangeRef = useRef(onCashFlowChange);
+  const onInputChangeRef = useRef(onInputChange);
+  const hasMountedRef = useRef(false);
+  const lastPayloadRef = useRef(undefined);
+
+  useEffect(() => {
+    onCashFlowChangeRef.current = onCashFlowChange;
+    onInputChangeRef.current = onInputChange;
+  });
+
+  const [direction, setDirection] = useState(savedInputs?.direction || 'in'); // 'in' or 'out'
+  const [amount, setAmount] = useState(savedInputs?.amount || '');
+  const [frequency, setFrequency] = useState(savedInputs?.frequency || DEFAULT_CASH_FLOW_FREQUENCY);
+  const [duration, setDuration] = useState(savedInputs?.duration || '1');
+  const [durationUnit, setDurationUnit] = useState(savedInputs?.durationUnit || 'years'); // 'years' or 'months'
+  const [allocate, setAllocate] = useState(savedInputs?.allocate ?? false);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
+
+  const amountValue = parseFloat(amount) > 0 ? parseFloat(amount) : 0;
+  const durationValue = parseFloat(duration) > 0 ? parseFloat(duration) : 0;
+  const years = durationUnit === 'months' ? durationValue / 12 : durationValue;
+  const count = paymentCount(frequency, years);
+  const perPayment = direction === 'out' ? -amountValue : amountValue;
+  const total = perPayment * count;
+  const isAllocating = allocate && direction === 'in';
+
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
+  const weights = isAllocating ? allocationWeights(holdings, currency) : [];
+
+  // Save inputs when they change (not on mount, when they came from savedInputs)
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    const callback = onInputChangeRef.current;
+    if (callback) {
+      callback(id, {
+        direction,
+        amount,
+        frequency,
+        duration,
+        durationUnit,
+        allocate,
+        feeInputs,
+      });
+    }
+  }, [id, direction, amount, frequency, duration, durationUnit, allocate, feeInputs]);
+
+  // Notify parent of the payments; the payload is rebuilt on every render, so only send
+  // real changes
+  const payload = amountValue > 0 && count > 0
+    ? { amount: perPayment, count, perYear: paymentsPerYear(frequency), total, allocate: isAllocating, fees }
+    : null;
+  const payloadKey = JSON.stringify(payload);
+  useEffect(() => {
+    if (payloadKey === lastPayloadRef.current) return;
+    lastPayloadRef.current = payloadKey;
+    const callback = onCashFlowChangeRef.current;
+    if (callback) {
+      callback(id, JSON.parse(payloadKey));
+    }
+  }, [payloadKey, id]);
+
+  return (
+    <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-teal-500 !w-3 !h-3"
+      />
+
+      <div className="bg-teal-500 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
+        <div className="flex items-center gap-1.5">
+          <button
+            onClick={() => onShiftNode?.(id, 'left')}
+            disabled={!canShiftLeft}
+            className="text-white/70 hover:text-white hover:bg-teal-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift left in chain"
+          >
+            ←
+          </button>
+          <NodeTypeSelector
+            currentType="cashFlow"
+            label="Cash Flow"
+            onReplace={(newType) => onReplaceNode?.(id, newType)}
+            hoverBgClass="hover:bg-teal-600"
+          />
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onShiftNode?.(id, 'right')}
+            disabled={!canShiftRight}
+            className="text-white/70 hover:text-white hover:bg-teal-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift right in chain"
+          >
+            →
+          </button>
+          <button
+            onClick={() => onToggleDisabled?.(id)}
+            className={`hover:text-white hover:bg-teal-600 rounded px-1.5 py-0.5 text-sm ${isDisabled ? 'text-white' : 'text-white/70'}`}
+            title={isDisabled ? 'Enable node' : 'Disable node'}
+          >
+            {isDisabled ? '○' : '●'}
+          </button>
+          <button
+            onClick={() => onRemove?.(id)}
+            className="text-white/70 hover:text-white hover:bg-teal-600 rounded px-1.5 py-0.5 text-sm"
+            title="Remove cash flow"
+          >
+            x
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="flex text-xs">
+          {[['in', 'Contribute'], ['out', 'Withdraw']].map(([key, label], i) => (
+            <button
+              key={key}
+              onClick={() => setDirection(key)}
+              className={`flex-1 px-2 py-1.5 border ${i === 0 ? 'rounded-l' : 'rounded-r border-l-0'} ${
+                direction === key
+                  ? 'bg-teal-500 text-white border-teal-500'
+                  : 'bg-white dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 border-zinc-300 dark:border-zinc-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Per payment</label>
+            <div className="relative">
+              <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
+              <MathInput
+                value={amount}
+                onChange={(val) => setAmount(val)}
+                step="any"
+                className="w-full pl-6 pr-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                placeholder="0.00"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Frequency</label>
+            <select
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value)}
+              className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            >
+              {Object.entries(CASH_FLOW_FREQUENCIES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-xs text-zinc-500 mb-1">Duration</label>
+          <div className="flex items-center gap-2">
+            <MathInput
+              value={duration}
+              onChange={(val) => setDuration(val)}
+              step="any"
+              className="flex-1 px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-teal-500"
+              placeholder="1"
+            />
+            <select
+              value={durationUnit}
+              onChange={(e) => setDurationUnit(e.target.value)}
+              className="px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            >
+              <option value="years">Years</option>
+              <option value="months">Months</option>
+            </select>
+          </div>
+        </div>
+
+        {payload && (
+          <div className="bg-teal-50 dark:bg-teal-900/20 border border-teal-200 dark:border-teal-800 rounded p-3 space-y-1">
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>{formatSignedValue(perPayment, currency)} × {count}</span>
+              <span>{count === 1 ? '1 payment' : `${count} payments`}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-zinc-500">{direction === 'out' ? 'Withdrawn' : 'Contributed'}</span>
+              <span className={`font-semibold ${total < 0 ? 'text-red-600 dark:text-red-400' : 'text-teal-700 dark:text-teal-400'}`}>
+                {formatSignedValue(total, currency)}
+              </span>
+            </div>
+            {weights.map(({ ticker, weight }) => (
+              <div key={ticker} className="flex justify-between text-xs text-zinc-500">
+                <span>{ticker} ({(weight * 100).toFixed(1)}%)</span>
+                <span>{formatValue(total * weight, currency)}</span>
+              </div>
+            ))}
+            {isAllocating && weights.length === 0 && (
+              <div className="text-xs text-amber-600 dark:text-amber-400">Nothing to allocate into, kept as cash</div>
+            )}
+          </div>
+        )}
+
+        {direction === 'in' && (
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={allocate}
+              onChange={(e) => setAllocate(e.target.checked)}
+              className="accent-teal-500"
+            />
+            <span className="text-xs text-zinc-500">Allocate across current weights</span>
+          </label>
+        )}
+
+        {isAllocating && (
+          <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-teal-500" />
+        )}
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-teal-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!bg-teal-500 !w-3 !h-3"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+'use client';
+
+const CHAIN_OPTIONS = [
+  { type: 'rotate', label: '+ Rotate', className: 'bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 hover:bg-orange-200 dark:hover:bg-orange-900/50' },
+  { type: 'sell', label: '+ Sell', className: 'bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 hover:bg-red-200 dark:hover:bg-red-900/50' },
+  { type: 'buy', label: '+ Buy', className: 'bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 hover:bg-green-200 dark:hover:bg-green-900/50' },
+  { type: 'priceTarget', label: '+ Target', className: 'bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 hover:bg-cyan-200 dark:hover:bg-cyan-900/50' },
+  { type: 'allIn', label: '+ All-In', className: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 hover:bg-yellow-200 dark:hover:bg-yellow-900/50' },
+  { type: 'yield', label: '+ Yield', className: 'bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 hover:bg-purple-200 dark:hover:bg-purple-900/50' },
+  { type: 'tax', label: '+ Tax', className: 'bg-slate-100 dark:bg-slate-800/50 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-800' },
+  { type: 'rebalance', label: '+ Rebalance', className: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-200 dark:hover:bg-indigo-900/50' },
+  { type: 'dca', label: '+ DCA', className: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400 hover:bg-emerald-200 dark:hover:bg-emerald-900/50' },
+  { type: 'cashFlow', label: '+ Cash Flow', className: 'bg-teal-100 dark:bg-teal-900/30 text-teal-600 dark:text-teal-400 hover:bg-teal-200 dark:hover:bg-teal-900/50' },
+];
+
+// "Chain another action" footer shared by the action nodes
+export default function ChainButtons({ nodeId, onAddChainedNode }) {
+  return (
+    <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
+      <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
+      <div className="flex flex-wrap gap-1">
+        {CHAIN_OPTIONS.map(({ type, label, className }) => (
+          <button
+            key={type}
+            onClick={() => onAddChainedNode?.(nodeId, type)}
+            className={`px-2 py-1 rounded text-xs ${className}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,12 @@
 'use client';
 
 import { useState, useEffect, useRef, useMemo } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { getCoinPin } from '@/lib/coinPins';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
+import { sma, ema, bollinger, rsi, drawdown } from '@/lib/indicators';
 import TickerSearch from './TickerSearch';
 import MathInput from './MathInput';
 
@@ -12,6 +18,25 @@ const RANGES = [
   { label: '5Y', days: 1825 },
 ];
 
+// A period turns a moving-average style indicator on; null leaves it off
+const DEFAULT_INDICATORS = { sma: null, ema: null, bollinger: null, rsi: null, drawdown: false };
+
+const INDICATORS = [
+  { key: 'sma', label: 'SMA', defaultPeriod: 20, color: '#f59e0b' },
+  { key: 'ema', label: 'EMA', defaultPeriod: 50, color: '#8b5cf6' },
+  { key: 'bollinger', label: 'BB', defaultPeriod: 20, color: '#0ea5e9' },
+  { key: 'rsi', label: 'RSI', defaultPeriod: 14, color: '#ec4899' },
+  { key: 'drawdown', label: 'Drawdown' },
+];
+
+// Overlay mode line colors, assigned by ticker position
+const SERIES_COLORS = ['#0ea5e9', '#f59e0b', '#8b5cf6', '#10b981', '#ef4444', '#ec4899', '#14b8a6', '#64748b'];
+
+const MIN_INDICATOR_PERIOD = 2;
+const MAX_INDICATOR_PERIOD = 200;
+
+const indicatorColor = (key) => INDICATORS.find(ind => ind.key === key).color;
+
 function formatPrice(price) {
   if (price == null) return 'N/A';
   if (price >= 1000) return price.toLocaleString('en-US', { maximumFractionDigits: 0 });
@@ -28,6 +53,11 @@ function formatRatio(value) {
   return value.toExponential(3);
 }
 
+function formatVolume(value) {
+  if (value == null) return 'N/A';
+  return value.toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 });
+}
+
 function formatDateShort(ts) {
   const d = new Date(ts);
   const month = d.toLocaleString('en-US', { month: 'short' });
@@ -54,8 +84,11 @@ function nearestIndex(arr, target) {
   return lo;
 }
 
-async function fetchHistory(ticker, days, requestId, requestRef) {
-  const res = await fetch(`/api/price-history?symbol=${encodeURIComponent(ticker)}&days=${days}`, {
+async function fetchHistory(ticker, days, currency, pins, requestId, requestRef, { ohlc = false } = {}) {
+  const coinId = getCoinPin(ticker, pins);
+  const idParam = coinId ? `&id=${encodeURIComponent(coinId)}` : '';
+  const ohlcParam = ohlc ? '&ohlc=1' : '';
+  const res = await fetch(`/api/price-history?symbol=${encodeURIComponent(ticker)}&days=${days}&currency=${currency}${idParam}${ohlcParam}`, {
     cache: 'no-store',
   });
   if (requestId !== requestRef.current) return null;
@@ -69,19 +102,33 @@ async function fetchHistory(ticker, days, requestId, requestRef) {
 }
 
 export default function ChartNode({ data, id }) {
-  const { onInputChange, onRemove, savedInputs } = data;
+  const { onInputChange, onRemove, savedInputs, linkedHoldings, linkedSource } = data;
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
 
-  const [mode, setMode] = useState(savedInputs?.mode || 'single');
+  const [chartMode, setMode] = useState(savedInputs?.mode || 'single');
+  // While a holdings source is connected the chart always plots it
+  const mode = linkedHoldings ? 'portfolio' : chartMode;
   const [asset, setAsset] = useState(savedInputs?.asset || '');
   const [denomAsset, setDenomAsset] = useState(savedInputs?.denomAsset || '');
   const [rangeDays, setRangeDays] = useState(savedInputs?.rangeDays ?? 30);
   const [sinceDate, setSinceDate] = useState(savedInputs?.sinceDate || '');
+  const [chartStyle, setChartStyle] = useState(savedInputs?.chartStyle || 'line');
+  const [indicators, setIndicators] = useState({ ...DEFAULT_INDICATORS, ...savedInputs?.indicators });
   const [portfolio, setPortfolio] = useState(
     Array.isArray(savedInputs?.portfolio) && savedInputs.portfolio.length > 0
       ? savedInputs.portfolio
       : [{ ticker: '', quantity: '' }]
   );
+  const [overlayAssets, setOverlayAssets] = useState(
+    Array.isArray(savedInputs?.overlayAssets) && savedInputs.overlayAssets.length > 0
+      ? savedInputs.overlayAssets
+      : ['', '']
+  );
+  // 'rebased' starts every series at 100, 'percent' at 0%
+  const [overlayScale, setOverlayScale] = useState(savedInputs?.overlayScale || 'rebased');
   const [points, setPoints] = useState([]);
+  const [series, setSeries] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [hoverIdx, setHoverIdx] = useState(null);
@@ -91,9 +138,14 @@ export default function ChartNode({ data, id }) {
   // Persist inputs
   useEffect(() => {
     if (onInputChange) {
-      onInputChange(id, { mode, asset, denomAsset, rangeDays, sinceDate, portfolio });
+      onInputChange(id, {
+        mode: chartMode, asset, denomAsset, rangeDays, sinceDate, portfolio, chartStyle, indicators, overlayAssets, overlayScale,
+      });
     }
-  }, [id, mode, asset, denomAsset, rangeDays, sinceDate, portfolio, onInputChange]);
+  }, [id, chartMode, asset, denomAsset, rangeDays, sinceDate, portfolio, chartStyle, indicators, overlayAssets, overlayScale, onInputChange]);
+
+  // Candles need open/high/low, which only a single asset's history has
+  const showCandles = mode === 'single' && chartStyle === 'candles';
 
   // When sinceDate is set, compute days from today back to that date. Otherwise use the preset.
   const sinceTimestamp = useMemo(() => {
@@ -111,12 +163,20 @@ export default function ChartNode({ data, id }) {
     return rangeDays;
   }, [sinceTimestamp, rangeDays]);
 
+  // A connected Portfolio or Projected node replaces the chart's own list,
+  // so the chart follows its holdings as they change
+  const portfolioItems = useMemo(() => (linkedHoldings
+    ? linkedHoldings.map(h => ({ ticker: h.ticker, quantity: String(h.amount) }))
+    : portfolio), [linkedHoldings, portfolio]);
+
   // Serialize the portfolio in a stable way for the effect deps.
   const portfolioKey = useMemo(() => {
-    return portfolio
+    return portfolioItems
       .map(p => `${(p.ticker || '').toUpperCase().trim()}:${p.quantity || ''}`)
       .join('|');
-  }, [portfolio]);
+  }, [portfolioItems]);
+
+  const overlayKey = overlayAssets.map(t => (t || '').toUpperCase().trim()).join('|');
 
   // Fetch history when inputs change
   useEffect(() => {
@@ -124,13 +184,19 @@ export default function ChartNode({ data, id }) {
     const denom = denomAsset.toUpperCase().trim();
     const requestId = ++requestIdRef.current;
 
+    // Base-currency cash counts as signed (a projection can leave it negative); other assets
+    // only when held
     const validPortfolioItems = mode === 'portfolio'
-      ? portfolio
+      ? portfolioItems
           .map(p => ({
             ticker: (p.ticker || '').toUpperCase().trim(),
             quantity: parseFloat(p.quantity),
           }))
-          .filter(p => p.ticker && Number.isFinite(p.quantity) && p.quantity > 0)
+          .filter(p => p.ticker && Number.isFinite(p.quantity) && (isBaseCash(p.ticker, currency) ? p.quantity !== 0 : p.quantity > 0))
+      : [];
+
+    const overlayTickers = mode === 'overlay'
+      ? [...new Set(overlayKey.split('|').filter(Boolean))]
       : [];
 
     if (mode === 'portfolio') {
@@ -140,6 +206,14 @@ export default function ChartNode({ data, id }) {
         setIsLoading(false);
         return;
       }
+    } else if (mode === 'overlay') {
+      if (overlayTickers.length === 0) {
+        setPoints([]);
+        setSeries([]);
+        setError(null);
+        setIsLoading(false);
+        return;
+      }
     } else if (!ticker) {
       setPoints([]);
       setError(null);
@@ -162,7 +236,7 @@ export default function ChartNode({ data, id }) {
       setError(null);
       try {
         if (mode === 'single') {
-          const result = await fetchHistory(ticker, effectiveDays, requestId, requestIdRef);
+          const result = await fetchHistory(ticker, effectiveDays, currency, coinPins, requestId, requestIdRef, { ohlc: showCandles });
           if (!result) return;
           if (result.error) {
             setError(result.error);
@@ -176,17 +250,48 @@ export default function ChartNode({ data, id }) {
               setPoints(filtered);
             }
           }
+        } else if (mode === 'overlay') {
+          const results = await Promise.all(
+            overlayTickers.map(t => fetchHistory(t, effectiveDays, currency, coinPins, requestId, requestIdRef))
+          );
+          if (results.some(r => r === null)) return;
+
+          // Tickers without data stay in the list so the legend can say so
+          const fetched = results.map((r, i) => ({
+            ticker: overlayTickers[i],
+            points: r.error ? [] : filterSince(r.points),
+          }));
+          if (fetched.every(s => s.points.length === 0)) {
+            setError(sinceTimestamp != null ? 'No data in selected range' : 'No data available');
+          }
+          setPoints([]);
+          setSeries(fetched);
         } else if (mode === 'portfolio') {
+          // Cash in the base currency has no price history; it adds a flat amount
+          const cashTotal = validPortfolioItems
+            .filter(item => isBaseCash(item.ticker, currency))
+            .reduce((sum, item) => sum + item.quantity, 0);
+          const pricedItems = validPortfolioItems.filter(item => !isBaseCash(item.ticker, currency));
+
+          if (pricedItems.length === 0) {
+            const now = Date.now();
+            setPoints(filterSince([
+              { t: now - effectiveDays * 24 * 60 * 60 * 1000, p: cashTotal },
+              { t: now, p: cashTotal },
+            ]));
+            return;
+          }
+
           const results = await Promise.all(
-            validPortfolioItems.map(item =>
-              fetchHistory(item.ticker, effectiveDays, requestId, requestIdRef)
+            pricedItems.map(item =>
+              fetchHistory(item.ticker, effectiveDays, currency, coinPins, requestId, requestIdRef)
             )
           );
           if (results.some(r => r === null)) return;
 
           for (let i = 0; i < results.length; i++) {
             if (results[i].error || results[i].points.length === 0) {
-              setError(`No data for ${validPortfolioItems[i].ticker}`);
+              setError(`No data for ${pricedItems[i].ticker}`);
               setPoints([]);
               return;
             }
@@ -201,10 +306,10 @@ export default function ChartNode({ data, id }) {
 
           const valuePoints = [];
           for (const basePt of basePoints) {
-            let total = 0;
+            let total = cashTotal;
             let ok = true;
             for (let i = 0; i < results.length; i++) {
-              const qty = validPortfolioItems[i].quantity;
+              const qty = pricedItems[i].quantity;
               if (i === baseIdx) {
                 total += basePt.p * qty;
               } else {
@@ -235,8 +340,8 @@ export default function ChartNode({ data, id }) {
         } else {
           // Compare mode: fetch both, then divide aligned by timestamp
           const [a, b] = await Promise.all([
-            fetchHistory(ticker, effectiveDays, requestId, requestIdRef),
-            fetchHistory(denom, effectiveDays, requestId, requestIdRef),
+            fetchHistory(ticker, effectiveDays, currency, coinPins, requestId, requestIdRef),
+            fetchHistory(denom, effectiveDays, currency, coinPins, requestId, requestIdRef),
           ]);
           if (!a || !b) return;
           if (a.error || a.points.length === 0) {
@@ -293,21 +398,23 @@ export default function ChartNode({ data, id }) {
     isInitializedRef.current = true;
 
     return () => clearTimeout(timer);
-  }, [mode, asset, denomAsset, effectiveDays, sinceTimestamp, portfolioKey]);
+  }, [mode, asset, denomAsset, effectiveDays, sinceTimestamp, portfolioKey, overlayKey, currency, coinPins, showCandles]);
 
   const stats = useMemo(() => {
     if (!points || points.length === 0) return null;
     let min = Infinity;
     let max = -Infinity;
     for (const pt of points) {
-      if (pt.p < min) min = pt.p;
-      if (pt.p > max) max = pt.p;
+      const low = showCandles ? (pt.l ?? pt.p) : pt.p;
+      const high = showCandles ? (pt.h ?? pt.p) : pt.p;
+      if (low < min) min = low;
+      if (high > max) max = high;
     }
     const first = points[0].p;
     const last = points[points.length - 1].p;
     const change = first ? ((last - first) / first) * 100 : 0;
     return { min, max, first, last, change };
-  }, [points]);
+  }, [points, showCandles]);
 
   const WIDTH = 320;
   const HEIGHT = 140;
@@ -315,6 +422,24 @@ export default function ChartNode({ data, id }) {
   const PAD_RIGHT = 4;
   const PAD_TOP = 6;
   const PAD_BOTTOM = 16;
+  const VOLUME_HEIGHT = 32;
+  const RSI_HEIGHT = 40;
+  const PANE_GAP = 4;
+  // Sub-panes stack under the price area: volume (candles only), then RSI
+  const RSI_TOP = HEIGHT - PAD_BOTTOM + (showCandles ? VOLUME_HEIGHT : 0);
+  const chartHeight = RSI_TOP + (indicators.rsi && mode !== 'overlay' ? RSI_HEIGHT : 0) + PAD_BOTTOM;
+
+  const overlays = useMemo(() => {
+    if (!points || points.length === 0) return null;
+    const closes = points.map(pt => pt.p);
+    return {
+      sma: indicators.sma ? sma(closes, indicators.sma) : null,
+      ema: indicators.ema ? ema(closes, indicators.ema) : null,
+      bollinger: indicators.bollinger ? bollinger(closes, indicators.bollinger) : null,
+      rsi: indicators.rsi ? rsi(closes, indicators.rsi) : null,
+      drawdown: indicators.drawdown ? drawdown(closes) : null,
+    };
+  }, [points, indicators]);
 
   const path = useMemo(() => {
     if (!points || points.length === 0 || !stats) return null;
@@ -323,33 +448,179 @@ export default function ChartNode({ data, id }) {
     const minT = points[0].t;
     const maxT = points[points.length - 1].t;
     const tRange = Math.max(maxT - minT, 1);
-    const pRange = Math.max(stats.max - stats.min, stats.max * 0.0001 || 0.0001);
-
-    const xs = [];
-    const ys = [];
-    let d = '';
-    points.forEach((pt, i) => {
-      const x = PAD_LEFT + ((pt.t - minT) / tRange) * innerW;
-      const y = PAD_TOP + (1 - (pt.p - stats.min) / pRange) * innerH;
-      xs.push(x);
-      ys.push(y);
-      d += i === 0 ? `M ${x.toFixed(2)} ${y.toFixed(2)}` : ` L ${x.toFixed(2)} ${y.toFixed(2)}`;
+
+    // Price overlays share the price scale, so widen it to fit them
+    let scaleMin = stats.min;
+    let scaleMax = stats.max;
+    const priceOverlays = overlays
+      ? [overlays.sma, overlays.ema, overlays.bollinger?.upper, overlays.bollinger?.lower].filter(Boolean)
+      : [];
+    for (const series of priceOverlays) {
+      for (const v of series) {
+        if (v === null) continue;
+        if (v < scaleMin) scaleMin = v;
+        if (v > scaleMax) scaleMax = v;
+      }
+    }
+    const pRange = Math.max(scaleMax - scaleMin, scaleMax * 0.0001 || 0.0001);
+    const toY = (p) => PAD_TOP + (1 - (p - scaleMin) / pRange) * innerH;
+
+    // Candles sit in equal slots so the first and last bodies aren't clipped
+    const slot = innerW / points.length;
+    const xs = points.map((pt, i) => (showCandles
+      ? PAD_LEFT + slot * (i + 0.5)
+      : PAD_LEFT + ((pt.t - minT) / tRange) * innerW));
+    const ys = points.map(pt => toY(pt.p));
+
+    // Joins consecutive non-null values; a null starts a new segment
+    const seriesPath = (values, yOf) => {
+      let d = '';
+      let pen = false;
+      values.forEach((v, i) => {
+        if (v === null) {
+          pen = false;
+          return;
+        }
+        d += `${pen ? ' L' : ' M'} ${xs[i].toFixed(2)} ${yOf(v).toFixed(2)}`;
+        pen = true;
+      });
+      return d.trim();
+    };
+
+    const line = seriesPath(points.map(pt => pt.p), toY);
+    const area = `${line} L ${xs[xs.length - 1].toFixed(2)} ${(PAD_TOP + innerH).toFixed(2)} L ${xs[0].toFixed(2)} ${(PAD_TOP + innerH).toFixed(2)} Z`;
+    const result = { line, area, xs, ys };
+
+    if (overlays?.sma) result.sma = seriesPath(overlays.sma, toY);
+    if (overlays?.ema) result.ema = seriesPath(overlays.ema, toY);
+    if (overlays?.bollinger) {
+      const { upper, middle, lower } = overlays.bollinger;
+      result.bollinger = {
+        upper: seriesPath(upper, toY),
+        middle: seriesPath(middle, toY),
+        lower: seriesPath(lower, toY),
+      };
+    }
+    if (overlays?.drawdown) {
+      // Shade between the running peak and the price
+      let d = '';
+      overlays.drawdown.peak.forEach((peak, i) => {
+        d += `${i === 0 ? 'M' : ' L'} ${xs[i].toFixed(2)} ${toY(peak).toFixed(2)}`;
+      });
+      for (let i = points.length - 1; i >= 0; i--) {
+        d += ` L ${xs[i].toFixed(2)} ${ys[i].toFixed(2)}`;
+      }
+      result.drawdown = `${d} Z`;
+    }
+    if (overlays?.rsi) {
+      const rsiTop = RSI_TOP + PANE_GAP;
+      const rsiH = RSI_HEIGHT - PANE_GAP;
+      const toRsiY = (v) => rsiTop + (1 - v / 100) * rsiH;
+      result.rsi = {
+        line: seriesPath(overlays.rsi, toRsiY),
+        top: rsiTop,
+        bottom: rsiTop + rsiH,
+        overbought: toRsiY(70),
+        oversold: toRsiY(30),
+      };
+    }
+
+    if (showCandles) {
+      const bodyWidth = Math.max(1, slot * 0.7);
+      const maxVolume = Math.max(...points.map(pt => pt.v ?? 0));
+      const volumeBottom = HEIGHT - PAD_BOTTOM + VOLUME_HEIGHT;
+      const volumeRange = VOLUME_HEIGHT - PANE_GAP;
+
+      result.candles = points.map((pt, i) => {
+        const open = pt.o ?? pt.p;
+        const volumeH = maxVolume > 0 ? ((pt.v ?? 0) / maxVolume) * volumeRange : 0;
+        return {
+          x: xs[i],
+          up: pt.p >= open,
+          wickTop: toY(pt.h ?? Math.max(open, pt.p)),
+          wickBottom: toY(pt.l ?? Math.min(open, pt.p)),
+          bodyTop: toY(Math.max(open, pt.p)),
+          bodyHeight: Math.max(0.75, Math.abs(toY(open) - toY(pt.p))),
+          volumeTop: volumeBottom - volumeH,
+          volumeHeight: volumeH,
+        };
+      });
+      result.bodyWidth = bodyWidth;
+      result.hasVolume = maxVolume > 0;
+    }
+
+    return result;
+  }, [points, stats, overlays, showCandles, RSI_TOP]);
+
+  const isOverlay = mode === 'overlay';
+
+  // Overlay mode: every series rebased to its first point, on one shared time and value axis
+  const overlayChart = useMemo(() => {
+    if (!isOverlay) return null;
+    const lines = [];
+    series.forEach((s, i) => {
+      if (s.points.length === 0) return;
+      const base = s.points[0].p;
+      if (!base) return;
+      lines.push({
+        ticker: s.ticker,
+        color: SERIES_COLORS[i % SERIES_COLORS.length],
+        points: s.points.map(pt => ({
+          t: pt.t,
+          p: overlayScale === 'percent' ? (pt.p / base - 1) * 100 : (pt.p / base) * 100,
+        })),
+      });
     });
+    if (lines.length === 0) return null;
 
-    const area = `${d} L ${xs[xs.length - 1].toFixed(2)} ${(PAD_TOP + innerH).toFixed(2)} L ${xs[0].toFixed(2)} ${(PAD_TOP + innerH).toFixed(2)} Z`;
+    let minT = Infinity;
+    let maxT = -Infinity;
+    let minV = Infinity;
+    let maxV = -Infinity;
+    for (const line of lines) {
+      minT = Math.min(minT, line.points[0].t);
+      maxT = Math.max(maxT, line.points[line.points.length - 1].t);
+      for (const pt of line.points) {
+        if (pt.p < minV) minV = pt.p;
+        if (pt.p > maxV) maxV = pt.p;
+      }
+    }
+    const innerW = WIDTH - PAD_LEFT - PAD_RIGHT;
+    const innerH = HEIGHT - PAD_TOP - PAD_BOTTOM;
+    const tRange = Math.max(maxT - minT, 1);
+    const vRange = Math.max(maxV - minV, 0.0001);
+    const toX = (t) => PAD_LEFT + ((t - minT) / tRange) * innerW;
+    const toY = (v) => PAD_TOP + (1 - (v - minV) / vRange) * innerH;
+
+    for (const line of lines) {
+      line.d = line.points
+        .map((pt, i) => `${i === 0 ? 'M' : 'L'} ${toX(pt.t).toFixed(2)} ${toY(pt.p).toFixed(2)}`)
+        .join(' ');
+    }
 
-    return { line: d, area, xs, ys };
-  }, [points, stats]);
+    // Hover walks the densest series; the others are looked up by nearest timestamp
+    const timeline = lines.reduce((a, b) => (b.points.length > a.points.length ? b : a)).points.map(pt => pt.t);
+    const baseValue = overlayScale === 'percent' ? 0 : 100;
+    return {
+      lines,
+      timeline,
+      xs: timeline.map(toX),
+      baselineY: toY(baseValue),
+      toY,
+      valueAt: (line, t) => line.points[nearestIndex(line.points, t)].p,
+    };
+  }, [isOverlay, series, overlayScale]);
 
   const handleMove = (e) => {
-    if (!path || !points.length) return;
+    const xsForHover = isOverlay ? overlayChart?.xs : path?.xs;
+    if (!xsForHover || !xsForHover.length) return;
     const svg = e.currentTarget;
     const rect = svg.getBoundingClientRect();
     const xRel = ((e.clientX - rect.left) / rect.width) * WIDTH;
     let nearest = 0;
     let best = Infinity;
-    for (let i = 0; i < path.xs.length; i++) {
-      const dx = Math.abs(path.xs[i] - xRel);
+    for (let i = 0; i < xsForHover.length; i++) {
+      const dx = Math.abs(xsForHover[i] - xRel);
       if (dx < best) {
         best = dx;
         nearest = i;
@@ -370,6 +641,17 @@ export default function ChartNode({ data, id }) {
   const displayDate = hoverIdx !== null && points[hoverIdx]
     ? points[hoverIdx].t
     : (points.length ? points[points.length - 1].t : null);
+  const displayCandle = showCandles
+    ? (hoverIdx !== null && points[hoverIdx] ? points[hoverIdx] : points[points.length - 1])
+    : null;
+
+  const overlayIdx = overlayChart
+    ? (hoverIdx !== null && hoverIdx < overlayChart.timeline.length ? hoverIdx : overlayChart.timeline.length - 1)
+    : null;
+  const overlayTime = overlayChart ? overlayChart.timeline[overlayIdx] : null;
+  const formatOverlayValue = (v) => (overlayScale === 'percent'
+    ? `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`
+    : v.toFixed(2));
 
   const isCompare = mode === 'compare';
   const isPortfolio = mode === 'portfolio';
@@ -378,15 +660,57 @@ export default function ChartNode({ data, id }) {
 
   const valueDisplay = isCompare
     ? formatRatio(displayPrice)
-    : `$${formatPrice(displayPrice)}`;
+    : `${currencySymbol(currency)}${formatPrice(displayPrice)}`;
   const valueSuffix = isCompare && denomUpper ? ` ${denomUpper}` : '';
 
+  // Indicator readings at the hovered point (or the latest one)
+  const readingIdx = hoverIdx !== null && points[hoverIdx] ? hoverIdx : points.length - 1;
+  const formatLevel = (v) => (isCompare ? formatRatio(v) : formatPrice(v));
+  const readings = [];
+  if (overlays && readingIdx >= 0) {
+    if (overlays.sma?.[readingIdx] != null) {
+      readings.push({ key: 'sma', label: `SMA ${indicators.sma}`, text: formatLevel(overlays.sma[readingIdx]) });
+    }
+    if (overlays.ema?.[readingIdx] != null) {
+      readings.push({ key: 'ema', label: `EMA ${indicators.ema}`, text: formatLevel(overlays.ema[readingIdx]) });
+    }
+    if (overlays.bollinger?.middle[readingIdx] != null) {
+      const { lower, upper } = overlays.bollinger;
+      readings.push({
+        key: 'bollinger',
+        label: `BB ${indicators.bollinger}`,
+        text: `${formatLevel(lower[readingIdx])} - ${formatLevel(upper[readingIdx])}`,
+      });
+    }
+    if (overlays.rsi?.[readingIdx] != null) {
+      readings.push({ key: 'rsi', label: `RSI ${indicators.rsi}`, text: overlays.rsi[readingIdx].toFixed(1) });
+    }
+    if (overlays.drawdown) {
+      readings.push({ key: 'drawdown', label: 'DD', text: `${(overlays.drawdown.depth[readingIdx] * 100).toFixed(2)}%` });
+    }
+  }
+
   const swapAssets = () => {
     const a = asset;
     setAsset(denomAsset);
     setDenomAsset(a);
   };
 
+  const toggleIndicator = (ind) => {
+    setIndicators(prev => {
+      if (!ind.defaultPeriod) return { ...prev, [ind.key]: !prev[ind.key] };
+      return { ...prev, [ind.key]: prev[ind.key] == null ? ind.defaultPeriod : null };
+    });
+  };
+  const setIndicatorPeriod = (key, raw) => {
+    const period = parseInt(raw, 10);
+    if (!Number.isFinite(period)) return;
+    setIndicators(prev => ({
+      ...prev,
+      [key]: Math.max(MIN_INDICATOR_PERIOD, Math.min(period, MAX_INDICATOR_PERIOD)),
+    }));
+  };
+
   const updatePortfolioItem = (idx, field, value) => {
     setPortfolio(prev => prev.map((p, i) => (i === idx ? { ...p, [field]: value } : p)));
   };
@@ -397,15 +721,34 @@ export default function ChartNode({ data, id }) {
     setPortfolio(prev => prev.length <= 1 ? prev : prev.filter((_, i) => i !== idx));
   };
 
-  const hasPortfolioData = isPortfolio && portfolio.some(
+  const hasPortfolioData = isPortfolio && portfolioItems.some(
     p => (p.ticker || '').trim() && parseFloat(p.quantity) > 0
   );
   const hasChartData = isPortfolio
     ? hasPortfolioData
-    : (asset && (!isCompare || denomAsset));
+    : isOverlay
+      ? overlayAssets.some(t => (t || '').trim())
+      : (asset && (!isCompare || denomAsset));
+
+  const updateOverlayAsset = (idx, value) => {
+    setOverlayAssets(prev => prev.map((t, i) => (i === idx ? value : t)));
+  };
+  const addOverlayAsset = () => {
+    setOverlayAssets(prev => (prev.length >= SERIES_COLORS.length ? prev : [...prev, '']));
+  };
+  const removeOverlayAsset = (idx) => {
+    setOverlayAssets(prev => prev.length <= 1 ? prev : prev.filter((_, i) => i !== idx));
+  };
 
   return (
     <div className="bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[340px]">
+      {/* Accepts a Portfolio or Projected Portfolio node */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-sky-600 !w-3 !h-3"
+      />
+
       <div className="bg-sky-600 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
         <span>Chart</span>
         <button
@@ -418,28 +761,40 @@ export default function ChartNode({ data, id }) {
       </div>
 
       <div className="p-4 space-y-3">
-        <div className="flex gap-1">
-          <button
-            onClick={() => setMode('single')}
-            className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'single' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
-          >
-            Single
-          </button>
-          <button
-            onClick={() => setMode('compare')}
-            className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'compare' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
-          >
-            Compare
-          </button>
-          <button
-            onClick={() => setMode('portfolio')}
-            className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'portfolio' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
-          >
-            Portfolio
-          </button>
-        </div>
-
-        {isPortfolio ? (
+        {linkedHoldings ? (
+          <div className="text-xs text-zinc-500">
+            Plotting holdings from the connected {linkedSource === 'projected' ? 'Projected Portfolio' : 'Portfolio'}
+          </div>
+        ) : (
+          <div className="flex gap-1">
+            <button
+              onClick={() => setMode('single')}
+              className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'single' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
+            >
+              Single
+            </button>
+            <button
+              onClick={() => setMode('compare')}
+              className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'compare' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
+            >
+              Compare
+            </button>
+            <button
+              onClick={() => setMode('portfolio')}
+              className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'portfolio' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
+            >
+              Portfolio
+            </button>
+            <button
+              onClick={() => setMode('overlay')}
+              className={`flex-1 px-2 py-1 text-xs rounded ${mode === 'overlay' ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400'}`}
+            >
+              Overlay
+            </button>
+          </div>
+        )}
+
+        {isPortfolio ? (linkedHoldings ? null : (
           <div className="space-y-2">
             {portfolio.map((item, idx) => (
               <div key={idx} className="flex gap-2 items-center">
@@ -477,6 +832,53 @@ export default function ChartNode({ data, id }) {
               + Add Asset
             </button>
           </div>
+        )) : isOverlay ? (
+          <div className="space-y-2">
+            {overlayAssets.map((ticker, idx) => (
+              <div key={idx} className="flex gap-2 items-center">
+                <span
+                  className="w-2.5 h-2.5 rounded-full shrink-0"
+                  style={{ backgroundColor: SERIES_COLORS[idx % SERIES_COLORS.length] }}
+                />
+                <div className="flex-1">
+                  <TickerSearch
+                    value={ticker}
+                    onSelect={(val) => updateOverlayAsset(idx, val.toUpperCase())}
+                    className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                    placeholder="Ticker"
+                  />
+                </div>
+                <button
+                  onClick={() => removeOverlayAsset(idx)}
+                  disabled={overlayAssets.length <= 1}
+                  className="px-1.5 py-0.5 text-sm text-zinc-400 hover:text-red-500 disabled:opacity-30 disabled:hover:text-zinc-400 disabled:cursor-not-allowed"
+                  title="Remove ticker"
+                >
+                  x
+                </button>
+              </div>
+            ))}
+            <div className="flex items-center justify-between">
+              <button
+                onClick={addOverlayAsset}
+                disabled={overlayAssets.length >= SERIES_COLORS.length}
+                className="text-xs px-2 py-1 bg-sky-100 dark:bg-sky-900/30 text-sky-600 dark:text-sky-400 rounded hover:bg-sky-200 dark:hover:bg-sky-900/50 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                + Add Ticker
+              </button>
+              <div className="flex gap-1">
+                {[['rebased', 'Rebased 100'], ['percent', '% Change']].map(([scale, label]) => (
+                  <button
+                    key={scale}
+                    onClick={() => setOverlayScale(scale)}
+                    className={`px-2 py-0.5 text-xs rounded ${overlayScale === scale ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 hover:bg-zinc-200 dark:hover:bg-zinc-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
         ) : isCompare ? (
           <div className="flex items-end gap-2">
             <div className="flex-1">
@@ -558,6 +960,50 @@ export default function ChartNode({ data, id }) {
               )}
             </div>
 
+            {mode === 'single' && (
+              <div className="flex gap-1">
+                {['line', 'candles'].map(style => (
+                  <button
+                    key={style}
+                    onClick={() => setChartStyle(style)}
+                    className={`flex-1 px-2 py-1 text-xs rounded ${chartStyle === style ? 'bg-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 hover:bg-zinc-200 dark:hover:bg-zinc-700'}`}
+                  >
+                    {style === 'line' ? 'Line' : 'Candles'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {!isOverlay && (
+              <div className="flex flex-wrap gap-1 items-center">
+                {INDICATORS.map(ind => {
+                  const value = indicators[ind.key];
+                  const isOn = ind.defaultPeriod ? value != null : !!value;
+                  return (
+                    <div key={ind.key} className="flex items-center">
+                      <button
+                        onClick={() => toggleIndicator(ind)}
+                        className={`px-2 py-0.5 text-xs border ${isOn && ind.defaultPeriod ? 'rounded-l' : 'rounded'} ${isOn ? 'bg-sky-600 border-sky-600 text-white' : 'bg-zinc-100 dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700 text-zinc-600 dark:text-zinc-400 hover:bg-zinc-200 dark:hover:bg-zinc-700'}`}
+                        title={ind.defaultPeriod ? `${ind.label} period` : 'Drop from running peak'}
+                      >
+                        {ind.label}
+                      </button>
+                      {isOn && ind.defaultPeriod && (
+                        <input
+                          type="number"
+                          min={MIN_INDICATOR_PERIOD}
+                          max={MAX_INDICATOR_PERIOD}
+                          value={value}
+                          onChange={(e) => setIndicatorPeriod(ind.key, e.target.value)}
+                          className="w-10 px-1 py-0.5 text-xs border-t border-r border-b border-zinc-300 dark:border-zinc-600 rounded-r bg-white dark:bg-zinc-800 text-zinc-700 dark:text-zinc-200 focus:outline-none"
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
             {isCompare && (
               <div className="text-xs text-zinc-500">
                 {tickerUpper} priced in {denomUpper}
@@ -567,7 +1013,7 @@ export default function ChartNode({ data, id }) {
             {isPortfolio && (
               <div className="text-xs text-zinc-500">
                 Total value of{' '}
-                {portfolio
+                {portfolioItems
                   .filter(p => (p.ticker || '').trim() && parseFloat(p.quantity) > 0)
                   .map(p => `${parseFloat(p.quantity)} ${p.ticker.toUpperCase()}`)
                   .join(' + ')}
@@ -590,6 +1036,40 @@ export default function ChartNode({ data, id }) {
               </div>
             )}
 
+            {overlayChart && (
+              <div>
+                <div className="flex flex-wrap gap-x-3 gap-y-0.5 text-xs">
+                  {overlayChart.lines.map(line => {
+                    const value = overlayChart.valueAt(line, overlayTime);
+                    return (
+                      <span key={line.ticker}>
+                        <span className="font-medium" style={{ color: line.color }}>{line.ticker}</span>{' '}
+                        <span className="text-zinc-700 dark:text-zinc-300">{formatOverlayValue(value)}</span>
+                      </span>
+                    );
+                  })}
+                  {series.filter(s => s.points.length === 0).map(s => (
+                    <span key={s.ticker} className="text-zinc-400">{s.ticker} no data</span>
+                  ))}
+                </div>
+                {overlayTime && (
+                  <div className="text-xs text-zinc-500">{formatDateLong(overlayTime)}</div>
+                )}
+              </div>
+            )}
+
+            {displayCandle && displayCandle.o != null && (
+              <div className="flex justify-between text-[10px] text-zinc-500">
+                <span>O <span className="text-zinc-700 dark:text-zinc-300">{formatPrice(displayCandle.o)}</span></span>
+                <span>H <span className="text-zinc-700 dark:text-zinc-300">{formatPrice(displayCandle.h)}</span></span>
+                <span>L <span className="text-zinc-700 dark:text-zinc-300">{formatPrice(displayCandle.l)}</span></span>
+                <span>C <span className="text-zinc-700 dark:text-zinc-300">{formatPrice(displayCandle.p)}</span></span>
+                {displayCandle.v != null && (
+                  <span>Vol <span className="text-zinc-700 dark:text-zinc-300">{formatVolume(displayCandle.v)}</span></span>
+                )}
+              </div>
+            )}
+
             <div className="relative">
               {isLoading && (
                 <div className="absolute inset-0 flex items-center justify-center text-xs text-zinc-500 z-10">
@@ -603,34 +1083,137 @@ export default function ChartNode({ data, id }) {
               )}
               <svg
                 width="100%"
-                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                viewBox={`0 0 ${WIDTH} ${chartHeight}`}
                 className="block"
                 onMouseMove={handleMove}
                 onMouseLeave={handleLeave}
               >
                 {path && (
                   <>
-                    <path d={path.area} fill={lineColorDim} stroke="none" />
-                    <path d={path.line} fill="none" stroke={lineColor} strokeWidth="1.75" strokeLinejoin="round" strokeLinecap="round" />
+                    {path.drawdown && (
+                      <path d={path.drawdown} fill="rgba(239,68,68,0.18)" stroke="none" />
+                    )}
+                    {path.candles ? (
+                      path.candles.map((c, i) => {
+                        const color = c.up ? '#10b981' : '#ef4444';
+                        return (
+                          <g key={i}>
+                            {path.hasVolume && (
+                              <rect
+                                x={c.x - path.bodyWidth / 2}
+                                y={c.volumeTop}
+                                width={path.bodyWidth}
+                                height={c.volumeHeight}
+                                fill={c.up ? 'rgba(16,185,129,0.35)' : 'rgba(239,68,68,0.35)'}
+                              />
+                            )}
+                            <line x1={c.x} x2={c.x} y1={c.wickTop} y2={c.wickBottom} stroke={color} strokeWidth="0.75" />
+                            <rect
+                              x={c.x - path.bodyWidth / 2}
+                              y={c.bodyTop}
+                              width={path.bodyWidth}
+                              height={c.bodyHeight}
+                              fill={color}
+                            />
+                          </g>
+                        );
+                      })
+                    ) : (
+                      <>
+                        <path d={path.area} fill={lineColorDim} stroke="none" />
+                        <path d={path.line} fill="none" stroke={lineColor} strokeWidth="1.75" strokeLinejoin="round" strokeLinecap="round" />
+                      </>
+                    )}
+                    {path.bollinger && (
+                      <>
+                        <path d={path.bollinger.upper} fill="none" stroke={indicatorColor('bollinger')} strokeWidth="1" strokeDasharray="3 2" />
+                        <path d={path.bollinger.middle} fill="none" stroke={indicatorColor('bollinger')} strokeWidth="0.75" />
+                        <path d={path.bollinger.lower} fill="none" stroke={indicatorColor('bollinger')} strokeWidth="1" strokeDasharray="3 2" />
+                      </>
+                    )}
+                    {path.sma && (
+                      <path d={path.sma} fill="none" stroke={indicatorColor('sma')} strokeWidth="1.25" />
+                    )}
+                    {path.ema && (
+                      <path d={path.ema} fill="none" stroke={indicatorColor('ema')} strokeWidth="1.25" />
+                    )}
+                    {path.rsi && (
+                      <>
+                        <rect x={PAD_LEFT} y={path.rsi.top} width={WIDTH - PAD_LEFT - PAD_RIGHT} height={path.rsi.bottom - path.rsi.top} fill="rgba(148,163,184,0.08)" />
+                        <line x1={PAD_LEFT} x2={WIDTH - PAD_RIGHT} y1={path.rsi.overbought} y2={path.rsi.overbought} stroke="#9ca3af" strokeWidth="0.5" strokeDasharray="2 2" />
+                        <line x1={PAD_LEFT} x2={WIDTH - PAD_RIGHT} y1={path.rsi.oversold} y2={path.rsi.oversold} stroke="#9ca3af" strokeWidth="0.5" strokeDasharray="2 2" />
+                        <path d={path.rsi.line} fill="none" stroke={indicatorColor('rsi')} strokeWidth="1.25" />
+                      </>
+                    )}
                     {hoverIdx !== null && path.xs[hoverIdx] !== undefined && (
                       <>
                         <line
                           x1={path.xs[hoverIdx]}
                           x2={path.xs[hoverIdx]}
                           y1={PAD_TOP}
-                          y2={HEIGHT - PAD_BOTTOM}
+                          y2={chartHeight - PAD_BOTTOM}
                           stroke="#9ca3af"
                           strokeWidth="0.75"
                           strokeDasharray="2 2"
                         />
-                        <circle
-                          cx={path.xs[hoverIdx]}
-                          cy={path.ys[hoverIdx]}
-                          r="3"
-                          fill={lineColor}
-                          stroke="white"
-                          strokeWidth="1.5"
+                        {!path.candles && (
+                          <circle
+                            cx={path.xs[hoverIdx]}
+                            cy={path.ys[hoverIdx]}
+                            r="3"
+                            fill={lineColor}
+                            stroke="white"
+                            strokeWidth="1.5"
+                          />
+                        )}
+                      </>
+                    )}
+                  </>
+                )}
+                {overlayChart && (
+                  <>
+                    <line
+                      x1={PAD_LEFT}
+                      x2={WIDTH - PAD_RIGHT}
+                      y1={overlayChart.baselineY}
+                      y2={overlayChart.baselineY}
+                      stroke="#9ca3af"
+                      strokeWidth="0.5"
+                      strokeDasharray="2 2"
+                    />
+                    {overlayChart.lines.map(line => (
+                      <path
+                        key={line.ticker}
+                        d={line.d}
+                        fill="none"
+                        stroke={line.color}
+                        strokeWidth="1.5"
+                        strokeLinejoin="round"
+                        strokeLinecap="round"
+                      />
+                    ))}
+                    {hoverIdx !== null && overlayIdx === hoverIdx && (
+                      <>
+                        <line
+                          x1={overlayChart.xs[overlayIdx]}
+                          x2={overlayChart.xs[overlayIdx]}
+                          y1={PAD_TOP}
+                          y2={HEIGHT - PAD_BOTTOM}
+                          stroke="#9ca3af"
+                          strokeWidth="0.75"
+                          strokeDasharray="2 2"
                         />
+                        {overlayChart.lines.map(line => (
+                          <circle
+                            key={line.ticker}
+                            cx={overlayChart.xs[overlayIdx]}
+                            cy={overlayChart.toY(overlayChart.valueAt(line, overlayTime))}
+                            r="2.5"
+                            fill={line.color}
+                            stroke="white"
+                            strokeWidth="1"
+                          />
+                        ))}
                       </>
                     )}
                   </>
@@ -642,12 +1225,29 @@ export default function ChartNode({ data, id }) {
                   <span>{formatDateShort(points[points.length - 1].t)}</span>
                 </div>
               )}
+              {overlayChart && overlayChart.timeline.length > 1 && (
+                <div className="flex justify-between text-[10px] text-zinc-500 -mt-3 px-1">
+                  <span>{formatDateShort(overlayChart.timeline[0])}</span>
+                  <span>{formatDateShort(overlayChart.timeline[overlayChart.timeline.length - 1])}</span>
+                </div>
+              )}
             </div>
 
+            {readings.length > 0 && (
+              <div className="flex flex-wrap gap-x-3 text-[10px] text-zinc-500">
+                {readings.map(r => (
+                  <span key={r.key}>
+                    <span style={{ color: r.key === 'drawdown' ? '#ef4444' : indicatorColor(r.key) }}>{r.label}</span>{' '}
+                    <span className="text-zinc-700 dark:text-zinc-300">{r.text}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+
             {stats && (
               <div className="flex justify-between text-xs text-zinc-500">
-                <span>Low: <span className="text-zinc-700 dark:text-zinc-300">{isCompare ? formatRatio(stats.min) : `$${formatPrice(stats.min)}`}</span></span>
-                <span>High: <span className="text-zinc-700 dark:text-zinc-300">{isCompare ? formatRatio(stats.max) : `$${formatPrice(stats.max)}`}</span></span>
+                <span>Low: <span className="text-zinc-700 dark:text-zinc-300">{isCompare ? formatRatio(stats.min) : `${currencySymbol(currency)}${formatPrice(stats.min)}`}</span></span>
+                <span>High: <span className="text-zinc-700 dark:text-zinc-300">{isCompare ? formatRatio(stats.max) : `${currencySymbol(currency)}${formatPrice(stats.max)}`}</span></span>
               </div>
             )}
           </>
@@ -0,0 +1,170 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { fetchPrices } from '@/lib/fetchPrice';
+import { addRecentTicker } from '@/lib/recentTickers';
+import { CSV_PRESETS, detectPreset, guessMapping, hasHeaderRow, mergeHoldings, parseCsv, rowsToHoldings, usesDecimalComma } from '@/lib/holdingsCsv';
+
+const PREVIEW_ROWS = 8;
+
+const selectClass = 'w-full px-1 py-0.5 text-xs border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// Paste or drop a CSV, map its columns, preview the rows, then merge them into the portfolio
+export default function CsvImportPanel({ holdings, currency, coinPins, initialText = '', onImport, onClose }) {
+  const [text, setText] = useState(initialText);
+  const [preset, setPreset] = useState(() => detectPreset(parseCsv(initialText)));
+  const [mapping, setMapping] = useState(() => guessMapping(parseCsv(initialText), preset));
+  const [isImporting, setIsImporting] = useState(false);
+
+  const rows = useMemo(() => parseCsv(text), [text]);
+  const headers = useMemo(() => {
+    const width = Math.max(0, ...rows.map(r => r.length));
+    const names = hasHeaderRow(rows) ? rows[0] : [];
+    return Array.from({ length: width }, (_, i) => names[i] || `Column ${i + 1}`);
+  }, [rows]);
+  const decimalComma = useMemo(() => usesDecimalComma(text), [text]);
+  const { entries, skipped } = useMemo(
+    () => rowsToHoldings(rows, mapping, { decimalComma }),
+    [rows, mapping, decimalComma]
+  );
+  const merged = useMemo(() => mergeHoldings(holdings, entries), [holdings, entries]);
+  const duplicateCount = entries.length - new Set(entries.map(e => e.ticker)).size;
+  const existingTickers = useMemo(() => new Set(holdings.map(h => h.ticker)), [holdings]);
+
+  // New text re-detects the preset and columns
+  const handleTextChange = (nextText) => {
+    const nextRows = parseCsv(nextText);
+    const nextPreset = detectPreset(nextRows);
+    setText(nextText);
+    setPreset(nextPreset);
+    setMapping(guessMapping(nextRows, nextPreset));
+  };
+
+  const handlePresetChange = (nextPreset) => {
+    setPreset(nextPreset);
+    setMapping(guessMapping(rows, nextPreset));
+  };
+
+  const setColumn = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }));
+  };
+
+  // One batched price fetch for every ticker the portfolio didn't already hold
+  const handleImport = async () => {
+    if (entries.length === 0) return;
+    setIsImporting(true);
+    const priceMap = await fetchPrices(merged.newTickers, currency, coinPins);
+    const updated = merged.holdings.map(holding => {
+      if (!merged.newTickers.includes(holding.ticker)) return holding;
+      const { price = null, marketCap = null, type = 'unknown', asOf } = priceMap[holding.ticker] ?? {};
+      return {
+        ...holding,
+        price,
+        marketCap,
+        type,
+        value: price ? price * holding.amount : null,
+        priceAsOf: asOf ?? null,
+      };
+    });
+    merged.newTickers.forEach(addRecentTicker);
+    setIsImporting(false);
+    onImport(updated);
+  };
+
+  return (
+    <div className="nodrag nowheel mb-4 p-3 border border-blue-300 dark:border-blue-700 rounded bg-blue-50/50 dark:bg-blue-950/30 space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="text-sm font-medium">Import CSV</span>
+        <button onClick={onClose} className="text-zinc-500 hover:text-zinc-700 dark:hover:text-zinc-300 text-xs">
+          cancel
+        </button>
+      </div>
+      <textarea
+        value={text}
+        onChange={(e) => handleTextChange(e.target.value)}
+        rows={4}
+        placeholder={'Paste CSV or drop a file on the node\nticker,amount,cost\nBTC,0.5,30000'}
+        className="w-full px-2 py-1 text-xs font-mono border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y"
+      />
+
+      {rows.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <label className="space-y-0.5">
+              <span className="text-zinc-500">Format</span>
+              <select value={preset} onChange={(e) => handlePresetChange(e.target.value)} className={selectClass}>
+                {Object.entries(CSV_PRESETS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {[['ticker', 'Ticker'], ['amount', 'Amount'], ['cost', 'Cost (optional)']].map(([field, label]) => (
+              <label key={field} className="space-y-0.5">
+                <span className="text-zinc-500">{label}</span>
+                <select value={mapping[field] ?? ''} onChange={(e) => setColumn(field, e.target.value)} className={selectClass}>
+                  {field === 'cost' && <option value="">None</option>}
+                  {headers.map((name, i) => (
+                    <option key={i} value={i}>{name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {mapping.cost !== null && (
+            <label className="flex items-center gap-1.5 text-xs text-zinc-600 dark:text-zinc-400">
+              <input
+                type="checkbox"
+                checked={mapping.costIsTotal}
+                onChange={(e) => setMapping(prev => ({ ...prev, costIsTotal: e.target.checked }))}
+              />
+              Cost column is the total for the position
+            </label>
+          )}
+
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-zinc-500 text-left">
+                <th className="font-normal">Ticker</th>
+                <th className="font-normal text-right">Amount</th>
+                <th className="font-normal text-right">Cost/unit</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.slice(0, PREVIEW_ROWS).map((entry, i) => (
+                <tr key={i}>
+                  <td className="font-mono">{entry.ticker}</td>
+                  <td className="text-right">{entry.amount.toLocaleString('en-US', { maximumFractionDigits: 8 })}</td>
+                  <td className="text-right">{entry.cost !== null ? entry.cost.toLocaleString('en-US', { maximumFractionDigits: 4 }) : '—'}</td>
+                  <td className="text-right text-[10px] text-zinc-500">{existingTickers.has(entry.ticker) ? 'adds to held' : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length > PREVIEW_ROWS && (
+            <p className="text-xs text-zinc-500">…and {entries.length - PREVIEW_ROWS} more</p>
+          )}
+          <div className="text-xs text-zinc-500 space-y-0.5">
+            <p>
+              {entries.length} row{entries.length === 1 ? '' : 's'}, {merged.newTickers.length} new ticker{merged.newTickers.length === 1 ? '' : 's'}
+              {duplicateCount > 0 && `, ${duplicateCount} duplicate${duplicateCount === 1 ? '' : 's'} merged`}
+            </p>
+            {skipped.length > 0 && (
+              <p className="text-amber-600 dark:text-amber-400" title={skipped.map(s => `Row ${s.row}: ${s.reason}`).join('\n')}>
+                {skipped.length} row{skipped.length === 1 ? '' : 's'} skipped (hover for details)
+              </p>
+            )}
+          </div>
+        </>
+      )}
+
+      <button
+        onClick={handleImport}
+        disabled={entries.length === 0 || isImporting}
+        className="w-full px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm disabled:opacity-50"
+      >
+        {isImporting ? 'Fetching prices...' : `Import ${entries.length || ''} holding${entries.length === 1 ? '' : 's'}`}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,363 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { fetchPrice } from '@/lib/fetchPrice';
+import { fetchPriceHistory } from '@/lib/fetchPriceHistory';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { useDefaultFees } from '@/lib/FeesContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
+import { DCA_FREQUENCIES, DEFAULT_DCA_FREQUENCY, accumulate, backtestSchedule, forwardSchedule, historyDays, scheduleDates } from '@/lib/dca';
+import MathInput from './MathInput';
+import TickerSearch from './TickerSearch';
+import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
+
+const MAX_PERIODS = 520;
+
+function formatPrice(price, currency) {
+  if (price >= 1) {
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
+}
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSignedValue(value, currency) {
+  return `${value < 0 ? '-' : '+'}${formatValue(Math.abs(value), currency)}`;
+}
+
+export default function DcaNode({ data, id }) {
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const defaultFees = useDefaultFees();
+  const { holdings = [], priceOverrides = {}, onDcaChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
+  const onDcaChangeRef = useRef(onDcaChange);
+  const onInputChangeRef = useRef(onInputChange);
+  const hasMountedRef = useRef(false);
+  const lastPayloadRef = useRef(undefined);
+  const priceRequestIdRef = useRef(0);
+  const historyRequestIdRef = useRef(0);
+
+  useEffect(() => {
+    onDcaChangeRef.current = onDcaChange;
+    onInputChangeRef.current = onInputChange;
+  });
+
+  const [asset, setAsset] = useState(savedInputs?.asset || '');
+  // Fetched price for an asset the chain doesn't hold: { asset, currency, price, type }
+  const [quote, setQuote] = useState(savedInputs?.quote ?? null);
+  const [amount, setAmount] = useState(savedInputs?.amount || '');
+  const [frequency, setFrequency] = useState(savedInputs?.frequency || DEFAULT_DCA_FREQUENCY);
+  const [periods, setPeriods] = useState(savedInputs?.periods || '12');
+  const [mode, setMode] = useState(savedInputs?.mode || 'backtest'); // 'backtest' or 'forward'
+  const [endPrice, setEndPrice] = useState(savedInputs?.endPrice || '');
+  const [deductCash, setDeductCash] = useState(savedInputs?.deductCash ?? true);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
+  // Backtest purchases read off price history: { key, schedule }
+  const [history, setHistory] = useState(savedInputs?.history ?? null);
+
+  const assetKey = asset.toUpperCase().trim();
+  const held = holdings.find(h => h.ticker === assetKey);
+  const override = priceOverrides[assetKey];
+  const hasQuote = quote?.asset === assetKey && quote?.currency === currency;
+  const price = override ?? held?.price ?? (hasQuote ? quote.price : null);
+  const type = override !== undefined ? 'target' : held?.type ?? (hasQuote ? quote.type : null);
+  const isFetchingPrice = !!assetKey && override === undefined && !held && !hasQuote;
+
+  const amountValue = parseFloat(amount) > 0 ? parseFloat(amount) : 0;
+  const periodCount = Math.min(MAX_PERIODS, Math.max(0, Math.floor(parseFloat(periods) || 0)));
+  const dates = useMemo(() => (periodCount > 0 ? scheduleDates(frequency, periodCount, mode) : []), [frequency, periodCount, mode]);
+  const historyKey = mode === 'backtest' && assetKey && dates.length > 0
+    ? `${currency}:${assetKey}:${frequency}:${dates[0]}:${dates.length}`
+    : null;
+  const isFetchingHistory = !!historyKey && history?.key !== historyKey;
+
+  const schedule = mode === 'backtest'
+    ? (historyKey && history?.key === historyKey ? history.schedule : [])
+    : forwardSchedule(dates, price, parseFloat(endPrice) > 0 ? parseFloat(endPrice) : price);
+
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
+  const result = accumulate(schedule, amountValue, fees ?? defaultFees);
+
+  // Fetch the current price of an asset that isn't held and has no price target
+  useEffect(() => {
+    if (!isFetchingPrice) return;
+    const requestId = ++priceRequestIdRef.current;
+    const timer = setTimeout(async () => {
+      const { price: fetched, type: fetchedType } = await fetchPrice(assetKey, currency, coinPins);
+      if (requestId !== priceRequestIdRef.current) return;
+      setQuote({ asset: assetKey, currency, price: fetched, type: fetchedType });
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [isFetchingPrice, assetKey, currency, coinPins]);
+
+  // Fetch price history for a backtest
+  useEffect(() => {
+    if (!isFetchingHistory) return;
+    const requestId = ++historyRequestIdRef.current;
+    const timer = setTimeout(async () => {
+      const { points } = await fetchPriceHistory(assetKey, historyDays(dates), currency, coinPins);
+      if (requestId !== historyRequestIdRef.current) return;
+      setHistory({ key: historyKey, schedule: backtestSchedule(points, dates) });
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [isFetchingHistory, historyKey, assetKey, dates, currency, coinPins]);
+
+  // Save inputs when they change (not on mount, when they came from savedInputs)
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    const callback = onInputChangeRef.current;
+    if (callback) {
+      callback(id, {
+        asset,
+        quote,
+        amount,
+        frequency,
+        periods,
+        mode,
+        endPrice,
+        deductCash,
+        feeInputs,
+        history,
+      });
+    }
+  }, [id, asset, quote, amount, frequency, periods, mode, endPrice, deductCash, feeInputs, history]);
+
+  // Notify parent of the purchases; a forward schedule is rebuilt on every render, so only
+  // send real changes
+  const payload = assetKey && price && amountValue > 0 && schedule.length > 0
+    ? { asset: assetKey, price, type, amount: amountValue, schedule, frequency, mode, deductCash, fees }
+    : null;
+  const payloadKey = JSON.stringify(payload);
+  useEffect(() => {
+    if (payloadKey === lastPayloadRef.current) return;
+    lastPayloadRef.current = payloadKey;
+    const callback = onDcaChangeRef.current;
+    if (callback) {
+      callback(id, JSON.parse(payloadKey));
+    }
+  }, [payloadKey, id]);
+
+  const value = result.units * (price || 0);
+
+  return (
+    <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-emerald-500 !w-3 !h-3"
+      />
+
+      <div className="bg-emerald-500 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
+        <div className="flex items-center gap-1.5">
+          <button
+            onClick={() => onShiftNode?.(id, 'left')}
+            disabled={!canShiftLeft}
+            className="text-white/70 hover:text-white hover:bg-emerald-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift left in chain"
+          >
+            ←
+          </button>
+          <NodeTypeSelector
+            currentType="dca"
+            label="DCA"
+            onReplace={(newType) => onReplaceNode?.(id, newType)}
+            hoverBgClass="hover:bg-emerald-600"
+          />
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onShiftNode?.(id, 'right')}
+            disabled={!canShiftRight}
+            className="text-white/70 hover:text-white hover:bg-emerald-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift right in chain"
+          >
+            →
+          </button>
+          <button
+            onClick={() => onToggleDisabled?.(id)}
+            className={`hover:text-white hover:bg-emerald-600 rounded px-1.5 py-0.5 text-sm ${isDisabled ? 'text-white' : 'text-white/70'}`}
+            title={isDisabled ? 'Enable node' : 'Disable node'}
+          >
+            {isDisabled ? '○' : '●'}
+          </button>
+          <button
+            onClick={() => onRemove?.(id)}
+            className="text-white/70 hover:text-white hover:bg-emerald-600 rounded px-1.5 py-0.5 text-sm"
+            title="Remove DCA"
+          >
+            x
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div>
+          <label className="block text-xs text-zinc-500 mb-1">Asset</label>
+          <TickerSearch
+            value={asset}
+            onSelect={(val) => setAsset(val)}
+            className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            placeholder="e.g. BTC, VOO"
+          />
+          {isFetchingPrice && (
+            <div className="text-xs text-zinc-500 mt-1">Fetching price...</div>
+          )}
+          {price != null && (
+            <div className={`text-xs mt-1 ${type === 'target' ? 'text-cyan-600 dark:text-cyan-400' : 'text-zinc-500'}`}>
+              Price: {formatPrice(price, currency)} {type === 'target' ? '(from target)' : `(${type})`}
+            </div>
+          )}
+          {assetKey && !isFetchingPrice && price == null && (
+            <div className="text-xs text-red-500 mt-1">Price not found</div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Per purchase</label>
+            <div className="relative">
+              <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
+              <MathInput
+                value={amount}
+                onChange={(val) => setAmount(val)}
+                step="any"
+                className="w-full pl-6 pr-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                placeholder="0.00"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Purchases</label>
+            <MathInput
+              value={periods}
+              onChange={(val) => setPeriods(val)}
+              step="1"
+              className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              placeholder="12"
+              title={`Up to ${MAX_PERIODS}`}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <select
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="flex-1 px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          >
+            {Object.entries(DCA_FREQUENCIES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <div className="flex text-xs">
+            {[['backtest', 'Backtest'], ['forward', 'Forward']].map(([key, label], i) => (
+              <button
+                key={key}
+                onClick={() => setMode(key)}
+                className={`px-2 py-1.5 border ${i === 0 ? 'rounded-l' : 'rounded-r border-l-0'} ${
+                  mode === key
+                    ? 'bg-emerald-500 text-white border-emerald-500'
+                    : 'bg-white dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 border-zinc-300 dark:border-zinc-600'
+                }`}
+                title={key === 'backtest' ? 'Buy at historical prices, the last purchase today' : 'Buy along a price path starting today'}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {mode === 'forward' && (
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Price at the last purchase</label>
+            <div className="relative">
+              <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
+              <MathInput
+                value={endPrice}
+                onChange={(val) => setEndPrice(val)}
+                step="any"
+                className="w-full pl-6 pr-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                placeholder={price ? String(price) : 'current price'}
+              />
+            </div>
+          </div>
+        )}
+
+        {isFetchingHistory && (
+          <div className="text-xs text-zinc-500">Fetching price history...</div>
+        )}
+        {mode === 'backtest' && !isFetchingHistory && historyKey && schedule.length < dates.length && (
+          <div className="text-xs text-amber-600 dark:text-amber-400">
+            Price history covers {schedule.length} of {dates.length} purchases
+          </div>
+        )}
+
+        {result.units > 0 && (
+          <div className="bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800 rounded p-3 space-y-1">
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>{schedule[0].date} → {schedule[schedule.length - 1].date}</span>
+              <span>{schedule.length} buys</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-zinc-500">Invested</span>
+              <span>{formatValue(result.invested, currency)}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-zinc-500">Accumulated</span>
+              <span className="font-semibold text-emerald-700 dark:text-emerald-400">{result.units.toFixed(6)} {assetKey}</span>
+            </div>
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>Average cost</span>
+              <span>{formatPrice(result.invested / result.units, currency)}</span>
+            </div>
+            {price != null && (
+              <div className="flex justify-between text-xs text-zinc-500">
+                <span>Worth now</span>
+                <span>
+                  {formatValue(value, currency)}{' '}
+                  <span className={value - result.invested < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+                    ({formatSignedValue(value - result.invested, currency)})
+                  </span>
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={deductCash}
+            onChange={(e) => setDeductCash(e.target.checked)}
+            className="accent-emerald-500"
+          />
+          <span className="text-xs text-zinc-500">Deduct from cash balance</span>
+        </label>
+
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-emerald-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-emerald-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!bg-emerald-500 !w-3 !h-3"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import MathInput from './MathInput';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+
+// Percent fee, flat fee and slippage inputs; `inputs` holds the raw strings
+export default function FeeFields({ inputs, onChange, focusRingClass = 'focus:ring-blue-500' }) {
+  const currency = useCurrency();
+  const fields = [
+    ['percent', 'Fee', '%'],
+    ['flat', 'Flat', currencySymbol(currency)],
+    ['slippageBps', 'Slippage', 'bps'],
+  ];
+
+  return (
+    <div className="grid grid-cols-3 gap-1.5">
+      {fields.map(([field, label, unit]) => (
+        <label key={field} className="block">
+          <span className="block text-[10px] text-zinc-500 mb-0.5">{label} ({unit})</span>
+          <MathInput
+            value={inputs[field]}
+            onChange={(val) => onChange({ ...inputs, [field]: val })}
+            className={`w-full px-1.5 py-1 text-xs border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 ${focusRingClass}`}
+            placeholder="0"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
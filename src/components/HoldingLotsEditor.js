@@ -0,0 +1,78 @@
+'use client';
+
+import MathInput from './MathInput';
+import { newLotId, today } from '@/lib/taxLots';
+
+const inputClass = 'px-1 py-0 text-right text-zinc-600 dark:text-zinc-400 border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-900 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const parseCell = (raw) => {
+  const trimmed = typeof raw === 'string' ? raw.trim() : raw;
+  if (trimmed === '' || trimmed === null || trimmed === undefined) return null;
+  const value = parseFloat(trimmed);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+
+// Dated tax lots for one holding. The first lot added keeps what the holding already had as an
+// undated lot, so turning lots on never changes the amount or cost basis.
+export default function HoldingLotsEditor({ holding, onChange }) {
+  const lots = holding.lots ?? [];
+
+  const updateLot = (lotId, changes) => {
+    onChange(lots.map(lot => (lot.id === lotId ? { ...lot, ...changes } : lot)));
+  };
+
+  const updateNumber = (lotId, field, raw) => {
+    const value = parseCell(raw);
+    if (value === undefined) return;
+    updateLot(lotId, { [field]: field === 'amount' ? (value ?? 0) : value });
+  };
+
+  const addLot = () => {
+    const existing = lots.length === 0 && holding.amount > 0
+      ? [{ id: newLotId(), date: null, amount: holding.amount, cost: holding.cost ?? null }]
+      : lots;
+    onChange([...existing, { id: newLotId(), date: today(), amount: 0, cost: holding.price ?? null }]);
+  };
+
+  return (
+    <div className="nodrag mt-1 space-y-1 text-[10px]">
+      {lots.map((lot) => (
+        <div key={lot.id} className="flex items-center justify-end gap-1">
+          <input
+            type="date"
+            value={lot.date ?? ''}
+            onChange={(e) => updateLot(lot.id, { date: e.target.value || null })}
+            className={`w-24 ${inputClass}`}
+            title="Acquired (leave empty if unknown)"
+          />
+          <MathInput
+            value={String(lot.amount)}
+            onChange={(val) => updateNumber(lot.id, 'amount', val)}
+            className={`w-14 ${inputClass}`}
+            title="Units"
+          />
+          <span className="text-zinc-500">@</span>
+          <MathInput
+            placeholder="—"
+            value={lot.cost != null ? String(lot.cost) : ''}
+            onChange={(val) => updateNumber(lot.id, 'cost', val)}
+            className={`w-14 ${inputClass}`}
+            title="Cost per unit"
+          />
+          <button
+            onClick={() => onChange(lots.filter(l => l.id !== lot.id))}
+            className="text-red-500 hover:text-red-700"
+            title="Remove lot"
+          >
+            x
+          </button>
+        </div>
+      ))}
+      <div className="text-right">
+        <button onClick={addLot} className="text-blue-600 dark:text-blue-400 hover:underline">
+          + Add lot
+        </button>
+      </div>
+    </div>
+  );
+}
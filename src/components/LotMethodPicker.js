@@ -0,0 +1,65 @@
+'use client';
+
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+import { LOT_METHODS, holdingLots, realizeSale } from '@/lib/taxLots';
+
+function formatGain(value, currency) {
+  const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${value < 0 ? '-' : '+'}${currencySymbol(currency)}${formatted}`;
+}
+
+const lotLabel = (lot) => {
+  const amount = lot.amount.toLocaleString('en-US', { maximumFractionDigits: 8 });
+  const cost = lot.cost != null ? ` @ ${lot.cost.toLocaleString('en-US', { maximumFractionDigits: 4 })}` : '';
+  return `${lot.date ?? 'Undated'}: ${amount}${cost}`;
+};
+
+// Lot method for a sale out of `holding`, with the realized gain it would produce.
+// Shared by the Sell and Rotate nodes; focusRingClass matches the node's theme.
+export default function LotMethodPicker({ holding, sellAmount, sellValue, method, lotId, onMethodChange, onLotChange, focusRingClass }) {
+  const currency = useCurrency();
+  const lots = holdingLots(holding);
+  const sale = sellAmount > 0 ? realizeSale(lots, sellAmount, sellValue, { method, lotId }) : null;
+  const selectClass = `w-full px-2 py-1 text-xs border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 ${focusRingClass}`;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2">
+        <label className="text-xs text-zinc-500 whitespace-nowrap">Lots</label>
+        <select value={method} onChange={(e) => onMethodChange(e.target.value)} className={selectClass}>
+          {Object.entries(LOT_METHODS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {method === 'specific' && (
+        <select value={lotId ?? ''} onChange={(e) => onLotChange(e.target.value || null)} className={selectClass}>
+          <option value="">Select lot...</option>
+          {lots.map((lot) => (
+            <option key={lot.id} value={lot.id}>{lotLabel(lot)}</option>
+          ))}
+        </select>
+      )}
+      {sale && (
+        <div className="text-xs text-zinc-500 space-y-0.5">
+          <div className="flex justify-between">
+            <span>Realized gain</span>
+            <span className={sale.shortTerm + sale.longTerm < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+              {formatGain(sale.shortTerm + sale.longTerm, currency)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span>Short {formatGain(sale.shortTerm, currency)}</span>
+            <span>Long {formatGain(sale.longTerm, currency)}</span>
+          </div>
+          {sale.unknownBasisUnits > 0 && (
+            <div className="text-amber-600 dark:text-amber-400">
+              No cost basis for {sale.unknownBasisUnits.toLocaleString('en-US', { maximumFractionDigits: 8 })} units
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
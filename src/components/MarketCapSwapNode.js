@@ -3,6 +3,9 @@
 import { useEffect, useRef, useState } from 'react';
 import { fetchPrice } from '@/lib/fetchPrice';
 import TickerSearch from './TickerSearch';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
 
 function formatPrice(price) {
   if (price >= 1) {
@@ -11,11 +14,12 @@ function formatPrice(price) {
   return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 8 });
 }
 
-function formatMarketCap(value) {
-  if (value >= 1e12) return `$${(value / 1e12).toFixed(2)}T`;
-  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
-  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
-  return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+function formatMarketCap(value, currency) {
+  const symbol = currencySymbol(currency);
+  if (value >= 1e12) return `${symbol}${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `${symbol}${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${symbol}${(value / 1e6).toFixed(2)}M`;
+  return `${symbol}${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
 }
 
 function parseMarketCapInput(value) {
@@ -33,10 +37,10 @@ function parseMarketCapInput(value) {
   return num;
 }
 
-function getDirectAssetData(ticker) {
+function getDirectAssetData(ticker, currency) {
   if (!ticker) return null;
   const key = ticker.toUpperCase().trim();
-  if (key === 'USD' || key === 'CASH') {
+  if (isBaseCash(key, currency)) {
     return { price: 1, marketCap: null, type: 'cash' };
   }
   return null;
@@ -44,8 +48,10 @@ function getDirectAssetData(ticker) {
 
 export default function MarketCapSwapNode({ data, id }) {
   const { onInputChange, onRemove, savedInputs } = data;
-  const savedFromDirectData = getDirectAssetData(savedInputs?.fromAsset);
-  const savedToDirectData = getDirectAssetData(savedInputs?.toAsset);
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const savedFromDirectData = getDirectAssetData(savedInputs?.fromAsset, currency);
+  const savedToDirectData = getDirectAssetData(savedInputs?.toAsset, currency);
 
   const [mode, setMode] = useState(savedInputs?.mode || 'swap');
   const [fromAsset, setFromAsset] = useState(savedInputs?.fromAsset || '');
@@ -70,13 +76,13 @@ export default function MarketCapSwapNode({ data, id }) {
       return;
     }
 
-    if (assetKey === 'USD' || assetKey === 'CASH') {
+    if (isBaseCash(assetKey, currency)) {
       return;
     }
 
     const timer = setTimeout(async () => {
       setIsFetchingFromData(true);
-      const { price, marketCap, type } = await fetchPrice(assetKey);
+      const { price, marketCap, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== fromRequestIdRef.current) return;
       setFromPrice(price);
       setFromMarketCap(marketCap);
@@ -85,7 +91,7 @@ export default function MarketCapSwapNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [fromAsset]);
+  }, [fromAsset, currency, coinPins]);
 
   useEffect(() => {
     if (mode !== 'swap') return;
@@ -96,13 +102,13 @@ export default function MarketCapSwapNode({ data, id }) {
       return;
     }
 
-    if (assetKey === 'USD' || assetKey === 'CASH') {
+    if (isBaseCash(assetKey, currency)) {
       return;
     }
 
     const timer = setTimeout(async () => {
       setIsFetchingToData(true);
-      const { price, marketCap, type } = await fetchPrice(assetKey);
+      const { price, marketCap, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== toRequestIdRef.current) return;
       setToPrice(price);
       setToMarketCap(marketCap);
@@ -111,7 +117,7 @@ export default function MarketCapSwapNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [toAsset, mode]);
+  }, [toAsset, mode, currency, coinPins]);
 
   useEffect(() => {
     if (onInputChange) {
@@ -133,7 +139,7 @@ export default function MarketCapSwapNode({ data, id }) {
   const handleFromAssetChange = (value) => {
     const nextValue = value.toUpperCase();
     if (nextValue === fromAsset) return;
-    const direct = getDirectAssetData(nextValue);
+    const direct = getDirectAssetData(nextValue, currency);
     setIsFetchingFromData(false);
     setFromAsset(nextValue);
     if (!nextValue.trim()) {
@@ -156,7 +162,7 @@ export default function MarketCapSwapNode({ data, id }) {
   const handleToAssetChange = (value) => {
     const nextValue = value.toUpperCase();
     if (nextValue === toAsset) return;
-    const direct = getDirectAssetData(nextValue);
+    const direct = getDirectAssetData(nextValue, currency);
     setIsFetchingToData(false);
     setToAsset(nextValue);
     if (!nextValue.trim()) {
@@ -198,7 +204,7 @@ export default function MarketCapSwapNode({ data, id }) {
 
   const resultLabel = mode === 'swap' && toAsset
     ? (<>If <span className="font-semibold">{fromAsset.toUpperCase()}</span> had <span className="font-semibold">{toAsset.toUpperCase()}</span> market cap, its price would be:</>)
-    : targetMarketCap ? (<>If <span className="font-semibold">{fromAsset.toUpperCase()}</span> had a <span className="font-semibold">{formatMarketCap(targetMarketCap)}</span> market cap, its price would be:</>) : null;
+    : targetMarketCap ? (<>If <span className="font-semibold">{fromAsset.toUpperCase()}</span> had a <span className="font-semibold">{formatMarketCap(targetMarketCap, currency)}</span> market cap, its price would be:</>) : null;
 
   const hasTarget = mode === 'swap' ? !!toAsset : parsedCustomMarketCap !== null;
 
@@ -279,7 +285,7 @@ export default function MarketCapSwapNode({ data, id }) {
               )}
               {parsedCustomMarketCap !== null && (
                 <div className="text-xs text-zinc-500 mt-1">
-                  = {formatMarketCap(parsedCustomMarketCap)}
+                  = {formatMarketCap(parsedCustomMarketCap, currency)}
                 </div>
               )}
             </div>
@@ -292,7 +298,7 @@ export default function MarketCapSwapNode({ data, id }) {
               {isFetchingFromData
                 ? 'Fetching asset data...'
                 : (fromPrice !== null
-                  ? `${fromAsset.toUpperCase()}: $${formatPrice(fromPrice)} (${fromType}) | MCap: ${fromMarketCap ? formatMarketCap(fromMarketCap) : 'N/A'}`
+                  ? `${fromAsset.toUpperCase()}: ${currencySymbol(currency)}${formatPrice(fromPrice)} (${fromType}) | MCap: ${fromMarketCap ? formatMarketCap(fromMarketCap, currency) : 'N/A'}`
                   : 'Asset data not found')}
             </div>
           )}
@@ -301,7 +307,7 @@ export default function MarketCapSwapNode({ data, id }) {
               {isFetchingToData
                 ? 'Fetching comparison market cap...'
                 : (toPrice !== null || toMarketCap !== null
-                  ? `${toAsset.toUpperCase()}: Price $${toPrice !== null ? formatPrice(toPrice) : 'N/A'} (${toType || 'unknown'}) | MCap: ${toMarketCap ? formatMarketCap(toMarketCap) : 'N/A'}`
+                  ? `${toAsset.toUpperCase()}: Price ${toPrice !== null ? `${currencySymbol(currency)}${formatPrice(toPrice)}` : 'N/A'} (${toType || 'unknown'}) | MCap: ${toMarketCap ? formatMarketCap(toMarketCap, currency) : 'N/A'}`
                   : 'Comparison asset data not found')}
             </div>
           )}
@@ -313,7 +319,7 @@ export default function MarketCapSwapNode({ data, id }) {
               {resultLabel}
             </div>
             <div className="text-base font-semibold text-cyan-700 dark:text-cyan-400 mt-1">
-              ${formatPrice(swappedPrice)}
+              {currencySymbol(currency)}{formatPrice(swappedPrice)}
             </div>
           </div>
         )}
@@ -0,0 +1,326 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
+import { fetchPriceHistory } from '@/lib/fetchPriceHistory';
+import { formatYears } from '@/lib/timeline';
+import {
+  DEFAULT_MC_HISTORY_DAYS,
+  DEFAULT_MC_PATHS,
+  MC_HISTORY_WINDOWS,
+  MC_PATH_COUNTS,
+  estimateParameters,
+} from '@/lib/monteCarlo';
+import MathInput from './MathInput';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const MAX_YEARS = 50;
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatCompact(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 1 })}`;
+}
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Percentile bands over time: 5th-95th, 25th-75th and the median
+function FanChart({ result, target, currency }) {
+  const { times, percentiles } = result;
+  const horizon = times[times.length - 1];
+  const lows = percentiles[5];
+  const highs = percentiles[95];
+  const min = Math.min(...lows, target ?? Infinity);
+  const max = Math.max(...highs, target ?? -Infinity);
+  const range = max - min || 1;
+  const x = (t) => (t / horizon) * WIDTH;
+  const y = (v) => HEIGHT - 2 - ((v - min) / range) * (HEIGHT - 4);
+  const line = (values) => values.map((v, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const band = (lower, upper) => `${line(upper)} ${lower
+    .map((v, i) => [x(times[i]), y(v)])
+    .reverse()
+    .map(([px, py]) => `L${px.toFixed(1)},${py.toFixed(1)}`)
+    .join(' ')} Z`;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-28" preserveAspectRatio="none">
+        <path d={band(percentiles[5], percentiles[95])} fill="rgba(192,38,211,0.12)" stroke="none" />
+        <path d={band(percentiles[25], percentiles[75])} fill="rgba(192,38,211,0.25)" stroke="none" />
+        <path d={line(percentiles[50])} fill="none" stroke="#c026d3" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        {target !== null && (
+          <line
+            x1="0"
+            x2={WIDTH}
+            y1={y(target)}
+            y2={y(target)}
+            stroke="#f59e0b"
+            strokeWidth="1"
+            strokeDasharray="4 3"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+      <div className="flex justify-between text-xs text-zinc-500">
+        <span>Today</span>
+        <span>{formatCompact(min, currency)} – {formatCompact(max, currency)}</span>
+        <span>{formatYears(horizon)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default function MonteCarloNode({ data, id }) {
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const { onInputChange, onRemove, savedInputs, linkedHoldings, linkedSource } = data;
+  const onInputChangeRef = useRef(onInputChange);
+  const hasMountedRef = useRef(false);
+  const historyRequestIdRef = useRef(0);
+  const workerRef = useRef(null);
+
+  useEffect(() => {
+    onInputChangeRef.current = onInputChange;
+  });
+
+  const [years, setYears] = useState(savedInputs?.years || '5');
+  const [paths, setPaths] = useState(savedInputs?.paths ?? DEFAULT_MC_PATHS);
+  const [historyDays, setHistoryDays] = useState(savedInputs?.historyDays ?? DEFAULT_MC_HISTORY_DAYS);
+  const [target, setTarget] = useState(savedInputs?.target || '');
+  // Daily closes of the linked tickers: { key, histories: { [ticker]: [{ t, p }] } }
+  const [history, setHistory] = useState(null);
+  // Latest finished simulation: { key, result, error }
+  const [outcome, setOutcome] = useState(null);
+
+  const holdings = useMemo(() => linkedHoldings ?? [], [linkedHoldings]);
+  // Keyed on the joined list so re-renders with the same tickers don't restart a fetch
+  const tickerList = [...new Set(holdings.filter(h => !isBaseCash(h.ticker, currency) && (h.value || 0) > 0).map(h => h.ticker))]
+    .sort()
+    .join(',');
+  const tickers = useMemo(() => (tickerList ? tickerList.split(',') : []), [tickerList]);
+  const historyKey = tickers.length > 0 ? `${currency}:${historyDays}:${tickers.join(',')}` : null;
+  const isFetchingHistory = !!historyKey && history?.key !== historyKey;
+  const params = useMemo(
+    () => (historyKey && history?.key === historyKey ? estimateParameters(history.histories) : null),
+    [history, historyKey]
+  );
+
+  const yearsValue = Math.min(MAX_YEARS, parseFloat(years) > 0 ? parseFloat(years) : 0);
+  const targetValue = parseFloat(target) > 0 ? parseFloat(target) : null;
+  const totalValue = holdings.reduce((sum, h) => sum + (h.value || 0), 0);
+  const values = params
+    ? params.tickers.map(ticker => holdings.filter(h => h.ticker === ticker).reduce((sum, h) => sum + (h.value || 0), 0))
+    : [];
+  const fixedValue = totalValue - values.reduce((sum, v) => sum + v, 0);
+  const unmodeled = params ? tickers.filter(t => !params.tickers.includes(t)) : [];
+
+  const simulation = params && yearsValue > 0
+    ? { params, values, fixedValue, years: yearsValue, paths, target: targetValue }
+    : null;
+  const simulationKey = simulation ? JSON.stringify(simulation) : null;
+  const isSimulating = !!simulationKey && outcome?.key !== simulationKey;
+  const result = simulationKey && outcome?.key === simulationKey ? outcome.result : null;
+  const simulationError = simulationKey && outcome?.key === simulationKey ? outcome.error : null;
+
+  // Simulations run in a worker so thousands of paths don't block the canvas
+  useEffect(() => {
+    const worker = new Worker(new URL('../lib/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data: message }) => {
+      setOutcome({ key: message.id, result: message.result ?? null, error: message.error ?? null });
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  // Fetch the history the parameters are estimated from
+  useEffect(() => {
+    if (!isFetchingHistory) return;
+    const requestId = ++historyRequestIdRef.current;
+    const timer = setTimeout(async () => {
+      const fetched = await Promise.all(tickers.map(ticker => fetchPriceHistory(ticker, historyDays, currency, coinPins)));
+      if (requestId !== historyRequestIdRef.current) return;
+      setHistory({
+        key: historyKey,
+        histories: Object.fromEntries(tickers.map((ticker, i) => [ticker, fetched[i].points])),
+      });
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [isFetchingHistory, historyKey, tickers, historyDays, currency, coinPins]);
+
+  // Run the simulation when its inputs settle
+  useEffect(() => {
+    if (!isSimulating) return;
+    const timer = setTimeout(() => {
+      workerRef.current?.postMessage({ id: simulationKey, ...JSON.parse(simulationKey) });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [isSimulating, simulationKey]);
+
+  // Save inputs when they change (not on mount, when they came from savedInputs)
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    const callback = onInputChangeRef.current;
+    if (callback) {
+      callback(id, { years, paths, historyDays, target });
+    }
+  }, [id, years, paths, historyDays, target]);
+
+  return (
+    <div className="bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[340px]">
+      {/* Accepts a Portfolio or Projected Portfolio node */}
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-fuchsia-600 !w-3 !h-3"
+      />
+
+      <div className="bg-fuchsia-600 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
+        <span>Monte Carlo</span>
+        <button
+          onClick={() => onRemove?.(id)}
+          className="text-white/70 hover:text-white hover:bg-fuchsia-700 rounded px-1.5 py-0.5 text-sm"
+          title="Remove Monte Carlo"
+        >
+          x
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="text-xs text-zinc-500">
+          {linkedHoldings
+            ? `Simulating holdings from the connected ${linkedSource === 'projected' ? 'Projected Portfolio' : 'Portfolio'}: ${formatValue(totalValue, currency)}`
+            : 'Connect a Portfolio or Projected Portfolio node'}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Horizon (years)</label>
+            <MathInput
+              value={years}
+              onChange={(val) => setYears(val)}
+              step="any"
+              className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-fuchsia-500"
+              placeholder="5"
+              title={`Up to ${MAX_YEARS} years`}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Target value</label>
+            <div className="relative">
+              <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
+              <MathInput
+                value={target}
+                onChange={(val) => setTarget(val)}
+                step="any"
+                className="w-full pl-6 pr-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-fuchsia-500"
+                placeholder="optional"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Paths</label>
+            <select
+              value={paths}
+              onChange={(e) => setPaths(Number(e.target.value))}
+              className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-fuchsia-500"
+            >
+              {MC_PATH_COUNTS.map(count => (
+                <option key={count} value={count}>{count.toLocaleString('en-US')}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-500 mb-1">Estimate from</label>
+            <select
+              value={historyDays}
+              onChange={(e) => setHistoryDays(Number(e.target.value))}
+              className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-fuchsia-500"
+            >
+              {Object.entries(MC_HISTORY_WINDOWS).map(([days, label]) => (
+                <option key={days} value={days}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {isFetchingHistory && (
+          <div className="text-xs text-zinc-500">Fetching price history...</div>
+        )}
+        {historyKey && !isFetchingHistory && !params && (
+          <div className="text-xs text-red-500">Not enough overlapping price history to estimate from</div>
+        )}
+
+        {params && (
+          <div className="space-y-1">
+            <div className="flex justify-between text-xs text-zinc-400">
+              <span>{params.days} common trading days</span>
+              <span>drift / volatility per year</span>
+            </div>
+            {params.tickers.map((ticker, i) => (
+              <div key={ticker} className="flex justify-between text-xs">
+                <span className="text-zinc-600 dark:text-zinc-400">{ticker}</span>
+                <span className="text-zinc-500">
+                  <span className={params.drift[i] < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}>
+                    {formatPercent(params.drift[i])}
+                  </span>
+                  {' / '}
+                  {formatPercent(params.volatility[i])}
+                </span>
+              </div>
+            ))}
+            {unmodeled.length > 0 && (
+              <div className="text-xs text-amber-600 dark:text-amber-400">
+                No history for {unmodeled.join(', ')}; held flat
+              </div>
+            )}
+          </div>
+        )}
+
+        {isSimulating && (
+          <div className="text-xs text-zinc-500">Simulating {paths.toLocaleString('en-US')} paths...</div>
+        )}
+        {simulationError && (
+          <div className="text-xs text-red-500">Simulation failed: {simulationError}</div>
+        )}
+
+        {result && (
+          <div className="bg-fuchsia-50 dark:bg-fuchsia-900/20 border border-fuchsia-200 dark:border-fuchsia-800 rounded p-3 space-y-2">
+            <FanChart result={result} target={targetValue} currency={currency} />
+            <div className="flex justify-between text-sm">
+              <span className="text-zinc-500">Median at {formatYears(yearsValue)}</span>
+              <span className="font-semibold text-fuchsia-700 dark:text-fuchsia-400">{formatValue(result.finals[50], currency)}</span>
+            </div>
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>5th – 95th percentile</span>
+              <span>{formatCompact(result.finals[5], currency)} – {formatCompact(result.finals[95], currency)}</span>
+            </div>
+            {result.hitProbability !== null && (
+              <>
+                <div className="flex justify-between text-sm">
+                  <span className="text-zinc-500">Reaches {formatCompact(targetValue, currency)}</span>
+                  <span className="font-medium">{formatPercent(result.hitProbability)}</span>
+                </div>
+                <div className="flex justify-between text-xs text-zinc-500">
+                  <span>Ends above it</span>
+                  <span>{formatPercent(result.endAboveProbability)}</span>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+'use client';
+
+import { useState } from 'react';
+import FeeFields from './FeeFields';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useDefaultFees } from '@/lib/FeesContext';
+import { currencySymbol } from '@/lib/currency';
+import { describeFees, parseFees } from '@/lib/fees';
+
+// Fees and slippage for one action node: the canvas default unless the node sets its own
+// (`feeInputs`, null for the default). `feeTotal` is what the projection charged this node.
+export default function NodeFeeSettings({ feeInputs, onChange, feeTotal = 0, focusRingClass }) {
+  const currency = useCurrency();
+  const defaultFees = useDefaultFees();
+  const [isOpen, setIsOpen] = useState(false);
+  const fees = feeInputs ? parseFees(feeInputs) : defaultFees;
+
+  return (
+    <div className="text-xs text-zinc-500 space-y-1.5">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setIsOpen(prev => !prev)}
+          className="hover:text-zinc-700 dark:hover:text-zinc-300 text-left"
+          title="Fee and slippage settings"
+        >
+          {isOpen ? '▾' : '▸'} Fees: {describeFees(fees, currencySymbol(currency))}{feeInputs ? '' : ' (canvas)'}
+        </button>
+        {feeTotal > 0 && (
+          <span className="text-red-600 dark:text-red-400 whitespace-nowrap">
+            -{currencySymbol(currency)}{feeTotal.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+          </span>
+        )}
+      </div>
+      {isOpen && (
+        <>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!feeInputs}
+              onChange={(e) => onChange(e.target.checked ? null : {
+                percent: String(defaultFees.percent || ''),
+                flat: String(defaultFees.flat || ''),
+                slippageBps: String(defaultFees.slippageBps || ''),
+              })}
+            />
+            Use canvas default
+          </label>
+          {feeInputs && <FeeFields inputs={feeInputs} onChange={onChange} focusRingClass={focusRingClass} />}
+        </>
+      )}
+    </div>
+  );
+}
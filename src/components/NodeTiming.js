@@ -0,0 +1,89 @@
+'use client';
+
+import { useState } from 'react';
+import MathInput from './MathInput';
+import { WHEN_UNITS, formatYears } from '@/lib/timeline';
+
+function describeWhen(when) {
+  if (when?.mode === 'offset') return `in ${when.amount || 0} ${(WHEN_UNITS[when.unit] ?? WHEN_UNITS.months).label.toLowerCase()}`;
+  if (when?.mode === 'date') return `on ${when.date || '—'}`;
+  return 'after the previous step';
+}
+
+// When an action node happens on the projection timeline: `when` is null (right after the
+// action before it), an offset from today or a date. `scheduledAt` is the time the projection
+// gave it, in years from today.
+export default function NodeTiming({ when, onChange, scheduledAt, label = 'When', focusRingClass }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const mode = when?.mode ?? 'none';
+
+  const setMode = (nextMode) => {
+    if (nextMode === 'offset') onChange({ mode: 'offset', amount: '', unit: 'months' });
+    else if (nextMode === 'date') onChange({ mode: 'date', date: '' });
+    else onChange(null);
+  };
+
+  return (
+    <div className="text-xs text-zinc-500 space-y-1.5">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setIsOpen(prev => !prev)}
+          className="hover:text-zinc-700 dark:hover:text-zinc-300 text-left"
+          title="Timeline settings"
+        >
+          {isOpen ? '▾' : '▸'} {label}: {describeWhen(when)}
+        </button>
+        {scheduledAt > 0 && (
+          <span className="whitespace-nowrap">{formatYears(scheduledAt)}</span>
+        )}
+      </div>
+      {isOpen && (
+        <>
+          <div className="flex">
+            {[['none', 'Undated'], ['offset', 'In'], ['date', 'On date']].map(([key, text], i) => (
+              <button
+                key={key}
+                onClick={() => setMode(key)}
+                className={`flex-1 px-2 py-1 border ${i === 0 ? 'rounded-l' : i === 2 ? 'rounded-r border-l-0' : 'border-l-0'} ${
+                  mode === key
+                    ? 'bg-zinc-600 text-white border-zinc-600'
+                    : 'bg-white dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 border-zinc-300 dark:border-zinc-600'
+                }`}
+              >
+                {text}
+              </button>
+            ))}
+          </div>
+          {mode === 'offset' && (
+            <div className="flex items-center gap-2">
+              <MathInput
+                value={when.amount}
+                onChange={(val) => onChange({ ...when, amount: val })}
+                step="any"
+                className={`flex-1 px-2 py-1 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 ${focusRingClass}`}
+                placeholder="6"
+              />
+              <select
+                value={when.unit}
+                onChange={(e) => onChange({ ...when, unit: e.target.value })}
+                className={`px-2 py-1 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 ${focusRingClass}`}
+              >
+                {Object.entries(WHEN_UNITS).map(([key, unit]) => (
+                  <option key={key} value={key}>{unit.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {mode === 'date' && (
+            <input
+              type="date"
+              value={when.date}
+              onChange={(e) => onChange({ ...when, date: e.target.value })}
+              className={`w-full px-2 py-1 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 ${focusRingClass}`}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
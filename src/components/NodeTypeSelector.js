@@ -9,6 +9,10 @@ const TYPE_OPTIONS = [
   { type: 'priceTarget', label: 'Price Target' },
   { type: 'allIn', label: 'All-In' },
   { type: 'yield', label: 'Yield' },
+  { type: 'tax', label: 'Tax' },
+  { type: 'rebalance', label: 'Rebalance' },
+  { type: 'dca', label: 'DCA' },
+  { type: 'cashFlow', label: 'Cash Flow' },
 ];
 
 export default function NodeTypeSelector({ currentType, label, onReplace, hoverBgClass = '' }) {
@@ -3,29 +3,47 @@
 import { useState, useCallback } from 'react';
 import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
+import CsvImportPanel from './CsvImportPanel';
+import HoldingLotsEditor from './HoldingLotsEditor';
 import { Handle, Position } from '@xyflow/react';
 import { fetchPrice } from '@/lib/fetchPrice';
 import { addRecentTicker } from '@/lib/recentTickers';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol } from '@/lib/currency';
+import { averageCost } from '@/lib/taxLots';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatAsOf(ts) {
+  if (!ts) return undefined;
+  return `Price as of ${new Date(ts).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'medium' })}`;
 }
 
 const EMPTY_HOLDINGS = [];
 
 export default function PortfolioNode({ data, id }) {
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
   // Use holdings from parent (allows restoration from localStorage)
   const holdings = data.holdings ?? EMPTY_HOLDINGS;
   const [newTicker, setNewTicker] = useState('');
   const [newAmount, setNewAmount] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // CSV import panel: { text, key } while open; a new key remounts it for a newly dropped file
+  const [csvImport, setCsvImport] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  // Ticker whose lot editor is open
+  const [lotsTicker, setLotsTicker] = useState(null);
 
   const addHolding = useCallback(async () => {
     if (!newTicker.trim() || !newAmount) return;
@@ -38,7 +56,7 @@ export default function PortfolioNode({ data, id }) {
     setNewAmount('');
     addRecentTicker(ticker);
 
-    const { price, marketCap, type } = await fetchPrice(ticker);
+    const { price, marketCap, type, asOf } = await fetchPrice(ticker, currency, coinPins);
 
     const newHolding = {
       ticker,
@@ -47,12 +65,13 @@ export default function PortfolioNode({ data, id }) {
       marketCap,
       type,
       value: price ? price * amount : null,
+      priceAsOf: asOf ?? null,
     };
 
     const updated = [...holdings, newHolding];
     data.onHoldingsChange?.(id, updated);
     setIsLoading(false);
-  }, [holdings, newTicker, newAmount, data, id]);
+  }, [holdings, newTicker, newAmount, data, id, currency, coinPins]);
 
   const removeHolding = useCallback((index) => {
     const updated = holdings.filter((_, i) => i !== index);
@@ -90,6 +109,48 @@ export default function PortfolioNode({ data, id }) {
     data.onHoldingsChange?.(id, updated);
   }, [holdings, data, id]);
 
+  // With lots, the holding's amount and cost are their total and average
+  const updateHoldingLots = useCallback((index, lots) => {
+    const updated = holdings.map((holding, i) => {
+      if (i !== index) return holding;
+      if (lots.length === 0) {
+        const { lots: _, ...rest } = holding;
+        return rest;
+      }
+      const amount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+      return {
+        ...holding,
+        lots,
+        amount,
+        cost: averageCost(lots),
+        value: holding.price !== null ? holding.price * amount : null,
+      };
+    });
+
+    data.onHoldingsChange?.(id, updated);
+  }, [holdings, data, id]);
+
+  const handleCsvImport = useCallback((updated) => {
+    data.onHoldingsChange?.(id, updated);
+    setCsvImport(null);
+  }, [data, id]);
+
+  // Dropping a CSV file anywhere on the node opens it in the import panel
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handleDrop = async (e) => {
+    const file = e.dataTransfer.files?.[0];
+    setIsDraggingFile(false);
+    if (!file) return;
+    e.preventDefault();
+    const text = await file.text();
+    setCsvImport(prev => ({ text, key: (prev?.key ?? 0) + 1 }));
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
       addHolding();
@@ -108,13 +169,25 @@ export default function PortfolioNode({ data, id }) {
   const returnPct = allHaveCost && totalCost > 0 ? (returnDollars / totalCost) * 100 : 0;
 
   return (
-    <div className="bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[320px]">
+    <div
+      className={`bg-white dark:bg-zinc-900 border rounded-lg shadow-lg min-w-[320px] ${isDraggingFile ? 'border-blue-500 ring-2 ring-blue-500' : 'border-zinc-300 dark:border-zinc-700'}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDraggingFile(false)}
+      onDrop={handleDrop}
+    >
       <div className="bg-blue-600 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
         <span>Portfolio Holdings</span>
         <div className="flex items-center gap-2">
           {totalValue > 0 && (
-            <span className="text-sm font-normal opacity-90">${formatValue(totalValue)}</span>
+            <span className="text-sm font-normal opacity-90">{formatValue(totalValue, currency)}</span>
           )}
+          <button
+            onClick={() => setCsvImport(prev => (prev ? null : { text: '', key: 0 }))}
+            className="text-white/70 hover:text-white hover:bg-blue-700 rounded px-1.5 py-0.5 text-xs"
+            title="Import holdings from CSV (or drop a file on the node)"
+          >
+            csv
+          </button>
           <button
             onClick={() => data.onDuplicate?.(id)}
             className="text-white/70 hover:text-white hover:bg-blue-700 rounded px-1.5 py-0.5 text-xs"
@@ -135,6 +208,17 @@ export default function PortfolioNode({ data, id }) {
       </div>
 
       <div className="p-4">
+        {csvImport && (
+          <CsvImportPanel
+            key={csvImport.key}
+            holdings={holdings}
+            currency={currency}
+            coinPins={coinPins}
+            initialText={csvImport.text}
+            onImport={handleCsvImport}
+            onClose={() => setCsvImport(null)}
+          />
+        )}
         <div className="space-y-2 mb-4 max-h-64 overflow-y-auto">
           {holdings.length === 0 && !isLoading ? (
             <p className="text-zinc-500 text-sm italic">No holdings yet</p>
@@ -157,11 +241,13 @@ export default function PortfolioNode({ data, id }) {
                       step="any"
                       value={String(holding.amount)}
                       onChange={(val) => updateHoldingAmount(index, val)}
+                      readOnly={holding.lots?.length > 0}
+                      title={holding.lots?.length > 0 ? 'Total of the lots' : undefined}
                       className="w-24 px-2 py-0.5 text-right text-zinc-600 dark:text-zinc-400 border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-900 focus:outline-none focus:ring-1 focus:ring-blue-500"
                     />
                     {holding.price !== null ? (
-                      <div className="text-xs text-zinc-500">
-                        @ ${formatPrice(holding.price)}
+                      <div className="text-xs text-zinc-500" title={formatAsOf(holding.priceAsOf)}>
+                        @ {formatPrice(holding.price, currency)}
                       </div>
                     ) : (
                       <div className="text-xs text-red-500">Price N/A</div>
@@ -179,6 +265,8 @@ export default function PortfolioNode({ data, id }) {
                             placeholder="—"
                             value={cost != null ? String(cost) : ''}
                             onChange={(val) => updateHoldingCost(index, val)}
+                            readOnly={holding.lots?.length > 0}
+                            title={holding.lots?.length > 0 ? 'Average cost of the lots' : undefined}
                             className="w-14 px-1 py-0 text-right text-zinc-600 dark:text-zinc-400 border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-900 focus:outline-none focus:ring-1 focus:ring-blue-500"
                           />
                           {pct !== null && (
@@ -186,13 +274,23 @@ export default function PortfolioNode({ data, id }) {
                               {pct >= 0 ? '+' : ''}{pct.toFixed(1)}%
                             </span>
                           )}
+                          <button
+                            onClick={() => setLotsTicker(lotsTicker === holding.ticker ? null : holding.ticker)}
+                            className="text-blue-600 dark:text-blue-400 hover:underline"
+                            title="Dated tax lots"
+                          >
+                            lots{holding.lots?.length > 0 ? ` (${holding.lots.length})` : ''}
+                          </button>
                         </div>
                       );
                     })()}
+                    {lotsTicker === holding.ticker && (
+                      <HoldingLotsEditor holding={holding} onChange={(lots) => updateHoldingLots(index, lots)} />
+                    )}
                   </div>
                   {holding.value !== null && (
                     <div className="font-medium text-green-600 dark:text-green-400 min-w-[80px] text-right">
-                      ${formatValue(holding.value)}
+                      {formatValue(holding.value, currency)}
                     </div>
                   )}
                   <button
@@ -240,7 +338,7 @@ export default function PortfolioNode({ data, id }) {
               <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 flex justify-between items-center text-sm">
                 <span className="text-zinc-500">Return</span>
                 <div className={`font-medium ${returnDollars >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                  {returnDollars >= 0 ? '+' : '-'}${formatValue(Math.abs(returnDollars))}
+                  {returnDollars >= 0 ? '+' : '-'}{formatValue(Math.abs(returnDollars), currency)}
                   <span className="ml-2 text-xs">
                     ({returnPct >= 0 ? '+' : ''}{returnPct.toFixed(2)}%)
                   </span>
@@ -321,6 +419,26 @@ export default function PortfolioNode({ data, id }) {
                 + Yield
               </button>
             </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => data.onAddRebalance?.(id)}
+                className="flex-1 px-2 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 text-sm font-medium"
+              >
+                + Rebalance
+              </button>
+              <button
+                onClick={() => data.onAddDca?.(id)}
+                className="flex-1 px-2 py-2 bg-emerald-500 text-white rounded hover:bg-emerald-600 text-sm font-medium"
+              >
+                + DCA
+              </button>
+            </div>
+            <button
+              onClick={() => data.onAddCashFlow?.(id)}
+              className="w-full px-2 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 text-sm font-medium"
+            >
+              + Cash Flow
+            </button>
           </div>
         )}
       </div>
@@ -4,25 +4,29 @@ import { useState, useEffect, useRef } from 'react';
 import MathInput from './MathInput';
 import { Handle, Position } from '@xyflow/react';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol, isCashTicker } from '@/lib/currency';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatMarketCap(marketCap) {
+function formatMarketCap(marketCap, currency) {
   if (marketCap >= 1e12) {
-    return `$${(marketCap / 1e12).toFixed(2)}T`;
+    return `${currencySymbol(currency)}${(marketCap / 1e12).toFixed(2)}T`;
   }
   if (marketCap >= 1e9) {
-    return `$${(marketCap / 1e9).toFixed(2)}B`;
+    return `${currencySymbol(currency)}${(marketCap / 1e9).toFixed(2)}B`;
   }
   if (marketCap >= 1e6) {
-    return `$${(marketCap / 1e6).toFixed(2)}M`;
+    return `${currencySymbol(currency)}${(marketCap / 1e6).toFixed(2)}M`;
   }
-  return `$${marketCap.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  return `${currencySymbol(currency)}${marketCap.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
 }
 
 function parseMarketCapInput(value) {
@@ -49,7 +53,8 @@ function formatPercent(current, target) {
 }
 
 export default function PriceTargetNode({ data, id }) {
-  const { holdings = [], onPriceTargetChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { holdings = [], onPriceTargetChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onPriceTargetChangeRef = useRef(onPriceTargetChange);
   const onInputChangeRef = useRef(onInputChange);
   onPriceTargetChangeRef.current = onPriceTargetChange;
@@ -57,8 +62,7 @@ export default function PriceTargetNode({ data, id }) {
 
   const [asset, setAsset] = useState(savedInputs?.asset || '');
   const [targetMode, setTargetMode] = useState(savedInputs?.targetMode || 'price'); // 'price' or 'marketCap'
-  // Support old format (targetPrice) and new format (targetValue)
-  const [targetValue, setTargetValue] = useState(savedInputs?.targetValue || savedInputs?.targetPrice || '');
+  const [targetValue, setTargetValue] = useState(savedInputs?.targetValue || '');
   const [isInitialized, setIsInitialized] = useState(false);
 
   const selectedHolding = holdings.find(h => h.ticker === asset);
@@ -176,9 +180,9 @@ export default function PriceTargetNode({ data, id }) {
             className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-cyan-500"
           >
             <option value="">Select asset...</option>
-            {holdings.filter(h => h.ticker !== 'USD').map((h) => (
+            {holdings.filter(h => !isCashTicker(h.ticker)).map((h) => (
               <option key={h.ticker} value={h.ticker}>
-                {h.ticker} (${h.price ? formatPrice(h.price) : 'N/A'})
+                {h.ticker} ({h.price ? formatPrice(h.price, currency) : 'N/A'})
               </option>
             ))}
           </select>
@@ -225,13 +229,13 @@ export default function PriceTargetNode({ data, id }) {
 
               {targetMode === 'price' ? (
                 <div className="relative">
-                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">$</span>
+                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
                   <MathInput
                     value={targetValue}
                     onChange={(val) => setTargetValue(val)}
                     step="any"
                     className="w-full pl-6 pr-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-cyan-500"
-                    placeholder={currentPrice ? formatPrice(currentPrice) : '0.00'}
+                    placeholder={currentPrice ? formatPrice(currentPrice, currency) : '0.00'}
                   />
                 </div>
               ) : (
@@ -251,9 +255,9 @@ export default function PriceTargetNode({ data, id }) {
 
               <div className="text-xs text-zinc-500 mt-1">
                 {targetMode === 'price' ? (
-                  <>Current: ${currentPrice ? formatPrice(currentPrice) : 'N/A'}</>
+                  <>Current: {currentPrice ? formatPrice(currentPrice, currency) : 'N/A'}</>
                 ) : (
-                  <>Current: {currentMarketCap ? formatMarketCap(currentMarketCap) : 'N/A'}</>
+                  <>Current: {currentMarketCap ? formatMarketCap(currentMarketCap, currency) : 'N/A'}</>
                 )}
               </div>
             </div>
@@ -265,12 +269,12 @@ export default function PriceTargetNode({ data, id }) {
                 </div>
                 {targetMode === 'marketCap' && (
                   <div className={`text-xs mt-1 ${percentChange >= 0 ? 'text-green-600 dark:text-green-500' : 'text-red-600 dark:text-red-500'}`}>
-                    Price at target: ${formatPrice(targetPrice)}
+                    Price at target: {formatPrice(targetPrice, currency)}
                   </div>
                 )}
                 {selectedHolding.amount && (
                   <div className={`text-xs mt-1 ${percentChange >= 0 ? 'text-green-600 dark:text-green-500' : 'text-red-600 dark:text-red-500'}`}>
-                    Position value: ${formatPrice(selectedHolding.amount * targetPrice)}
+                    Position value: {formatPrice(selectedHolding.amount * targetPrice, currency)}
                   </div>
                 )}
               </div>
@@ -284,48 +288,9 @@ export default function PriceTargetNode({ data, id }) {
           </>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} label="Reached" focusRingClass="focus:ring-cyan-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -1,24 +1,85 @@
 'use client';
 
 import { Handle, Position } from '@xyflow/react';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol, isBaseCash, isCashTicker } from '@/lib/currency';
+import { downloadFile } from '@/lib/download';
+import { projectedHoldingsCsv, projectionFileName, tradeListCsv } from '@/lib/projectionExport';
+import { formatYears } from '@/lib/timeline';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSignedValue(value, currency) {
+  return `${value < 0 ? '-' : '+'}${formatValue(Math.abs(value), currency)}`;
+}
+
+const TIMELINE_WIDTH = 288;
+const TIMELINE_HEIGHT = 64;
+
+// Total value along the projection timeline: { horizon, points: [{ t, value }] }
+function ValueOverTime({ timeline, currency }) {
+  const { horizon, points } = timeline;
+  const values = points.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const xy = points.map(p => [
+    (p.t / horizon) * TIMELINE_WIDTH,
+    TIMELINE_HEIGHT - 2 - ((p.value - min) / range) * (TIMELINE_HEIGHT - 4),
+  ]);
+  const line = xy.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const start = values[0];
+  const end = values[values.length - 1];
+
+  return (
+    <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 text-sm space-y-1">
+      <div className="flex justify-between">
+        <span className="text-zinc-500">Value Over Time</span>
+        <span className={`font-medium ${end < start ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+          {formatSignedValue(end - start, currency)}
+        </span>
+      </div>
+      <svg viewBox={`0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}`} className="w-full h-16" preserveAspectRatio="none">
+        <path
+          d={`${line} L${TIMELINE_WIDTH},${TIMELINE_HEIGHT} L0,${TIMELINE_HEIGHT} Z`}
+          fill="rgba(147,51,234,0.12)"
+          stroke="none"
+        />
+        <path d={line} fill="none" stroke="#9333ea" strokeWidth="1.5" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-xs text-zinc-500">
+        <span>Today {formatValue(start, currency)}</span>
+        <span>{formatYears(horizon)} {formatValue(end, currency)}</span>
+      </div>
+    </div>
+  );
 }
 
 export default function ProjectedPortfolioNode({ data }) {
-  const { projectedHoldings = [], originalHoldings = [] } = data;
+  const currency = useCurrency();
+  const { projectedHoldings = [], originalHoldings = [], trades = [], realizedGains = null, taxPaid = 0, feesPaid = 0, netCashFlow = 0, timeline = null } = data;
+  const hasSales = trades.some(t => t.side === 'SELL');
 
-  // For percentage calculations, treat negative USD as 0
+  const exportHoldings = () => {
+    downloadFile(projectionFileName('projected-holdings'), projectedHoldingsCsv(projectedHoldings, originalHoldings, currency), 'text/csv');
+  };
+
+  const exportTrades = () => {
+    downloadFile(projectionFileName('trades'), tradeListCsv(trades, currency), 'text/csv');
+  };
+
+  // For percentage calculations, treat negative cash as 0
   const totalValue = projectedHoldings.reduce((sum, h) => {
-    if (h.ticker === 'USD' && h.value < 0) return sum;
+    if (isCashTicker(h.ticker) && h.value < 0) return sum;
     return sum + (h.value || 0);
   }, 0);
   const originalTotal = originalHoldings.reduce((sum, h) => sum + (h.value || 0), 0);
@@ -48,7 +109,7 @@ export default function ProjectedPortfolioNode({ data }) {
       <div className="bg-purple-600 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
         <span>Projected Portfolio</span>
         {totalValue > 0 && (
-          <span className="text-sm font-normal opacity-90">${formatValue(totalValue)}</span>
+          <span className="text-sm font-normal opacity-90">{formatValue(totalValue, currency)}</span>
         )}
       </div>
 
@@ -87,15 +148,15 @@ export default function ProjectedPortfolioNode({ data }) {
                       <div className={holding.amount < 0 ? 'text-red-600 dark:text-red-400' : 'text-zinc-600 dark:text-zinc-400'}>
                         {holding.amount < 0 ? '' : ''}{holding.amount.toFixed(Math.abs(holding.amount) < 1 ? 6 : 4)}
                       </div>
-                      {holding.price !== null && holding.ticker !== 'USD' && (
+                      {holding.price !== null && !isBaseCash(holding.ticker, currency) && (
                         <div className="text-xs text-zinc-500">
-                          @ ${formatPrice(holding.price)}
+                          @ {formatPrice(holding.price, currency)}
                         </div>
                       )}
                     </div>
                     {holding.value !== null && (
                       <div className={`font-medium min-w-[80px] text-right ${holding.value < 0 ? 'text-red-600 dark:text-red-400' : 'text-purple-600 dark:text-purple-400'}`}>
-                        {holding.value < 0 ? '-$' : '$'}{formatValue(Math.abs(holding.value))}
+                        {holding.value < 0 ? '-' : ''}{formatValue(Math.abs(holding.value), currency)}
                       </div>
                     )}
                   </div>
@@ -116,8 +177,8 @@ export default function ProjectedPortfolioNode({ data }) {
                 const originalPct = originalTotal > 0 && originalHolding
                   ? (originalHolding.value || 0) / originalTotal * 100
                   : 0;
-                // Show 0% for negative USD (cash spent)
-                const holdingValue = holding.ticker === 'USD' && holding.value < 0 ? 0 : (holding.value || 0);
+                // Show 0% for negative cash (cash spent)
+                const holdingValue = isCashTicker(holding.ticker) && holding.value < 0 ? 0 : (holding.value || 0);
                 const newPct = totalValue > 0 ? holdingValue / totalValue * 100 : 0;
                 const pctChange = newPct - originalPct;
 
@@ -142,7 +203,77 @@ export default function ProjectedPortfolioNode({ data }) {
             </div>
           </div>
         )}
+
+        {realizedGains && hasSales && (
+          <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-zinc-500">Realized Gains</span>
+              <span className={`font-medium ${realizedGains.shortTerm + realizedGains.longTerm < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                {formatSignedValue(realizedGains.shortTerm + realizedGains.longTerm, currency)}
+              </span>
+            </div>
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>Short term {formatSignedValue(realizedGains.shortTerm, currency)}</span>
+              <span>Long term {formatSignedValue(realizedGains.longTerm, currency)}</span>
+            </div>
+            {taxPaid > 0 && (
+              <div className="flex justify-between">
+                <span className="text-zinc-500">Estimated Tax</span>
+                <span className="font-medium text-red-600 dark:text-red-400">-{formatValue(taxPaid, currency)}</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {feesPaid > 0 && (
+          <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 text-sm flex justify-between">
+            <span className="text-zinc-500">Fees &amp; Slippage</span>
+            <span className="font-medium text-red-600 dark:text-red-400">-{formatValue(feesPaid, currency)}</span>
+          </div>
+        )}
+
+        {netCashFlow !== 0 && (
+          <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 text-sm flex justify-between">
+            <span className="text-zinc-500">{netCashFlow > 0 ? 'Net Contributions' : 'Net Withdrawals'}</span>
+            <span className={`font-medium ${netCashFlow > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+              {formatSignedValue(netCashFlow, currency)}
+            </span>
+          </div>
+        )}
+
+        {timeline && timeline.points.length > 1 && (
+          <ValueOverTime timeline={timeline} currency={currency} />
+        )}
+
+        {(projectedHoldings.length > 0 || trades.length > 0) && (
+          <div className="mt-3 pt-3 border-t border-zinc-200 dark:border-zinc-700 flex items-center gap-2 text-xs">
+            <span className="text-zinc-500 mr-auto">Export CSV</span>
+            <button
+              onClick={exportHoldings}
+              disabled={projectedHoldings.length === 0}
+              className="px-2 py-1 bg-zinc-100 dark:bg-zinc-800 hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300 rounded disabled:opacity-50"
+              title="Projected holdings with price, value, allocation and change vs the original"
+            >
+              Holdings
+            </button>
+            <button
+              onClick={exportTrades}
+              disabled={trades.length === 0}
+              className="px-2 py-1 bg-zinc-100 dark:bg-zinc-800 hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-700 dark:text-zinc-300 rounded disabled:opacity-50"
+              title="Ordered trades from the chain's rotate, sell, buy and all-in nodes"
+            >
+              Trades ({trades.length})
+            </button>
+          </div>
+        )}
       </div>
+
+      {/* Feeds a Chart node */}
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!bg-purple-600 !w-3 !h-3"
+      />
     </div>
   );
 }
@@ -4,6 +4,9 @@ import { useState, useEffect, useRef } from 'react';
 import { fetchPrice } from '@/lib/fetchPrice';
 import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
 
 function formatPrice(price) {
   if (price >= 1) {
@@ -12,10 +15,10 @@ function formatPrice(price) {
   return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
 }
 
-function getDirectPrice(ticker) {
+function getDirectPrice(ticker, currency) {
   if (!ticker) return null;
   const key = ticker.toUpperCase().trim();
-  if (key === 'USD' || key === 'CASH') {
+  if (isBaseCash(key, currency)) {
     return { price: 1, type: 'cash' };
   }
   return null;
@@ -23,8 +26,10 @@ function getDirectPrice(ticker) {
 
 export default function QuickConvertNode({ data, id }) {
   const { onInputChange, onRemove, savedInputs } = data;
-  const savedFromDirectPrice = getDirectPrice(savedInputs?.fromAsset);
-  const savedToDirectPrice = getDirectPrice(savedInputs?.toAsset);
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const savedFromDirectPrice = getDirectPrice(savedInputs?.fromAsset, currency);
+  const savedToDirectPrice = getDirectPrice(savedInputs?.toAsset, currency);
 
   const [fromAsset, setFromAsset] = useState(savedInputs?.fromAsset || '');
   const [fromAmount, setFromAmount] = useState(savedInputs?.fromAmount || '');
@@ -45,12 +50,12 @@ export default function QuickConvertNode({ data, id }) {
     if (!assetKey) {
       return;
     }
-    if (assetKey === 'USD' || assetKey === 'CASH') {
+    if (isBaseCash(assetKey, currency)) {
       return;
     }
     const timer = setTimeout(async () => {
       setIsFetchingFromPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== fromPriceRequestIdRef.current) return;
       setFromPrice(price);
       setFromType(type);
@@ -58,7 +63,7 @@ export default function QuickConvertNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [fromAsset]);
+  }, [fromAsset, currency, coinPins]);
 
   useEffect(() => {
     const requestId = ++toPriceRequestIdRef.current;
@@ -67,12 +72,12 @@ export default function QuickConvertNode({ data, id }) {
     if (!assetKey) {
       return;
     }
-    if (assetKey === 'USD' || assetKey === 'CASH') {
+    if (isBaseCash(assetKey, currency)) {
       return;
     }
     const timer = setTimeout(async () => {
       setIsFetchingToPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== toPriceRequestIdRef.current) return;
       setToPrice(price);
       setToType(type);
@@ -80,7 +85,7 @@ export default function QuickConvertNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [toAsset]);
+  }, [toAsset, currency, coinPins]);
 
   useEffect(() => {
     if (onInputChange) {
@@ -104,7 +109,7 @@ export default function QuickConvertNode({ data, id }) {
   const handleFromAssetChange = (value) => {
     const nextValue = value.toUpperCase();
     if (nextValue === fromAsset) return;
-    const direct = getDirectPrice(nextValue);
+    const direct = getDirectPrice(nextValue, currency);
     setIsFetchingFromPrice(false);
     setFromAsset(nextValue);
     if (!nextValue.trim()) {
@@ -124,7 +129,7 @@ export default function QuickConvertNode({ data, id }) {
   const handleToAssetChange = (value) => {
     const nextValue = value.toUpperCase();
     if (nextValue === toAsset) return;
-    const direct = getDirectPrice(nextValue);
+    const direct = getDirectPrice(nextValue, currency);
     setIsFetchingToPrice(false);
     setToAsset(nextValue);
     if (!nextValue.trim()) {
@@ -190,12 +195,12 @@ export default function QuickConvertNode({ data, id }) {
         <div className="text-xs text-zinc-500 space-y-1">
           {fromAsset && (
             <div>
-              {isFetchingFromPrice ? 'Fetching from price...' : (fromPrice !== null ? `From Price: $${formatPrice(fromPrice)} (${fromType})` : 'From price not found')}
+              {isFetchingFromPrice ? 'Fetching from price...' : (fromPrice !== null ? `From Price: ${currencySymbol(currency)}${formatPrice(fromPrice)} (${fromType})` : 'From price not found')}
             </div>
           )}
           {toAsset && (
             <div>
-              {isFetchingToPrice ? 'Fetching to price...' : (toPrice !== null ? `To Price: $${formatPrice(toPrice)} (${toType})` : 'To price not found')}
+              {isFetchingToPrice ? 'Fetching to price...' : (toPrice !== null ? `To Price: ${currencySymbol(currency)}${formatPrice(toPrice)} (${toType})` : 'To price not found')}
             </div>
           )}
         </div>
@@ -3,18 +3,21 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { fetchPrice } from '@/lib/fetchPrice';
 import { addRecentTicker } from '@/lib/recentTickers';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol } from '@/lib/currency';
 import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 // Convert a price multiplier (0x to maxMultiplier) to slider position (0 to 1) using log scale
@@ -34,6 +37,8 @@ function sliderToMultiplier(pos, maxMult) {
 }
 
 export default function QuickSlidersNode({ data, id }) {
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
   const { onInputChange, onRemove, savedInputs } = data;
 
   const [assets, setAssets] = useState(savedInputs?.assets || []);
@@ -66,7 +71,7 @@ export default function QuickSlidersNode({ data, id }) {
     setNewAmount('');
     addRecentTicker(ticker);
 
-    const { price, type } = await fetchPrice(ticker);
+    const { price, type } = await fetchPrice(ticker, currency, coinPins);
 
     const newAsset = {
       ticker,
@@ -79,7 +84,7 @@ export default function QuickSlidersNode({ data, id }) {
 
     setAssets(prev => [...prev, newAsset]);
     setIsLoading(false);
-  }, [newTicker, newAmount]);
+  }, [newTicker, newAmount, currency, coinPins]);
 
   const removeAsset = useCallback((index) => {
     setAssets(prev => prev.filter((_, i) => i !== index));
@@ -154,7 +159,7 @@ export default function QuickSlidersNode({ data, id }) {
         <div className="flex items-center gap-2">
           {totalValue > 0 && (
             <span className="text-sm font-normal opacity-90">
-              ${formatValue(totalValue)}
+              {formatValue(totalValue, currency)}
               {totalBaseValue > 0 && totalValue !== totalBaseValue && (
                 <span className={`ml-1 text-xs ${totalValue >= totalBaseValue ? 'text-green-200' : 'text-red-200'}`}>
                   ({totalValue >= totalBaseValue ? '+' : ''}{((totalValue / totalBaseValue - 1) * 100).toFixed(1)}%)
@@ -248,7 +253,7 @@ export default function QuickSlidersNode({ data, id }) {
                     <div className="flex items-center gap-2">
                       {value > 0 && (
                         <span className="font-medium text-green-600 dark:text-green-400">
-                          ${formatValue(value)}
+                          {formatValue(value, currency)}
                         </span>
                       )}
                     </div>
@@ -257,10 +262,10 @@ export default function QuickSlidersNode({ data, id }) {
                   {/* Price display and manual input */}
                   <div className="flex items-center justify-between mb-1.5 text-xs">
                     <div className="flex items-center gap-1 text-zinc-500">
-                      <span>Base: ${formatPrice(asset.basePrice)}</span>
+                      <span>Base: {formatPrice(asset.basePrice, currency)}</span>
                     </div>
                     <div className="flex items-center gap-1">
-                      <span className="text-zinc-500">Price: $</span>
+                      <span className="text-zinc-500">Price: {currencySymbol(currency)}</span>
                       <MathInput
                         value={asset.currentPrice !== null ? String(Number(asset.currentPrice.toPrecision(8))) : ''}
                         onChange={(val) => updatePriceManual(index, val)}
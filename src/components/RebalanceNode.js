@@ -0,0 +1,316 @@
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { fetchPrice } from '@/lib/fetchPrice';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
+import { isCompleteTargets, planRebalance, weightTotal } from '@/lib/rebalance';
+import MathInput from './MathInput';
+import TickerSearch from './TickerSearch';
+import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatUnits(units) {
+  return units.toLocaleString('en-US', { maximumFractionDigits: units >= 1 ? 4 : 8 });
+}
+
+const parseWeight = (raw) => {
+  const weight = parseFloat(raw);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 0;
+};
+
+export default function RebalanceNode({ data, id }) {
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const { holdings = [], priceOverrides = {}, onRebalanceChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
+  const onRebalanceChangeRef = useRef(onRebalanceChange);
+  const onInputChangeRef = useRef(onInputChange);
+  const hasMountedRef = useRef(false);
+  const lastPayloadRef = useRef(undefined);
+
+  useEffect(() => {
+    onRebalanceChangeRef.current = onRebalanceChange;
+    onInputChangeRef.current = onInputChange;
+  });
+
+  // Rows of { ticker, weight (as typed), price, type }; price/type only for tickers not held
+  const [targets, setTargets] = useState(savedInputs?.targets ?? []);
+  const [band, setBand] = useState(savedInputs?.band || '');
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
+  const [newTicker, setNewTicker] = useState('');
+  const [isFetchingPrice, setIsFetchingPrice] = useState(false);
+
+  const totalValue = holdings.reduce((sum, h) => sum + (h.value || 0), 0);
+  const currentWeight = (ticker) => {
+    if (!(totalValue > 0)) return 0;
+    const value = holdings
+      .filter(h => (isBaseCash(ticker, currency) ? isBaseCash(h.ticker, currency) : h.ticker === ticker))
+      .reduce((sum, h) => sum + (h.value || 0), 0);
+    return value / totalValue * 100;
+  };
+
+  const parsedTargets = targets.map(t => ({
+    ticker: t.ticker,
+    weight: parseWeight(t.weight),
+    price: priceOverrides[t.ticker] ?? t.price ?? null,
+    type: priceOverrides[t.ticker] !== undefined ? 'target' : t.type ?? null,
+  }));
+  const bandPoints = parseWeight(band);
+  const total = weightTotal(parsedTargets);
+  const isComplete = isCompleteTargets(parsedTargets);
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
+
+  const { trades, unpriced } = isComplete
+    ? planRebalance(holdings, 0, parsedTargets, { band: bandPoints, baseCurrency: currency })
+    : { trades: [], unpriced: [] };
+
+  // Save inputs when they change (not on mount, when they came from savedInputs)
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    const callback = onInputChangeRef.current;
+    if (callback) {
+      callback(id, {
+        targets,
+        band,
+        feeInputs,
+      });
+    }
+  }, [id, targets, band, feeInputs]);
+
+  // Notify parent of the targets; the trades themselves are worked out by the projection engine.
+  // Target prices are re-read from priceOverrides on every render, so only send real changes.
+  const payload = isComplete ? { targets: parsedTargets, band: bandPoints, fees } : null;
+  const payloadKey = JSON.stringify(payload);
+  useEffect(() => {
+    if (payloadKey === lastPayloadRef.current) return;
+    lastPayloadRef.current = payloadKey;
+    const callback = onRebalanceChangeRef.current;
+    if (callback) {
+      callback(id, JSON.parse(payloadKey));
+    }
+  }, [payloadKey, id]);
+
+  const handleUseCurrentWeights = () => {
+    const tickers = [...new Set(holdings
+      .filter(h => (h.value || 0) > 0)
+      .map(h => (isBaseCash(h.ticker, currency) ? currency : h.ticker)))];
+    setTargets(tickers.map(ticker => ({
+      ticker,
+      weight: String(Math.round(currentWeight(ticker) * 10) / 10),
+      price: null,
+      type: null,
+    })));
+  };
+
+  const handleAddTarget = async (symbol) => {
+    const ticker = symbol.toUpperCase().trim();
+    setNewTicker('');
+    if (!ticker) return;
+    const key = isBaseCash(ticker, currency) ? currency : ticker;
+    if (targets.some(t => t.ticker === key)) return;
+
+    if (key === currency || holdings.some(h => h.ticker === key) || priceOverrides[key] !== undefined) {
+      setTargets(prev => [...prev, { ticker: key, weight: '', price: null, type: null }]);
+      return;
+    }
+
+    setIsFetchingPrice(true);
+    const { price, type } = await fetchPrice(key, currency, coinPins);
+    setIsFetchingPrice(false);
+    setTargets(prev => (prev.some(t => t.ticker === key) ? prev : [...prev, { ticker: key, weight: '', price, type }]));
+  };
+
+  const updateWeight = (ticker, weight) => {
+    setTargets(prev => prev.map(t => (t.ticker === ticker ? { ...t, weight } : t)));
+  };
+
+  const removeTarget = (ticker) => {
+    setTargets(prev => prev.filter(t => t.ticker !== ticker));
+  };
+
+  return (
+    <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[300px] ${isDisabled ? 'opacity-40' : ''}`}>
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-indigo-500 !w-3 !h-3"
+      />
+
+      <div className="bg-indigo-500 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
+        <div className="flex items-center gap-1.5">
+          <button
+            onClick={() => onShiftNode?.(id, 'left')}
+            disabled={!canShiftLeft}
+            className="text-white/70 hover:text-white hover:bg-indigo-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift left in chain"
+          >
+            ←
+          </button>
+          <NodeTypeSelector
+            currentType="rebalance"
+            label="Rebalance"
+            onReplace={(newType) => onReplaceNode?.(id, newType)}
+            hoverBgClass="hover:bg-indigo-600"
+          />
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onShiftNode?.(id, 'right')}
+            disabled={!canShiftRight}
+            className="text-white/70 hover:text-white hover:bg-indigo-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift right in chain"
+          >
+            →
+          </button>
+          <button
+            onClick={() => onToggleDisabled?.(id)}
+            className={`hover:text-white hover:bg-indigo-600 rounded px-1.5 py-0.5 text-sm ${isDisabled ? 'text-white' : 'text-white/70'}`}
+            title={isDisabled ? 'Enable node' : 'Disable node'}
+          >
+            {isDisabled ? '○' : '●'}
+          </button>
+          <button
+            onClick={() => onRemove?.(id)}
+            className="text-white/70 hover:text-white hover:bg-indigo-600 rounded px-1.5 py-0.5 text-sm"
+            title="Remove rebalance"
+          >
+            x
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="flex justify-between items-center">
+          <label className="text-xs text-zinc-500">Target weights</label>
+          <button
+            onClick={handleUseCurrentWeights}
+            disabled={holdings.length === 0}
+            className="text-xs text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-50 disabled:no-underline"
+            title="Start from the current allocation"
+          >
+            Use current
+          </button>
+        </div>
+
+        {targets.length > 0 && (
+          <div className="space-y-1">
+            <div className="flex items-center gap-2 text-[10px] text-zinc-400 uppercase">
+              <span className="flex-1">Ticker</span>
+              <span className="w-12 text-right">Now</span>
+              <span className="w-20 text-right">Target</span>
+              <span className="w-4" />
+            </div>
+            {targets.map(t => (
+              <div key={t.ticker} className="flex items-center gap-2 text-sm">
+                <span className="flex-1 font-medium truncate" title={t.price ? formatValue(t.price, currency) : undefined}>{t.ticker}</span>
+                <span className="w-12 text-right text-xs text-zinc-500">{currentWeight(t.ticker).toFixed(1)}%</span>
+                <div className="relative w-20">
+                  <MathInput
+                    value={t.weight}
+                    onChange={(val) => updateWeight(t.ticker, val)}
+                    step="any"
+                    className="w-full px-1.5 pr-5 py-1 text-sm text-right border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="0"
+                  />
+                  <span className="absolute right-1.5 top-1/2 -translate-y-1/2 text-zinc-400 text-xs">%</span>
+                </div>
+                <button
+                  onClick={() => removeTarget(t.ticker)}
+                  className="w-4 text-zinc-400 hover:text-red-500 text-xs"
+                  title={`Remove ${t.ticker}`}
+                >
+                  x
+                </button>
+              </div>
+            ))}
+            <div className={`flex justify-between text-xs pt-1 ${isComplete ? 'text-zinc-500' : 'text-amber-600 dark:text-amber-400'}`}>
+              <span>{isComplete ? 'Total' : 'Weights need to add up to 100%'}</span>
+              <span>{total.toFixed(1)}%</span>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <TickerSearch
+            value={newTicker}
+            onChange={setNewTicker}
+            onSelect={handleAddTarget}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddTarget(newTicker)}
+            wrapperClassName="flex-1"
+            className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            placeholder={`Add ticker or ${currency}`}
+            disabled={isFetchingPrice}
+          />
+          <button
+            onClick={() => handleAddTarget(newTicker)}
+            disabled={!newTicker.trim() || isFetchingPrice}
+            className="px-3 py-1.5 bg-indigo-500 text-white rounded hover:bg-indigo-600 text-sm disabled:opacity-50"
+          >
+            {isFetchingPrice ? '...' : 'Add'}
+          </button>
+        </div>
+        <div className="text-xs text-zinc-500">
+          Holdings not listed are sold off.
+        </div>
+
+        <div className="flex items-center gap-2 text-xs text-zinc-500">
+          <span>Skip trades within ±</span>
+          <MathInput
+            value={band}
+            onChange={(val) => setBand(val)}
+            step="any"
+            className="w-14 px-1.5 py-1 text-xs text-right border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            placeholder="0"
+          />
+          <span>pts of target</span>
+        </div>
+
+        {isComplete && (
+          <div className="bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 rounded p-3 space-y-1">
+            <div className="text-xs text-indigo-600 dark:text-indigo-400 mb-1">Trades</div>
+            {trades.length === 0 && (
+              <div className="text-xs text-zinc-500">Already within the drift bands</div>
+            )}
+            {trades.map(trade => (
+              <div key={trade.ticker} className="flex items-center gap-2 text-xs">
+                <span className={`w-8 font-semibold ${trade.side === 'SELL' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>{trade.side}</span>
+                <span className="flex-1 truncate">{formatUnits(trade.units)} {trade.ticker}</span>
+                <span className="text-zinc-500">{trade.fromWeight.toFixed(1)}% → {trade.toWeight.toFixed(1)}%</span>
+                <span className="w-20 text-right">{formatValue(trade.value, currency)}</span>
+              </div>
+            ))}
+            {unpriced.length > 0 && (
+              <div className="text-xs text-amber-600 dark:text-amber-400 pt-1">
+                No price for {unpriced.join(', ')}, skipped
+              </div>
+            )}
+          </div>
+        )}
+
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-indigo-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-indigo-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!bg-indigo-500 !w-3 !h-3"
+      />
+    </div>
+  );
+}
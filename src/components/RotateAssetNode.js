@@ -1,25 +1,36 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { fetchPrice } from '@/lib/fetchPrice';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
 import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
+import LotMethodPicker from './LotMethodPicker';
+import { DEFAULT_LOT_METHOD } from '@/lib/taxLots';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 export default function RotateAssetNode({ data, id }) {
-  const { holdings = [], priceOverrides = {}, onRotationChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
+  const { holdings = [], priceOverrides = {}, onRotationChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onRotationChangeRef = useRef(onRotationChange);
   const onInputChangeRef = useRef(onInputChange);
   onRotationChangeRef.current = onRotationChange;
@@ -30,8 +41,12 @@ export default function RotateAssetNode({ data, id }) {
   const [toAsset, setToAsset] = useState(savedInputs?.toAsset || '');
   const [toPrice, setToPrice] = useState(savedInputs?.toPrice ?? null);
   const [toType, setToType] = useState(savedInputs?.toType ?? null);
+  const [lotMethod, setLotMethod] = useState(savedInputs?.lotMethod || DEFAULT_LOT_METHOD);
+  const [lotId, setLotId] = useState(savedInputs?.lotId ?? null);
   const [isFetchingPrice, setIsFetchingPrice] = useState(false);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
   const lastSavedPriceRef = useRef(savedInputs?.toPrice);
   const priceRequestIdRef = useRef(0);
 
@@ -95,7 +110,7 @@ export default function RotateAssetNode({ data, id }) {
 
     const timer = setTimeout(async () => {
       setIsFetchingPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== priceRequestIdRef.current) return;
       setToPrice(price);
       setToType(type);
@@ -103,7 +118,7 @@ export default function RotateAssetNode({ data, id }) {
     }, 500);
 
     return () => clearTimeout(timer);
-  }, [toAsset, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides]);
+  }, [toAsset, isInitialized, savedInputs?.toPrice, savedInputs?.toAsset, priceOverrides, currency, coinPins]);
 
   // Save inputs when they change
   useEffect(() => {
@@ -116,9 +131,12 @@ export default function RotateAssetNode({ data, id }) {
         toAsset,
         toPrice,
         toType,
+        lotMethod,
+        lotId,
+        feeInputs,
       });
     }
-  }, [isInitialized, id, fromAsset, sellAmount, toAsset, toPrice, toType]);
+  }, [isInitialized, id, fromAsset, sellAmount, toAsset, toPrice, toType, lotMethod, lotId, feeInputs]);
 
   // Notify parent of rotation changes
   useEffect(() => {
@@ -134,11 +152,14 @@ export default function RotateAssetNode({ data, id }) {
         toPrice,
         toType,
         buyAmount,
+        lotMethod,
+        lotId,
+        fees,
       });
     } else {
       callback(id, null);
     }
-  }, [fromAsset, sellAmount, toAsset, toPrice, toType, sellValue, buyAmount, id]);
+  }, [fromAsset, sellAmount, toAsset, toPrice, toType, sellValue, buyAmount, lotMethod, lotId, fees, id]);
 
   return (
     <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
@@ -199,13 +220,14 @@ export default function RotateAssetNode({ data, id }) {
             onChange={(e) => {
               setFromAsset(e.target.value);
               setSellAmount('');
+              setLotId(null);
             }}
             className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-orange-500"
           >
             <option value="">Select asset...</option>
             {holdings.map((h) => (
               <option key={h.ticker} value={h.ticker}>
-                {h.ticker} ({h.amount} @ ${h.price ? formatPrice(h.price) : 'N/A'})
+                {h.ticker} ({h.amount} @ {h.price ? formatPrice(h.price, currency) : 'N/A'})
               </option>
             ))}
           </select>
@@ -235,9 +257,21 @@ export default function RotateAssetNode({ data, id }) {
             />
             {sellValue > 0 && (
               <div className="text-xs text-zinc-500 mt-1">
-                Value: ${formatValue(sellValue)}
+                Value: {formatValue(sellValue, currency)}
               </div>
             )}
+            <div className="mt-2">
+              <LotMethodPicker
+                holding={selectedHolding}
+                sellAmount={parseFloat(sellAmount) || 0}
+                sellValue={sellValue}
+                method={lotMethod}
+                lotId={lotId}
+                onMethodChange={setLotMethod}
+                onLotChange={setLotId}
+                focusRingClass="focus:ring-orange-500"
+              />
+            </div>
           </div>
         )}
 
@@ -254,7 +288,7 @@ export default function RotateAssetNode({ data, id }) {
           )}
           {toPrice !== null && !isFetchingPrice && (
             <div className={`text-xs mt-1 ${toType === 'target' ? 'text-cyan-600 dark:text-cyan-400' : 'text-zinc-500'}`}>
-              Price: ${formatPrice(toPrice)} {toType === 'target' ? '(from target)' : `(${toType})`}
+              Price: {formatPrice(toPrice, currency)} {toType === 'target' ? '(from target)' : `(${toType})`}
             </div>
           )}
           {toAsset && toPrice === null && !isFetchingPrice && (
@@ -270,48 +304,11 @@ export default function RotateAssetNode({ data, id }) {
           </div>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-orange-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-orange-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -0,0 +1,206 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+import { scenarioTickers } from '@/lib/scenarios';
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSignedValue(value, currency) {
+  return `${value < 0 ? '-' : '+'}${formatValue(Math.abs(value), currency)}`;
+}
+
+function formatUnits(units) {
+  return `${units < 0 ? '' : '+'}${units.toLocaleString('en-US', { maximumFractionDigits: 6 })}`;
+}
+
+const deltaClass = (delta) => (delta < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400');
+
+const portfolioLabel = (portfolioId) => `Portfolio ${portfolioId.slice(portfolioId.lastIndexOf('-') + 1)}`;
+
+// A row of money figures: the current figure, then each branch with its change from it
+function SummaryRow({ label, current, values, currency, emphasize = false, signed = false }) {
+  return (
+    <tr className={emphasize ? 'font-semibold' : ''}>
+      <td className="py-1 pr-3 text-zinc-500 whitespace-nowrap">{label}</td>
+      <td className="py-1 px-2 text-right whitespace-nowrap">{current === null ? '—' : formatValue(current, currency)}</td>
+      {values.map((value, i) => (
+        <td key={i} className="py-1 px-2 text-right whitespace-nowrap">
+          <div>{signed ? formatSignedValue(value, currency) : formatValue(value, currency)}</div>
+          {current !== null && Math.abs(value - current) >= 0.005 && (
+            <div className={`text-xs font-normal ${deltaClass(value - current)}`}>{formatSignedValue(value - current, currency)}</div>
+          )}
+        </td>
+      ))}
+    </tr>
+  );
+}
+
+// Toolbar panel comparing the outcome of each branch (first-level chain) of a portfolio
+export default function ScenarioComparePanel({ portfolioIds, onCompare }) {
+  const currency = useCurrency();
+  const [open, setOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const portfolioId = portfolioIds.includes(selectedId) ? selectedId : portfolioIds[0] ?? null;
+  // Projecting every branch is heavy, so only rerun it when the panel opens or the chains change
+  const comparison = useMemo(
+    () => (open && portfolioId ? onCompare(portfolioId) : null),
+    [open, portfolioId, onCompare]
+  );
+  const branches = comparison?.branches ?? [];
+  const current = comparison?.current;
+  const tickers = comparison ? scenarioTickers(current, branches.map(b => b.summary)) : [];
+  const bestTotal = Math.max(...branches.map(b => b.summary.total));
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-3 py-1.5 bg-zinc-200 dark:bg-zinc-700 hover:bg-zinc-300 dark:hover:bg-zinc-600 text-zinc-700 dark:text-white text-sm rounded shadow-lg transition-colors"
+        title="Compare the branches of a portfolio"
+      >
+        Compare
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute top-full right-0 mt-1 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-600 rounded shadow-lg z-20 max-w-[90vw] p-3 text-sm text-zinc-700 dark:text-zinc-200">
+            <div className="flex items-center justify-between gap-3 mb-2">
+              <span className="font-semibold">Compare Scenarios</span>
+              {portfolioIds.length > 1 && (
+                <select
+                  value={portfolioId ?? ''}
+                  onChange={(e) => setSelectedId(e.target.value)}
+                  className="px-2 py-1 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-700 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                >
+                  {portfolioIds.map(pid => (
+                    <option key={pid} value={pid}>{portfolioLabel(pid)}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {!portfolioId && (
+              <div className="text-xs text-zinc-500 w-[280px]">Add a portfolio to compare its branches.</div>
+            )}
+            {portfolioId && branches.length === 0 && (
+              <div className="text-xs text-zinc-500 w-[280px]">
+                {portfolioLabel(portfolioId)} has no branches yet. Connect two or more action chains to it to compare them.
+              </div>
+            )}
+
+            {branches.length > 0 && (
+              <div className="overflow-auto max-h-[70vh]">
+                <table className="text-sm border-collapse">
+                  <thead>
+                    <tr className="border-b border-zinc-200 dark:border-zinc-700 align-bottom">
+                      <th className="py-1 pr-3 text-left font-medium text-zinc-500">Ticker</th>
+                      <th className="py-1 px-2 text-right font-medium text-zinc-500">Current</th>
+                      {branches.map((branch, i) => (
+                        <th key={i} className="py-1 px-2 text-right font-medium max-w-[180px]">
+                          <div>Branch {i + 1}</div>
+                          <div className="text-xs font-normal text-zinc-500 truncate" title={branch.steps.join(' → ')}>
+                            {branch.steps.length > 0 ? branch.steps.join(' → ') : 'All steps disabled'}
+                          </div>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tickers.map(ticker => {
+                      const before = current.positions[ticker];
+                      return (
+                        <tr key={ticker} className="border-b border-zinc-100 dark:border-zinc-700/50">
+                          <td className="py-1 pr-3 font-medium whitespace-nowrap">{ticker}</td>
+                          <td className="py-1 px-2 text-right whitespace-nowrap">
+                            {before ? (
+                              <>
+                                <div>{formatValue(before.value, currency)}</div>
+                                <div className="text-xs text-zinc-500">{(before.weight * 100).toFixed(1)}%</div>
+                              </>
+                            ) : '—'}
+                          </td>
+                          {branches.map((branch, i) => {
+                            const after = branch.summary.positions[ticker];
+                            const unitDelta = (after?.amount ?? 0) - (before?.amount ?? 0);
+                            return (
+                              <td key={i} className="py-1 px-2 text-right whitespace-nowrap">
+                                {after ? (
+                                  <>
+                                    <div>{formatValue(after.value, currency)}</div>
+                                    <div className="text-xs text-zinc-500">{(after.weight * 100).toFixed(1)}%</div>
+                                  </>
+                                ) : '—'}
+                                {Math.abs(unitDelta) > 0.000001 && (
+                                  <div className={`text-xs ${deltaClass(unitDelta)}`}>{formatUnits(unitDelta)}</div>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                  <tfoot className="border-t-2 border-zinc-200 dark:border-zinc-700">
+                    <SummaryRow
+                      label="Cash"
+                      current={current.cash}
+                      values={branches.map(b => b.summary.cash)}
+                      currency={currency}
+                    />
+                    <SummaryRow
+                      label="Realized gains"
+                      current={null}
+                      values={branches.map(b => b.summary.realized)}
+                      currency={currency}
+                      signed
+                    />
+                    {branches.some(b => b.summary.feesPaid > 0) && (
+                      <SummaryRow
+                        label="Fees & slippage"
+                        current={null}
+                        values={branches.map(b => b.summary.feesPaid)}
+                        currency={currency}
+                      />
+                    )}
+                    {branches.some(b => b.summary.taxPaid > 0) && (
+                      <SummaryRow
+                        label="Estimated tax"
+                        current={null}
+                        values={branches.map(b => b.summary.taxPaid)}
+                        currency={currency}
+                      />
+                    )}
+                    <SummaryRow
+                      label="Total value"
+                      current={current.total}
+                      values={branches.map(b => b.summary.total)}
+                      currency={currency}
+                      emphasize
+                    />
+                    {branches.length > 1 && (
+                      <tr>
+                        <td colSpan={2} />
+                        {branches.map((branch, i) => (
+                          <td key={i} className="pt-1 px-2 text-right text-xs">
+                            {branch.summary.total === bestTotal && (
+                              <span className="px-1.5 py-0.5 rounded bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300">Highest</span>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    )}
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
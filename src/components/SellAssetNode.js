@@ -1,23 +1,32 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import MathInput from './MathInput';
 import { Handle, Position } from '@xyflow/react';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import NodeFeeSettings from './NodeFeeSettings';
+import LotMethodPicker from './LotMethodPicker';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+import { parseFees } from '@/lib/fees';
+import { DEFAULT_LOT_METHOD } from '@/lib/taxLots';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 export default function SellAssetNode({ data, id }) {
-  const { holdings = [], onSellChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { holdings = [], onSellChange, onInputChange, onRemove, onAddChainedNode, savedInputs, feeTotal, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onSellChangeRef = useRef(onSellChange);
   const onInputChangeRef = useRef(onInputChange);
   onSellChangeRef.current = onSellChange;
@@ -27,7 +36,11 @@ export default function SellAssetNode({ data, id }) {
   const [inputMode, setInputMode] = useState(savedInputs?.inputMode || 'units'); // 'units' or 'usd'
   const [inputValue, setInputValue] = useState(savedInputs?.inputValue || '');
   const [addCash, setAddCash] = useState(savedInputs?.addCash ?? true);
+  const [lotMethod, setLotMethod] = useState(savedInputs?.lotMethod || DEFAULT_LOT_METHOD);
+  const [lotId, setLotId] = useState(savedInputs?.lotId ?? null);
+  const [feeInputs, setFeeInputs] = useState(savedInputs?.feeInputs ?? null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const fees = useMemo(() => (feeInputs ? parseFees(feeInputs) : null), [feeInputs]);
 
   const selectedHolding = holdings.find(h => h.ticker === fromAsset);
   const assetPrice = selectedHolding?.price || 0;
@@ -56,9 +69,12 @@ export default function SellAssetNode({ data, id }) {
         inputMode,
         inputValue,
         addCash,
+        lotMethod,
+        lotId,
+        feeInputs,
       });
     }
-  }, [isInitialized, id, fromAsset, inputMode, inputValue, addCash]);
+  }, [isInitialized, id, fromAsset, inputMode, inputValue, addCash, lotMethod, lotId, feeInputs]);
 
   // Notify parent of sell changes
   useEffect(() => {
@@ -71,11 +87,14 @@ export default function SellAssetNode({ data, id }) {
         sellAmount,
         sellValue,
         addCash,
+        lotMethod,
+        lotId,
+        fees,
       });
     } else {
       callback(id, null);
     }
-  }, [fromAsset, inputValue, sellAmount, sellValue, selectedHolding?.price, addCash, id]);
+  }, [fromAsset, inputValue, sellAmount, sellValue, selectedHolding?.price, addCash, lotMethod, lotId, fees, id]);
 
   return (
     <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
@@ -136,13 +155,14 @@ export default function SellAssetNode({ data, id }) {
             onChange={(e) => {
               setFromAsset(e.target.value);
               setInputValue('');
+              setLotId(null);
             }}
             className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-red-500"
           >
             <option value="">Select asset...</option>
             {holdings.map((h) => (
               <option key={h.ticker} value={h.ticker}>
-                {h.ticker} ({h.amount} @ ${h.price ? formatPrice(h.price) : 'N/A'})
+                {h.ticker} ({h.amount} @ {h.price ? formatPrice(h.price, currency) : 'N/A'})
               </option>
             ))}
           </select>
@@ -153,7 +173,7 @@ export default function SellAssetNode({ data, id }) {
             <div>
               <div className="flex items-center justify-between mb-1">
                 <label className="text-xs text-zinc-500">
-                  Amount {inputMode === 'units' ? `(max: ${selectedHolding.amount})` : `(max: $${formatValue(selectedHolding.amount * assetPrice)})`}
+                  Amount {inputMode === 'units' ? `(max: ${selectedHolding.amount})` : `(max: ${formatValue(selectedHolding.amount * assetPrice, currency)})`}
                 </label>
                 <div className="flex items-center gap-2">
                   <button
@@ -172,7 +192,7 @@ export default function SellAssetNode({ data, id }) {
                     <button
                       onClick={() => {
                         if (inputMode !== 'units') {
-                          // Convert USD to units when switching
+                          // Convert cash value to units when switching
                           if (inputValue && assetPrice) {
                             setInputValue(String(parseFloat(inputValue) / assetPrice));
                           }
@@ -190,7 +210,7 @@ export default function SellAssetNode({ data, id }) {
                     <button
                       onClick={() => {
                         if (inputMode !== 'usd') {
-                          // Convert units to USD when switching
+                          // Convert units to cash value when switching
                           if (inputValue && assetPrice) {
                             setInputValue(String(parseFloat(inputValue) * assetPrice));
                           }
@@ -203,14 +223,14 @@ export default function SellAssetNode({ data, id }) {
                           : 'bg-white dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 border-zinc-300 dark:border-zinc-600'
                       }`}
                     >
-                      USD
+                      {currency}
                     </button>
                   </div>
                 </div>
               </div>
               <div className="relative">
                 {inputMode === 'usd' && (
-                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">$</span>
+                  <span className="absolute left-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">{currencySymbol(currency)}</span>
                 )}
                 <MathInput
                   value={inputValue}
@@ -227,7 +247,7 @@ export default function SellAssetNode({ data, id }) {
               <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded p-2 space-y-1">
                 <div className="text-sm text-green-700 dark:text-green-400">
                   {inputMode === 'units' ? (
-                    <>Cash received: <span className="font-semibold">${formatValue(sellValue)}</span></>
+                    <>Cash received: <span className="font-semibold">{formatValue(sellValue, currency)}</span></>
                   ) : (
                     <>Sell: <span className="font-semibold">{sellAmount.toFixed(6)} {fromAsset}</span></>
                   )}
@@ -235,6 +255,17 @@ export default function SellAssetNode({ data, id }) {
               </div>
             )}
 
+            <LotMethodPicker
+              holding={selectedHolding}
+              sellAmount={sellAmount}
+              sellValue={sellValue}
+              method={lotMethod}
+              lotId={lotId}
+              onMethodChange={setLotMethod}
+              onLotChange={setLotId}
+              focusRingClass="focus:ring-red-500"
+            />
+
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="checkbox"
@@ -247,48 +278,11 @@ export default function SellAssetNode({ data, id }) {
           </>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeFeeSettings feeInputs={feeInputs} onChange={setFeeInputs} feeTotal={feeTotal} focusRingClass="focus:ring-red-500" />
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-red-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -0,0 +1,178 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import MathInput from './MathInput';
+import { Handle, Position } from '@xyflow/react';
+import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol } from '@/lib/currency';
+
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSignedValue(value, currency) {
+  return `${value < 0 ? '-' : '+'}${formatValue(Math.abs(value), currency)}`;
+}
+
+const parseRate = (raw) => {
+  const rate = parseFloat(raw);
+  return Number.isFinite(rate) && rate >= 0 ? rate : null;
+};
+
+export default function TaxNode({ data, id }) {
+  const currency = useCurrency();
+  const { taxEstimate, onTaxChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
+  const onTaxChangeRef = useRef(onTaxChange);
+  const onInputChangeRef = useRef(onInputChange);
+  const hasMountedRef = useRef(false);
+
+  useEffect(() => {
+    onTaxChangeRef.current = onTaxChange;
+    onInputChangeRef.current = onInputChange;
+  });
+
+  const [shortTermRate, setShortTermRate] = useState(savedInputs?.shortTermRate || '');
+  const [longTermRate, setLongTermRate] = useState(savedInputs?.longTermRate || '');
+
+  const shortRate = parseRate(shortTermRate);
+  const longRate = parseRate(longTermRate);
+
+  // Save inputs when they change (not on mount, when they came from savedInputs)
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    const callback = onInputChangeRef.current;
+    if (callback) {
+      callback(id, {
+        shortTermRate,
+        longTermRate,
+      });
+    }
+  }, [id, shortTermRate, longTermRate]);
+
+  // Notify parent of rate changes; the tax itself is worked out by the projection engine
+  useEffect(() => {
+    const callback = onTaxChangeRef.current;
+    if (!callback) return;
+
+    if (shortRate !== null || longRate !== null) {
+      callback(id, {
+        shortTermRate: shortRate ?? 0,
+        longTermRate: longRate ?? 0,
+      });
+    } else {
+      callback(id, null);
+    }
+  }, [shortRate, longRate, id]);
+
+  const realized = taxEstimate?.realized;
+
+  return (
+    <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!bg-slate-500 !w-3 !h-3"
+      />
+
+      <div className="bg-slate-500 text-white px-4 py-2 rounded-t-lg font-semibold flex justify-between items-center">
+        <div className="flex items-center gap-1.5">
+          <button
+            onClick={() => onShiftNode?.(id, 'left')}
+            disabled={!canShiftLeft}
+            className="text-white/70 hover:text-white hover:bg-slate-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift left in chain"
+          >
+            ←
+          </button>
+          <NodeTypeSelector
+            currentType="tax"
+            label="Tax"
+            onReplace={(newType) => onReplaceNode?.(id, newType)}
+            hoverBgClass="hover:bg-slate-600"
+          />
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => onShiftNode?.(id, 'right')}
+            disabled={!canShiftRight}
+            className="text-white/70 hover:text-white hover:bg-slate-600 rounded px-1.5 py-0.5 text-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+            title="Shift right in chain"
+          >
+            →
+          </button>
+          <button
+            onClick={() => onToggleDisabled?.(id)}
+            className={`hover:text-white hover:bg-slate-600 rounded px-1.5 py-0.5 text-sm ${isDisabled ? 'text-white' : 'text-white/70'}`}
+            title={isDisabled ? 'Enable node' : 'Disable node'}
+          >
+            {isDisabled ? '○' : '●'}
+          </button>
+          <button
+            onClick={() => onRemove?.(id)}
+            className="text-white/70 hover:text-white hover:bg-slate-600 rounded px-1.5 py-0.5 text-sm"
+            title="Remove tax"
+          >
+            x
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="text-xs text-zinc-500">
+          Tax on gains realized by the sells and rotations before this node, paid from {currency}.
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          {[['Short-term rate', shortTermRate, setShortTermRate], ['Long-term rate', longTermRate, setLongTermRate]].map(([label, value, setValue]) => (
+            <div key={label}>
+              <label className="block text-xs text-zinc-500 mb-1">{label}</label>
+              <div className="relative">
+                <MathInput
+                  value={value}
+                  onChange={(val) => setValue(val)}
+                  step="any"
+                  className="w-full px-2 pr-6 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-slate-500"
+                  placeholder="e.g. 20"
+                />
+                <span className="absolute right-2 top-1/2 -translate-y-1/2 text-zinc-400 text-sm">%</span>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {realized && (
+          <div className="bg-slate-50 dark:bg-slate-900/40 border border-slate-200 dark:border-slate-700 rounded p-3 space-y-1">
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>Short-term gains</span>
+              <span>{formatSignedValue(realized.shortTerm, currency)}</span>
+            </div>
+            <div className="flex justify-between text-xs text-zinc-500">
+              <span>Long-term gains</span>
+              <span>{formatSignedValue(realized.longTerm, currency)}</span>
+            </div>
+            <div className="flex justify-between items-baseline pt-1">
+              <span className="text-xs text-slate-600 dark:text-slate-300">Estimated tax</span>
+              <span className="text-lg font-bold text-slate-700 dark:text-slate-200">{formatValue(taxEstimate.tax, currency)}</span>
+            </div>
+          </div>
+        )}
+
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-slate-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!bg-slate-500 !w-3 !h-3"
+      />
+    </div>
+  );
+}
@@ -3,6 +3,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import { getRecentTickers, addRecentTicker } from '@/lib/recentTickers';
+import { STOCK_PIN } from '@/lib/assetKey';
+import { useCoinPins } from '@/lib/CoinPinsContext';
 
 export default function TickerSearch({
   value,
@@ -14,6 +16,7 @@ export default function TickerSearch({
   placeholder = 'e.g. BTC, AAPL',
   disabled = false,
 }) {
+  const { pinCoin } = useCoinPins();
   const [query, setQuery] = useState(value || '');
   const [results, setResults] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
@@ -59,9 +62,9 @@ export default function TickerSearch({
     try {
       const res = await fetch(`/api/search-ticker?query=${encodeURIComponent(trimmed)}`);
       if (requestId !== requestIdRef.current) return;
-      const data = await res.json();
-      setResults(data);
-      if (data.length > 0) {
+      const { results: found = [] } = await res.json();
+      setResults(found);
+      if (found.length > 0) {
         updateDropdownPos();
         setIsOpen(true);
       } else {
@@ -109,16 +112,22 @@ export default function TickerSearch({
     }
   }, [updateDropdownPos]);
 
-  const commitSelection = useCallback((symbol) => {
+  const commitSelection = useCallback((item) => {
     // Yahoo crypto comes as "ETH-USD", "BTC-USD" — strip the -USD/-EUR etc. suffix
-    let ticker = symbol.replace(/-(USD|EUR|GBP|BTC|ETH|USDT)$/, '');
+    let ticker = item.symbol.replace(/-(USD|EUR|GBP|BTC|ETH|USDT)$/, '');
+    // Remember which coin was picked so prices never resolve to another coin sharing the ticker,
+    // and pin stock picks so a coin with the same ticker can't claim them.
+    // Recent tickers keep whatever pin they already have.
+    if (!item.isRecent) {
+      pinCoin(ticker, item.coinId ?? (item.type === 'CRYPTOCURRENCY' ? null : STOCK_PIN));
+    }
     setQuery(ticker);
     onChange?.(ticker);
-    onSelect?.(ticker);
+    onSelect?.(ticker, { coinId: item.coinId ?? null });
     setIsOpen(false);
     setResults([]);
     addRecentTicker(ticker);
-  }, [onChange, onSelect]);
+  }, [onChange, onSelect, pinCoin]);
 
   const handleKeyDownInternal = (e) => {
     if (isOpen && results.length > 0) {
@@ -134,7 +143,7 @@ export default function TickerSearch({
       }
       if (e.key === 'Enter' && highlightIndex >= 0) {
         e.preventDefault();
-        commitSelection(results[highlightIndex].symbol);
+        commitSelection(results[highlightIndex]);
         return;
       }
       if (e.key === 'Escape') {
@@ -186,11 +195,11 @@ export default function TickerSearch({
       )}
       {results.map((item, i) => (
         <div
-          key={item.symbol}
+          key={item.coinId ? `${item.symbol}@${item.coinId}` : item.symbol}
           onPointerDown={(e) => {
             e.preventDefault();
             e.stopPropagation();
-            commitSelection(item.symbol);
+            commitSelection(item);
           }}
           className={`w-full text-left px-3 py-1.5 text-sm flex items-center justify-between cursor-pointer hover:bg-zinc-100 dark:hover:bg-zinc-700 ${
             i === highlightIndex ? 'bg-zinc-100 dark:bg-zinc-700' : ''
@@ -203,7 +212,12 @@ export default function TickerSearch({
             )}
           </div>
           {item.exchange && (
-            <span className="text-zinc-400 dark:text-zinc-500 text-xs shrink-0 ml-2">{item.exchange}</span>
+            <span
+              className="text-zinc-400 dark:text-zinc-500 text-xs shrink-0 ml-2"
+              title={item.coinId ? `CoinGecko id: ${item.coinId}` : undefined}
+            >
+              {item.exchange}
+            </span>
           )}
         </div>
       ))}
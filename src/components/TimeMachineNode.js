@@ -5,6 +5,9 @@ import MathInput from './MathInput';
 import TickerSearch from './TickerSearch';
 import { fetchPrice } from '@/lib/fetchPrice';
 import { fetchHistoricalPrice } from '@/lib/fetchHistoricalPrice';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { useCoinPins } from '@/lib/CoinPinsContext';
+import { currencySymbol, isBaseCash } from '@/lib/currency';
 
 const PRESET_OPTIONS = [
   { value: '1w', label: '1 week ago' },
@@ -27,10 +30,10 @@ function formatPct(value) {
   return `${sign}${value.toFixed(2)}%`;
 }
 
-function getDirectPrice(ticker) {
+function getDirectPrice(ticker, currency) {
   if (!ticker) return null;
   const key = ticker.toUpperCase().trim();
-  if (key === 'USD' || key === 'CASH') {
+  if (isBaseCash(key, currency)) {
     return { price: 1, type: 'cash' };
   }
   return null;
@@ -72,6 +75,8 @@ function getTargetDateFromPreset(preset, customDate) {
 
 export default function TimeMachineNode({ data, id }) {
   const { onInputChange, onRemove, savedInputs } = data;
+  const currency = useCurrency();
+  const { pins: coinPins } = useCoinPins();
 
   const [asset, setAsset] = useState(savedInputs?.asset || '');
   const [datePreset, setDatePreset] = useState(savedInputs?.datePreset || '1m');
@@ -89,7 +94,7 @@ export default function TimeMachineNode({ data, id }) {
   const pastPriceRequestIdRef = useRef(0);
 
   const targetDate = useMemo(() => getTargetDateFromPreset(datePreset, customDate), [datePreset, customDate]);
-  const directPrice = useMemo(() => getDirectPrice(asset), [asset]);
+  const directPrice = useMemo(() => getDirectPrice(asset, currency), [asset, currency]);
   const displayedResolvedDate = directPrice ? targetDate : resolvedDate;
 
   useEffect(() => {
@@ -106,7 +111,7 @@ export default function TimeMachineNode({ data, id }) {
 
     const timer = setTimeout(async () => {
       setIsFetchingCurrentPrice(true);
-      const { price, type } = await fetchPrice(assetKey);
+      const { price, type } = await fetchPrice(assetKey, currency, coinPins);
       if (requestId !== currentPriceRequestIdRef.current) return;
       setCurrentPrice(price);
       setCurrentType(type);
@@ -114,7 +119,7 @@ export default function TimeMachineNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [asset, directPrice]);
+  }, [asset, directPrice, currency, coinPins]);
 
   useEffect(() => {
     const requestId = ++pastPriceRequestIdRef.current;
@@ -130,7 +135,7 @@ export default function TimeMachineNode({ data, id }) {
 
     const timer = setTimeout(async () => {
       setIsFetchingPastPrice(true);
-      const { price, type, resolvedDate: fetchedResolvedDate } = await fetchHistoricalPrice(assetKey, targetDate);
+      const { price, type, resolvedDate: fetchedResolvedDate } = await fetchHistoricalPrice(assetKey, targetDate, currency, coinPins);
       if (requestId !== pastPriceRequestIdRef.current) return;
       setPastPrice(price);
       setPastType(type);
@@ -139,7 +144,7 @@ export default function TimeMachineNode({ data, id }) {
     }, 350);
 
     return () => clearTimeout(timer);
-  }, [asset, targetDate, directPrice]);
+  }, [asset, targetDate, directPrice, currency, coinPins]);
 
   useEffect(() => {
     if (onInputChange) {
@@ -196,7 +201,7 @@ export default function TimeMachineNode({ data, id }) {
   const handleAssetChange = (value) => {
     const nextValue = value.toUpperCase();
     if (nextValue === asset) return;
-    const direct = getDirectPrice(nextValue);
+    const direct = getDirectPrice(nextValue, currency);
 
     setAsset(nextValue);
 
@@ -295,7 +300,7 @@ export default function TimeMachineNode({ data, id }) {
         <div className="text-xs text-zinc-500 space-y-1">
           {asset && (
             <div>
-              {isFetchingCurrentPrice ? 'Fetching current price...' : (effectiveCurrentPrice !== null ? `Current Price: $${formatPrice(effectiveCurrentPrice)} (${effectiveCurrentType})` : 'Current price not found')}
+              {isFetchingCurrentPrice ? 'Fetching current price...' : (effectiveCurrentPrice !== null ? `Current Price: ${currencySymbol(currency)}${formatPrice(effectiveCurrentPrice)} (${effectiveCurrentType})` : 'Current price not found')}
             </div>
           )}
           {asset && targetDate && (
@@ -303,7 +308,7 @@ export default function TimeMachineNode({ data, id }) {
               {isFetchingPastPrice
                 ? 'Fetching historical price...'
                 : (effectivePastPrice !== null
-                  ? `Past Price (${targetDateLabel}): $${formatPrice(effectivePastPrice)} (${effectivePastType})`
+                  ? `Past Price (${targetDateLabel}): ${currencySymbol(currency)}${formatPrice(effectivePastPrice)} (${effectivePastType})`
                   : 'Historical price not found')}
             </div>
           )}
@@ -325,13 +330,13 @@ export default function TimeMachineNode({ data, id }) {
               <span className="font-semibold">{targetDateLabel}</span>
             </div>
             <div className={`text-xs mt-1 ${isUp ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}`}>
-              Price change: {priceDiff >= 0 ? '+' : ''}${formatPrice(Math.abs(priceDiff))}
+              Price change: {priceDiff >= 0 ? '+' : ''}{currencySymbol(currency)}{formatPrice(Math.abs(priceDiff))}
             </div>
             {parsedQty > 0 && (
               <div className={`text-xs mt-1 ${isUp ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}`}>
-                {parsedQty.toLocaleString('en-US', { maximumFractionDigits: 8 })} {asset.toUpperCase()} value: ${pastValue.toLocaleString('en-US', { maximumFractionDigits: 2 })} {'->'} ${currentValue.toLocaleString('en-US', { maximumFractionDigits: 2 })}
+                {parsedQty.toLocaleString('en-US', { maximumFractionDigits: 8 })} {asset.toUpperCase()} value: {currencySymbol(currency)}{pastValue.toLocaleString('en-US', { maximumFractionDigits: 2 })} {'->'} {currencySymbol(currency)}{currentValue.toLocaleString('en-US', { maximumFractionDigits: 2 })}
                 {' '}
-                ({valueDiff >= 0 ? '+' : '-'}${Math.abs(valueDiff).toLocaleString('en-US', { maximumFractionDigits: 2 })})
+                ({valueDiff >= 0 ? '+' : '-'}{currencySymbol(currency)}{Math.abs(valueDiff).toLocaleString('en-US', { maximumFractionDigits: 2 })})
               </div>
             )}
           </div>
@@ -4,20 +4,25 @@ import { useState, useEffect, useRef } from 'react';
 import MathInput from './MathInput';
 import { Handle, Position } from '@xyflow/react';
 import NodeTypeSelector from './NodeTypeSelector';
+import ChainButtons from './ChainButtons';
+import NodeTiming from './NodeTiming';
+import { useCurrency } from '@/lib/CurrencyContext';
+import { currencySymbol, isCashTicker } from '@/lib/currency';
 
-function formatPrice(price) {
+function formatPrice(price, currency) {
   if (price >= 1) {
-    return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
-  return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+  return `${currencySymbol(currency)}${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
 }
 
-function formatValue(value) {
-  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function formatValue(value, currency) {
+  return `${currencySymbol(currency)}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 export default function YieldNode({ data, id }) {
-  const { holdings = [], onYieldChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode } = data;
+  const currency = useCurrency();
+  const { holdings = [], onYieldChange, onInputChange, onRemove, onAddChainedNode, savedInputs, isDisabled, onToggleDisabled, onShiftNode, canShiftLeft, canShiftRight, onReplaceNode, when, scheduledAt, onWhenChange } = data;
   const onYieldChangeRef = useRef(onYieldChange);
   const onInputChangeRef = useRef(onInputChange);
   onYieldChangeRef.current = onYieldChange;
@@ -84,11 +89,13 @@ export default function YieldNode({ data, id }) {
         yieldValue,
         yieldAmount,
         assetPrice,
+        // Accrual period, for a yield dated on the projection timeline
+        years: timeInYears,
       });
     } else {
       callback(id, null);
     }
-  }, [asset, yieldType, yieldValue, yieldAmount, assetPrice, id]);
+  }, [asset, yieldType, yieldValue, yieldAmount, assetPrice, timeInYears, id]);
 
   return (
     <div className={`bg-white dark:bg-zinc-900 border border-zinc-300 dark:border-zinc-700 rounded-lg shadow-lg min-w-[280px] ${isDisabled ? 'opacity-40' : ''}`}>
@@ -150,9 +157,9 @@ export default function YieldNode({ data, id }) {
             className="w-full px-2 py-1.5 text-sm border border-zinc-300 dark:border-zinc-600 rounded bg-white dark:bg-zinc-800 focus:outline-none focus:ring-2 focus:ring-purple-500"
           >
             <option value="">Select asset...</option>
-            {holdings.filter(h => h.ticker !== 'USD').map((h) => (
+            {holdings.filter(h => !isCashTicker(h.ticker)).map((h) => (
               <option key={h.ticker} value={h.ticker}>
-                {h.ticker} ({h.amount} @ ${h.price ? formatPrice(h.price) : 'N/A'})
+                {h.ticker} ({h.amount} @ {h.price ? formatPrice(h.price, currency) : 'N/A'})
               </option>
             ))}
           </select>
@@ -185,7 +192,7 @@ export default function YieldNode({ data, id }) {
                 </button>
               </div>
               <div className="text-xs text-zinc-500 mt-1">
-                {yieldType === 'staking' ? 'Rewards paid in more tokens' : 'Rewards paid in cash (USD)'}
+                {yieldType === 'staking' ? 'Rewards paid in more tokens' : `Rewards paid in cash (${currency})`}
               </div>
             </div>
 
@@ -233,12 +240,12 @@ export default function YieldNode({ data, id }) {
                   {yieldType === 'staking' ? (
                     <>{yieldAmount.toFixed(6)} {asset}</>
                   ) : (
-                    <>${formatValue(yieldValue)}</>
+                    <>{formatValue(yieldValue, currency)}</>
                   )}
                 </div>
                 <div className="text-xs text-zinc-500 mt-1">
                   {yieldType === 'staking' ? (
-                    <>Worth ${formatValue(yieldValue)} at current price</>
+                    <>Worth {formatValue(yieldValue, currency)} at current price</>
                   ) : (
                     <>From {assetAmount} {asset} over {timeAmount} {timeUnit}</>
                   )}
@@ -248,48 +255,9 @@ export default function YieldNode({ data, id }) {
           </>
         )}
 
-        {/* Chain buttons */}
-        <div className="border-t border-zinc-200 dark:border-zinc-700 pt-3 mt-3">
-          <div className="text-xs text-zinc-500 mb-2">Chain another action:</div>
-          <div className="flex flex-wrap gap-1">
-            <button
-              onClick={() => onAddChainedNode?.(id, 'rotate')}
-              className="px-2 py-1 bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 rounded text-xs hover:bg-orange-200 dark:hover:bg-orange-900/50"
-            >
-              + Rotate
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'sell')}
-              className="px-2 py-1 bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded text-xs hover:bg-red-200 dark:hover:bg-red-900/50"
-            >
-              + Sell
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'buy')}
-              className="px-2 py-1 bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400 rounded text-xs hover:bg-green-200 dark:hover:bg-green-900/50"
-            >
-              + Buy
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'priceTarget')}
-              className="px-2 py-1 bg-cyan-100 dark:bg-cyan-900/30 text-cyan-600 dark:text-cyan-400 rounded text-xs hover:bg-cyan-200 dark:hover:bg-cyan-900/50"
-            >
-              + Target
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'allIn')}
-              className="px-2 py-1 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400 rounded text-xs hover:bg-yellow-200 dark:hover:bg-yellow-900/50"
-            >
-              + All-In
-            </button>
-            <button
-              onClick={() => onAddChainedNode?.(id, 'yield')}
-              className="px-2 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-600 dark:text-purple-400 rounded text-xs hover:bg-purple-200 dark:hover:bg-purple-900/50"
-            >
-              + Yield
-            </button>
-          </div>
-        </div>
+        <NodeTiming when={when} onChange={(next) => onWhenChange?.(id, next)} scheduledAt={scheduledAt} focusRingClass="focus:ring-purple-500" />
+
+        <ChainButtons nodeId={id} onAddChainedNode={onAddChainedNode} />
       </div>
 
       <Handle
@@ -0,0 +1,9 @@
+'use client';
+
+import { createContext, useContext } from 'react';
+
+// The open canvas's coin pins (see lib/coinPins) and `pinCoin(ticker, coinId)` to change one
+const CoinPinsContext = createContext({ pins: {}, pinCoin: () => {} });
+
+export const useCoinPins = () => useContext(CoinPinsContext);
+export const CoinPinsProvider = CoinPinsContext.Provider;
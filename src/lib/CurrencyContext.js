@@ -0,0 +1,9 @@
+'use client';
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_CURRENCY } from './currency';
+
+const CurrencyContext = createContext(DEFAULT_CURRENCY);
+
+export const useCurrency = () => useContext(CurrencyContext);
+export const CurrencyProvider = CurrencyContext.Provider;
@@ -0,0 +1,10 @@
+'use client';
+
+import { createContext, useContext } from 'react';
+import { NO_FEES } from './fees';
+
+// The canvas-wide fee settings, for nodes that don't set their own
+const FeesContext = createContext(NO_FEES);
+
+export const useDefaultFees = () => useContext(FeesContext);
+export const FeesProvider = FeesContext.Provider;
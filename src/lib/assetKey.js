@@ -0,0 +1,24 @@
+// Asset keys name a ticker plus an optional pinned CoinGecko id: "BTC" or "FOO@foo-coin".
+// Tickers are upper-cased; coin ids are kept as-is since CoinGecko ids are lower-case slugs.
+// STOCK_PIN in place of a coin id marks a ticker picked as a stock: "T@!stock" is never crypto.
+
+export const STOCK_PIN = '!stock';
+
+export function toAssetKey(symbol, coinId) {
+  const ticker = symbol.trim().toUpperCase();
+  return coinId ? `${ticker}@${coinId}` : ticker;
+}
+
+export function parseAssetKey(key) {
+  const at = key.indexOf('@');
+  if (at === -1) return { symbol: key.trim().toUpperCase(), coinId: null };
+  return {
+    symbol: key.slice(0, at).trim().toUpperCase(),
+    coinId: key.slice(at + 1).trim() || null,
+  };
+}
+
+export function normalizeAssetKey(key) {
+  const { symbol, coinId } = parseAssetKey(key);
+  return toAssetKey(symbol, coinId);
+}
@@ -0,0 +1,48 @@
+// Recurring contributions (positive amounts) and withdrawals (negative) of base-currency cash,
+// optionally putting contributions to work across the holdings at their current weights.
+import { isBaseCash } from './currency';
+import { buyUnits } from './fees';
+import { buyIntoHolding, today } from './taxLots';
+
+export const CASH_FLOW_FREQUENCIES = {
+  weekly: { label: 'Weekly', perYear: 52 },
+  biweekly: { label: 'Every 2 weeks', perYear: 26 },
+  monthly: { label: 'Monthly', perYear: 12 },
+  quarterly: { label: 'Quarterly', perYear: 4 },
+  yearly: { label: 'Yearly', perYear: 1 },
+};
+
+export const DEFAULT_CASH_FLOW_FREQUENCY = 'monthly';
+
+export const paymentsPerYear = (frequency) =>
+  (CASH_FLOW_FREQUENCIES[frequency] ?? CASH_FLOW_FREQUENCIES[DEFAULT_CASH_FLOW_FREQUENCY]).perYear;
+
+// Payments that fit in `years`
+export const paymentCount = (frequency, years) => Math.floor(years * paymentsPerYear(frequency) + 1e-9);
+
+// Non-cash holdings' share of the non-cash value: [{ ticker, weight }], weights summing to 1
+export function allocationWeights(holdings, baseCurrency) {
+  const invested = holdings.filter(h => !isBaseCash(h.ticker, baseCurrency) && (h.value || 0) > 0 && h.price > 0);
+  const total = invested.reduce((sum, h) => sum + h.value, 0);
+  return invested.map(h => ({ ticker: h.ticker, weight: h.value / total }));
+}
+
+// Buy into each holding in proportion to its current weight (mutates `projected`), opening a lot
+// with id `lotId` dated `date` in each. Returns { fills: [{ ticker, units, price, value, cost }],
+// unallocated }, the cash left over when there is nothing to buy into.
+export function allocateContribution(projected, amount, fees, baseCurrency, lotId, date = today()) {
+  const weights = allocationWeights(projected, baseCurrency);
+  if (!(amount > 0) || weights.length === 0) return { fills: [], unallocated: amount };
+
+  const fills = [];
+  for (const { ticker, weight } of weights) {
+    const holding = projected.find(h => h.ticker === ticker);
+    const value = amount * weight;
+    const { units, cost, costPerUnit } = buyUnits(value, holding.price, fees);
+    buyIntoHolding(holding, units, costPerUnit, lotId, date);
+    holding.amount += units;
+    holding.value = holding.amount * holding.price;
+    fills.push({ ticker, units, price: holding.price, value, cost });
+  }
+  return { fills, unallocated: 0 };
+}
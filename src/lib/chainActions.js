@@ -0,0 +1,209 @@
+// What each chain action does to a projected portfolio. Both projections in page.js (a node's
+// input holdings and the portfolio's full projection) run their actions through applyAction.
+// `projected` is mutated; the running cash balance is kept by the caller, who gets back
+// { cashDelta, realized, trades } with trades as [{ side, ticker, units, price, value, fee }].
+// Price Target and Tax nodes don't trade and are handled by the callers.
+import { isBaseCash } from './currency';
+import { buyUnits, resolveFees, sellProceeds } from './fees';
+import { NO_REALIZED, addRealized, buyIntoHolding, initialLots, projectedLotId, sellFromHolding, today } from './taxLots';
+import { applyRebalance } from './rebalance';
+import { applyDca } from './dca';
+import { allocateContribution } from './cashFlow';
+
+const EPSILON = 0.000001;
+
+// Trade list labels, by node type
+export const ACTION_LABELS = {
+  rotate: 'Rotate',
+  sell: 'Sell',
+  buy: 'Buy',
+  allIn: 'All-In',
+  yield: 'Yield',
+  rebalance: 'Rebalance',
+  dca: 'DCA',
+  cashFlow: 'Cash Flow',
+};
+
+export const actionType = (nodeId) => nodeId.slice(0, nodeId.lastIndexOf('-'));
+
+// Sells `units` of `ticker` for `proceeds`, dropping the holding once it's empty
+function sellOut(projected, ticker, units, proceeds, { method, lotId, date }) {
+  const index = projected.findIndex(h => h.ticker === ticker);
+  if (index === -1) return NO_REALIZED;
+  const holding = projected[index];
+  const realized = sellFromHolding(holding, units, proceeds, { method, lotId, saleDate: date });
+  holding.amount -= units;
+  holding.value = holding.amount * (holding.price || 0);
+  if (holding.amount <= EPSILON) projected.splice(index, 1);
+  return realized;
+}
+
+// Adds `units` at `costPerUnit` as a new lot, opening the holding if it isn't held yet
+function buyIn(projected, { ticker, price, type }, units, costPerUnit, lotId, date) {
+  const holding = projected.find(h => h.ticker === ticker);
+  if (holding) {
+    buyIntoHolding(holding, units, costPerUnit, lotId, date);
+    holding.amount += units;
+    holding.value = holding.amount * (holding.price || 0);
+  } else {
+    projected.push({
+      ticker,
+      amount: units,
+      price,
+      type,
+      value: units * price,
+      lots: initialLots(units, costPerUnit, lotId, date),
+    });
+  }
+}
+
+function applyRotation(projected, rotation, { fees, nodeId, date }) {
+  const { fromAsset, sellAmount, sellValue, toAsset, toPrice, toType, lotMethod, lotId } = rotation;
+  const { proceeds, cost: sellCost } = sellProceeds(sellValue, fees);
+  const { units, cost: buyCost, costPerUnit } = buyUnits(proceeds, toPrice, fees);
+  const realized = sellOut(projected, fromAsset, sellAmount, proceeds, { method: lotMethod, lotId, date });
+  buyIn(projected, { ticker: toAsset, price: toPrice, type: toType }, units, costPerUnit, projectedLotId(nodeId), date);
+  return {
+    cashDelta: 0,
+    realized,
+    trades: [
+      { side: 'SELL', ticker: fromAsset, units: sellAmount, price: sellAmount > 0 ? sellValue / sellAmount : null, value: sellValue, fee: sellCost },
+      { side: 'BUY', ticker: toAsset, units, price: toPrice, value: proceeds, fee: buyCost },
+    ],
+  };
+}
+
+function applySell(projected, sell, { fees, date }) {
+  const { fromAsset, sellAmount, sellValue, addCash = true, lotMethod, lotId } = sell;
+  const { proceeds, cost } = sellProceeds(sellValue, fees);
+  const realized = sellOut(projected, fromAsset, sellAmount, proceeds, { method: lotMethod, lotId, date });
+  return {
+    cashDelta: addCash ? proceeds : 0,
+    realized,
+    trades: [{ side: 'SELL', ticker: fromAsset, units: sellAmount, price: sellAmount > 0 ? sellValue / sellAmount : null, value: sellValue, fee: cost }],
+  };
+}
+
+function applyBuy(projected, buy, { fees, nodeId, date }) {
+  const { cashAmount, toAsset, toPrice, toType, deductCash = true } = buy;
+  const { units, cost, costPerUnit } = buyUnits(cashAmount, toPrice, fees);
+  buyIn(projected, { ticker: toAsset, price: toPrice, type: toType }, units, costPerUnit, projectedLotId(nodeId), date);
+  return {
+    cashDelta: deductCash ? -cashAmount : 0,
+    realized: NO_REALIZED,
+    trades: [{ side: 'BUY', ticker: toAsset, units, price: toPrice, value: cashAmount, fee: cost }],
+  };
+}
+
+// Everything except cash and the target itself is sold into the target, cash included
+function applyAllIn(projected, allIn, { cash, fees, baseCurrency, nodeId, date }) {
+  const { toAsset, toPrice, toType } = allIn;
+  const totalValue = projected.reduce((sum, h) => sum + (h.value || 0), 0) + cash;
+  const target = projected.find(h => h.ticker === toAsset);
+  const trades = [];
+  let realized = NO_REALIZED;
+  let amount = 0;
+  let lots = [];
+  if (totalValue > 0 && toPrice) {
+    let buyValue = cash;
+    for (const h of projected) {
+      if (h === target) continue;
+      if (isBaseCash(h.ticker, baseCurrency)) {
+        buyValue += h.value || 0;
+        continue;
+      }
+      const { proceeds, cost } = sellProceeds(h.value || 0, fees);
+      trades.push({ side: 'SELL', ticker: h.ticker, units: h.amount, price: h.price, value: h.value || 0, fee: cost });
+      realized = addRealized(realized, sellFromHolding(h, h.amount, proceeds, { saleDate: date }));
+      buyValue += proceeds;
+    }
+    const { units, cost, costPerUnit } = buyUnits(buyValue, toPrice, fees);
+    trades.push({ side: 'BUY', ticker: toAsset, units, price: toPrice, value: buyValue, fee: cost });
+    amount = (target?.value || 0) / toPrice + units;
+    lots = [...(target?.lots ?? []), ...initialLots(units, costPerUnit, projectedLotId(nodeId), date)];
+  }
+
+  // A single holding of the target is all that's left
+  projected.length = 0;
+  if (amount > 0) {
+    projected.push({
+      ticker: toAsset,
+      amount,
+      price: toPrice,
+      type: toType,
+      value: amount * toPrice,
+      cost: target?.cost,
+      lots,
+    });
+  }
+  return { cashDelta: -cash, realized, trades };
+}
+
+// Pays `share` of a Yield node's payout: more of the staked asset, or dividend cash.
+// A yield paid out over time pays in parts, `payment` numbering the parts' lots.
+export function applyYield(projected, yieldData, { nodeId, share = 1, payment = 0, date = today() }) {
+  const { asset, yieldType, yieldValue, yieldAmount, assetPrice } = yieldData;
+  if (yieldType !== 'staking') return { cashDelta: yieldValue * share, realized: NO_REALIZED, trades: [] };
+  const holding = projected.find(h => h.ticker === asset);
+  if (holding) {
+    buyIntoHolding(holding, yieldAmount * share, assetPrice, projectedLotId(nodeId, payment), date);
+    holding.amount += yieldAmount * share;
+    holding.value = holding.amount * (holding.price || 0);
+  }
+  return { cashDelta: 0, realized: NO_REALIZED, trades: [] };
+}
+
+function applyRebalanceNode(projected, rebalance, { cash, fees, baseCurrency, nodeId, date }) {
+  // Sells before buys, so the buys are paid for from what the sells raise
+  const { cashDelta, fills, realized } = applyRebalance(projected, cash, rebalance, { fees, baseCurrency, nodeId, date });
+  return {
+    cashDelta,
+    realized,
+    trades: fills.map(fill => ({ side: fill.side, ticker: fill.ticker, units: fill.units, price: fill.price, value: fill.value, fee: fill.cost })),
+  };
+}
+
+function applyDcaNode(projected, dca, { fees, nodeId, date }) {
+  const { invested, fills } = applyDca(projected, dca, fees, nodeId, date);
+  return {
+    cashDelta: dca.deductCash ? -invested : 0,
+    realized: NO_REALIZED,
+    trades: fills.map(fill => ({ side: 'BUY', ticker: dca.asset, units: fill.units, price: fill.price, value: fill.units * fill.price + fill.cost, fee: fill.cost })),
+  };
+}
+
+// One of a Cash Flow's payments, numbered by `payment`. Contributions either land as cash or are
+// put to work at the holdings' current weights; withdrawals come out of cash.
+function applyCashFlow(projected, cashFlow, { fees, baseCurrency, nodeId, date, payment }) {
+  if (!cashFlow.allocate || !(cashFlow.amount > 0)) {
+    return { cashDelta: cashFlow.amount, realized: NO_REALIZED, trades: [] };
+  }
+  const { fills, unallocated } = allocateContribution(projected, cashFlow.amount, fees, baseCurrency, projectedLotId(nodeId, payment), date);
+  return {
+    cashDelta: unallocated,
+    realized: NO_REALIZED,
+    trades: fills.map(fill => ({ side: 'BUY', ticker: fill.ticker, units: fill.units, price: fill.price, value: fill.value, fee: fill.cost })),
+  };
+}
+
+const EFFECTS = {
+  rotate: applyRotation,
+  sell: applySell,
+  buy: applyBuy,
+  allIn: applyAllIn,
+  yield: applyYield,
+  rebalance: applyRebalanceNode,
+  dca: applyDcaNode,
+  cashFlow: applyCashFlow,
+};
+
+const NO_EFFECT = { cashDelta: 0, realized: NO_REALIZED, trades: [] };
+
+// Runs the chain action `nodeId` with its node's `payload` against `projected`, holding `cash`
+// on the side. Trades happen on `date` ('YYYY-MM-DD') and pay the node's fees, or `defaultFees`.
+// Nodes that pay out in parts (Cash Flow) make one `payment` per call.
+export function applyAction(projected, nodeId, payload, { cash = 0, defaultFees, baseCurrency, date = today(), payment = 0 }) {
+  const apply = EFFECTS[actionType(nodeId)];
+  if (!apply || !payload) return NO_EFFECT;
+  return apply(projected, payload, { cash, fees: resolveFees(payload.fees, defaultFees), baseCurrency, nodeId, date, payment });
+}
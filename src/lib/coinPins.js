@@ -0,0 +1,61 @@
+import { toAssetKey } from './assetKey';
+
+// Which CoinGecko coin a crypto ticker means when the symbol is shared by several coins.
+// Set when the user picks a coin from ticker search; unpinned tickers use the best-ranked coin.
+// Picking a stock pins the ticker as STOCK_PIN so no coin claims it.
+// Pins belong to the open canvas and are saved with it; this browser keeps its own set, updated
+// on explicit saves and imports, as the starting point for canvases that don't carry any.
+const STORAGE_KEY = 'folioli-coin-pins';
+
+export function getCoinPins() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+const normalizeTicker = (ticker) => ticker.toUpperCase().trim();
+
+export function getCoinPin(ticker, pins) {
+  if (!ticker || !pins) return null;
+  return pins[normalizeTicker(ticker)] ?? null;
+}
+
+// `pins` with `ticker` pinned to `coinId`, or unpinned when `coinId` is null
+export function withCoinPin(pins, ticker, coinId) {
+  const normalized = normalizeTicker(ticker);
+  if (!normalized) return pins;
+  const { [normalized]: _, ...rest } = pins;
+  return coinId ? { ...rest, [normalized]: coinId } : rest;
+}
+
+// Only the well-formed entries of pins read from a snapshot, layout or share link
+export function cleanCoinPins(saved) {
+  const pins = {};
+  if (!saved || typeof saved !== 'object') return pins;
+  for (const [ticker, coinId] of Object.entries(saved)) {
+    const normalized = normalizeTicker(ticker);
+    if (normalized && typeof coinId === 'string' && coinId) pins[normalized] = coinId;
+  }
+  return pins;
+}
+
+// A canvas's pins, layered over this browser's for the same tickers
+export function pinsForSnapshot(saved) {
+  return { ...getCoinPins(), ...cleanCoinPins(saved) };
+}
+
+// Keeps a saved or imported canvas's pins in this browser
+export function mergeCoinPins(saved) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pinsForSnapshot(saved)));
+  } catch {
+    // Storage full or unavailable — the pins just won't persist
+  }
+}
+
+// The asset key to request a ticker by, including its pinned coin id if any
+export function pinnedAssetKey(ticker, pins) {
+  return toAssetKey(ticker, getCoinPin(ticker, pins));
+}
@@ -0,0 +1,36 @@
+// Fiat currencies the canvas can be valued in. Any of them can also be held as cash;
+// CASH is shorthand for cash in the canvas base currency.
+export const CURRENCIES = {
+  USD: { symbol: '$', name: 'US Dollar' },
+  EUR: { symbol: '€', name: 'Euro' },
+  GBP: { symbol: '£', name: 'British Pound' },
+  JPY: { symbol: '¥', name: 'Japanese Yen' },
+  CHF: { symbol: 'CHF ', name: 'Swiss Franc' },
+  CAD: { symbol: 'CA$', name: 'Canadian Dollar' },
+  AUD: { symbol: 'A$', name: 'Australian Dollar' },
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export function normalizeCurrency(code) {
+  const upper = (code || '').toUpperCase().trim();
+  return CURRENCIES[upper] ? upper : DEFAULT_CURRENCY;
+}
+
+export function currencySymbol(code) {
+  return CURRENCIES[code]?.symbol ?? `${code} `;
+}
+
+// Fiat tickers (and CASH) are priced by exchange rate rather than looked up as assets
+export function isCashTicker(ticker) {
+  if (!ticker) return false;
+  const upper = ticker.toUpperCase().trim();
+  return upper === 'CASH' || !!CURRENCIES[upper];
+}
+
+// Cash that is worth exactly 1 unit of the base currency, so needs no price lookup
+export function isBaseCash(ticker, baseCurrency) {
+  if (!ticker) return false;
+  const upper = ticker.toUpperCase().trim();
+  return upper === 'CASH' || upper === baseCurrency;
+}
@@ -0,0 +1,121 @@
+// Dollar-cost averaging: the same cash amount buys one asset every period. A schedule is
+// [{ date, price }], one entry per purchase, read off price history (a backtest ending today)
+// or laid along a forward price path (starting today). In a projection the purchases are
+// re-dated to end or start on the DCA's date on the timeline instead.
+import { buyUnits } from './fees';
+import { buyIntoHolding, initialLots, projectedLotId, today } from './taxLots';
+
+export const DCA_FREQUENCIES = {
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 },
+  biweekly: { label: 'Every 2 weeks', days: 14 },
+  monthly: { label: 'Monthly', months: 1 },
+};
+
+export const DEFAULT_DCA_FREQUENCY = 'monthly';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+function stepDate(date, frequency, steps) {
+  const next = new Date(date);
+  const { days, months } = DCA_FREQUENCIES[frequency] ?? DCA_FREQUENCIES[DEFAULT_DCA_FREQUENCY];
+  if (months) {
+    // Late-month days stay at the end of shorter months: Jan 31 steps to Feb 28, not Mar 3
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + months * steps);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+  } else {
+    next.setUTCDate(next.getUTCDate() + days * steps);
+  }
+  return next;
+}
+
+// Purchase dates one period apart, ending on `anchor` ('YYYY-MM-DD') for a backtest or starting
+// on it going forward
+export function scheduleDates(frequency, periods, direction, anchor = today()) {
+  const start = new Date(anchor);
+  const dates = [];
+  for (let i = 0; i < periods; i++) {
+    const steps = direction === 'backtest' ? i - (periods - 1) : i;
+    dates.push(toIsoDate(stepDate(start, frequency, steps)));
+  }
+  return dates;
+}
+
+// Days of history a backtest over these dates needs, within the /api/price-history limit
+export const historyDays = (dates) =>
+  Math.min(3650, Math.ceil((Date.now() - Date.parse(dates[0])) / DAY_MS) + 7);
+
+// The close on or before each date from history points [{ t, p }]; dates before the history
+// starts are left out
+export function backtestSchedule(points, dates) {
+  const schedule = [];
+  let i = 0;
+  for (const date of dates) {
+    const end = Date.parse(date) + DAY_MS;
+    while (i + 1 < points.length && points[i + 1].t < end) i++;
+    if (points[i] && points[i].t < end && points[i].p > 0) {
+      schedule.push({ date, price: points[i].p });
+    }
+  }
+  return schedule;
+}
+
+// Prices growing at a constant rate from `startPrice` on the first date to `endPrice` on the last
+export function forwardSchedule(dates, startPrice, endPrice = startPrice) {
+  if (!(startPrice > 0) || !(endPrice > 0)) return [];
+  const n = dates.length;
+  return dates.map((date, i) => ({
+    date,
+    price: n > 1 ? startPrice * Math.pow(endPrice / startPrice, i / (n - 1)) : startPrice,
+  }));
+}
+
+// Every purchase spends `amount`, less fees: { units, invested, cost, fills }
+export function accumulate(schedule, amount, fees) {
+  let units = 0;
+  let cost = 0;
+  const fills = [];
+  for (const { date, price } of schedule) {
+    const fill = buyUnits(amount, price, fees);
+    units += fill.units;
+    cost += fill.cost;
+    fills.push({ date, price, units: fill.units, cost: fill.cost, costPerUnit: fill.costPerUnit });
+  }
+  return { units, invested: amount * schedule.length, cost, fills };
+}
+
+// Book a DCA's purchases into `projected` (mutated), one dated tax lot per purchase, named after
+// `nodeId`. The purchases keep their prices but are dated from `date`, when the DCA happens.
+// The position is valued at `price`, the asset's price on the canvas.
+export function applyDca(projected, { asset, price, type, amount, schedule, frequency, mode }, fees, nodeId, date) {
+  // A backtest that ran short of history is missing its earliest purchases, so dating it from
+  // its last purchase keeps the rest in place
+  const dates = scheduleDates(frequency, schedule.length, mode, date);
+  const result = accumulate(schedule.map((purchase, i) => ({ ...purchase, date: dates[i] })), amount, fees);
+  if (!(result.units > 0)) return result;
+
+  const index = projected.findIndex(h => h.ticker === asset);
+  if (index !== -1) {
+    const holding = projected[index];
+    result.fills.forEach((fill, i) => {
+      buyIntoHolding(holding, fill.units, fill.costPerUnit, projectedLotId(nodeId, i), fill.date);
+    });
+    holding.amount += result.units;
+    holding.value = holding.amount * (holding.price || 0);
+  } else {
+    projected.push({
+      ticker: asset,
+      amount: result.units,
+      price,
+      type,
+      value: result.units * price,
+      lots: result.fills.flatMap((fill, i) => initialLots(fill.units, fill.costPerUnit, projectedLotId(nodeId, i), fill.date)),
+    });
+  }
+  return result;
+}
@@ -0,0 +1,50 @@
+// Trading costs for the projection engine: a percent fee and a flat fee per trade, plus
+// slippage in basis points against the quoted price. Fee settings are
+// { percent, flat, slippageBps }; a node's own settings replace the canvas default.
+
+export const NO_FEES = { percent: 0, flat: 0, slippageBps: 0 };
+
+export const resolveFees = (nodeFees, defaultFees) => nodeFees ?? defaultFees ?? NO_FEES;
+
+export const hasFees = (fees) => fees.percent > 0 || fees.flat > 0 || fees.slippageBps > 0;
+
+// Selling `value` worth at the quoted price: the cash that lands, and what fees and slippage took
+export function sellProceeds(value, fees) {
+  if (!(value > 0)) return { proceeds: value, cost: 0 };
+  const filled = value * (1 - fees.slippageBps / 10000);
+  const fee = Math.min(filled, filled * fees.percent / 100 + fees.flat);
+  return { proceeds: filled - fee, cost: value - filled + fee };
+}
+
+// Spending `cash` on an asset quoted at `price`: the units received, what fees and slippage
+// took, and the all-in cost per unit (the tax lot's basis)
+export function buyUnits(cash, price, fees) {
+  if (!price) return { units: 0, cost: 0, costPerUnit: null };
+  if (!(cash > 0)) return { units: cash / price, cost: 0, costPerUnit: price };
+  const fee = Math.min(cash, cash * fees.percent / 100 + fees.flat);
+  const units = (cash - fee) / (price * (1 + fees.slippageBps / 10000));
+  return { units, cost: cash - units * price, costPerUnit: units > 0 ? cash / units : price };
+}
+
+// "0.1% + $1 + 5 bps"
+export function describeFees(fees, symbol) {
+  const parts = [];
+  if (fees.percent > 0) parts.push(`${fees.percent}%`);
+  if (fees.flat > 0) parts.push(`${symbol}${fees.flat}`);
+  if (fees.slippageBps > 0) parts.push(`${fees.slippageBps} bps`);
+  return parts.length > 0 ? parts.join(' + ') : 'none';
+}
+
+// Fee inputs are kept as the strings typed (so MathInput can hold "0." mid-edit)
+export const EMPTY_FEE_INPUTS = { percent: '', flat: '', slippageBps: '' };
+
+const feeNumber = (raw) => {
+  const value = parseFloat(raw);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+};
+
+export const parseFees = (inputs) => ({
+  percent: feeNumber(inputs?.percent),
+  flat: feeNumber(inputs?.flat),
+  slippageBps: feeNumber(inputs?.slippageBps),
+});
@@ -1,8 +1,13 @@
-export async function fetchHistoricalPrice(symbol, date) {
+import { getCoinPin } from './coinPins';
+import { DEFAULT_CURRENCY, currencySymbol } from './currency';
+
+export async function fetchHistoricalPrice(symbol, date, currency = DEFAULT_CURRENCY, pins = {}) {
   const startTime = performance.now();
 
   try {
-    const res = await fetch(`/api/price?symbol=${encodeURIComponent(symbol)}&date=${encodeURIComponent(date)}`);
+    const coinId = getCoinPin(symbol, pins);
+    const idParam = coinId ? `&id=${encodeURIComponent(coinId)}` : '';
+    const res = await fetch(`/api/price?symbol=${encodeURIComponent(symbol)}&date=${encodeURIComponent(date)}${idParam}&currency=${currency}`);
     const duration = (performance.now() - startTime).toFixed(0);
 
     if (!res.ok) {
@@ -11,7 +16,7 @@ export async function fetchHistoricalPrice(symbol, date) {
     }
 
     const data = await res.json();
-    const priceStr = data.price ? `$${data.price.toLocaleString()}` : 'N/A';
+    const priceStr = data.price ? `${currencySymbol(currency)}${data.price.toLocaleString()}` : 'N/A';
     const resolved = data.resolvedDate || date;
     console.log(`[API] ${symbol} @ ${resolved}: ${priceStr} | Type: ${data.type} | ${duration}ms`);
 
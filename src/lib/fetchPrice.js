@@ -1,4 +1,8 @@
-export async function fetchPrice(symbol) {
+import { getCoinPin, pinnedAssetKey } from './coinPins';
+import { DEFAULT_CURRENCY, currencySymbol } from './currency';
+
+// `pins` are the canvas's coin pins (see lib/coinPins)
+export async function fetchPrice(symbol, currency = DEFAULT_CURRENCY, pins = {}) {
   const startTime = performance.now();
   const stack = new Error().stack;
 
@@ -7,7 +11,9 @@ export async function fetchPrice(symbol) {
   console.groupEnd();
 
   try {
-    const res = await fetch(`/api/price?symbol=${encodeURIComponent(symbol)}`, {
+    const coinId = getCoinPin(symbol, pins);
+    const idParam = coinId ? `&id=${encodeURIComponent(coinId)}` : '';
+    const res = await fetch(`/api/price?symbol=${encodeURIComponent(symbol)}${idParam}&currency=${currency}`, {
       cache: 'no-store',
     });
     const duration = (performance.now() - startTime).toFixed(0);
@@ -18,8 +24,9 @@ export async function fetchPrice(symbol) {
     }
 
     const data = await res.json();
-    const priceStr = data.price ? `$${data.price.toLocaleString()}` : 'N/A';
-    const mcapStr = data.marketCap ? `$${(data.marketCap / 1e9).toFixed(2)}B` : 'N/A';
+    const sym = currencySymbol(currency);
+    const priceStr = data.price ? `${sym}${data.price.toLocaleString()}` : 'N/A';
+    const mcapStr = data.marketCap ? `${sym}${(data.marketCap / 1e9).toFixed(2)}B` : 'N/A';
     console.log(`[API] ${symbol}: ${priceStr} | MCap: ${mcapStr} | Type: ${data.type} | ${duration}ms`);
 
     return data;
@@ -29,3 +36,47 @@ export async function fetchPrice(symbol) {
     return { price: null, marketCap: null, type: 'unknown' };
   }
 }
+
+const BATCH_SIZE = 100;
+
+// Fetch many tickers at once; returns a map of ticker -> { price, marketCap, type }
+export async function fetchPrices(symbols, currency = DEFAULT_CURRENCY, pins = {}) {
+  const unique = [...new Set(symbols.filter(Boolean))];
+  if (unique.length === 0) return {};
+
+  const startTime = performance.now();
+  const priceMap = {};
+
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    const batch = unique.slice(i, i + BATCH_SIZE);
+    // Pinned coins are requested as "SYMBOL@coin-id"
+    const keys = batch.map(symbol => pinnedAssetKey(symbol, pins));
+    try {
+      const res = await fetch(`/api/price?symbols=${keys.map(encodeURIComponent).join(',')}&currency=${currency}`, {
+        cache: 'no-store',
+      });
+      if (!res.ok) {
+        console.warn(`[API] Batch of ${batch.length} failed (${res.status})`);
+        continue;
+      }
+      const data = await res.json();
+      batch.forEach((symbol, j) => {
+        if (data.prices[keys[j]]) priceMap[symbol] = data.prices[keys[j]];
+      });
+    } catch (err) {
+      console.error(`[API] Batch of ${batch.length} error:`, err.message);
+    }
+  }
+
+  for (const symbol of unique) {
+    if (!priceMap[symbol]) {
+      priceMap[symbol] = { price: null, marketCap: null, type: 'unknown' };
+    }
+  }
+
+  const duration = (performance.now() - startTime).toFixed(0);
+  const found = unique.filter(s => priceMap[s].price !== null).length;
+  console.log(`[API] Batch: ${found}/${unique.length} prices | ${duration}ms`);
+
+  return priceMap;
+}
@@ -0,0 +1,30 @@
+import { getCoinPin } from './coinPins';
+import { DEFAULT_CURRENCY } from './currency';
+
+// Daily closes for the last `days` days: { points: [{ t, p }], type }, points sorted by t (ms)
+export async function fetchPriceHistory(symbol, days, currency = DEFAULT_CURRENCY, pins = {}) {
+  const startTime = performance.now();
+
+  try {
+    const coinId = getCoinPin(symbol, pins);
+    const idParam = coinId ? `&id=${encodeURIComponent(coinId)}` : '';
+    const res = await fetch(`/api/price-history?symbol=${encodeURIComponent(symbol)}&days=${days}&currency=${currency}${idParam}`, {
+      cache: 'no-store',
+    });
+    const duration = (performance.now() - startTime).toFixed(0);
+
+    if (!res.ok) {
+      console.warn(`[API] ${symbol} history (${days}d) failed (${res.status}) in ${duration}ms`);
+      return { points: [], type: 'unknown' };
+    }
+
+    const data = await res.json();
+    console.log(`[API] ${symbol} history (${days}d): ${data.points?.length ?? 0} points | Type: ${data.type} | ${duration}ms`);
+
+    return { points: data.points ?? [], type: data.type };
+  } catch (err) {
+    const duration = (performance.now() - startTime).toFixed(0);
+    console.error(`[API] ${symbol} history (${days}d) error in ${duration}ms:`, err.message);
+    return { points: [], type: 'unknown' };
+  }
+}
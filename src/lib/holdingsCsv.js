@@ -0,0 +1,269 @@
+import { averageCost, newLotId } from './taxLots';
+
+// Parsing holdings out of CSV text (pasted or from a broker export).
+// Rows map to { ticker, amount, cost } through a column mapping, which is either picked by
+// hand or guessed from the header row using the broker presets below.
+
+// Header names are matched case-insensitively. costIsTotal means the cost column is the
+// position's total cost basis rather than the cost per unit.
+export const CSV_PRESETS = {
+  generic: {
+    label: 'Generic',
+    ticker: ['ticker', 'symbol', 'asset', 'coin'],
+    amount: ['amount', 'quantity', 'qty', 'shares', 'units', 'balance'],
+    cost: ['cost', 'avg cost', 'average cost', 'cost per share', 'price paid'],
+    costIsTotal: false,
+  },
+  fidelity: {
+    label: 'Fidelity',
+    ticker: ['symbol'],
+    amount: ['quantity'],
+    cost: ['average cost basis'],
+    costIsTotal: false,
+  },
+  schwab: {
+    label: 'Schwab',
+    ticker: ['symbol'],
+    amount: ['qty (quantity)', 'quantity'],
+    cost: ['cost basis'],
+    costIsTotal: true,
+  },
+  vanguard: {
+    label: 'Vanguard',
+    ticker: ['symbol'],
+    amount: ['shares'],
+    cost: [],
+    costIsTotal: false,
+  },
+};
+
+const DELIMITERS = [',', ';', '\t'];
+
+// The delimiter that splits the most of the first few lines into the same number of columns
+// (then the most columns). Decimal commas make ',' split unevenly, so ';' files still win.
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/, 5).filter(line => line.trim() !== '');
+  let best = ',';
+  let bestLines = 0;
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const tally = {};
+    for (const line of lines) {
+      const count = line.split(delimiter).length;
+      if (count > 1) tally[count] = (tally[count] ?? 0) + 1;
+    }
+    for (const [count, matching] of Object.entries(tally)) {
+      if (matching > bestLines || (matching === bestLines && Number(count) > bestCount)) {
+        best = delimiter;
+        bestLines = matching;
+        bestCount = Number(count);
+      }
+    }
+  }
+  return best;
+}
+
+// Files split on ';' come from locales that write decimals with a comma: "1.234,5"
+export function usesDecimalComma(text) {
+  return detectDelimiter(text) === ';';
+}
+
+// RFC 4180-style: quoted fields may contain delimiters, newlines and doubled quotes.
+// Blank lines are dropped, as are title lines some brokers put above the header row.
+export function parseCsv(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field.trim());
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(cell => cell !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  const firstTable = rows.findIndex(r => r.filter(cell => cell !== '').length >= 2);
+  return firstTable > 0 ? rows.slice(firstTable) : rows;
+}
+
+const THOUSANDS_COMMAS = /^-?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const THOUSANDS_DOTS = /^-?\d{1,3}(\.\d{3})+$/;
+const DECIMAL_COMMA = /^-?(\d{1,3}(\.\d{3})+|\d+),\d+$/;
+
+// "$1,234.50" -> 1234.5, "(12)" -> -12; null when the cell isn't a number.
+// A comma groups thousands when it can ("1,234") and is the decimal point when it can't ("1,5",
+// "1.234,56"). With decimalComma it is the decimal point whenever it can be, so "1,234" -> 1.234
+// and "1.234" -> 1234. Commas that fit neither reading make the cell unreadable.
+export function parseNumber(cell, decimalComma = false) {
+  if (cell === undefined || cell === null) return null;
+  let text = String(cell).trim().replace(/[$€£¥\s]/g, '');
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (text === '' || text === '--' || text === 'n/a') return null;
+  if (DECIMAL_COMMA.test(text) && (decimalComma || !THOUSANDS_COMMAS.test(text))) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (THOUSANDS_COMMAS.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (decimalComma && THOUSANDS_DOTS.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  const value = Number(text);
+  return Number.isFinite(value) ? sign * value : null;
+}
+
+const isBlank = (cell) => cell === undefined || cell === null || ['', '--', 'n/a'].includes(String(cell).trim());
+
+const findColumn = (headers, names) => {
+  const normalized = headers.map(h => h.toLowerCase().trim());
+  for (const name of names) {
+    const index = normalized.indexOf(name);
+    if (index !== -1) return index;
+  }
+  return null;
+};
+
+// Whether the first row looks like column names rather than data
+export function hasHeaderRow(rows) {
+  if (rows.length === 0) return false;
+  return rows[0].every(cell => parseNumber(cell) === null);
+}
+
+// { ticker, amount, cost, costIsTotal } column indexes for a preset; cost may be null.
+// Without a header row, falls back to ticker, amount, cost in the first three columns.
+export function guessMapping(rows, presetKey = 'generic') {
+  const preset = CSV_PRESETS[presetKey] ?? CSV_PRESETS.generic;
+  const width = Math.max(0, ...rows.map(r => r.length));
+  if (!hasHeaderRow(rows)) {
+    return { ticker: 0, amount: width > 1 ? 1 : null, cost: width > 2 ? 2 : null, costIsTotal: false };
+  }
+  const headers = rows[0];
+  return {
+    ticker: findColumn(headers, preset.ticker) ?? 0,
+    amount: findColumn(headers, preset.amount) ?? (width > 1 ? 1 : null),
+    cost: findColumn(headers, preset.cost),
+    costIsTotal: preset.costIsTotal,
+  };
+}
+
+// The first preset whose ticker and amount columns are all present in the header row
+export function detectPreset(rows) {
+  if (!hasHeaderRow(rows)) return 'generic';
+  const headers = rows[0];
+  for (const [key, preset] of Object.entries(CSV_PRESETS)) {
+    if (key === 'generic') continue;
+    const matches = findColumn(headers, preset.ticker) !== null
+      && findColumn(headers, preset.amount) !== null
+      && (preset.cost.length === 0 || findColumn(headers, preset.cost) !== null);
+    if (matches) return key;
+  }
+  return 'generic';
+}
+
+// Tickers as symbols: drops anything that isn't a plausible ticker (totals rows, notes)
+const TICKER_PATTERN = /^[A-Z0-9][A-Z0-9.\-/^=]{0,14}$/;
+
+// Returns { entries: [{ ticker, amount, cost }], skipped: [{ row, reason }] }.
+// Rows are 1-based, counting the header, so they can be pointed at in the preview.
+// Numbers that can't be read are reported rather than guessed at.
+export function rowsToHoldings(rows, mapping, { decimalComma = false } = {}) {
+  const entries = [];
+  const skipped = [];
+  const start = hasHeaderRow(rows) ? 1 : 0;
+
+  for (let i = start; i < rows.length; i++) {
+    const row = rows[i];
+    const rowNumber = i + 1;
+    const ticker = (row[mapping.ticker] ?? '').toUpperCase().replace(/\*+$/, '').trim();
+    if (!TICKER_PATTERN.test(ticker)) {
+      skipped.push({ row: rowNumber, reason: ticker ? `"${ticker}" is not a ticker` : 'No ticker' });
+      continue;
+    }
+    const amountCell = mapping.amount === null ? null : row[mapping.amount];
+    const amount = parseNumber(amountCell, decimalComma);
+    if (amount === null && !isBlank(amountCell)) {
+      skipped.push({ row: rowNumber, reason: `Can't read amount "${amountCell}" for ${ticker}` });
+      continue;
+    }
+    if (amount === null || amount <= 0) {
+      skipped.push({ row: rowNumber, reason: `No positive amount for ${ticker}` });
+      continue;
+    }
+    const costCell = mapping.cost === null ? null : row[mapping.cost];
+    let cost = parseNumber(costCell, decimalComma);
+    if (cost === null && !isBlank(costCell)) {
+      skipped.push({ row: rowNumber, reason: `Can't read cost "${costCell}" for ${ticker}` });
+      continue;
+    }
+    if (cost !== null && mapping.costIsTotal) cost /= amount;
+    if (cost !== null && cost <= 0) cost = null;
+    entries.push({ ticker, amount, cost });
+  }
+  return { entries, skipped };
+}
+
+// Average cost of two lots; unknown unless both lots have a cost
+const combineCost = (amountA, costA, amountB, costB) => {
+  if (costA == null || costB == null) return null;
+  return (amountA * costA + amountB * costB) / (amountA + amountB);
+};
+
+// Folds entries into existing holdings, one row per ticker: amounts add up and costs are
+// amount-weighted. Returns the merged holdings and the tickers that weren't held before.
+export function mergeHoldings(holdings, entries) {
+  const merged = holdings.map(h => ({ ...h }));
+  const byTicker = new Map(merged.map(h => [h.ticker, h]));
+  const newTickers = [];
+
+  for (const { ticker, amount, cost } of entries) {
+    const existing = byTicker.get(ticker);
+    if (existing?.lots?.length > 0) {
+      // Holdings tracked by lot get the row as another, undated lot
+      existing.lots = [...existing.lots, { id: newLotId(), date: null, amount, cost }];
+      existing.cost = averageCost(existing.lots);
+      existing.amount += amount;
+      existing.value = existing.price != null ? existing.price * existing.amount : null;
+    } else if (existing) {
+      existing.cost = combineCost(existing.amount, existing.cost ?? null, amount, cost);
+      existing.amount += amount;
+      existing.value = existing.price != null ? existing.price * existing.amount : null;
+    } else {
+      const holding = { ticker, amount, cost, price: null, marketCap: null, type: 'unknown', value: null, priceAsOf: null };
+      merged.push(holding);
+      byTicker.set(ticker, holding);
+      newTickers.push(ticker);
+    }
+  }
+  return { holdings: merged, newTickers };
+}
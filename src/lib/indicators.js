@@ -0,0 +1,84 @@
+// Technical indicators over a series of values, oldest first.
+// Each returns an array the same length as the input, with null where there
+// isn't enough history yet.
+
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Middle band is the SMA; upper/lower are `width` population standard deviations away
+export function bollinger(values, period, width = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (values[j] - middle[i]) ** 2;
+    }
+    const sd = Math.sqrt(variance / period);
+    upper[i] = middle[i] + width * sd;
+    lower[i] = middle[i] - width * sd;
+  }
+  return { middle, upper, lower };
+}
+
+// Wilder's RSI, 0-100
+export function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+
+  const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = toRsi();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = toRsi();
+  }
+  return out;
+}
+
+// Running peak and the fractional drop from it (0 at a new high, -0.25 when 25% below)
+export function drawdown(values) {
+  const peak = [];
+  const depth = [];
+  let high = -Infinity;
+  for (const value of values) {
+    if (value > high) high = value;
+    peak.push(high);
+    depth.push(high > 0 ? value / high - 1 : 0);
+  }
+  return { peak, depth };
+}
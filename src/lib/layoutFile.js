@@ -0,0 +1,76 @@
+import { downloadFile } from './download';
+import { migrateSnapshot } from './snapshotSchema';
+
+// Export/import of layouts as JSON files.
+// A file holds one or more named snapshots (the getSnapshot payload) under a format marker
+// and a file version, so older builds can refuse files they don't understand.
+
+const FILE_FORMAT = 'folioli-layouts';
+export const LAYOUT_FILE_VERSION = 1;
+
+export function buildLayoutFile(layouts) {
+  return {
+    format: FILE_FORMAT,
+    version: LAYOUT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    layouts,
+  };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSnapshot = (value) => isPlainObject(value) && Array.isArray(value.nodes) && Array.isArray(value.edges);
+
+// Returns { name: snapshot } migrated to the current schema.
+// Throws an Error with a user-facing message if the file can't be used.
+export function parseLayoutFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (!isPlainObject(data) || data.format !== FILE_FORMAT) {
+    throw new Error('This is not a Folioli layout file.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('This layout file has no valid version number.');
+  }
+  if (data.version > LAYOUT_FILE_VERSION) {
+    throw new Error(`This file was exported by a newer version of Folioli (file version ${data.version}; this version reads up to ${LAYOUT_FILE_VERSION}). Update and try again.`);
+  }
+  if (!isPlainObject(data.layouts) || Object.keys(data.layouts).length === 0) {
+    throw new Error('This layout file contains no layouts.');
+  }
+  const layouts = {};
+  for (const [name, snapshot] of Object.entries(data.layouts)) {
+    if (!name.trim() || !isSnapshot(snapshot)) {
+      throw new Error(`Layout "${name}" in this file is damaged or incomplete.`);
+    }
+    try {
+      layouts[name] = migrateSnapshot(snapshot);
+    } catch (e) {
+      throw new Error(`Layout "${name}": ${e.message}`);
+    }
+  }
+  return layouts;
+}
+
+// Picks a name not already in `existing`, e.g. "Plan (2)"
+export function uniqueLayoutName(name, existing) {
+  const base = name.trim() || 'Imported';
+  if (!(base in existing)) return base;
+  let n = 2;
+  while (`${base} (${n})` in existing) n++;
+  return `${base} (${n})`;
+}
+
+const slugify = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layout';
+
+export function layoutFileName(name) {
+  return `folioli-${slugify(name)}-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+export function downloadJson(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
@@ -0,0 +1,45 @@
+// Client for the /api/layouts store.
+// Failures throw an Error with a user-facing message; a 409 is returned as { conflict }
+// (the stored layout, or null if it was deleted) rather than thrown.
+
+const layoutUrl = (name) => `/api/layouts/${encodeURIComponent(name)}`;
+
+async function request(url, options) {
+  let res;
+  try {
+    res = await fetch(url, { cache: 'no-store', ...options });
+  } catch {
+    throw new Error('Could not reach the layout server.');
+  }
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 409) return { conflict: data.current ?? null };
+  if (!res.ok) throw new Error(data.error || `Layout server error (${res.status})`);
+  return data;
+}
+
+// [{ name, revision, updatedAt }]
+export async function listServerLayouts() {
+  const { layouts } = await request('/api/layouts');
+  return layouts ?? [];
+}
+
+// { name, revision, updatedAt, snapshot }
+export function getServerLayout(name) {
+  return request(layoutUrl(name));
+}
+
+// baseRevision is the revision last seen, or null to create. Returns { layout } or { conflict }.
+export async function putServerLayout(name, snapshot, baseRevision) {
+  const data = await request(layoutUrl(name), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ snapshot, baseRevision }),
+  });
+  return 'conflict' in data ? data : { layout: data };
+}
+
+// Returns {} or { conflict }
+export async function deleteServerLayout(name, baseRevision) {
+  const data = await request(`${layoutUrl(name)}?revision=${baseRevision ?? ''}`, { method: 'DELETE' });
+  return 'conflict' in data ? data : {};
+}
@@ -0,0 +1,92 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Server-side layout storage: one JSON file in the project directory.
+// Each layout has a revision that goes up on every write. Writers send the revision they
+// last saw, and a mismatch is reported as a conflict instead of silently overwriting
+// an edit made from another tab or machine.
+const STORE_FILE = process.env.LAYOUT_STORE_PATH
+  || path.join(process.cwd(), 'data', 'layouts.json');
+
+// Writes are queued so concurrent requests can't interleave read-modify-write cycles
+const state = globalThis.__folioliLayoutStore ?? { queue: Promise.resolve() };
+globalThis.__folioliLayoutStore = state;
+
+// Layouts are keyed by user-chosen names, so the map has no prototype: "constructor" or
+// "__proto__" are just names
+const layoutMap = (layouts) => Object.assign(Object.create(null), layouts);
+
+async function readStore() {
+  try {
+    const data = JSON.parse(await readFile(STORE_FILE, 'utf8'));
+    return data && data.layouts && typeof data.layouts === 'object'
+      ? { ...data, layouts: layoutMap(data.layouts) }
+      : { layouts: layoutMap() };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[layoutStore] Could not read store:', err.message);
+    return { layouts: layoutMap() };
+  }
+}
+
+const findLayout = (layouts, name) => (Object.hasOwn(layouts, name) ? layouts[name] : null);
+
+// Write to a temp file and rename, so a crash mid-write never leaves a truncated store
+async function writeStore(data) {
+  await mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.tmp`;
+  await writeFile(tmp, JSON.stringify(data));
+  await rename(tmp, STORE_FILE);
+}
+
+const serialize = (task) => {
+  const run = state.queue.then(task);
+  state.queue = run.catch(() => {});
+  return run;
+};
+
+const summary = (name, entry) => ({ name, revision: entry.revision, updatedAt: entry.updatedAt });
+
+export async function listLayouts() {
+  const { layouts } = await readStore();
+  return Object.entries(layouts)
+    .map(([name, entry]) => summary(name, entry))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// { name, revision, updatedAt, snapshot } or null
+export async function getLayout(name) {
+  const { layouts } = await readStore();
+  const entry = findLayout(layouts, name);
+  return entry ? { ...summary(name, entry), snapshot: entry.snapshot } : null;
+}
+
+// baseRevision is the revision the caller last saw, or null when creating a new layout.
+// Returns { layout } on success or { conflict } holding the stored layout.
+export function putLayout(name, snapshot, baseRevision) {
+  return serialize(async () => {
+    const data = await readStore();
+    const existing = findLayout(data.layouts, name);
+    if ((existing?.revision ?? null) !== baseRevision) {
+      return { conflict: existing ? { ...summary(name, existing), snapshot: existing.snapshot } : null };
+    }
+    const entry = { snapshot, revision: (existing?.revision ?? 0) + 1, updatedAt: new Date().toISOString() };
+    data.layouts[name] = entry;
+    await writeStore(data);
+    return { layout: summary(name, entry) };
+  });
+}
+
+// Returns { deleted: true }, { notFound: true }, or { conflict } if it changed since baseRevision
+export function deleteLayout(name, baseRevision = null) {
+  return serialize(async () => {
+    const data = await readStore();
+    const existing = findLayout(data.layouts, name);
+    if (!existing) return { notFound: true };
+    if (baseRevision !== null && existing.revision !== baseRevision) {
+      return { conflict: { ...summary(name, existing), snapshot: existing.snapshot } };
+    }
+    delete data.layouts[name];
+    await writeStore(data);
+    return { deleted: true };
+  });
+}
@@ -0,0 +1,188 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { STOCK_PIN } from '@/lib/assetKey';
+import { CRYPTO_ASSETS } from './cryptoAssets';
+
+// Full CoinGecko coin list, used to resolve crypto tickers to coin ids.
+// Cached to disk and refreshed once a day; the built-in table covers the gap when neither is available.
+// Several coins often share a ticker, so candidates are ordered by market cap rank. Only coins
+// in the top ranks (or the built-in table) resolve from a bare ticker — anything else has to be
+// pinned by id (ticker search does that), otherwise every stock ticker would collide with some
+// obscure token. A stock pin keeps a ticker from resolving at all.
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+const REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+const RETRY_INTERVAL = 5 * 60 * 1000;
+const RANKED_PAGES = 4; // 4 x 250 = top 1000 coins by market cap
+const PER_PAGE = 250;
+const CACHE_FILE = process.env.COIN_REGISTRY_CACHE
+  || path.join(process.cwd(), '.cache', 'coingecko-coins.json');
+
+const state = globalThis.__folioliCoinRegistry ?? {
+  registry: null, // { bySymbol, byId, fetchedAt }
+  loading: null,
+  lastAttempt: 0,
+};
+globalThis.__folioliCoinRegistry = state;
+
+const isBuiltIn = (coin) => CRYPTO_ASSETS[coin.symbol]?.id === coin.id;
+
+// Ranked coins first by rank, then built-in table entries, then the rest
+const sortKey = (coin) => coin.rank ?? (isBuiltIn(coin) ? Number.MAX_SAFE_INTEGER - 1 : Number.MAX_SAFE_INTEGER);
+const byRank = (a, b) => sortKey(a) - sortKey(b);
+
+// coins: [[id, symbol, name, rank | null], ...]
+function buildRegistry(coins, fetchedAt) {
+  const bySymbol = new Map();
+  const byId = new Map();
+
+  for (const [id, symbol, name, rank] of coins) {
+    const coin = { id, symbol: symbol.toUpperCase(), name, rank: rank ?? null };
+    byId.set(id, coin);
+    if (!bySymbol.has(coin.symbol)) bySymbol.set(coin.symbol, []);
+    bySymbol.get(coin.symbol).push(coin);
+  }
+
+  // Built-in entries are always known, even if the coin list predates them
+  for (const [symbol, { id, name }] of Object.entries(CRYPTO_ASSETS)) {
+    if (byId.has(id)) continue;
+    const coin = { id, symbol, name, rank: null };
+    byId.set(id, coin);
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+    bySymbol.get(symbol).push(coin);
+  }
+
+  for (const candidates of bySymbol.values()) candidates.sort(byRank);
+  return { bySymbol, byId, fetchedAt };
+}
+
+let fallback = null;
+const fallbackRegistry = () => (fallback ??= buildRegistry([], 0));
+
+async function readDiskCache() {
+  try {
+    const data = JSON.parse(await readFile(CACHE_FILE, 'utf8'));
+    if (!Array.isArray(data.coins)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+async function writeDiskCache(data) {
+  try {
+    await mkdir(path.dirname(CACHE_FILE), { recursive: true });
+    await writeFile(CACHE_FILE, JSON.stringify(data));
+  } catch (err) {
+    console.error('[coinRegistry] Could not write cache:', err.message);
+  }
+}
+
+async function fetchCoinList() {
+  const res = await fetch(`${COINGECKO_API}/coins/list`, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`coins/list failed (${res.status})`);
+  const list = await res.json();
+
+  const ranks = {};
+  for (let page = 1; page <= RANKED_PAGES; page++) {
+    const marketsRes = await fetch(
+      `${COINGECKO_API}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${PER_PAGE}&page=${page}`,
+      { cache: 'no-store' }
+    );
+    // Ranks are a refinement; keep whatever pages came back
+    if (!marketsRes.ok) break;
+    const markets = await marketsRes.json();
+    for (const coin of markets) {
+      if (coin.market_cap_rank) ranks[coin.id] = coin.market_cap_rank;
+    }
+    if (markets.length < PER_PAGE) break;
+  }
+
+  const coins = list
+    .filter(coin => coin.id && coin.symbol)
+    .map(coin => [coin.id, coin.symbol, coin.name || coin.symbol, ranks[coin.id] ?? null]);
+  return { fetchedAt: Date.now(), coins };
+}
+
+async function refresh() {
+  try {
+    const data = await fetchCoinList();
+    state.registry = buildRegistry(data.coins, data.fetchedAt);
+    await writeDiskCache(data);
+  } catch (err) {
+    console.error('[coinRegistry] Refresh failed:', err.message);
+  }
+}
+
+function startRefresh() {
+  if (!state.loading) {
+    state.lastAttempt = Date.now();
+    state.loading = refresh().finally(() => { state.loading = null; });
+  }
+  return state.loading;
+}
+
+// Resolves to the current registry. A stale registry is returned immediately while it refreshes.
+export async function getCoinRegistry() {
+  if (!state.registry) {
+    const disk = await readDiskCache();
+    if (disk && !state.registry) state.registry = buildRegistry(disk.coins, disk.fetchedAt);
+  }
+
+  if (state.registry) {
+    const now = Date.now();
+    if (now - state.registry.fetchedAt > REFRESH_INTERVAL && now - state.lastAttempt > RETRY_INTERVAL) {
+      startRefresh();
+    }
+    return state.registry;
+  }
+
+  // Offline with no disk cache: serve the built-in table, retrying now and then
+  if (state.loading || Date.now() - state.lastAttempt > RETRY_INTERVAL) await startRefresh();
+  return state.registry ?? fallbackRegistry();
+}
+
+// Top-ranked and built-in coins resolve from a bare ticker and show up in name searches;
+// the long tail only by pin or exact ticker
+function isListed(coin) {
+  return coin.rank !== null || isBuiltIn(coin);
+}
+
+// CoinGecko ids are lower-case slugs
+const COIN_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// The CoinGecko id for a ticker: the pinned id if given, otherwise the best-ranked listed coin.
+// A ticker pinned as a stock never resolves.
+export async function resolveCoinId(symbol, pinnedId) {
+  if (pinnedId === STOCK_PIN) return null;
+  const registry = await getCoinRegistry();
+  if (pinnedId) {
+    // Without a coin list to check against, trust any pin that looks like an id
+    if (registry.fetchedAt === 0) return COIN_ID_PATTERN.test(pinnedId) ? pinnedId : null;
+    return registry.byId.has(pinnedId) ? pinnedId : null;
+  }
+  const best = (registry.bySymbol.get(symbol.toUpperCase()) || []).find(isListed);
+  return best?.id ?? null;
+}
+
+export async function getCoin(id) {
+  const registry = await getCoinRegistry();
+  return registry.byId.get(id) ?? null;
+}
+
+// Coins whose ticker matches exactly or whose name starts with the query, best rank first
+export async function searchCoins(query, limit) {
+  const registry = await getCoinRegistry();
+  const q = query.toUpperCase().trim();
+  if (!q) return [];
+
+  const exact = registry.bySymbol.get(q) || [];
+  const byName = [];
+  for (const coin of registry.byId.values()) {
+    if (coin.symbol !== q && isListed(coin) && coin.name.toUpperCase().startsWith(q)) {
+      byName.push(coin);
+    }
+  }
+  byName.sort(byRank);
+
+  return [...exact, ...byName].slice(0, limit);
+}
@@ -0,0 +1,151 @@
+import { parseAssetKey } from '@/lib/assetKey';
+import { resolveCoinId, searchCoins } from './coinRegistry';
+import { formatIsoDateUTC, formatCoinGeckoDateUTC } from './dates';
+
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+
+const MAX_SEARCH_RESULTS = 8;
+
+function resolveKey(key) {
+  const { symbol, coinId } = parseAssetKey(key);
+  return resolveCoinId(symbol, coinId);
+}
+
+// Resolve every known crypto symbol in a single CoinGecko call, priced directly in `currency`
+async function getQuotes(keys, currency) {
+  const vs = currency.toLowerCase();
+  const idByKey = {};
+  for (const key of keys) {
+    const id = await resolveKey(key);
+    if (id) idByKey[key] = id;
+  }
+  const ids = [...new Set(Object.values(idByKey))];
+  if (ids.length === 0) return {};
+
+  try {
+    const res = await fetch(
+      `${COINGECKO_API}/simple/price?ids=${ids.map(encodeURIComponent).join(',')}&vs_currencies=${vs}&include_market_cap=true`,
+      { cache: 'no-store' }
+    );
+    if (!res.ok) return {};
+    const data = await res.json();
+    const results = {};
+    for (const [key, id] of Object.entries(idByKey)) {
+      const price = data[id]?.[vs] ?? null;
+      if (price === null) continue;
+      results[key] = { price, marketCap: data[id]?.[`${vs}_market_cap`] ?? null, currency, coinId: id };
+    }
+    return results;
+  } catch {
+    return {};
+  }
+}
+
+async function getHistoricalClose(key, targetDate, currency) {
+  const id = await resolveKey(key);
+  if (!id) return null;
+
+  try {
+    const dateParam = formatCoinGeckoDateUTC(targetDate);
+    const res = await fetch(
+      `${COINGECKO_API}/coins/${encodeURIComponent(id)}/history?date=${dateParam}&localization=false`,
+      { next: { revalidate: 3600 } }
+    );
+    if (!res.ok) return null;
+    const data = await res.json();
+    const price = data.market_data?.current_price?.[currency.toLowerCase()] ?? null;
+    if (price === null) return null;
+
+    return {
+      price,
+      currency,
+      resolvedDate: formatIsoDateUTC(targetDate),
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function fetchMarketChart(id, days, currency) {
+  const res = await fetch(
+    `${COINGECKO_API}/coins/${encodeURIComponent(id)}/market_chart?vs_currency=${currency.toLowerCase()}&days=${days}`,
+    { next: { revalidate: 300 } }
+  );
+  if (!res.ok) return null;
+  const data = await res.json();
+  return Array.isArray(data.prices) ? data : null;
+}
+
+// The ohlc endpoint only takes these windows; candles get coarser as the window grows
+const OHLC_DAYS = [1, 7, 14, 30, 90, 180, 365];
+
+async function getOhlcHistory(id, days, currency) {
+  const ohlcDays = OHLC_DAYS.find(d => d >= days) ?? 'max';
+  const [ohlcRes, chart] = await Promise.all([
+    fetch(
+      `${COINGECKO_API}/coins/${encodeURIComponent(id)}/ohlc?vs_currency=${currency.toLowerCase()}&days=${ohlcDays}`,
+      { next: { revalidate: 300 } }
+    ),
+    fetchMarketChart(id, days, currency),
+  ]);
+  if (!ohlcRes.ok) return null;
+  const candles = await ohlcRes.json();
+  if (!Array.isArray(candles)) return null;
+
+  // CoinGecko has no per-candle volume; use the rolling 24h volume nearest each candle,
+  // turned from currency into units of the coin
+  const volumes = chart?.total_volumes ?? [];
+  let vi = 0;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const points = [];
+  for (const [t, o, h, l, c] of candles) {
+    if (t < cutoff) continue;
+    while (vi < volumes.length - 1 && Math.abs(volumes[vi + 1][0] - t) <= Math.abs(volumes[vi][0] - t)) vi++;
+    const volume = volumes[vi]?.[1];
+    points.push({ t, p: c, o, h, l, v: volume && c ? volume / c : 0 });
+  }
+  return { points, currency };
+}
+
+async function getHistory(key, days, currency, { ohlc = false } = {}) {
+  const id = await resolveKey(key);
+  if (!id) return null;
+
+  try {
+    if (ohlc) return await getOhlcHistory(id, days, currency);
+    const data = await fetchMarketChart(id, days, currency);
+    if (!data) return null;
+    return {
+      points: data.prices.map(([ts, price]) => ({ t: ts, p: price })),
+      currency,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Coins sharing a ticker are all listed (best rank first) so the user can pick the right one
+async function search(query) {
+  const coins = await searchCoins(query, MAX_SEARCH_RESULTS);
+  return coins.map(coin => ({
+    symbol: `${coin.symbol}-USD`,
+    name: `${coin.name} USD`,
+    exchange: coin.rank ? `Crypto #${coin.rank}` : 'Crypto',
+    type: 'CRYPTOCURRENCY',
+    coinId: coin.id,
+  }));
+}
+
+const coingeckoProvider = {
+  name: 'coingecko',
+  type: 'crypto',
+  handles: async (key) => !!(await resolveKey(key)),
+  // Known crypto tickers never fall through to later providers (avoids returning wrong asset)
+  exclusive: true,
+  getQuotes,
+  getHistoricalClose,
+  getHistory,
+  search,
+};
+
+export default coingeckoProvider;
@@ -0,0 +1,73 @@
+// Built-in crypto tickers with their CoinGecko ids and display names.
+// Used as defaults for common tickers and when the CoinGecko coin list is unavailable.
+export const CRYPTO_ASSETS = {
+  BTC: { id: 'bitcoin', name: 'Bitcoin' },
+  ETH: { id: 'ethereum', name: 'Ethereum' },
+  SOL: { id: 'solana', name: 'Solana' },
+  DOGE: { id: 'dogecoin', name: 'Dogecoin' },
+  ADA: { id: 'cardano', name: 'Cardano' },
+  XRP: { id: 'ripple', name: 'XRP' },
+  DOT: { id: 'polkadot', name: 'Polkadot' },
+  MATIC: { id: 'matic-network', name: 'Polygon' },
+  LINK: { id: 'chainlink', name: 'Chainlink' },
+  AVAX: { id: 'avalanche-2', name: 'Avalanche' },
+  ATOM: { id: 'cosmos', name: 'Cosmos' },
+  UNI: { id: 'uniswap', name: 'Uniswap' },
+  LTC: { id: 'litecoin', name: 'Litecoin' },
+  BCH: { id: 'bitcoin-cash', name: 'Bitcoin Cash' },
+  NEAR: { id: 'near', name: 'NEAR Protocol' },
+  APT: { id: 'aptos', name: 'Aptos' },
+  ARB: { id: 'arbitrum', name: 'Arbitrum' },
+  OP: { id: 'optimism', name: 'Optimism' },
+  SUI: { id: 'sui', name: 'Sui' },
+  SEI: { id: 'sei-network', name: 'Sei' },
+  INJ: { id: 'injective-protocol', name: 'Injective' },
+  TIA: { id: 'celestia', name: 'Celestia' },
+  PEPE: { id: 'pepe', name: 'Pepe' },
+  SHIB: { id: 'shiba-inu', name: 'Shiba Inu' },
+  BONK: { id: 'bonk', name: 'Bonk' },
+  WIF: { id: 'dogwifcoin', name: 'dogwifhat' },
+  FET: { id: 'fetch-ai', name: 'Fetch.ai' },
+  RNDR: { id: 'render-token', name: 'Render' },
+  IMX: { id: 'immutable-x', name: 'Immutable X' },
+  STX: { id: 'blockstack', name: 'Stacks' },
+  ALGO: { id: 'algorand', name: 'Algorand' },
+  FTM: { id: 'fantom', name: 'Fantom' },
+  SAND: { id: 'the-sandbox', name: 'The Sandbox' },
+  MANA: { id: 'decentraland', name: 'Decentraland' },
+  AXS: { id: 'axie-infinity', name: 'Axie Infinity' },
+  AAVE: { id: 'aave', name: 'Aave' },
+  MKR: { id: 'maker', name: 'Maker' },
+  CRV: { id: 'curve-dao-token', name: 'Curve DAO' },
+  LDO: { id: 'lido-dao', name: 'Lido DAO' },
+  RUNE: { id: 'thorchain', name: 'THORChain' },
+  XLM: { id: 'stellar', name: 'Stellar' },
+  VET: { id: 'vechain', name: 'VeChain' },
+  HBAR: { id: 'hedera-hashgraph', name: 'Hedera' },
+  EOS: { id: 'eos', name: 'EOS' },
+  XTZ: { id: 'tezos', name: 'Tezos' },
+  FLOW: { id: 'flow', name: 'Flow' },
+  EGLD: { id: 'elrond-erd-2', name: 'MultiversX' },
+  XMR: { id: 'monero', name: 'Monero' },
+  QNT: { id: 'quant-network', name: 'Quant' },
+  KAVA: { id: 'kava', name: 'Kava' },
+  ROSE: { id: 'oasis-network', name: 'Oasis Network' },
+  ZEC: { id: 'zcash', name: 'Zcash' },
+  MINA: { id: 'mina-protocol', name: 'Mina' },
+  ENS: { id: 'ethereum-name-service', name: 'Ethereum Name Service' },
+  SNX: { id: 'havven', name: 'Synthetix' },
+  COMP: { id: 'compound-governance-token', name: 'Compound' },
+  BAT: { id: 'basic-attention-token', name: 'Basic Attention Token' },
+  '1INCH': { id: '1inch', name: '1inch' },
+  SUSHI: { id: 'sushi', name: 'SushiSwap' },
+  YFI: { id: 'yearn-finance', name: 'yearn.finance' },
+  GRT: { id: 'the-graph', name: 'The Graph' },
+  CHZ: { id: 'chiliz', name: 'Chiliz' },
+  ENJ: { id: 'enjincoin', name: 'Enjin Coin' },
+  GALA: { id: 'gala', name: 'Gala' },
+  APE: { id: 'apecoin', name: 'ApeCoin' },
+  CRO: { id: 'crypto-com-chain', name: 'Cronos' },
+  CAKE: { id: 'pancakeswap-token', name: 'PancakeSwap' },
+  GMT: { id: 'stepn', name: 'STEPN' },
+  KCS: { id: 'kucoin-shares', name: 'KuCoin Token' },
+};
@@ -0,0 +1,122 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { parseAssetKey } from '@/lib/assetKey';
+import { formatIsoDateUTC } from './dates';
+
+// Offline provider backed by a JSON file, for machines with no network.
+// File shape: { quotes: { SYM: { price, marketCap, type, currency? } }, history: { SYM: [[t, p], ...] }, search: [...] }
+// History rows may also be [t, open, high, low, close, volume] candles.
+// Values are in the quote's currency (USD when not given); FX pairs are plain entries such as "EURUSD=X".
+const DEFAULT_FIXTURES_PATH = path.join(process.cwd(), 'fixtures', 'market-data.json');
+
+let loaded = null;
+
+function loadFixtures() {
+  const file = process.env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURES_PATH;
+  if (loaded?.file === file) return loaded.data;
+
+  let data = { quotes: {}, history: {}, search: [] };
+  try {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    const quotes = {};
+    for (const [symbol, quote] of Object.entries(parsed.quotes || {})) {
+      quotes[symbol.toUpperCase()] = quote;
+    }
+    const history = {};
+    for (const [symbol, series] of Object.entries(parsed.history || {})) {
+      history[symbol.toUpperCase()] = series
+        .map(row => row.length >= 6
+          ? { t: row[0], p: row[4], o: row[1], h: row[2], l: row[3], v: row[5] }
+          : { t: row[0], p: row[1] })
+        .sort((a, b) => a.t - b.t);
+    }
+    data = { quotes, history, search: parsed.search || [] };
+  } catch (err) {
+    console.error(`[fixtures] Could not read ${file}:`, err.message);
+  }
+
+  loaded = { file, data };
+  return data;
+}
+
+// Fixtures are keyed by ticker alone; pinned coin ids are ignored
+const tickerOf = (key) => parseAssetKey(key).symbol;
+
+function typeOf(key) {
+  return loadFixtures().quotes[tickerOf(key)]?.type ?? 'stock';
+}
+
+function currencyOf(ticker) {
+  return loadFixtures().quotes[ticker]?.currency ?? 'USD';
+}
+
+function handles(key) {
+  const { quotes, history } = loadFixtures();
+  const ticker = tickerOf(key);
+  return !!(quotes[ticker] || history[ticker]);
+}
+
+async function getQuotes(keys) {
+  const { quotes, history } = loadFixtures();
+  const results = {};
+  for (const key of keys) {
+    const ticker = tickerOf(key);
+    const quote = quotes[ticker];
+    // Fall back to the last history point when there's no explicit quote
+    const price = quote?.price ?? history[ticker]?.at(-1)?.p ?? null;
+    if (price === null) continue;
+    results[key] = { price, marketCap: quote?.marketCap ?? null, currency: currencyOf(ticker) };
+  }
+  return results;
+}
+
+async function getHistoricalClose(key, targetDate) {
+  const ticker = tickerOf(key);
+  const series = loadFixtures().history[ticker];
+  if (!series || series.length === 0) return null;
+
+  const targetIso = formatIsoDateUTC(targetDate);
+  const selected = [...series]
+    .reverse()
+    .find(point => formatIsoDateUTC(new Date(point.t)) <= targetIso);
+  if (!selected) return null;
+
+  return {
+    price: selected.p,
+    currency: currencyOf(ticker),
+    resolvedDate: formatIsoDateUTC(new Date(selected.t)),
+  };
+}
+
+// Windows are measured back from the last fixture point so recorded data never ages out
+async function getHistory(key, days, currency, { ohlc = false } = {}) {
+  const ticker = tickerOf(key);
+  const series = loadFixtures().history[ticker];
+  if (!series || series.length === 0) return null;
+
+  const cutoff = series.at(-1).t - days * 24 * 60 * 60 * 1000;
+  const points = series
+    .filter(point => point.t >= cutoff)
+    .map(point => (ohlc ? point : { t: point.t, p: point.p }));
+  return points.length > 0 ? { points, currency: currencyOf(ticker) } : null;
+}
+
+async function search(query) {
+  const q = query.toUpperCase().trim();
+  return loadFixtures().search.filter(
+    (item) => item.symbol.toUpperCase().startsWith(q) || (item.name || '').toUpperCase().startsWith(q)
+  );
+}
+
+const fixturesProvider = {
+  name: 'fixtures',
+  type: typeOf,
+  handles,
+  exclusive: true,
+  getQuotes,
+  getHistoricalClose,
+  getHistory,
+  search,
+};
+
+export default fixturesProvider;
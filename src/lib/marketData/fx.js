@@ -0,0 +1,130 @@
+import { fxCache } from '@/lib/marketDataCache';
+import { quotesFromProviders, historicalCloseFromProviders, historyFromProviders } from './providers';
+
+// Exchange rates. Every currency is priced against USD through its "<CODE>USD=X" pair,
+// so converting between any two takes one rate for each side.
+
+// Yahoo quotes some listings in minor units (pence, cents, agorot)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', divisor: 100 },
+  GBX: { currency: 'GBP', divisor: 100 },
+  ZAc: { currency: 'ZAR', divisor: 100 },
+  ZAC: { currency: 'ZAR', divisor: 100 },
+  ILA: { currency: 'ILS', divisor: 100 },
+};
+
+// Flat series for USD itself, so it can be looked up like any other rate series
+const USD_SERIES = [{ t: 0, p: 1 }];
+
+function splitMinorUnit(code) {
+  return MINOR_UNITS[code] ?? { currency: code.toUpperCase(), divisor: 1 };
+}
+
+const usdPairKey = (currency) => `${currency}USD=X`;
+
+// USD value of one unit of each currency; currencies without a rate are left out
+async function getUsdRates(currencies) {
+  const codes = [...new Set(currencies)].filter(code => code !== 'USD');
+  const rates = { USD: 1 };
+  if (codes.length === 0) return rates;
+
+  const results = await fxCache.getMany(codes, async (missing) => {
+    const quotes = await quotesFromProviders(missing.map(usdPairKey), 'USD');
+    const found = {};
+    for (const code of missing) {
+      const price = quotes[usdPairKey(code)]?.price;
+      if (price) found[code] = price;
+    }
+    return found;
+  });
+
+  for (const code of codes) {
+    if (results[code].value) rates[code] = results[code].value;
+  }
+  return rates;
+}
+
+// Multiplier taking an amount in `from` (which may be a minor unit) to `to`, or null without a rate
+export async function getConversionRate(from, to) {
+  const { currency, divisor } = splitMinorUnit(from);
+  if (currency === to) return 1 / divisor;
+
+  const rates = await getUsdRates([currency, to]);
+  if (!rates[currency] || !rates[to]) return null;
+  return rates[currency] / rates[to] / divisor;
+}
+
+async function getHistoricalUsdRate(currency, targetDate) {
+  if (currency === 'USD') return 1;
+  const close = await historicalCloseFromProviders(usdPairKey(currency), targetDate, 'USD');
+  return close?.price ?? null;
+}
+
+export async function getHistoricalConversionRate(from, to, targetDate) {
+  const { currency, divisor } = splitMinorUnit(from);
+  if (currency === to) return 1 / divisor;
+
+  const [fromRate, toRate] = await Promise.all([
+    getHistoricalUsdRate(currency, targetDate),
+    getHistoricalUsdRate(to, targetDate),
+  ]);
+  if (!fromRate || !toRate) return null;
+  return fromRate / toRate / divisor;
+}
+
+async function getUsdRateSeries(currency, days) {
+  if (currency === 'USD') return USD_SERIES;
+  const history = await historyFromProviders(usdPairKey(currency), days, 'USD');
+  return history?.points ?? null;
+}
+
+// Value at the point closest to `t` in a series sorted by t
+function rateAt(series, t) {
+  let lo = 0;
+  let hi = series.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (series[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && Math.abs(series[lo - 1].t - t) < Math.abs(series[lo].t - t)) lo -= 1;
+  return series[lo].p;
+}
+
+// Daily `from` -> `to` rate over the last `days`, as a { t, p } series
+export async function getConversionSeries(from, to, days) {
+  const { currency, divisor } = splitMinorUnit(from);
+  const [fromSeries, toSeries] = await Promise.all([
+    getUsdRateSeries(currency, days),
+    getUsdRateSeries(to, days),
+  ]);
+  if (!fromSeries || !toSeries) return null;
+
+  const timeline = fromSeries === USD_SERIES ? toSeries : fromSeries;
+  if (timeline === USD_SERIES) return null;
+  return timeline.map(({ t }) => ({ t, p: rateAt(fromSeries, t) / rateAt(toSeries, t) / divisor }));
+}
+
+// Price fields of a history point; volume is in units of the asset and never converted
+const PRICE_FIELDS = ['p', 'o', 'h', 'l'];
+
+function scalePoint(point, factor) {
+  const scaled = { ...point };
+  for (const field of PRICE_FIELDS) {
+    if (scaled[field] != null) scaled[field] *= factor;
+  }
+  return scaled;
+}
+
+// Converts a { t, p } series (optionally with o/h/l) from `from` into `to`
+// using the rate closest to each point
+export async function convertSeries(points, from, to, days) {
+  const { currency, divisor } = splitMinorUnit(from);
+  if (currency === to) {
+    return divisor === 1 ? points : points.map(point => scalePoint(point, 1 / divisor));
+  }
+
+  const rates = await getConversionSeries(from, to, days);
+  if (!rates || rates.length === 0) return null;
+  return points.map(point => scalePoint(point, rateAt(rates, point.t)));
+}
@@ -0,0 +1,106 @@
+import { parseAssetKey } from '@/lib/assetKey';
+import { DEFAULT_CURRENCY, isCashTicker } from '@/lib/currency';
+import { getProviders, quotesFromProviders, historicalCloseFromProviders, historyFromProviders } from './providers';
+import { getConversionRate, getHistoricalConversionRate, getConversionSeries, convertSeries } from './fx';
+import { formatIsoDateUTC } from './dates';
+
+// Public market data API used by the routes. Everything is priced in the requested currency:
+// providers answer in whatever currency they can and results are converted here.
+// Fiat tickers (EUR, GBP, ...) are cash and priced by exchange rate; CASH is the requested currency.
+
+const MAX_SEARCH_RESULTS = 8;
+
+function cashCurrency(key) {
+  const { symbol, coinId } = parseAssetKey(key);
+  return !coinId && isCashTicker(symbol) ? symbol : null;
+}
+
+// Resolves every key it can; keys with no price are left out
+export async function getQuotes(keys, currency = DEFAULT_CURRENCY) {
+  const prices = {};
+  const assetKeys = [];
+
+  for (const key of keys) {
+    const cash = cashCurrency(key);
+    if (!cash) {
+      assetKeys.push(key);
+      continue;
+    }
+    const rate = cash === 'CASH' ? 1 : await getConversionRate(cash, currency);
+    if (rate) prices[key] = { price: rate, marketCap: null, type: 'cash' };
+  }
+
+  const found = await quotesFromProviders(assetKeys, currency);
+  for (const [key, quote] of Object.entries(found)) {
+    const { currency: quoteCurrency, ...rest } = quote;
+    const rate = await getConversionRate(quoteCurrency || DEFAULT_CURRENCY, currency);
+    if (!rate) continue;
+    prices[key] = {
+      ...rest,
+      price: quote.price * rate,
+      marketCap: quote.marketCap !== null ? quote.marketCap * rate : null,
+    };
+  }
+
+  return prices;
+}
+
+export async function getQuote(key, currency = DEFAULT_CURRENCY) {
+  const prices = await getQuotes([key], currency);
+  return prices[key] ?? null;
+}
+
+export async function getHistoricalClose(key, targetDate, currency = DEFAULT_CURRENCY) {
+  const cash = cashCurrency(key);
+  if (cash) {
+    const rate = cash === 'CASH' ? 1 : await getHistoricalConversionRate(cash, currency, targetDate);
+    if (!rate) return null;
+    return { price: rate, marketCap: null, type: 'cash', resolvedDate: formatIsoDateUTC(targetDate) };
+  }
+
+  const close = await historicalCloseFromProviders(key, targetDate, currency);
+  if (!close) return null;
+  const rate = await getHistoricalConversionRate(close.currency || DEFAULT_CURRENCY, currency, targetDate);
+  if (!rate) return null;
+  return {
+    price: close.price * rate,
+    marketCap: null,
+    type: close.type,
+    resolvedDate: close.resolvedDate,
+  };
+}
+
+export async function getHistory(key, days, currency = DEFAULT_CURRENCY, options = {}) {
+  const cash = cashCurrency(key);
+  if (cash) {
+    if (cash === 'CASH' || cash === currency) return null;
+    const points = await getConversionSeries(cash, currency, days);
+    return points && points.length > 0 ? { points, type: 'cash' } : null;
+  }
+
+  const history = await historyFromProviders(key, days, currency, options);
+  if (!history) return null;
+  const points = await convertSeries(history.points, history.currency || DEFAULT_CURRENCY, currency, days);
+  if (!points) return null;
+  return { points, type: history.type };
+}
+
+// Merges results from every provider, earlier providers first.
+// Returns null if any provider failed so a partial result isn't cached.
+export async function searchSymbols(query) {
+  const lists = await Promise.all(getProviders().map(provider => provider.search(query)));
+  if (lists.some(list => list === null)) return null;
+  const seen = new Set();
+  const seenSymbols = new Set();
+  const results = [];
+  for (const item of lists.flat()) {
+    // Several coins can share a ticker, so crypto results are told apart by coin id;
+    // a result without one is a duplicate of any earlier result for the same symbol
+    const id = item.coinId ? `${item.symbol}@${item.coinId}` : item.symbol;
+    if (seen.has(id) || (!item.coinId && seenSymbols.has(item.symbol))) continue;
+    seen.add(id);
+    seenSymbols.add(item.symbol);
+    results.push(item);
+  }
+  return results.slice(0, MAX_SEARCH_RESULTS);
+}
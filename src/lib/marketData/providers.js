@@ -0,0 +1,89 @@
+import coingeckoProvider from './coingecko';
+import yahooProvider from './yahoo';
+import fixturesProvider from './fixtures';
+
+// Market data sources, tried in order. Assets are named by asset key ("BTC" or "FOO@foo-coin",
+// see lib/assetKey). Each provider implements:
+//   name, type (string or key => string), handles(key) (may be async), exclusive,
+//   getQuotes(keys, currency), getHistoricalClose(key, date, currency),
+//   getHistory(key, days, currency, { ohlc }), search(query)
+// `currency` is the one wanted; providers that can't price in it answer in their own and say
+// which in the result's `currency` field. Conversion happens in index.js.
+// History points are { t, p } with p the close; with `ohlc` they also carry o, h, l and v
+// (volume in units of the asset) where the source has them.
+// An exclusive provider that handles a key stops later providers from being asked for it.
+// Select with MARKET_DATA_PROVIDER, e.g. "fixtures" for offline use or "fixtures,coingecko,yahoo".
+const PROVIDERS = {
+  coingecko: coingeckoProvider,
+  yahoo: yahooProvider,
+  fixtures: fixturesProvider,
+};
+
+const DEFAULT_PROVIDERS = 'coingecko,yahoo';
+
+export function getProviders() {
+  const names = (process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDERS)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names.map(name => PROVIDERS[name]).filter(Boolean);
+  if (providers.length === 0) {
+    console.error(`[marketData] No known providers in "${names.join(',')}", using ${DEFAULT_PROVIDERS}`);
+    return DEFAULT_PROVIDERS.split(',').map(name => PROVIDERS[name]);
+  }
+  return providers;
+}
+
+function typeFor(provider, key) {
+  return typeof provider.type === 'function' ? provider.type(key) : provider.type;
+}
+
+// Runs `fetchOne` against each provider in turn until one returns a value
+async function firstResult(key, fetchOne) {
+  for (const provider of getProviders()) {
+    if (!(await provider.handles(key))) continue;
+    const value = await fetchOne(provider);
+    if (value) return { ...value, type: typeFor(provider, key) };
+    if (provider.exclusive) break;
+  }
+  return null;
+}
+
+// Resolves every key it can; keys with no price are left out
+export async function quotesFromProviders(keys, currency) {
+  const prices = {};
+  let remaining = keys;
+
+  for (const provider of getProviders()) {
+    const handledFlags = await Promise.all(remaining.map(key => provider.handles(key)));
+    const handled = remaining.filter((_, i) => handledFlags[i]);
+    if (handled.length === 0) continue;
+
+    const found = await provider.getQuotes(handled, currency);
+    for (const key of handled) {
+      const quote = found[key];
+      if (quote && quote.price !== null && quote.price !== undefined) {
+        prices[key] = { ...quote, marketCap: quote.marketCap ?? null, type: typeFor(provider, key) };
+      }
+    }
+
+    remaining = remaining.filter(key =>
+      !prices[key] && !(provider.exclusive && handled.includes(key))
+    );
+    if (remaining.length === 0) break;
+  }
+
+  return prices;
+}
+
+export function historicalCloseFromProviders(key, targetDate, currency) {
+  return firstResult(key, provider => provider.getHistoricalClose(key, targetDate, currency));
+}
+
+export function historyFromProviders(key, days, currency, options = {}) {
+  return firstResult(key, async (provider) => {
+    const history = await provider.getHistory(key, days, currency, options);
+    return history && history.points.length > 0 ? history : null;
+  });
+}
@@ -0,0 +1,140 @@
+import YahooFinance from 'yahoo-finance2';
+import { parseAssetKey, STOCK_PIN } from '@/lib/assetKey';
+import { formatIsoDateUTC } from './dates';
+
+const yf = new YahooFinance({ suppressNotices: ['yahooSurvey'] });
+
+// Keys reach Yahoo bare ("AAPL") or pinned as a stock ("T@!stock")
+const symbolOf = (key) => parseAssetKey(key).symbol;
+
+// Resolve all symbols with a single Yahoo quote call.
+// Yahoo prices in the listing currency, so results report it for conversion upstream.
+async function getQuotes(keys) {
+  if (keys.length === 0) return {};
+
+  try {
+    const quotes = await yf.quote([...new Set(keys.map(symbolOf))]);
+    const quoteBySymbol = {};
+    for (const quote of quotes || []) {
+      if (quote?.symbol) quoteBySymbol[quote.symbol.toUpperCase()] = quote;
+    }
+
+    const results = {};
+    for (const key of keys) {
+      const quote = quoteBySymbol[symbolOf(key)];
+      if (!quote) continue;
+      const regularPrice = quote.regularMarketPrice ?? null;
+      // Prefer extended hours price (pre-market or after-hours) when available
+      const price = quote.preMarketPrice ?? quote.postMarketPrice ?? regularPrice;
+      if (price === null) continue;
+      results[key] = { price, marketCap: quote.marketCap ?? null, currency: quote.currency || 'USD' };
+    }
+    return results;
+  } catch {
+    return {};
+  }
+}
+
+async function getHistoricalClose(key, targetDate) {
+  try {
+    const period1 = new Date(targetDate);
+    period1.setUTCDate(period1.getUTCDate() - 7);
+
+    const period2 = new Date(targetDate);
+    period2.setUTCDate(period2.getUTCDate() + 2);
+
+    const chart = await yf.chart(symbolOf(key), {
+      period1,
+      period2,
+      interval: '1d',
+    });
+    const candles = chart?.quotes;
+
+    if (!candles || candles.length === 0) return null;
+
+    const validCandles = candles
+      .filter(candle => candle?.close !== undefined && candle?.close !== null && candle?.date)
+      .sort((a, b) => a.date.getTime() - b.date.getTime());
+
+    if (validCandles.length === 0) return null;
+
+    const targetIso = formatIsoDateUTC(targetDate);
+    const latestOnOrBeforeTarget = [...validCandles]
+      .reverse()
+      .find(candle => formatIsoDateUTC(candle.date) <= targetIso);
+
+    const selected = latestOnOrBeforeTarget || validCandles[0];
+
+    return {
+      price: selected.close,
+      currency: chart.meta?.currency || 'USD',
+      resolvedDate: formatIsoDateUTC(selected.date),
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function getHistory(key, days, currency, { ohlc = false } = {}) {
+  try {
+    const period2 = new Date();
+    const period1 = new Date();
+    period1.setUTCDate(period1.getUTCDate() - Math.max(days, 2));
+
+    const interval = days <= 365 ? '1d' : '1wk';
+
+    const chart = await yf.chart(symbolOf(key), {
+      period1,
+      period2,
+      interval,
+    });
+    const candles = chart?.quotes;
+
+    if (!candles || candles.length === 0) return null;
+
+    const points = candles
+      .filter(c => c?.close !== undefined && c?.close !== null && c?.date)
+      .sort((a, b) => a.date.getTime() - b.date.getTime())
+      .map(c => (ohlc
+        ? { t: c.date.getTime(), p: c.close, o: c.open ?? c.close, h: c.high ?? c.close, l: c.low ?? c.close, v: c.volume ?? 0 }
+        : { t: c.date.getTime(), p: c.close }));
+
+    if (points.length === 0) return null;
+    return { points, currency: chart.meta?.currency || 'USD' };
+  } catch {
+    return null;
+  }
+}
+
+async function search(query) {
+  try {
+    const data = await yf.search(query, {}, { validateResult: false });
+    return (data.quotes || [])
+      .filter((q) => q.symbol)
+      .map((q) => ({
+        symbol: q.symbol,
+        name: q.shortname || q.longname || '',
+        exchange: q.exchDisp || q.exchange || '',
+        type: q.quoteType || '',
+      }));
+  } catch {
+    return null;
+  }
+}
+
+const yahooProvider = {
+  name: 'yahoo',
+  type: 'stock',
+  // Keys with a pinned coin id are crypto-only
+  handles: (key) => {
+    const { coinId } = parseAssetKey(key);
+    return !coinId || coinId === STOCK_PIN;
+  },
+  exclusive: false,
+  getQuotes,
+  getHistoricalClose,
+  getHistory,
+  search,
+};
+
+export default yahooProvider;
@@ -0,0 +1,17 @@
+import { createCache } from './serverCache';
+
+// Per-endpoint caches. Live quotes turn over fastest; closes for past dates never change.
+// Kept on globalThis so every route bundle (and dev hot reloads) share the same instances.
+const caches = globalThis.__folioliMarketDataCaches ?? {};
+caches.quote ??= createCache({ ttl: 15 * 1000, staleTtl: 5 * 60 * 1000 });
+caches.historicalClose ??= createCache({ ttl: 24 * 60 * 60 * 1000 });
+caches.history ??= createCache({ ttl: 5 * 60 * 1000, staleTtl: 60 * 60 * 1000 });
+caches.search ??= createCache({ ttl: 60 * 60 * 1000, staleTtl: 24 * 60 * 60 * 1000 });
+caches.fx ??= createCache({ ttl: 5 * 60 * 1000, staleTtl: 60 * 60 * 1000 });
+globalThis.__folioliMarketDataCaches = caches;
+
+export const quoteCache = caches.quote;
+export const historicalCloseCache = caches.historicalClose;
+export const historyCache = caches.history;
+export const searchCache = caches.search;
+export const fxCache = caches.fx;
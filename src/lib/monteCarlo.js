@@ -0,0 +1,180 @@
+// Monte Carlo projection of a holdings snapshot: each asset follows a geometric Brownian motion
+// with the drift, volatility and cross-correlation of its daily log returns, and the holdings are
+// held without rebalancing. Cash stays flat.
+
+export const MC_PATH_COUNTS = [1000, 5000, 10000];
+export const DEFAULT_MC_PATHS = 5000;
+
+export const MC_HISTORY_WINDOWS = {
+  365: '1 year',
+  1095: '3 years',
+  1825: '5 years',
+};
+export const DEFAULT_MC_HISTORY_DAYS = 1095;
+
+export const MC_PERCENTILES = [5, 25, 50, 75, 95];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+const MAX_STEPS = 120;
+
+// Days since the epoch, so closes from different sources line up by calendar day
+const dayOf = (t) => Math.floor(t / DAY_MS);
+
+// Annualized drift and volatility of each ticker's log returns, and their correlation, over the
+// days every ticker has a close: { tickers, drift, volatility, correlation, days }.
+// `histories` is { [ticker]: [{ t, p }] }; tickers with under two usable closes are left out.
+export function estimateParameters(histories) {
+  const series = Object.entries(histories)
+    .map(([ticker, points]) => [ticker, new Map(points.filter(pt => pt.p > 0).map(pt => [dayOf(pt.t), pt.p]))])
+    .filter(([, closes]) => closes.size > 1);
+  if (series.length === 0) return null;
+
+  const [, first] = series[0];
+  const days = [...first.keys()].filter(day => series.every(([, closes]) => closes.has(day))).sort((a, b) => a - b);
+  if (days.length < 3) return null;
+
+  const tickers = series.map(([ticker]) => ticker);
+  const returns = series.map(([, closes]) =>
+    days.slice(1).map((day, i) => Math.log(closes.get(day) / closes.get(days[i])))
+  );
+  const spanYears = (days[days.length - 1] - days[0]) / YEAR_DAYS;
+  const periodsPerYear = returns[0].length / spanYears;
+
+  const means = returns.map(r => r.reduce((sum, x) => sum + x, 0) / r.length);
+  const deviations = returns.map((r, i) => r.map(x => x - means[i]));
+  const covariance = (a, b) => deviations[a].reduce((sum, x, k) => sum + x * deviations[b][k], 0) / (days.length - 2);
+  const variances = tickers.map((_, i) => covariance(i, i));
+
+  return {
+    tickers,
+    drift: means.map(m => m * periodsPerYear),
+    volatility: variances.map(v => Math.sqrt(v * periodsPerYear)),
+    correlation: tickers.map((_, i) => tickers.map((_, j) => {
+      if (i === j) return 1;
+      const denominator = Math.sqrt(variances[i] * variances[j]);
+      return denominator > 0 ? covariance(i, j) / denominator : 0;
+    })),
+    days: days.length,
+  };
+}
+
+// Lower-triangular L with L·Lᵀ = matrix. A correlation matrix estimated from few or collinear
+// returns can be slightly indefinite, so the diagonal is nudged until it factors.
+export function cholesky(matrix) {
+  const n = matrix.length;
+  for (let jitter = 0; jitter < 1; jitter = jitter ? jitter * 10 : 1e-10) {
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    let ok = true;
+    for (let i = 0; i < n && ok; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j] + (i === j ? jitter : 0);
+        for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+        if (i === j) {
+          if (!(sum > 0)) {
+            ok = false;
+            break;
+          }
+          lower[i][i] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+    if (ok) return lower;
+  }
+  // Uncorrelated as a last resort
+  return matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+}
+
+// Small seeded generator so the same inputs give the same fan
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalGenerator(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+}
+
+const percentileOf = (sorted, pct) => {
+  const index = (pct / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.min(sorted.length - 1, lower + 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Run `paths` simulations over `years`:
+// { times, percentiles: { [pct]: [value per time] }, start, finals: { [pct]: value },
+//   hitProbability, endAboveProbability }, where `values` are the starting value of each
+// simulated ticker (in `params.tickers` order) and `fixedValue` the part that doesn't move
+export function simulate({ params, values, fixedValue = 0, years, paths, target = null, seed = 1 }) {
+  const n = params.tickers.length;
+  const steps = Math.max(1, Math.min(MAX_STEPS, Math.ceil(years * 12)));
+  const dt = years / steps;
+  const lower = cholesky(params.correlation);
+  const shocks = params.volatility.map(v => v * Math.sqrt(dt));
+  const drifts = params.drift.map(m => m * dt);
+  const normal = normalGenerator(mulberry32(seed));
+
+  const byStep = Array.from({ length: steps + 1 }, () => new Float64Array(paths));
+  const start = values.reduce((sum, v) => sum + v, fixedValue);
+  let hits = 0;
+  let endAbove = 0;
+  const current = new Float64Array(n);
+  const independent = new Float64Array(n);
+
+  for (let path = 0; path < paths; path++) {
+    current.set(values);
+    byStep[0][path] = start;
+    let hit = target !== null && start >= target;
+    for (let step = 1; step <= steps; step++) {
+      for (let i = 0; i < n; i++) independent[i] = normal();
+      let total = fixedValue;
+      for (let i = 0; i < n; i++) {
+        let z = 0;
+        for (let k = 0; k <= i; k++) z += lower[i][k] * independent[k];
+        current[i] *= Math.exp(drifts[i] + shocks[i] * z);
+        total += current[i];
+      }
+      byStep[step][path] = total;
+      if (target !== null && total >= target) hit = true;
+    }
+    if (hit) hits += 1;
+    if (target !== null && byStep[steps][path] >= target) endAbove += 1;
+  }
+
+  const percentiles = Object.fromEntries(MC_PERCENTILES.map(pct => [pct, []]));
+  for (const column of byStep) {
+    column.sort();
+    for (const pct of MC_PERCENTILES) percentiles[pct].push(percentileOf(column, pct));
+  }
+
+  return {
+    times: byStep.map((_, step) => step * dt),
+    percentiles,
+    start,
+    finals: Object.fromEntries(MC_PERCENTILES.map(pct => [pct, percentiles[pct][steps]])),
+    hitProbability: target !== null ? hits / paths : null,
+    endAboveProbability: target !== null ? endAbove / paths : null,
+  };
+}
@@ -0,0 +1,12 @@
+// Runs Monte Carlo simulations off the main thread: posts back { id, result } for each
+// { id, ...simulate options } it receives
+import { simulate } from './monteCarlo';
+
+self.onmessage = ({ data }) => {
+  const { id, ...options } = data;
+  try {
+    self.postMessage({ id, result: simulate(options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
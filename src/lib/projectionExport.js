@@ -0,0 +1,70 @@
+import { isCashTicker } from './currency';
+
+// CSV exports for a Projected Portfolio: the projected holdings against the original ones,
+// and the ordered trade list for whoever executes the plan. Values are in the canvas currency.
+
+// Trim float noise like 0.30000000000000004 without rounding away real precision
+const num = (value) => (value === null || value === undefined || !Number.isFinite(value) ? '' : Number(value.toPrecision(12)));
+
+// Text starting like a formula would run as one in a spreadsheet, so it's quoted with a leading
+// apostrophe. Numbers are left alone so negative values stay numeric.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (cell) => {
+  let text = String(cell ?? '');
+  if (typeof cell === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Spent cash shows as a negative holding but doesn't count against the allocation
+const allocationValue = (h) => (isCashTicker(h.ticker) && h.value < 0 ? 0 : (h.value || 0));
+
+export function projectedHoldingsCsv(projectedHoldings, originalHoldings, currency) {
+  const projectedTotal = projectedHoldings.reduce((sum, h) => sum + allocationValue(h), 0);
+  const originalTotal = originalHoldings.reduce((sum, h) => sum + (h.value || 0), 0);
+  const originalByTicker = new Map(originalHoldings.map(h => [h.ticker, h]));
+  // Positions closed out by the chain are listed with zero amounts
+  const closed = originalHoldings
+    .filter(h => !projectedHoldings.some(p => p.ticker === h.ticker))
+    .map(h => ({ ticker: h.ticker, type: h.type, amount: 0, price: h.price, value: 0 }));
+
+  const rows = [[
+    'Ticker', 'Type', 'Amount', `Price (${currency})`, `Value (${currency})`, 'Allocation %',
+    'Original Amount', 'Amount Change', `Original Value (${currency})`, `Value Change (${currency})`, 'Allocation Change (pts)',
+  ]];
+  for (const h of [...projectedHoldings, ...closed]) {
+    const original = originalByTicker.get(h.ticker);
+    const allocation = projectedTotal > 0 ? allocationValue(h) / projectedTotal * 100 : 0;
+    const originalAllocation = originalTotal > 0 && original ? (original.value || 0) / originalTotal * 100 : 0;
+    rows.push([
+      h.ticker,
+      h.type ?? '',
+      num(h.amount),
+      num(h.price),
+      num(h.value),
+      num(allocation),
+      num(original?.amount ?? 0),
+      num(h.amount - (original?.amount ?? 0)),
+      num(original?.value ?? 0),
+      num((h.value || 0) - (original?.value || 0)),
+      num(allocation - originalAllocation),
+    ]);
+  }
+  return toCsv(rows);
+}
+
+export function tradeListCsv(trades, currency) {
+  const rows = [['Step', 'Action', 'Side', 'Ticker', 'Units', `Price (${currency})`, `Value (${currency})`, `Fees (${currency})`, 'Node']];
+  for (const t of trades) {
+    rows.push([t.step, t.action, t.side, t.ticker, num(t.units), num(t.price), num(t.value), num(t.fee ?? 0), t.nodeId]);
+  }
+  return toCsv(rows);
+}
+
+export function projectionFileName(kind) {
+  return `folioli-${kind}-${new Date().toISOString().slice(0, 10)}.csv`;
+}
@@ -0,0 +1,132 @@
+// Rebalancing to target weights. Targets are [{ ticker, weight, price, type }] with weights in
+// percent of the whole portfolio, cash included (cash is listed under the base currency);
+// `price`/`type` are only needed for tickers not held yet. Held tickers missing from the
+// targets are sold off. A holding within `band` percentage points of its target is left alone.
+import { isBaseCash } from './currency';
+import { buyUnits, sellProceeds } from './fees';
+import { NO_REALIZED, addRealized, buyIntoHolding, initialLots, projectedLotId, sellFromHolding, today } from './taxLots';
+
+const EPSILON = 0.000001;
+
+export const weightTotal = (targets) => targets.reduce((sum, t) => sum + (t.weight || 0), 0);
+
+// Weights must add up to 100% (to within rounding)
+export const isCompleteTargets = (targets) =>
+  targets.length > 0 && Math.abs(weightTotal(targets) - 100) < 0.01;
+
+// Cash held as base-currency holdings plus `cash` not booked into a holding yet
+export const cashValue = (holdings, cash, baseCurrency) =>
+  holdings.reduce((sum, h) => sum + (isBaseCash(h.ticker, baseCurrency) ? h.value || 0 : 0), cash);
+
+// The trades to get from `holdings` to the targets, sells first:
+// { trades: [{ ticker, side, units, value, price, type, fromWeight, toWeight }], total, unpriced }
+export function planRebalance(holdings, cash, targets, { band = 0, baseCurrency }) {
+  const cashNow = cashValue(holdings, cash, baseCurrency);
+  const total = holdings.reduce((sum, h) => sum + (isBaseCash(h.ticker, baseCurrency) ? 0 : h.value || 0), cashNow);
+  if (!(total > 0)) return { trades: [], total: 0, unpriced: [] };
+
+  const weights = {};
+  const quotes = {};
+  for (const t of targets) {
+    if (isBaseCash(t.ticker, baseCurrency)) continue;
+    weights[t.ticker] = (weights[t.ticker] ?? 0) + (t.weight || 0);
+    quotes[t.ticker] = t;
+  }
+
+  const tickers = new Set([
+    ...holdings.filter(h => !isBaseCash(h.ticker, baseCurrency)).map(h => h.ticker),
+    ...Object.keys(weights),
+  ]);
+
+  const sells = [];
+  const buys = [];
+  const unpriced = [];
+  for (const ticker of tickers) {
+    const holding = holdings.find(h => h.ticker === ticker);
+    const current = holding?.value || 0;
+    const fromWeight = current / total * 100;
+    const toWeight = weights[ticker] ?? 0;
+    if (Math.abs(toWeight - fromWeight) <= band) continue;
+
+    const price = holding?.price || quotes[ticker]?.price;
+    if (!price) {
+      unpriced.push(ticker);
+      continue;
+    }
+
+    const diff = total * toWeight / 100 - current;
+    if (Math.abs(diff) < EPSILON) continue;
+    const trade = {
+      ticker,
+      side: diff < 0 ? 'SELL' : 'BUY',
+      // Selling down to a 0% target clears the whole position
+      units: toWeight === 0 && holding ? holding.amount : Math.abs(diff) / price,
+      value: Math.abs(diff),
+      price,
+      type: holding?.type ?? quotes[ticker]?.type ?? null,
+      fromWeight,
+      toWeight,
+    };
+    (diff < 0 ? sells : buys).push(trade);
+  }
+
+  return { trades: [...sells, ...buys], total, unpriced };
+}
+
+// Carry out the plan on `projected` (mutated): sells land as cash, buys are paid for from
+// cash and scaled down if fees or skipped trades leave too little of it.
+// Lots it opens are named after `nodeId`; trades happen on `date`.
+// Returns { cashDelta, fills: [{ ...trade, cost }], realized }
+export function applyRebalance(projected, cash, { targets, band }, { fees, baseCurrency, nodeId, date = today() }) {
+  const { trades } = planRebalance(projected, cash, targets, { band, baseCurrency });
+  let cashDelta = 0;
+  let realized = NO_REALIZED;
+  const fills = [];
+
+  for (const trade of trades.filter(t => t.side === 'SELL')) {
+    const index = projected.findIndex(h => h.ticker === trade.ticker);
+    if (index === -1) continue;
+    const holding = projected[index];
+    const units = Math.min(trade.units, holding.amount);
+    const value = units * trade.price;
+    const { proceeds, cost } = sellProceeds(value, fees);
+    realized = addRealized(realized, sellFromHolding(holding, units, proceeds, { saleDate: date }));
+    holding.amount -= units;
+    holding.value = holding.amount * (holding.price || 0);
+    if (holding.amount <= EPSILON) {
+      projected.splice(index, 1);
+    }
+    cashDelta += proceeds;
+    fills.push({ ...trade, units, value, cost });
+  }
+
+  const buys = trades.filter(t => t.side === 'BUY');
+  const wanted = buys.reduce((sum, t) => sum + t.value, 0);
+  const available = Math.max(0, cashValue(projected, cash + cashDelta, baseCurrency));
+  const scale = wanted > available ? available / wanted : 1;
+
+  for (const trade of buys) {
+    const spend = trade.value * scale;
+    if (!(spend > 0)) continue;
+    const { units, cost, costPerUnit } = buyUnits(spend, trade.price, fees);
+    const index = projected.findIndex(h => h.ticker === trade.ticker);
+    if (index !== -1) {
+      buyIntoHolding(projected[index], units, costPerUnit, projectedLotId(nodeId), date);
+      projected[index].amount += units;
+      projected[index].value = projected[index].amount * (projected[index].price || 0);
+    } else {
+      projected.push({
+        ticker: trade.ticker,
+        amount: units,
+        price: trade.price,
+        type: trade.type,
+        value: units * trade.price,
+        lots: initialLots(units, costPerUnit, projectedLotId(nodeId), date),
+      });
+    }
+    cashDelta -= spend;
+    fills.push({ ...trade, units, value: spend, cost });
+  }
+
+  return { cashDelta, fills, realized };
+}
@@ -1,3 +1,5 @@
+import { isCashTicker } from './currency';
+
 const STORAGE_KEY = 'folioli-recent-tickers';
 const MAX_RECENT = 5;
 
@@ -11,7 +13,7 @@ export function getRecentTickers() {
 
 export function addRecentTicker(ticker) {
   const normalized = ticker.toUpperCase().trim();
-  if (!normalized || normalized === 'USD' || normalized === 'CASH') return;
+  if (!normalized || isCashTicker(normalized)) return;
   const recent = getRecentTickers().filter(t => t !== normalized);
   recent.unshift(normalized);
   localStorage.setItem(STORAGE_KEY, JSON.stringify(recent.slice(0, MAX_RECENT)));
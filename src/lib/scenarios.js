@@ -0,0 +1,60 @@
+// Side-by-side outcomes of a portfolio's branches: each first-level chain projected on its own
+import { isBaseCash } from './currency';
+
+// Short description of one chain step from its node's payload
+export function describeAction(nodeId, payload) {
+  const type = nodeId.slice(0, nodeId.lastIndexOf('-'));
+  switch (type) {
+    case 'rotate': return payload ? `Rotate ${payload.fromAsset} → ${payload.toAsset}` : 'Rotate';
+    case 'sell': return payload ? `Sell ${payload.fromAsset}` : 'Sell';
+    case 'buy': return payload ? `Buy ${payload.toAsset}` : 'Buy';
+    case 'priceTarget': return payload ? `${payload.asset} target` : 'Price Target';
+    case 'allIn': return payload ? `All-In ${payload.toAsset}` : 'All-In';
+    case 'yield': return payload ? `Yield ${payload.asset}` : 'Yield';
+    case 'tax': return 'Tax';
+    case 'rebalance': return 'Rebalance';
+    case 'dca': return payload ? `DCA ${payload.asset}` : 'DCA';
+    case 'cashFlow': return 'Cash Flow';
+    default: return type;
+  }
+}
+
+// { total, cash, realized, feesPaid, taxPaid, positions: { [ticker]: { amount, value, weight } } }
+// from a projection (or the original holdings, with no realized gains)
+export function summarizeScenario(holdings, baseCurrency, projection = null) {
+  const positions = {};
+  let total = 0;
+  let cash = 0;
+  for (const h of holdings) {
+    const value = h.value || 0;
+    const position = (positions[h.ticker] ??= { amount: 0, value: 0, weight: 0 });
+    position.amount += h.amount || 0;
+    position.value += value;
+    total += value;
+    if (isBaseCash(h.ticker, baseCurrency)) cash += value;
+  }
+  for (const position of Object.values(positions)) {
+    position.weight = total > 0 ? position.value / total : 0;
+  }
+  return {
+    total,
+    cash,
+    realized: projection ? projection.realized.shortTerm + projection.realized.longTerm : 0,
+    feesPaid: projection?.feesPaid ?? 0,
+    taxPaid: projection?.taxPaid ?? 0,
+    positions,
+  };
+}
+
+// Every ticker held before or in any scenario, largest current value first
+export function scenarioTickers(current, scenarios) {
+  const largest = {};
+  for (const summary of [current, ...scenarios]) {
+    for (const [ticker, { value }] of Object.entries(summary.positions)) {
+      largest[ticker] = Math.max(largest[ticker] ?? -Infinity, value);
+    }
+  }
+  return Object.keys(largest).sort((a, b) =>
+    (current.positions[b]?.value ?? 0) - (current.positions[a]?.value ?? 0) || largest[b] - largest[a]
+  );
+}
@@ -0,0 +1,102 @@
+// In-memory cache for upstream market data, shared by the API routes.
+// Entries are fresh for `ttl` ms, then served stale for up to `staleTtl` ms
+// while a single background refresh runs. Concurrent misses for the same key
+// share one upstream request. Loaders return null on failure; nulls are never cached.
+
+const DEFAULT_MAX_ENTRIES = 2000;
+
+export function createCache({ ttl, staleTtl = 0, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  const entries = new Map(); // key -> { value, storedAt }
+  const inFlight = new Map(); // key -> Promise<value | null>
+
+  const store = (key, value) => {
+    if (value === null || value === undefined) return;
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    // Map keeps insertion order, so the first key is the oldest
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const lookup = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    const age = Date.now() - entry.storedAt;
+    if (age < ttl) return { ...entry, stale: false };
+    if (age < ttl + staleTtl) return { ...entry, stale: true };
+    entries.delete(key);
+    return null;
+  };
+
+  const load = (key, loader) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = Promise.resolve()
+      .then(loader)
+      .catch(() => null)
+      .then(value => {
+        store(key, value);
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  // Returns { value, asOf, cached } where asOf is the ms timestamp the value was fetched upstream
+  const get = async (key, loader) => {
+    const hit = lookup(key);
+    if (hit) {
+      if (hit.stale) load(key, loader);
+      return { value: hit.value, asOf: hit.storedAt, cached: true };
+    }
+    const value = await load(key, loader);
+    const entry = entries.get(key);
+    return { value, asOf: entry?.storedAt ?? Date.now(), cached: false };
+  };
+
+  // Batched variant: `batchLoader(keys)` resolves to a { key: value } map for the keys it found.
+  // Only keys that are missing (or stale, in the background) reach the loader, in one call.
+  const getMany = async (keys, batchLoader) => {
+    const results = {};
+    const waiting = {};
+    const misses = [];
+    const stale = [];
+
+    for (const key of keys) {
+      const hit = lookup(key);
+      if (hit) {
+        results[key] = { value: hit.value, asOf: hit.storedAt, cached: true };
+        if (hit.stale && !inFlight.has(key)) stale.push(key);
+      } else if (inFlight.has(key)) {
+        waiting[key] = inFlight.get(key);
+      } else {
+        misses.push(key);
+      }
+    }
+
+    const startBatch = (batchKeys) => {
+      const batch = Promise.resolve()
+        .then(() => batchLoader(batchKeys))
+        .catch(() => ({}));
+      const promises = {};
+      for (const key of batchKeys) {
+        promises[key] = load(key, () => batch.then(found => found?.[key] ?? null));
+      }
+      return promises;
+    };
+
+    if (stale.length > 0) startBatch(stale);
+    if (misses.length > 0) Object.assign(waiting, startBatch(misses));
+
+    for (const [key, promise] of Object.entries(waiting)) {
+      const value = await promise;
+      const entry = entries.get(key);
+      results[key] = { value, asOf: entry?.storedAt ?? Date.now(), cached: false };
+    }
+
+    return results;
+  };
+
+  return { get, getMany };
+}
@@ -0,0 +1,66 @@
+import { migrateSnapshot } from './snapshotSchema';
+
+// Share links: a whole canvas snapshot, deflated and base64url-encoded into the URL fragment.
+// The fragment never reaches the server, so shared scenarios aren't logged anywhere.
+const FRAGMENT_KEY = 'share';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Keeps tickers and structure but zeroes every amount, for sharing a plan without the portfolio size
+export function stripHoldingAmounts(snapshot) {
+  const portfolioHoldings = Object.fromEntries(
+    Object.entries(snapshot.portfolioHoldings ?? {}).map(([id, holdings]) => [
+      id,
+      (holdings ?? []).map(({ cost, lots, ...holding }) => ({ ...holding, amount: 0, value: 0 })),
+    ])
+  );
+  return { ...snapshot, portfolioHoldings };
+}
+
+export async function buildShareUrl(snapshot) {
+  const json = new TextEncoder().encode(JSON.stringify(snapshot));
+  const packed = await pipeBytes(json, new CompressionStream('deflate-raw'));
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}#${FRAGMENT_KEY}=${toBase64Url(packed)}`;
+}
+
+// The encoded snapshot in the current URL, or null
+export function readShareFragment() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  return params.get(FRAGMENT_KEY);
+}
+
+export function clearShareFragment() {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, '', `${pathname}${search}`);
+}
+
+// Throws an Error with a user-facing message if the link is damaged or from a newer version
+export async function decodeShareSnapshot(encoded) {
+  let snapshot;
+  try {
+    const json = await pipeBytes(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+    snapshot = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error('This share link is damaged or incomplete.');
+  }
+  if (!snapshot || !Array.isArray(snapshot.nodes) || !Array.isArray(snapshot.edges)) {
+    throw new Error('This share link is damaged or incomplete.');
+  }
+  return migrateSnapshot(snapshot);
+}
@@ -0,0 +1,48 @@
+// Versioning for saved canvas state (the autosave, saved layouts, and layout files).
+// Every snapshot carries a schemaVersion; anything older is brought up to date on load by
+// running the migrations below in order. Snapshots saved before versioning count as version 0.
+//
+// To change the saved shape: append a migration that takes a version N snapshot and returns
+// a version N + 1 one. Never edit a migration that has shipped.
+
+const MIGRATIONS = [
+  // 0 -> 1: single-portfolio `holdings` became the per-portfolio `portfolioHoldings` map
+  (snapshot) => {
+    const { holdings, ...rest } = snapshot;
+    if (!rest.portfolioHoldings && Array.isArray(holdings)) {
+      rest.portfolioHoldings = { 'portfolio-1': holdings };
+    }
+    return rest;
+  },
+  // 1 -> 2: Price Target's `targetPrice` input became `targetValue` (it can be a market cap too)
+  (snapshot) => {
+    if (!snapshot.priceTargetInputs) return snapshot;
+    const priceTargetInputs = Object.fromEntries(
+      Object.entries(snapshot.priceTargetInputs).map(([id, inputs]) => {
+        const { targetPrice, ...nextInputs } = inputs ?? {};
+        if (!nextInputs.targetValue && targetPrice) nextInputs.targetValue = targetPrice;
+        return [id, nextInputs];
+      })
+    );
+    return { ...snapshot, priceTargetInputs };
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Returns the snapshot upgraded to SCHEMA_VERSION. Throws if it was saved by a newer version.
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') return snapshot;
+  const from = snapshot.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new Error(`Unknown schema version "${snapshot.schemaVersion}".`);
+  }
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Saved with a newer version of Folioli (schema ${from}; this version reads up to ${SCHEMA_VERSION}).`);
+  }
+  let migrated = snapshot;
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
@@ -0,0 +1,157 @@
+// Tax lots for holdings and realized gains when selling out of them.
+// A holding may carry `lots: [{ id, date, amount, cost }]` (date 'YYYY-MM-DD', cost per unit,
+// either may be null). Holdings without lots, or with units not covered by their lots,
+// are treated as one undated lot at the holding's `cost`.
+
+export const LOT_METHODS = {
+  fifo: 'FIFO',
+  lifo: 'LIFO',
+  hifo: 'Highest cost',
+  specific: 'Specific lot',
+};
+
+export const DEFAULT_LOT_METHOD = 'fifo';
+
+const EPSILON = 1e-9;
+const UNTRACKED_LOT_ID = 'untracked';
+
+export const today = () => new Date().toISOString().slice(0, 10);
+
+// Lots the user enters are stored with their holding, so any unique id will do
+let lotCounter = 0;
+export const newLotId = () => `lot-${Date.now().toString(36)}-${(lotCounter++).toString(36)}`;
+
+// Lots a projection opens are rebuilt on every run, so they're named after the node that opened
+// them (and which of its purchases it was) to keep a "Specific lot" pick pointing at the same lot
+export const projectedLotId = (nodeId, index = 0) => `${nodeId}:${index}`;
+
+export function holdingLots(holding) {
+  const lots = (holding.lots ?? []).filter(lot => lot.amount > EPSILON);
+  const tracked = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const untracked = (holding.amount ?? 0) - tracked;
+  if (untracked > EPSILON) {
+    lots.push({ id: UNTRACKED_LOT_ID, date: null, amount: untracked, cost: holding.cost ?? null });
+  }
+  return lots;
+}
+
+// Amount-weighted cost per unit, or null unless every lot has a cost
+export function averageCost(lots) {
+  const amount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  if (amount <= EPSILON || lots.some(lot => lot.cost == null)) return null;
+  return lots.reduce((sum, lot) => sum + lot.amount * lot.cost, 0) / amount;
+}
+
+// Held for more than a year on the sale date. Undated lots count as short term.
+export function isLongTerm(lotDate, saleDate) {
+  if (!lotDate) return false;
+  const acquired = new Date(`${lotDate}T00:00:00Z`);
+  const oneYearLater = new Date(Date.UTC(acquired.getUTCFullYear() + 1, acquired.getUTCMonth(), acquired.getUTCDate()));
+  return new Date(`${saleDate}T00:00:00Z`) > oneYearLater;
+}
+
+// Order lots are sold in. Undated lots sort as the oldest.
+function orderLots(lots, method, lotId) {
+  const byDate = [...lots].sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''));
+  if (method === 'lifo') return byDate.reverse();
+  if (method === 'hifo') return [...lots].sort((a, b) => (b.cost ?? -Infinity) - (a.cost ?? -Infinity));
+  if (method === 'specific') {
+    const picked = lots.find(lot => lot.id === lotId);
+    // Anything beyond the picked lot comes out FIFO
+    return picked ? [picked, ...byDate.filter(lot => lot !== picked)] : byDate;
+  }
+  return byDate;
+}
+
+// Sells `units` for `proceeds` out of `lots`. Proceeds are spread evenly per unit.
+// Returns { lots, consumed, costBasis, shortTerm, longTerm, unknownBasisUnits }, where lots
+// is what's left and gains only cover units with a known cost.
+export function realizeSale(lots, units, proceeds, { method = DEFAULT_LOT_METHOD, lotId = null, saleDate = today() } = {}) {
+  const pricePerUnit = units > 0 ? proceeds / units : 0;
+  const remaining = new Map(lots.map(lot => [lot, lot.amount]));
+  const consumed = [];
+  let left = units;
+  let costBasis = 0;
+  let shortTerm = 0;
+  let longTerm = 0;
+  let unknownBasisUnits = 0;
+
+  for (const lot of orderLots(lots, method, lotId)) {
+    if (left <= EPSILON) break;
+    const take = Math.min(left, lot.amount);
+    left -= take;
+    remaining.set(lot, lot.amount - take);
+    const longTermLot = isLongTerm(lot.date, saleDate);
+    consumed.push({ id: lot.id, date: lot.date, amount: take, cost: lot.cost, longTerm: longTermLot });
+    if (lot.cost == null) {
+      unknownBasisUnits += take;
+      continue;
+    }
+    const gain = take * (pricePerUnit - lot.cost);
+    costBasis += take * lot.cost;
+    if (longTermLot) longTerm += gain;
+    else shortTerm += gain;
+  }
+
+  return {
+    lots: lots
+      .map(lot => ({ ...lot, amount: remaining.get(lot) }))
+      .filter(lot => lot.amount > EPSILON),
+    consumed,
+    costBasis,
+    shortTerm,
+    longTerm,
+    unknownBasisUnits,
+  };
+}
+
+// The projection engines below change a holding's amount themselves; these keep its lots in
+// step. Untracked units stay implicit (amount minus lots, at the holding's `cost`).
+
+// Applies a sale to a projected holding's lots in place and returns the realized { shortTerm, longTerm }
+export function sellFromHolding(holding, units, proceeds, options) {
+  const sale = realizeSale(holdingLots(holding), units, proceeds, options);
+  const lots = sale.lots.filter(lot => lot.id !== UNTRACKED_LOT_ID);
+  if (lots.length > 0) holding.lots = lots;
+  else delete holding.lots;
+  return { shortTerm: sale.shortTerm, longTerm: sale.longTerm };
+}
+
+// Records a purchase on a projected holding as a new lot with id `lotId` (see projectedLotId)
+// dated `date`
+export function buyIntoHolding(holding, units, price, lotId, date = today()) {
+  holding.lots = [...(holding.lots ?? []), { id: lotId, date, amount: units, cost: price ?? null }];
+}
+
+// A brand-new holding's lot list
+export const initialLots = (units, price, lotId, date = today()) => [{ id: lotId, date, amount: units, cost: price ?? null }];
+
+export const NO_REALIZED = { shortTerm: 0, longTerm: 0 };
+
+export const addRealized = (total, realized) => ({
+  shortTerm: total.shortTerm + realized.shortTerm,
+  longTerm: total.longTerm + realized.longTerm,
+});
+
+// Tax on realized gains at percent rates. Short- and long-term net against each other first;
+// what's still a loss owes nothing and comes back as carryForward for the next Tax node.
+export function estimateTax({ shortTerm, longTerm }, { shortTermRate = 0, longTermRate = 0 }) {
+  let st = shortTerm;
+  let lt = longTerm;
+  if (st < 0 && lt > 0) {
+    const offset = Math.min(-st, lt);
+    st += offset;
+    lt -= offset;
+  }
+  if (lt < 0 && st > 0) {
+    const offset = Math.min(-lt, st);
+    lt += offset;
+    st -= offset;
+  }
+  const taxable = { shortTerm: Math.max(st, 0), longTerm: Math.max(lt, 0) };
+  return {
+    taxable,
+    tax: taxable.shortTerm * shortTermRate / 100 + taxable.longTerm * longTermRate / 100,
+    carryForward: { shortTerm: Math.min(st, 0), longTerm: Math.min(lt, 0) },
+  };
+}
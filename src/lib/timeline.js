@@ -0,0 +1,90 @@
+// When chain actions happen. An action's `when` is null (right after the action before it in
+// its chain), { mode: 'offset', amount, unit } counted from today, or { mode: 'date', date }.
+// Times are in years from today.
+
+export const WHEN_UNITS = {
+  days: { label: 'Days', perYear: 365 },
+  weeks: { label: 'Weeks', perYear: 52 },
+  months: { label: 'Months', perYear: 12 },
+  years: { label: 'Years', perYear: 1 },
+};
+
+// Points sampled along a timeline on top of the event times, so price paths draw as curves
+export const TIMELINE_SAMPLES = 24;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Years from `now` until `when`, never negative; null when undated or incomplete
+export function whenToYears(when, now = Date.now()) {
+  if (when?.mode === 'offset') {
+    const amount = parseFloat(when.amount);
+    const unit = WHEN_UNITS[when.unit] ?? WHEN_UNITS.months;
+    return amount >= 0 ? amount / unit.perYear : null;
+  }
+  if (when?.mode === 'date') {
+    const time = Date.parse(when.date);
+    return Number.isFinite(time) ? Math.max(0, (time - now) / YEAR_MS) : null;
+  }
+  return null;
+}
+
+// The calendar date ('YYYY-MM-DD') `years` from `now`
+export const yearsToDate = (years, now = Date.now()) => new Date(now + years * YEAR_MS).toISOString().slice(0, 10);
+
+// "+12d", "+6mo", "+1.5y"
+export function formatYears(years) {
+  if (!(years > 0)) return 'now';
+  if (years < 1 / 12) return `+${Math.round(years * 365)}d`;
+  if (years < 1) return `+${Math.round(years * 12)}mo`;
+  return `+${Number(years.toFixed(1))}y`;
+}
+
+// Each action's time: its own date, or the time of the action before it. An action dated
+// before its predecessor happens with it, so chain order always holds. { [nodeId]: years }
+export function eventTimes(chains, whenByNode, now = Date.now()) {
+  const times = {};
+  for (const chain of chains) {
+    let previous = 0;
+    for (const nodeId of chain) {
+      const own = whenToYears(whenByNode[nodeId], now);
+      previous = own === null ? previous : Math.max(previous, own);
+      times[nodeId] = previous;
+    }
+  }
+  return times;
+}
+
+// Every action of every chain by time: [{ nodeId, chain, t }]. Actions at the same time keep
+// chain order, so an undated canvas runs exactly as the chains are laid out.
+export function timelineOrder(chains, times) {
+  return chains
+    .flatMap((chain, chainIndex) => chain.map(nodeId => ({ nodeId, chain: chainIndex, t: times[nodeId] })))
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.t - b.event.t || a.index - b.index)
+    .map(({ event }) => event);
+}
+
+// Price at `t` along knots [{ t, price }] sorted by t: reached at each knot, growing at a
+// constant rate in between, and moving from `basePrice` (today's price) to the first knot.
+// The last of several knots at one time wins.
+export function priceAt(knots, t, basePrice) {
+  if (!knots?.length) return basePrice;
+
+  let i = -1;
+  while (i + 1 < knots.length && knots[i + 1].t <= t) i++;
+
+  const from = i === -1 ? (basePrice > 0 ? { t: 0, price: basePrice } : null) : knots[i];
+  const to = knots.slice(i + 1).find(k => k.t > (from?.t ?? -Infinity));
+  if (!from) return knots[0].price;
+  if (!to || to.t <= from.t) return from.price;
+  return from.price * Math.pow(to.price / from.price, (t - from.t) / (to.t - from.t));
+}
+
+// Sorted, de-duplicated times to sample a timeline at: the given times plus even steps to the end
+export function sampleTimes(times, horizon) {
+  const samples = new Set(times.filter(t => t > 0 && t <= horizon));
+  for (let i = 1; i <= TIMELINE_SAMPLES; i++) {
+    samples.add((horizon * i) / TIMELINE_SAMPLES);
+  }
+  return [...samples].sort((a, b) => a - b);
+}
@@ -0,0 +1,89 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Undo/redo over whole-canvas snapshots, kept in memory only.
+// A snapshot is recorded once the canvas has been still for COALESCE_MS, so a burst of
+// keystrokes or a node drag becomes a single step.
+const COALESCE_MS = 600;
+const HISTORY_LIMIT = 100;
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export function useCanvasHistory(getSnapshot, restoreSnapshot, enabled) {
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  // The snapshot the canvas was in after the last recorded step
+  const committedRef = useRef(null);
+  // Set while a restore settles, so nodes re-syncing their inputs don't count as an edit
+  const restoringRef = useRef(false);
+  const getSnapshotRef = useRef(getSnapshot);
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+  const syncCounts = useCallback(() => {
+    setCounts({ past: pastRef.current.length, future: futureRef.current.length });
+  }, []);
+
+  useEffect(() => {
+    getSnapshotRef.current = getSnapshot;
+    if (!enabled) return;
+
+    const timer = setTimeout(() => {
+      const current = getSnapshot();
+      // The first settled state (after load or a reset) is the starting point, not a step
+      if (committedRef.current === null || restoringRef.current) {
+        restoringRef.current = false;
+        committedRef.current = current;
+        return;
+      }
+      if (sameSnapshot(current, committedRef.current)) return;
+      pastRef.current = [...pastRef.current, committedRef.current].slice(-HISTORY_LIMIT);
+      futureRef.current = [];
+      committedRef.current = current;
+      syncCounts();
+    }, COALESCE_MS);
+    return () => clearTimeout(timer);
+  }, [getSnapshot, enabled, syncCounts]);
+
+  const jumpTo = useCallback((target) => {
+    committedRef.current = target;
+    restoringRef.current = true;
+    restoreSnapshot(target);
+    syncCounts();
+  }, [restoreSnapshot, syncCounts]);
+
+  const undo = useCallback(() => {
+    if (committedRef.current === null) return;
+    const current = getSnapshotRef.current();
+    // An edit still inside the coalescing window is undone back to the last recorded step
+    if (!sameSnapshot(current, committedRef.current)) {
+      futureRef.current = [current];
+      jumpTo(committedRef.current);
+      return;
+    }
+    if (pastRef.current.length === 0) return;
+    const target = pastRef.current[pastRef.current.length - 1];
+    pastRef.current = pastRef.current.slice(0, -1);
+    futureRef.current = [...futureRef.current, current];
+    jumpTo(target);
+  }, [jumpTo]);
+
+  const redo = useCallback(() => {
+    if (futureRef.current.length === 0) return;
+    const current = getSnapshotRef.current();
+    const target = futureRef.current[futureRef.current.length - 1];
+    futureRef.current = futureRef.current.slice(0, -1);
+    pastRef.current = [...pastRef.current, current].slice(-HISTORY_LIMIT);
+    jumpTo(target);
+  }, [jumpTo]);
+
+  // Forget everything, e.g. when switching to a different saved layout
+  const resetHistory = useCallback(() => {
+    pastRef.current = [];
+    futureRef.current = [];
+    committedRef.current = null;
+    syncCounts();
+  }, [syncCounts]);
+
+  return { undo, redo, resetHistory, canUndo: counts.past > 0, canRedo: counts.future > 0 };
+}